@@ -7,8 +7,9 @@
     - Dist/Packaged/     NSIS 安装器输出（清空覆盖）
 
   用法：
-    node BuildScript/build.js [--nodeExePath=C:\\PortableNode\\node.exe]
+    node BuildScript/build.js [--nodeExePath=C:\\PortableNode\\node.exe] [--fetchEmbeddingModel]
     （未指定时默认使用当前运行本脚本的 node 可执行文件）
+    --fetchEmbeddingModel：打包前运行 tools/fetch-embedding-model.js，把语义相似度模型下载到 models/ 一并打包
 */
 
 const fs = require('fs');
@@ -69,6 +70,10 @@ function getArg(name) {
   return undefined;
 }
 
+function hasFlag(name) {
+  return process.argv.slice(2).includes(`--${name}`);
+}
+
 function nowTs() {
   const d = new Date();
   const pad = (n) => String(n).padStart(2, '0');
@@ -112,6 +117,17 @@ async function main() {
   // 复制 node.exe
   await fsp.copyFile(nodeExePath, path.join(BinDir, 'node.exe'));
 
+  // 离线语义相似度模型（models/，供离线机器使用）
+  const modelsDir = path.join(root, 'models');
+  if (hasFlag('fetchEmbeddingModel')) {
+    logInfo('下载语义相似度模型到 models/ ...');
+    const res = spawnSync(process.execPath, [path.join(root, 'tools', 'fetch-embedding-model.js'), `--dir=${modelsDir}`], { stdio: 'inherit', cwd: root });
+    if (res.status !== 0) logWarn('语义相似度模型下载失败，继续构建');
+  }
+  if (!(await pathExists(modelsDir))) {
+    logWarn('未找到 models/：便携包在离线机器上将无法计算语义相似度（会降级为字面相似度）；可加 --fetchEmbeddingModel 重新构建');
+  }
+
   // 复制资源（注意：排除 config/env.yaml，包含根目录下的 说明书/ 若存在）
   const copyList = [
     'main.js',
@@ -120,6 +136,7 @@ async function main() {
     'tools',
     'config',
     'prompts',
+    'models',
     '说明书',
     'sourcefiles',
     'package.json',
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { PROVIDER_TYPES } = require('../modules/llm-adapters');
+const { SIMILARITY_BACKENDS } = require('../utils/embedding-backends');
 
 class ConfigLoader {
     /**
@@ -62,9 +64,14 @@ class ConfigLoader {
         }
 
         config.providers.forEach((provider, index) => {
-            if (!provider.name || !provider.base_url || !Array.isArray(provider.models)) {
+            // mock 类型在进程内启动本地模拟服务，无需 base_url
+            const isMock = String(provider.type || '').toLowerCase() === 'mock';
+            if (!provider.name || (!provider.base_url && !isMock) || !Array.isArray(provider.models)) {
                 throw new Error(`提供商${index + 1}配置不完整`);
             }
+            if (provider.type !== undefined && !PROVIDER_TYPES.includes(String(provider.type).toLowerCase())) {
+                throw new Error(`提供商${index + 1}的 type 无效: ${provider.type}（可选: ${PROVIDER_TYPES.join(', ')}）`);
+            }
         });
 
         // 验证目录配置
@@ -98,6 +105,25 @@ class ConfigLoader {
             throw new Error('similarity_threshold必须是0-1之间的数字');
         }
 
+        // 验证相似度后端（可选，缺省为 local）
+        if (config.similarity) {
+            const backend = String(config.similarity.backend || 'local').toLowerCase();
+            if (!SIMILARITY_BACKENDS.includes(backend)) {
+                throw new Error(`similarity.backend 无效: ${config.similarity.backend}（可选: ${SIMILARITY_BACKENDS.join(', ')}）`);
+            }
+            const fallback = String(config.similarity.fallback || 'lexical').toLowerCase();
+            if (!['lexical', 'none'].includes(fallback)) {
+                throw new Error(`similarity.fallback 无效: ${config.similarity.fallback}（可选: lexical, none）`);
+            }
+            const api = config.similarity.api || {};
+            if (backend === 'api' && (!api.model || (!api.provider && !api.base_url))) {
+                throw new Error('similarity.backend 为 api 时须配置 api.model 以及 api.provider 或 api.base_url');
+            }
+            if (api.provider && !config.providers.some(p => p.name === api.provider)) {
+                throw new Error(`similarity.api.provider 未找到: ${api.provider}`);
+            }
+        }
+
         // 验证系统提示词文件路径
         if (!config.system_prompt_file) {
             throw new Error('缺少system_prompt_file配置');
@@ -12,6 +12,7 @@ const ModelTester = require('./modules/model-tester');
 const CsvMerger = require('./utils/csv-merger');
 const TextSplitterUI = require('./modules/text-splitter-ui');
 const { RunController } = require('./utils/run-controller');
+const { inputExtensions } = require('./utils/file-readers');
 
 // 全局未捕获错误兜底（写入 app/data/logs/unhandled.log）
 function setupGlobalErrorHandlers() {
@@ -99,6 +100,9 @@ class MainApplication {
                     case 'batch_llm':
                         await this.handleBatchLLM();
                         break;
+                    case 'resume_run':
+                        await this.handleResumeRun();
+                        break;
                     case 'colipot':
                         await this.handleColipot();
                         break;
@@ -150,12 +154,30 @@ class MainApplication {
         }
     }
 
+    /**
+     * 恢复中断的运行：从运行清单重建配置后交给批量处理流程
+     */
+    async handleResumeRun() {
+        try {
+            const setup = await this.ui.selectResumableRun(this.config.directories.output_dir);
+            if (!setup) {
+                this.ui.showWarning('未选择运行或已取消');
+                return;
+            }
+            this.ui.showInfo(`恢复运行：${setup.resume.runId}，结果将回写 ${setup.resume.runOutputDir}`);
+            await this.handleBatchLLM(setup);
+        } catch (error) {
+            this.ui.showError(`恢复运行失败: ${error.message}`);
+        }
+    }
+
     /**
      * 处理批量LLM处理
+     * @param {Object} [presetSetup] - 已确定的配置（如恢复运行），省略时进入交互式设置
      */
-    async handleBatchLLM() {
+    async handleBatchLLM(presetSetup) {
         try {
-            const setup = await this.ui.interactiveSetup(this.config);
+            const setup = presetSetup || await this.ui.interactiveSetup(this.config);
             
             if (!setup) {
                 this.ui.showWarning('用户取消操作');
@@ -205,7 +227,7 @@ class MainApplication {
                 const fixedRunId = path.basename(runOutputDir);
                 extraOptions = { reuseRunOutputDir: true, fixedRunOutputDir: runOutputDir, fixedRunId };
                 // 将 inputs 切换为错误目录下“受支持类型”的文件集合（排除所有 .json）
-                const SUPPORTED_EXTS = new Set(['.md', '.txt', '.docx']);
+                const SUPPORTED_EXTS = new Set(inputExtensions({ includeUnsupported: false }));
                 const collectFiles = (dir) => {
                     const list = [];
                     const walk = (d) => {
@@ -229,6 +251,11 @@ class MainApplication {
                 setup.outputDir = path.dirname(runOutputDir); // 传入父 output，以便处理器内部拼回 fixedRunOutputDir
                 this.ui.showInfo(`错误重处理：从 ${errorDir} 收集 ${reInputs.length} 个文件，结果将回写 ${runOutputDir}`);
             }
+            // 恢复运行：复用原 run 输出目录与中间样本
+            const resume = setup.resume && setup.resume.enable;
+            if (resume) {
+                extraOptions = { resume: true, reuseRunOutputDir: true, fixedRunOutputDir: setup.resume.runOutputDir, fixedRunId: setup.resume.runId };
+            }
             // 计算 baseName 并生成自定义运行名（目录名）
             let customRunName;
             try {
@@ -273,7 +300,7 @@ class MainApplication {
                     { ...setup.model, timeouts: setup.timeouts, validation: setup.validation },
                     setup.inputs,
                     setup.outputDir,
-                    { promptVersion: setup?.structured?.promptVersion, repairAttempts: setup?.structured?.repairAttempts, controller, ...extraOptions, customRunName }
+                    { promptVersion: setup?.structured?.promptVersion, repairAttempts: setup?.structured?.repairAttempts, fewShotCount: setup?.structured?.fewShotCount, controller, useCache: setup.useCache, ...extraOptions, customRunName }
                 );
 
                 // 生成运行总结报告（md + json）
@@ -330,7 +357,7 @@ class MainApplication {
                     { ...setup.model, timeouts: setup.timeouts, validation: setup.validation },
                     setup.inputs,
                     setup.outputDir,
-                    { controller, ...extraOptions, customRunName }
+                    { controller, useCache: setup.useCache, ...extraOptions, customRunName }
                 );
                 // 经典模式同样生成运行总结
                 try {
@@ -350,13 +377,15 @@ class MainApplication {
                 }
             }
 
-            // 重处理结果清理（删除 error 下已修复文件并更新清单）
-            if (reprocess && setup.reprocess.errorDir) {
+            // 重处理/恢复运行结果清理（删除 error 下已修复文件并更新清单）
+            const cleanupErrorDir = (reprocess && setup.reprocess.errorDir)
+                || (resume ? path.join(extraOptions.fixedRunOutputDir, 'error') : null);
+            if (cleanupErrorDir && fs.existsSync(cleanupErrorDir)) {
                 try {
                     const { applyCleanup } = require('./utils/error-cleanup');
                     await applyCleanup({
                         runOutputDir: extraOptions.fixedRunOutputDir,
-                        errorDir: setup.reprocess.errorDir,
+                        errorDir: cleanupErrorDir,
                         result,
                         logger: this.ui,
                         options: this.config.errors?.cleanup || {},
@@ -468,7 +497,9 @@ class MainApplication {
                     const marker = this.config?.output?.metadata_marker || '[META]';
 
                     const rowsVerbatim = await merger.concatCsvFilesVerbatim(csvFiles, { insertBlankLineBetweenBlocks: insertBlank });
-                    const rowsNoMeta = await merger.concatCsvFilesNoMeta(csvFiles, { insertBlankLineBetweenBlocks: insertBlank, marker });
+                    // 可将元数据字段（如 split_path）展开为追加列，合并后可按章节分组
+                    const metaColumns = this.config?.post_run?.merge?.meta_columns || [];
+                    const rowsNoMeta = await merger.concatCsvFilesNoMeta(csvFiles, { insertBlankLineBetweenBlocks: insertBlank, marker, metaColumns });
 
                     await merger.writeMergedCsv(rowsVerbatim, outVerbatim);
                     await merger.writeMergedCsv(rowsNoMeta, outNoMeta);
@@ -509,17 +540,31 @@ class MainApplication {
 
             // 执行批量处理（按模式）
             const mode = setup.mode || (this.config.processing?.default_mode || 'classic');
+            const modelSel = { ...setup.model, timeouts: setup.timeouts, validation: setup.validation };
+            const options = mode === 'structured'
+                ? { promptVersion: setup?.structured?.promptVersion, repairAttempts: setup?.structured?.repairAttempts, fewShotCount: setup?.structured?.fewShotCount, promptVariables: setup.promptVariables }
+                : { promptVariables: setup.promptVariables };
+
+            // 方案配置了 compare：与无交互运行一致，按各变体依次运行并生成对比报告
+            if (setup.compare) {
+                const PromptComparison = require('./modules/prompt-comparison');
+                const variants = PromptComparison.resolveVariants(setup.compare, { modelSel, promptVersion: options.promptVersion, mode }, this.config);
+                this.ui.showInfo(`A/B 对比 (Colipot 方案): ${variants.map(v => v.label).join(' vs ')}`);
+                const comparison = new PromptComparison({ config: this.config, logger: console });
+                const { runs, reportPath } = await comparison.run({ variants, inputs: setup.inputs, outputDir: setup.outputDir, mode, options });
+                for (const { variant, result } of runs) {
+                    this.ui.showInfo(`${variant.label}：总数=${result.total} 成功=${result.succeeded} 失败=${result.failed}`);
+                }
+                this.ui.showSuccess(`对比完成：${reportPath}`);
+                return;
+            }
+
             let result;
             if (mode === 'structured') {
                 const StructuredFileProcessor = require('./modules/structured-file-processor');
                 const sproc = new StructuredFileProcessor({ config: this.config, logger: console });
                 this.ui.showInfo('以结构化模式处理 (Colipot 方案)...');
-                result = await sproc.runBatch(
-                    { ...setup.model, timeouts: setup.timeouts, validation: setup.validation },
-                    setup.inputs,
-                    setup.outputDir,
-                    { promptVersion: setup?.structured?.promptVersion, repairAttempts: setup?.structured?.repairAttempts }
-                );
+                result = await sproc.runBatch(modelSel, setup.inputs, setup.outputDir, options);
 
                 // 生成运行总结报告
                 try {
@@ -541,11 +586,7 @@ class MainApplication {
                 const FileProcessor = require('./modules/file-processor');
                 const processor = new FileProcessor({ config: this.config, logger: console });
                 this.ui.showInfo('以经典模式处理 (Colipot 方案)...');
-                result = await processor.runBatch(
-                    { ...setup.model, timeouts: setup.timeouts, validation: setup.validation },
-                    setup.inputs,
-                    setup.outputDir
-                );
+                result = await processor.runBatch(modelSel, setup.inputs, setup.outputDir, options);
                 try {
                     const RunSummary = require('./modules/run-summary');
                     const summary = new RunSummary({ logger: console });
@@ -583,8 +624,12 @@ class MainApplication {
 
             this.ui.showInfo('开始Docx转Markdown转换...');
             
-            // 使用现有的转换器
-            const converter = new DocxToMdConverter();
+            // 使用现有的转换器（引擎由 docx_converter.engine 选择）
+            const converter = new DocxToMdConverter({
+                engine: this.config?.docx_converter?.engine,
+                styleMap: this.config?.docx_converter?.style_map,
+                extractImages: this.config?.docx_converter?.extract_images
+            });
             const success = await converter.convert(config.inputDir, config.outputDir);
             
             if (success) {
@@ -724,7 +769,11 @@ async function main() {
 }
 
 // 如果直接运行此脚本，则执行主函数
-if (require.main === module) {
+if (require.main === module && argv[0] === 'run') {
+    // 无交互模式：node main.js run --plan Plan1 | --provider --model --mode --inputs --output
+    const { runFromArgv } = require('./modules/headless-runner');
+    runFromArgv(argv.slice(1)).then((code) => process.exit(code));
+} else if (require.main === module) {
     main().catch(async (error) => {
         console.error(chalk.red('❌ 程序执行失败:'), error.message);
         if (flagDiagOnError) {
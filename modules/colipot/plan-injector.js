@@ -1,4 +1,5 @@
 const path = require('path');
+const { normalizeFallbackModels } = require('../../utils/model-failover');
 
 /**
  * PlanInjector: 将方案字段映射/合并到现有调用参数与配置对象（装饰器风格的集中注入器）
@@ -16,14 +17,19 @@ class PlanInjector {
       model: plan.model.model,
       validation: undefined,
       timeouts: undefined,
+      fallbackModels: normalizeFallbackModels(plan.model.fallback_models),
+      failoverAfter: clamp(plan.model.failover_after, 1, 100, undefined), // 未指定时按配置 failover.failover_after
     };
 
     // timeouts 合并
     const conn = Number(plan.network?.connect_timeout_ms ?? config?.network?.connect_timeout_ms);
     const resp = Number(plan.network?.response_timeout_ms ?? config?.network?.response_timeout_ms);
+    const idle = Number(plan.network?.stream_idle_timeout_ms ?? config?.network?.stream_idle_timeout_ms);
     modelSel.timeouts = {
       connectTimeoutMs: isFinite(conn) && conn > 0 ? conn : 3000,
       responseTimeoutMs: isFinite(resp) && resp > 0 ? resp : 60000,
+      stream: (plan.network?.stream ?? config?.network?.stream) === true,
+      streamIdleTimeoutMs: isFinite(idle) && idle > 0 ? idle : undefined,
     };
 
     // validation 合并
@@ -39,14 +45,20 @@ class PlanInjector {
     const inputs = Array.isArray(plan.paths?.inputs) ? plan.paths.inputs : [];
     const outputDir = plan.paths?.output_dir || config?.directories?.output_dir || './data/output';
 
-    // options: structured 专用
+    // options: 提示词模板变量（两种模式通用）；其余为 structured 专用
     const options = {};
+    if (plan.prompt_variables && Object.keys(plan.prompt_variables).length) {
+      options.promptVariables = { ...plan.prompt_variables };
+    }
     const mode = plan.processing?.mode || config?.processing?.default_mode || 'classic';
     if (mode === 'structured') {
       options.promptVersion = plan.structured?.prompt_version || config?.structured?.default_prompt_version;
       if (plan.structured?.repair_attempts != null) {
         options.repairAttempts = clamp(plan.structured.repair_attempts, 0, 3, config?.structured?.max_repair_attempts ?? 2);
       }
+      if (plan.structured?.few_shot_count != null) {
+        options.fewShotCount = clamp(plan.structured.few_shot_count, 0, 10, config?.structured?.few_shot_count ?? 2);
+      }
     }
 
     return { modelSel, inputs, outputDir, mode, options };
@@ -1,3 +1,5 @@
+const { normalizeVariables } = require('../../utils/prompt-template');
+
 /**
  * PlanValidator: 对从 YAML 读取的方案对象进行静态校验与规范化
  */
@@ -22,17 +24,33 @@ class PlanValidator {
 
     const model = plan.model || {};
     if (!model.provider || !model.model) errors.push('缺少 model.provider 或 model.model');
+    if (model.fallback_models !== undefined) {
+      const list = model.fallback_models;
+      const okItem = (m) => (typeof m === 'string' && /^[^/]+\/.+$/.test(m)) || (m && typeof m === 'object' && m.provider && m.model);
+      if (!Array.isArray(list) || !list.every(okItem)) {
+        errors.push('model.fallback_models 须为数组，元素为 {provider, model} 或 "提供商/模型"');
+      }
+    }
 
     const paths = plan.paths || {};
     if (!paths.output_dir) errors.push('缺少 paths.output_dir');
     if (!Array.isArray(paths.inputs) || paths.inputs.length === 0) errors.push('缺少 paths.inputs');
 
+    if (plan.compare !== undefined && (!Array.isArray(plan.compare) || plan.compare.length < 2 || !plan.compare.every((c) => typeof c === 'string' && c.trim()))) {
+      errors.push('compare 须为至少两个变体的数组，元素为 "版本"、"提供商/模型" 或 "版本@提供商/模型"');
+    }
+
+    const promptVariables = normalizeVariables(plan.prompt_variables);
+    errors.push(...promptVariables.errors.map((e) => `prompt_variables ${e}`));
+
     const normalized = {
       name,
       display_name: displayName,
       model: {
         provider: model.provider,
         model: model.model,
+        fallback_models: Array.isArray(model.fallback_models) ? model.fallback_models : [],
+        failover_after: model.failover_after,
       },
       processing: plan.processing || {},
       structured: plan.structured || {},
@@ -45,6 +63,8 @@ class PlanValidator {
       },
       postprocess: plan.postprocess || {},
       llm_summary: plan.llm_summary || {},
+      prompt_variables: promptVariables.variables,
+      compare: Array.isArray(plan.compare) ? plan.compare : [],
       __file: plan.__file,
     };
 
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const FileUtils = require('../utils/file-utils');
+const { loadSamples } = require('../utils/run-checkpoint');
+
+/**
+ * 经典模式的请求单元：每个输入文件为一个单元，超出 token 预算的文件每块一个单元
+ * - 单元的中间样本写入 temp/<runId>/<相对目录>/<文件名>[_chunk_N].jsonl，恢复运行时复用已落盘的样本
+ * - 汇总时分块文件逐块得到 CSV（写入 temp）再拼接，见 FileProcessor.finalizeChunkedFile
+ */
+
+/**
+ * 规划单个文件的请求单元
+ * @param {Object} params
+ * @param {{ path:string }} params.file
+ * @param {string} params.rel - 相对输入根目录的路径
+ * @param {string} params.outPath - 输出 CSV 路径
+ * @param {string} params.tempRelDir - 该文件中间文件所在目录
+ * @param {import('../utils/text-chunker').TextChunker|null} params.chunker
+ * @param {number} params.requestCount - 每个单元的采样次数
+ * @param {boolean} params.resume
+ * @param {Object} params.config
+ * @param {Map<string, string>} params.contentCache - 已读取的文件内容（rel -> 文本），分块时写入
+ * @param {Object} params.logger
+ * @returns {Promise<Object>} 文件汇总信息 { outPath, tempFilePath, results, chunks, units, models, readError, resumed, skipFinalize, ... }
+ */
+async function planFileUnits({ file, rel, outPath, tempRelDir, chunker, requestCount, resume, config, contentCache, logger }) {
+  const tempFileBase = path.basename(rel, path.extname(rel));
+  const tempFilePath = path.join(tempRelDir, `${tempFileBase}.jsonl`);
+  fs.mkdirSync(path.dirname(tempFilePath), { recursive: true });
+
+  // 超出 token 预算的文件切分为多块，每块独立请求，汇总时拼接为一个 CSV
+  let pieces = null;
+  let readError = null;
+  if (chunker) {
+    try {
+      const content = await FileUtils.readFile(file.path, FileUtils.readerOptions(config, outPath));
+      contentCache.set(rel, content);
+      const split = chunker.split(content);
+      if (split.length > 1) {
+        pieces = split;
+        logger.info(`分块: ${rel} 约 ${chunker.count(content)} tokens，切分为 ${split.length} 块（每块上限 ${chunker.maxTokens}）`);
+      }
+    } catch (e) {
+      // 无法读取的文件不发送请求，汇总时归入 unsupported_file；其余读取失败留给 worker 按请求失败处理
+      if (e.code === 'UNSUPPORTED_FILE') {
+        readError = e;
+        logger.error(`无法读取: ${rel} - ${e.message}`);
+      }
+    }
+  }
+
+  // 不删除已有文件，按运行ID区分，保留历史中间文件；恢复运行时复用已落盘的样本
+  const models = new Set();
+  const units = (pieces || [null]).map((piece) => {
+    const unitTemp = piece ? path.join(tempRelDir, `${tempFileBase}_chunk_${piece.index + 1}.jsonl`) : tempFilePath;
+    const done = resume ? loadSamples(unitTemp) : new Map();
+    const reused = [...done.entries()].filter(([i]) => i < requestCount).sort((a, b) => a[0] - b[0]);
+    reused.forEach(([, sample]) => { if (sample.model) models.add(sample.model); });
+    return {
+      piece,
+      done,
+      tempFilePath: unitTemp,
+      outPath: piece ? unitTemp.replace(/\.jsonl$/, '.csv') : outPath,
+      label: piece ? `${rel} (分块 ${piece.index + 1}/${piece.total})` : rel,
+      results: reused.map(([, sample]) => sample.text),
+    };
+  });
+  const reusedCount = units.reduce((n, u) => n + u.results.length, 0);
+  const complete = units.every((u) => u.results.length === requestCount);
+  if (reusedCount > 0) {
+    logger.info(`恢复运行: ${rel} 复用样本 ${reusedCount}/${requestCount * units.length}`);
+  }
+  return {
+    outPath,
+    tempFilePath,
+    results: pieces ? [] : units[0].results,
+    chunks: pieces ? units : null,
+    units,
+    models,
+    errors: 0,
+    tokens: { input: 0, output: 0 }, // 本文件实际消耗（缓存命中不计）
+    file,
+    readError,
+    resumed: reusedCount > 0,
+    // 样本齐全且已写出 CSV：无需再次汇总
+    skipFinalize: complete && fs.existsSync(outPath),
+  };
+}
+
+/**
+ * 单元中尚未完成的采样任务（恢复运行时跳过已复用的样本序号）
+ * @param {Object} meta - planFileUnits 的结果
+ * @param {string} rel
+ * @param {number} requestCount
+ * @param {Object} [controller] - RunController，为每个任务登记进度
+ * @returns {Array<{ rel, file, unit, repIndex, total, taskId }>}
+ */
+function pendingTasks(meta, rel, requestCount, controller) {
+  const tasks = [];
+  for (const unit of meta.units) {
+    for (let i = 0; i < requestCount; i++) {
+      if (unit.done.has(i)) continue;
+      const taskId = controller ? controller.createTaskId({ filename: unit.label }) : null;
+      tasks.push({ rel, file: meta.file, unit, repIndex: i, total: requestCount, taskId });
+    }
+    delete unit.done;
+  }
+  return tasks;
+}
+
+module.exports = { planFileUnits, pendingTasks };
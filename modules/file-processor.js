@@ -11,6 +11,15 @@ const CsvValidator = require('../utils/csv-validator');
 const SemanticValidator = require('./semantic-validator');
 const { ErrorClassifier, ErrorReporter } = require('../utils/errors');
 const CsvMetadataUtils = require('../utils/csv-metadata');
+const { appendSample, buildInputMetadata } = require('../utils/run-checkpoint');
+const { resolveRunPaths, collectRunFiles, writeInputsOrder, writeStartManifest, writeFinishManifest, runWorkers } = require('./run-support');
+const { planFileUnits, pendingTasks } = require('./file-processor-units');
+const ResponseCache = require('../utils/response-cache');
+const { LLMCassette, RUN_ID_PLACEHOLDER } = require('../utils/llm-cassette');
+const { ModelFailover } = require('../utils/model-failover');
+const OutputSchema = require('../utils/output-schema');
+const { TextChunker, stitchChunkCsvs, formatChunkIndex } = require('../utils/text-chunker');
+const { renderTemplate, buildTemplateVariables } = require('../utils/prompt-template');
 
 /**
  * 批量文件处理器：读取 -> 请求LLM -> 校验 -> 输出
@@ -24,13 +33,18 @@ class FileProcessor {
   constructor({ config, logger = console }) {
     this.config = config;
     this.logger = logger;
-    this.client = new LLMClient({ providers: config.providers, retry: config.retry });
-    this.sim = new SimilarityCalculator();
+    this.responseCache = ResponseCache.fromConfig(config);
+    this.client = new LLMClient({ providers: config.providers, retry: config.retry, cache: this.responseCache, logger: this.logger });
+    this.sim = new SimilarityCalculator({ config, logger });
     this.tokenCounter = new TokenCounter();
     this.csvMerger = new CsvMerger(logger);
-    this.csvValidator = new CsvValidator({ logger });
+    // 经典模式提示词固定输出五列问答表
+    this.outputSchema = OutputSchema.default();
+    this.csvValidator = new CsvValidator({ logger, outputSchema: this.outputSchema });
     this.semanticValidator = new SemanticValidator({ 
       logger,
+      similarityCalculator: this.sim,
+      outputSchema: this.outputSchema,
       similarityThreshold: config.validation?.similarity_threshold || 0.8
     });
 
@@ -58,15 +72,12 @@ class FileProcessor {
       this.logger.info(`已应用交互式相似度阈值: ${uiSimTh}`);
     }
     // 为本次运行创建时间戳输出子目录（东八区本地时间）
-    const runId = options.reuseRunOutputDir && options.fixedRunId
-      ? options.fixedRunId
-      : (options.customRunName || this.formatLocalTimestamp('Asia/Shanghai'));
-    const runOutputDir = options.reuseRunOutputDir && options.fixedRunOutputDir
-      ? options.fixedRunOutputDir
-      : path.join(outputDir, runId);
-    const tempDir = this.config.directories.temp_dir || path.join(path.dirname(outputDir), 'temp');
-    this.ensureDir(runOutputDir);
-    this.ensureDir(tempDir);
+    // 恢复运行：沿用原清单中的 temp 目录与文件列表
+    const { runId, runOutputDir, resumeManifest, tempDir } = resolveRunPaths(options, outputDir, {
+      config: this.config,
+      timestamp: this.formatLocalTimestamp('Asia/Shanghai'),
+      logger: this.logger,
+    });
 
     // 保存本次运行上下文（供元数据行使用）
     this.currentRunContext = {
@@ -76,7 +87,22 @@ class FileProcessor {
       reprocess: !!(options.reuseRunOutputDir && options.fixedRunId),
       timestamp: new Date().toISOString(),
       addMetadataRow: (typeof options.addMetadataRow === 'boolean') ? options.addMetadataRow : (this.config?.output?.add_metadata_row ?? true),
+      interactive: options.interactive !== false,
+      useCache: options.useCache !== false,
+      producedBy: new Map(), // rel -> Set<"提供商/模型">，写入元数据行
+      inputMetadata: buildInputMetadata(options.inputMetadata, resumeManifest), // 绝对路径 -> 附加元数据（如分割路径）
+      promptVariables: options.promptVariables || resumeManifest?.promptVariables || {}, // 系统提示词模板的自定义变量
     };
+    // 故障切换链在整个运行内共享：某模型被判定不可用后，其余文件直接改投备用模型
+    this.failover = new ModelFailover(modelSel, { failoverAfter: this.config.failover?.failover_after, logger: this.logger });
+    // 请求录制/回放：录制写入 <runOutputDir>/llm_cassette.jsonl，回放时不发送请求
+    this.client.cassette = LLMCassette.forRun({
+      record: options.record ?? resumeManifest?.record ?? this.config.cassette?.record === true,
+      replay: options.replay,
+      runOutputDir,
+      runId,
+      logger: this.logger,
+    });
 
     // 错误分类与归档
     const classifier = new ErrorClassifier();
@@ -84,35 +110,10 @@ class FileProcessor {
 
     // 支持数组或单一路径
     const inputs = Array.isArray(input) ? input : [input];
-    const files = [];
-    for (const target of inputs) {
-      try {
-        const stat = fs.statSync(target);
-        if (stat.isDirectory()) {
-          const list = await FileUtils.scanFiles(target, ['.txt', '.md', '.docx']);
-          files.push(...list);
-        } else {
-          // 单文件
-          const dir = path.dirname(target);
-          const rel = path.basename(target);
-          files.push({ path: target, name: rel, size: stat.size, modified: stat.mtime, relativePath: rel });
-        }
-      } catch (e) {
-        this.logger.warn(`输入无效或无法访问: ${target}`);
-      }
-    }
+    const files = await collectRunFiles(inputs, resumeManifest, this.logger);
     this.logger.info(`共发现可处理文件: ${files.length}`);
     if (files.length === 0) return { total: 0, succeeded: 0, failed: 0 };
-
-    // 写入本次运行的输入顺序清单（用于合并时保持顺序）
-    try {
-      const manifestPath = path.join(runOutputDir, 'inputs_order.json');
-      const orderList = files.map((f) => f.relativePath || path.basename(f.path));
-      fs.writeFileSync(manifestPath, JSON.stringify(orderList, null, 2), 'utf8');
-      this.logger.info(`已写入顺序清单: ${manifestPath}`);
-    } catch (e) {
-      this.logger.warn(`写入顺序清单失败: ${e.message}`);
-    }
+    writeInputsOrder(runOutputDir, files, this.logger);
 
     // 构建所有请求任务（扁平化）：文件数 × request_count
     const enableMulti = !!(this.lastValidation?.enableMultiple);
@@ -125,6 +126,22 @@ class FileProcessor {
     this.logger.info(`每文件请求次数: ${requestCount}`);
     this.logger.info(`校验配置: ${JSON.stringify(this.lastValidation)}`);
 
+    // 超长输入分块：恢复运行沿用清单中的分块参数，保证分块边界与中间样本一致
+    const chunker = TextChunker.fromConfig(this.config, modelSel.model, resumeManifest ? (resumeManifest.chunking || { enabled: false }) : null);
+    const chunking = chunker ? { enabled: true, maxTokens: chunker.maxTokens } : { enabled: false };
+
+    // 写入运行清单（恢复运行时据此重建文件列表与参数）
+    writeStartManifest(runOutputDir, {
+      runId,
+      mode: 'classic',
+      inputs,
+      tempDir,
+      requestCount,
+      chunking,
+      promptVariables: this.currentRunContext.promptVariables,
+      record: this.client.cassette?.mode === 'record',
+    }, { modelSel, files, inputMetadata: this.currentRunContext.inputMetadata, logger: this.logger });
+
     const tasks = [];
     const contentCache = new Map();
     const fileMetaMap = new Map(); // rel -> { outPath, tempFilePath, results: [], errors: 0 }
@@ -133,17 +150,14 @@ class FileProcessor {
       const rel = file.relativePath || path.basename(file.path);
       const outPath = path.join(runOutputDir, rel.replace(path.extname(rel), '.csv'));
       const tempRelDir = path.join(tempDir, runId, path.dirname(rel));
-      const tempFileBase = path.basename(rel, path.extname(rel));
-      const tempFilePath = path.join(tempRelDir, `${tempFileBase}.jsonl`);
-      this.ensureDir(path.dirname(tempFilePath));
-      // 不删除已有文件，按运行ID区分，保留历史中间文件
-      fileMetaMap.set(rel, { outPath, tempFilePath, results: [], errors: 0, file });
-
-      const times = requestCount;
-      for (let i = 0; i < times; i++) {
-        const taskId = options?.controller ? options.controller.createTaskId({ filename: rel }) : null;
-        tasks.push({ rel, file, repIndex: i, total: times, taskId });
-      }
+      const meta = await planFileUnits({
+        file, rel, outPath, tempRelDir, chunker, requestCount,
+        resume: options.resume, config: this.config, contentCache, logger: this.logger,
+      });
+      fileMetaMap.set(rel, meta);
+      this.currentRunContext.producedBy.set(rel, meta.models);
+      if (meta.readError) continue;
+      tasks.push(...pendingTasks(meta, rel, requestCount, options?.controller));
     }
 
     const totalTasks = tasks.length;
@@ -159,24 +173,38 @@ class FileProcessor {
         if (!current) break;
         if (options?.controller && options.controller.isStopped()) break; // 软/硬停止均不再拉新任务
 
-        const { rel, file, repIndex, total, taskId } = current;
+        const { rel, file, unit, repIndex, total, taskId } = current;
+        const label = unit.label;
+        if (fileMetaMap.get(rel).readError) {
+          if (options?.controller) options.controller.updateTask(taskId, { stage: 'done' });
+          continue;
+        }
         try {
-          // 读取内容（带缓存）
-          let content = contentCache.get(rel);
+          // 读取内容（带缓存）；分块任务直接使用块文本
+          let content = unit.piece ? unit.piece.text : contentCache.get(rel);
           if (content === undefined) {
-            content = await FileUtils.readFile(file.path);
+            try {
+              content = await FileUtils.readFile(file.path, FileUtils.readerOptions(this.config, fileMetaMap.get(rel).outPath));
+            } catch (e) {
+              if (e.code === 'UNSUPPORTED_FILE') fileMetaMap.get(rel).readError = e;
+              throw e;
+            }
             contentCache.set(rel, content);
           }
 
-          this.logger.info(`发送中: ${rel} [${repIndex + 1}/${total}] -> ${modelSel.provider}/${modelSel.model}`);
+          const target = this.failover.current() || modelSel;
+          this.logger.info(`发送中: ${label} [${repIndex + 1}/${total}] -> ${target.provider}/${target.model}`);
           if (options?.controller) options.controller.updateTask(taskId, { stage: 'running' });
           if (options?.controller && options.controller.isHardStopped()) throw Object.assign(new Error('用户停止(硬)'), { code: 'USER_ABORT' });
-          const { text, raw } = await this.requestLLM(modelSel, content, (this.lastTimeouts || this.config.network || {}));
+          const { text, raw, cached, modelUsed } = await this.requestLLM(modelSel, content, (this.lastTimeouts || this.config.network || {}), { sampleIndex: repIndex }, {
+            partialPath: this.partialPathFor(unit.tempFilePath, repIndex),
+            label: `${label} [${repIndex + 1}/${total}]`,
+          }, this.templateVariablesFor(file, rel, unit.piece), this.templateVariablesFor(file, rel, unit.piece, RUN_ID_PLACEHOLDER));
           // 若在请求返回时已经硬停止，则丢弃结果并记为取消
           if (options?.controller && options.controller.isHardStopped()) {
             const meta = fileMetaMap.get(rel);
             meta.errors += 1;
-            this.logger.warn(`已硬停止，丢弃结果: ${rel} [${repIndex + 1}/${total}]`);
+            this.logger.warn(`已硬停止，丢弃结果: ${label} [${repIndex + 1}/${total}]`);
             if (options?.controller) options.controller.updateTask(taskId, { stage: 'done' });
             continue;
           }
@@ -186,74 +214,73 @@ class FileProcessor {
             raw,
             content,
             text,
-            modelSel.model
-          );
-          this.logger.info(
-            `已完成: ${rel} [${repIndex + 1}/${total}] 用量 in=${usage.inputTokens} out=${usage.outputTokens} total=${usage.totalTokens} (${usage.method === 'api_response' ? '真实' : '估算'})`
+            modelUsed.model
           );
-          this.tokenCounter.recordTokenUsage({
-            model: modelSel.model,
-            provider: modelSel.provider,
-            inputTokens: usage.inputTokens,
-            outputTokens: usage.outputTokens,
-            method: usage.method,
-            estimated: usage.estimated,
-          });
+          if (cached) {
+            // 缓存命中未实际消耗 token，不计入用量统计
+            this.logger.info(`已完成(缓存命中): ${label} [${repIndex + 1}/${total}]`);
+          } else {
+            this.logger.info(
+              `已完成: ${label} [${repIndex + 1}/${total}] 用量 in=${usage.inputTokens} out=${usage.outputTokens} total=${usage.totalTokens} (${usage.method === 'api_response' ? '真实' : '估算'})`
+            );
+            fileMetaMap.get(rel).tokens.input += usage.inputTokens;
+            fileMetaMap.get(rel).tokens.output += usage.outputTokens;
+            this.tokenCounter.recordTokenUsage({
+              model: modelUsed.model,
+              provider: modelUsed.provider,
+              inputTokens: usage.inputTokens,
+              outputTokens: usage.outputTokens,
+              method: usage.method,
+              estimated: usage.estimated,
+            });
+          }
 
           // 写入中间 jsonl
           const meta = fileMetaMap.get(rel);
-          fs.appendFileSync(meta.tempFilePath, JSON.stringify({ index: repIndex, text, usage }) + '\n', 'utf8');
-          meta.results.push(text);
+          const producedBy = `${modelUsed.provider}/${modelUsed.model}`;
+          appendSample(unit.tempFilePath, { index: repIndex, text, usage, model: producedBy, cached: cached || undefined });
+          unit.results.push(text);
+          meta.models.add(producedBy);
           if (options?.controller) options.controller.updateTask(taskId, { stage: 'done' });
         } catch (err) {
           const meta = fileMetaMap.get(rel);
           meta.errors += 1;
-          this.logger.error(`请求失败: ${rel} [${repIndex + 1}/${total}] - ${err.message}`);
+          if (err.attempts) meta.requestAttempts = err.attempts;
+          this.logger.error(`请求失败: ${label} [${repIndex + 1}/${total}]${err.attempts ? ` (共尝试 ${err.attempts} 次)` : ''} - ${err.message}`);
           if (options?.controller) options.controller.updateTask(taskId, { stage: 'done' });
         }
       }
     };
 
-    const workers = Array.from({ length: concurrency }).map(() => worker());
-    if (options?.controller) {
-      let stoppedEarly = false;
-      await Promise.race([
-        Promise.all(workers),
-        new Promise((resolve) => {
-          const interval = setInterval(() => {
-            if (options.controller.isHardStopped()) {
-              clearInterval(interval);
-              stoppedEarly = true;
-              resolve('stop');
-            }
-          }, 100);
-        })
-      ]);
-      if (stoppedEarly) {
-        this.logger.warn(chalk.yellow('硬停止触发：跳过等待剩余任务'));
-      } else {
-        // workers 已正常结束
-      }
-    } else {
-      await Promise.all(workers);
-    }
+    await runWorkers(worker, concurrency, options?.controller, this.logger);
 
     // 全部请求完成后，逐文件汇总与输出
     let succeeded = 0;
     let failed = 0;
     const fileSummaries = [];
     for (const [rel, meta] of fileMetaMap.entries()) {
+      if (meta.skipFinalize) {
+        succeeded++;
+        fileSummaries.push({ filename: rel, mode: 'classic', succeeded: true, fallback: false, resumed: true, producedBy: [...meta.models] });
+        continue;
+      }
       try {
-        if (options?.controller && options.controller.isStopped() && meta.results.length === 0) {
+        if (meta.readError) throw meta.readError;
+        const units = meta.chunks || [meta];
+        if (options?.controller && options.controller.isStopped() && units.every((u) => u.results.length === 0)) {
           throw Object.assign(new Error('用户停止，未产生结果'), { code: 'USER_ABORT' });
         }
-        await this.finalizeFileResult(rel, meta, requestCount);
+        if (meta.chunks) {
+          await this.finalizeChunkedFile(rel, meta, requestCount);
+        } else {
+          await this.finalizeFileResult(rel, meta, requestCount);
+        }
         succeeded++;
-        fileSummaries.push({ filename: rel, mode: 'classic', succeeded: true, fallback: false });
+        fileSummaries.push({ filename: rel, mode: 'classic', succeeded: true, fallback: false, resumed: meta.resumed || undefined, producedBy: [...meta.models], chunks: meta.chunks ? meta.chunks.length : undefined, tokens: { ...meta.tokens, total: meta.tokens.input + meta.tokens.output } });
       } catch (e) {
         failed++;
         this.logger.error(`汇总失败: ${rel} - ${e.message}`);
-        const stage = (e && e.code === 'USER_ABORT') ? 'cancel' : 'validation';
+        const stage = (e && e.code === 'USER_ABORT') ? 'cancel' : (e && e.code === 'UNSUPPORTED_FILE') ? 'read' : 'validation';
         const errorInfo = classifier.classify(e, { stage });
         const fileAbs = meta.file?.path || '';
         // 记录错误并按原因入库
@@ -269,6 +296,7 @@ class FileProcessor {
           provider: modelSel?.provider,
           model: modelSel?.model,
           attemptsUsed: meta.errors || 0,
+          requestAttempts: meta.requestAttempts,
         });
         fileSummaries.push({ filename: rel, mode: 'classic', succeeded: false, fallback: false, error: e.message, errorType: errorInfo.type });
       }
@@ -276,10 +304,15 @@ class FileProcessor {
 
     // 合并交互改由 main.js 的收尾后处理统一调度
 
+    writeFinishManifest(runOutputDir, options?.controller);
+
     const tokenStats = this.tokenCounter.getTokenStats();
+    const cacheStats = this.responseCache.getStats();
+    const cassetteStats = this.client.cassette ? this.client.cassette.getStats() : null;
+    const failover = this.failover.enabled ? this.failover.getSummary() : null;
     const manifest = reporter.finalize();
     const errorStats = manifest ? manifest.byType : {};
-    return { total: files.length, succeeded, failed, runId, runOutputDir, files: fileSummaries, tokenStats, errorStats };
+    return { total: files.length, succeeded, failed, runId, runOutputDir, files: fileSummaries, keyColumn: this.outputSchema.keyColumn, tokenStats, errorStats, cacheStats, cassetteStats, failover };
   }
 
   /**
@@ -293,7 +326,7 @@ class FileProcessor {
     const tempFileBase = path.basename(rel, path.extname(rel));
     const tempFilePath = path.join(tempRelDir, `${tempFileBase}.jsonl`);
 
-    const content = await FileUtils.readFile(absInputPath);
+    const content = await FileUtils.readFile(absInputPath, FileUtils.readerOptions(this.config, outPath));
 
     // 如果启用多次请求，进行N次采样（优先使用交互式配置）
     const enableMulti = !!(this.lastValidation?.enableMultiple ?? this.config.validation?.enable_multiple_requests);
@@ -308,106 +341,177 @@ class FileProcessor {
       this.semanticValidator.config.similarityThreshold = simTh2;
     }
 
-    this.logger.info(`准备发送: ${rel} (请求次数=${requestCount})`);
+    // 超长输入按 token 预算分块，逐块采样后拼接
+    const chunker = TextChunker.fromConfig(this.config, modelSel.model);
+    const pieces = chunker ? chunker.split(content) : [{ index: 0, total: 1, text: content }];
+
+    this.logger.info(`准备发送: ${rel} (请求次数=${requestCount}${pieces.length > 1 ? `，分块=${pieces.length}` : ''})`);
     // 中间文件：逐条写入，格式为 JSONL，每行一个结果 { index, text, usage }
-    this.ensureDir(path.dirname(tempFilePath));
-    if (fs.existsSync(tempFilePath)) fs.unlinkSync(tempFilePath);
-    const appendJsonl = (obj) => fs.appendFileSync(tempFilePath, JSON.stringify(obj) + '\n', 'utf8');
-
-    const results = [];
-    for (let i = 0; i < requestCount; i++) {
-      this.logger.info(`发送中: ${rel} [${i + 1}/${requestCount}] -> ${modelSel.provider}/${modelSel.model}`);
-      const { text, raw } = await this.requestLLM(modelSel, content, (this.lastTimeouts || this.config.network || {}));
-
-      // 记录 token 用量（优先真实 usage，回退估算）
-      const usage = this.tokenCounter.getTokenUsage(
-        raw,
-        content,
-        text,
-        modelSel.model
-      );
-      this.logger.info(
-        `已完成: ${rel} [${i + 1}/${requestCount}] 用量 in=${usage.inputTokens} out=${usage.outputTokens} total=${usage.totalTokens} (${usage.method === 'api_response' ? '真实' : '估算'})`
-      );
-      this.tokenCounter.recordTokenUsage({
-        model: modelSel.model,
-        provider: modelSel.provider,
-        inputTokens: usage.inputTokens,
-        outputTokens: usage.outputTokens,
-        method: usage.method,
-        estimated: usage.estimated,
-      });
+    const producedBy = new Set();
+    const chunkCsvs = [];
+    for (const piece of pieces) {
+      const chunked = pieces.length > 1;
+      const unitTemp = chunked ? tempFilePath.replace(/\.jsonl$/, `_chunk_${piece.index + 1}.jsonl`) : tempFilePath;
+      const label = chunked ? `${rel} (分块 ${piece.index + 1}/${piece.total})` : rel;
+      this.ensureDir(path.dirname(unitTemp));
+      if (fs.existsSync(unitTemp)) fs.unlinkSync(unitTemp);
+      const appendJsonl = (obj) => fs.appendFileSync(unitTemp, JSON.stringify(obj) + '\n', 'utf8');
+
+      const results = [];
+      for (let i = 0; i < requestCount; i++) {
+        this.logger.info(`发送中: ${label} [${i + 1}/${requestCount}] -> ${modelSel.provider}/${modelSel.model}`);
+        const { text, raw, modelUsed } = await this.requestLLM(modelSel, piece.text, (this.lastTimeouts || this.config.network || {}), { sampleIndex: i }, {
+          partialPath: this.partialPathFor(unitTemp, i),
+          label: `${label} [${i + 1}/${requestCount}]`,
+        }, this.templateVariablesFor(file, rel, chunked ? piece : null), this.templateVariablesFor(file, rel, chunked ? piece : null, RUN_ID_PLACEHOLDER));
+
+        // 记录 token 用量（优先真实 usage，回退估算）
+        const usage = this.tokenCounter.getTokenUsage(
+          raw,
+          piece.text,
+          text,
+          modelUsed.model
+        );
+        this.logger.info(
+          `已完成: ${label} [${i + 1}/${requestCount}] 用量 in=${usage.inputTokens} out=${usage.outputTokens} total=${usage.totalTokens} (${usage.method === 'api_response' ? '真实' : '估算'})`
+        );
+        this.tokenCounter.recordTokenUsage({
+          model: modelUsed.model,
+          provider: modelUsed.provider,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          method: usage.method,
+          estimated: usage.estimated,
+        });
 
-      appendJsonl({ index: i, text, usage });
-      results.push(text);
-    }
+        producedBy.add(`${modelUsed.provider}/${modelUsed.model}`);
+        appendJsonl({ index: i, text, usage, model: `${modelUsed.provider}/${modelUsed.model}` });
+        results.push(text);
+      }
 
-    // 若多次请求：做一致性与相似度校验
-    let finalText = results[0] || '';
-    if (enableMulti && results.length > 1) {
-      const similarities = await this.sim.calculateBatchSimilarity(results);
-      const avg = this.sim.calculateAverageSimilarity(similarities);
-      const anomalies = this.sim.detectAnomalies(similarities, simTh2);
-
-      // 简单多数投票：出现次数最多的文本作为最终输出
-      const counter = new Map();
-      for (const r of results) counter.set(r, (counter.get(r) || 0) + 1);
-      finalText = [...counter.entries()].sort((a, b) => b[1] - a[1])[0][0];
-
-      this.logger.info(
-        `一致性校验: 平均相似度=${avg.toFixed(3)}，异常对数=${anomalies.length}`
-      );
+      // 若多次请求：做一致性与相似度校验
+      let finalText = results[0] || '';
+      if (enableMulti && results.length > 1) {
+        const similarities = await this.sim.calculateBatchSimilarity(results);
+        const avg = this.sim.calculateAverageSimilarity(similarities);
+        const anomalies = this.sim.detectAnomalies(similarities, simTh2);
+
+        // 简单多数投票：出现次数最多的文本作为最终输出
+        const counter = new Map();
+        for (const r of results) counter.set(r, (counter.get(r) || 0) + 1);
+        finalText = [...counter.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+        this.logger.info(
+          `一致性校验: ${label} 平均相似度=${avg.toFixed(3)}（${this.sim.method === 'semantic' ? '语义' : '字面'}），异常对数=${anomalies.length}`
+        );
+      }
+
+      // 优先从代码围栏中提取CSV；若无，则进行兜底生成
+      chunkCsvs.push(this.extractCsvFromText(finalText) || this.ensureCSV(finalText));
     }
 
-    // 优先从代码围栏中提取CSV；若无，则进行兜底生成
-    const extracted = this.extractCsvFromText(finalText);
-    const csv = extracted || this.ensureCSV(finalText);
+    const csv = chunkCsvs.length > 1 ? stitchChunkCsvs(chunkCsvs, this.outputSchema).csv : chunkCsvs[0];
     FileUtils.writeFile(outPath, csv, 'utf8');
     this.logger.info(`写出CSV: ${outPath}`);
+    return { outPath, producedBy: [...producedBy] };
   }
 
   /**
    * 发起一次LLM请求
+   * @param {Object} [cacheOptions] - { sampleIndex }；本次运行关闭缓存时自动 bypass
+   * @param {Object} [streamOptions] - { partialPath, label }；仅在启用流式时生效
+   * @param {Object} [templateVars] - 系统提示词模板变量（见 templateVariablesFor）
+   * @param {Object} [cassetteVars] - 录制/回放匹配用的模板变量（运行 ID 为 {{runId}} 占位符）
+   * @returns {Promise<{ text, raw, cached?, rateLimitWaitMs?, modelUsed:{provider, model} }>} modelUsed 为故障切换后实际响应的模型
    */
-  async requestLLM(modelSel, content, timeouts = {}) {
+  async requestLLM(modelSel, content, timeouts = {}, cacheOptions = {}, streamOptions = {}, templateVars = null, cassetteVars = null) {
     const systemPromptPath = this.config.system_prompt_file;
-    let systemPrompt = '';
+    let template = '';
     try {
-      systemPrompt = require('fs').readFileSync(systemPromptPath, 'utf8');
+      template = require('fs').readFileSync(systemPromptPath, 'utf8');
     } catch (e) {
-      systemPrompt = '你是一个严格的CSV抽取助手。';
+      template = '你是一个严格的CSV抽取助手。';
     }
+    const systemPrompt = templateVars ? renderTemplate(template, templateVars) : template;
 
     const messages = [
       { role: 'system', content: systemPrompt },
       { role: 'user', content }
     ];
-
-    const resp = await this.client.chatCompletion({
-      providerName: modelSel.provider,
-      model: modelSel.model,
+    // 录制/回放按模板匹配：运行 ID 保留为占位符，换运行目录回放仍能命中
+    const cassetteMessages = cassetteVars
+      ? [{ role: 'system', content: renderTemplate(template, cassetteVars) }, messages[1]]
+      : undefined;
+
+    const failover = this.failover || new ModelFailover(modelSel, { failoverAfter: this.config.failover?.failover_after, logger: this.logger });
+    const { result: resp, modelUsed } = await failover.execute((m) => this.client.chatCompletion({
+      providerName: m.provider,
+      model: m.model,
       messages,
+      cassetteMessages,
       extra: { temperature: 0.2 },
       timeouts: {
         connectTimeoutMs: timeouts.connectTimeoutMs || timeouts.connect_timeout_ms,
         responseTimeoutMs: timeouts.responseTimeoutMs || timeouts.response_timeout_ms,
-      }
+        stream: (timeouts.stream ?? this.config.network?.stream) === true,
+        streamIdleTimeoutMs: timeouts.streamIdleTimeoutMs || timeouts.stream_idle_timeout_ms || this.config.network?.stream_idle_timeout_ms,
+      },
+      cacheOptions: Object.assign({ bypass: this.currentRunContext?.useCache === false }, cacheOptions),
+      streamOptions: {
+        partialPath: streamOptions.partialPath,
+        onProgress: streamOptions.label
+          ? ({ chars, done }) => { if (!done) this.logger.info(`接收中: ${streamOptions.label} 已接收 ${chars} 字符`); }
+          : undefined,
+      },
+    }));
+
+    if (resp.rateLimitWaitMs) {
+      this.logger.info(`限流等待 ${(resp.rateLimitWaitMs / 1000).toFixed(1)}s: ${streamOptions.label || modelUsed.provider}`);
+    }
+    return Object.assign({}, resp, { modelUsed });
+  }
+
+  /**
+   * 单个输入文件（或分块）的提示词模板变量：文件名、相对目录各级名称、章节、运行 ID 等，
+   * 以及输入元数据与本次运行的自定义变量
+   * @param {{ path:string }} file
+   * @param {string} rel - 相对输入根目录的路径
+   * @param {Object} [chunk] - 分块信息
+   * @param {string} [runId] - 缺省为本次运行 ID；录制/回放的匹配依据传 RUN_ID_PLACEHOLDER
+   */
+  templateVariablesFor(file, rel, chunk = null, runId = undefined) {
+    const ctx = this.currentRunContext || {};
+    return buildTemplateVariables({
+      filePath: file.path,
+      relativePath: rel,
+      runId: runId ?? ctx.runId,
+      metadata: ctx.inputMetadata?.get(path.resolve(file.path)),
+      custom: ctx.promptVariables,
+      chunk,
     });
+  }
 
-    return resp; // { text, raw }
+  /**
+   * 流式部分输出路径：与中间 JSONL 同目录，按样本序号区分
+   */
+  partialPathFor(tempFilePath, sampleIndex) {
+    if (!tempFilePath) return undefined;
+    return tempFilePath.replace(/\.jsonl$/, `_sample_${sampleIndex}.partial.txt`);
   }
 
   /**
    * 确保CSV格式（极简兜底）：若不是以逗号分隔或缺行头，则加表头
    */
   ensureCSV(text) {
+    const schema = this.outputSchema;
     const trimmed = (text || '').trim();
-    if (!trimmed) return '编号,问题,答案,答题人,专业\n';
-    const hasHeader = /^\s*编号\s*,\s*问题\s*,\s*答案\s*,\s*答题人\s*,\s*专业/i.test(trimmed.split('\n')[0]);
+    if (!trimmed) return `${schema.headerLine()}\n`;
+    const hasHeader = new RegExp(`^\\s*${schema.headerPattern()}`, 'i').test(trimmed.split('\n')[0]);
     if (hasHeader) return trimmed;
-    // 简单兜底：整段作为“答案”，编号=1，问题=空，答题人/专业=空
+    // 简单兜底：整段作为答案列，主键列=1，其余列为空
     const safe = trimmed.replace(/[\r\n]+/g, ' ');
-    return `编号,问题,答案,答题人,专业\n"1","","${safe}","",""`;
+    const row = schema.columns.map((c) => (c === schema.answerColumn ? safe : (c === schema.keyColumn ? '1' : '')));
+    return `${schema.headerLine()}\n${row.map((v) => `"${v}"`).join(',')}`;
   }
 
   ensureDir(dir) {
@@ -439,10 +543,9 @@ class FileProcessor {
       const block = (match[1] || '').trim();
       if (!block) continue;
       const firstLine = block.split(/\r?\n/)[0].trim();
-      // 允许表头含 5 或 6 列（兼容带“校验标识元数据”列的场景）
-      const header5 = /^编号\s*,\s*问题\s*,\s*答案\s*,\s*答题人\s*,\s*专业\s*$/i;
-      const header6 = /^编号\s*,\s*问题\s*,\s*答案\s*,\s*答题人\s*,\s*专业\s*,/i;
-      if (header5.test(firstLine) || header6.test(firstLine)) {
+      // 允许表头后多一列（兼容带“校验标识元数据”列的场景）
+      const headerRe = new RegExp(`^${this.outputSchema.headerPattern()}\\s*(,|$)`, 'i');
+      if (headerRe.test(firstLine)) {
         return block;
       }
     }
@@ -556,6 +659,34 @@ class FileProcessor {
     }
   }
 
+  /**
+   * 汇总分块文件：逐块走与整文件相同的样本汇总流程（块 CSV 写入 temp），再拼接为一个 CSV
+   * 主键列连续重编号；各块对应的行区间写入元数据行 chunk_index
+   */
+  async finalizeChunkedFile(rel, meta, requestCount) {
+    const csvTexts = [];
+    for (const chunk of meta.chunks) {
+      if (chunk.results.length === 0) {
+        throw new Error(`${chunk.label} 无可用结果`);
+      }
+      await this.finalizeFileResult(chunk.label, { outPath: chunk.outPath, tempFilePath: chunk.tempFilePath, results: chunk.results, file: meta.file }, requestCount);
+      csvTexts.push(fs.readFileSync(chunk.outPath, 'utf8'));
+    }
+    const { csv, ranges } = stitchChunkCsvs(csvTexts, this.outputSchema);
+    const wantMeta = (this.currentRunContext && typeof this.currentRunContext.addMetadataRow === 'boolean')
+      ? this.currentRunContext.addMetadataRow
+      : (this.config?.output?.add_metadata_row ?? true);
+    let toWrite = csv;
+    if (wantMeta) {
+      const metaString = this._buildMetaString(rel, meta.file?.path, { chunks: ranges.length, chunk_index: formatChunkIndex(ranges) });
+      toWrite = CsvMetadataUtils.prependMetadataRowToCsv(csv, metaString);
+    }
+    this.ensureDir(path.dirname(meta.outPath));
+    FileUtils.writeFile(meta.outPath, toWrite, 'utf8');
+    this.logger.info(chalk.green(`✅ 写出CSV (合并 ${ranges.length} 块): ${meta.outPath}`));
+    return { success: true, chunks: ranges };
+  }
+
   /**
    * 用户决策流程 - 根据校验结果让用户选择处理方式
    */
@@ -569,6 +700,13 @@ class FileProcessor {
       return { action: 'accept_auto' };
     }
 
+    // 无交互运行：有推荐样本则采用，否则回退简单投票
+    if (this.currentRunContext && this.currentRunContext.interactive === false) {
+      const action = validationResult.selectedSample ? 'accept_auto' : 'skip_validation';
+      this.logger.info(chalk.yellow(`无交互模式：低置信度 (${(validationResult.confidence * 100).toFixed(1)}%)，自动选择 ${action}`));
+      return { action };
+    }
+
     // 低置信度或有异常，提供用户选择
     const choices = [
       {
@@ -744,7 +882,7 @@ class FileProcessor {
 module.exports = FileProcessor;
 
 // 私有方法定义（追加在类外原型上，避免改动过多结构）
-FileProcessor.prototype._buildMetaString = function(filename, absInputPath) {
+FileProcessor.prototype._buildMetaString = function(filename, absInputPath, extra = {}) {
   try {
     const ctx = this.currentRunContext || {};
     const meta = {
@@ -757,6 +895,11 @@ FileProcessor.prototype._buildMetaString = function(filename, absInputPath) {
       src_path: absInputPath || '',
       reprocess: ctx.reprocess ? '1' : '0',
     };
+    const models = ctx.producedBy && ctx.producedBy.get(filename);
+    if (models && models.size) meta.produced_by = [...models].join('|');
+    const inputMeta = absInputPath && ctx.inputMetadata && ctx.inputMetadata.get(path.resolve(absInputPath));
+    if (inputMeta) Object.assign(meta, inputMeta);
+    Object.assign(meta, extra);
     return CsvMetadataUtils.buildMetaString(meta, '[META]');
   } catch (_) {
     return CsvMetadataUtils.buildMetaString({ note: 'meta_build_failed' }, '[META]');
@@ -0,0 +1,477 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/config-loader');
+const PlanRegistry = require('./colipot/plan-registry');
+const PlanLoader = require('./colipot/plan-loader');
+const PlanValidator = require('./colipot/plan-validator');
+const PlanInjector = require('./colipot/plan-injector');
+const RunSummary = require('./run-summary');
+const { RunController } = require('../utils/run-controller');
+const { buildResumeSetup } = require('../utils/run-checkpoint');
+const { normalizeFallbackModels } = require('../utils/model-failover');
+const SplitPipeline = require('./split-pipeline');
+const PromptComparison = require('./prompt-comparison');
+const { parseVariableArgs } = require('../utils/prompt-template');
+const { LLMCassette } = require('../utils/llm-cassette');
+
+/**
+ * 退出码约定（供 cron / shell 脚本判断）
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,          // 全部文件成功
+  PARTIAL_FAILURE: 1,  // 存在失败文件（含全部失败）
+  CONFIG_ERROR: 2,     // 参数或配置错误，未开始处理
+  RUNTIME_ERROR: 3,    // 处理过程中出现未预期的异常
+};
+
+// 无需取值的开关参数
+const BOOLEAN_FLAGS = ['help', 'no-cache', 'record'];
+
+const USAGE = [
+  '用法:',
+  '  node main.js run --plan <方案名|方案.yaml>',
+  '  node main.js run --resume <runId|运行输出目录>',
+  '  node main.js run --provider <名称> --model <模型> --inputs <路径>[,<路径>...] --output <目录>',
+  '                   [--mode classic|structured] [--prompt-version <版本>] [--repair-attempts <0-3>] [--few-shot <0-10>]',
+  '                   [--request-count <1-10>] [--concurrency <N>] [--run-name <名称>] [--no-cache]',
+  '                   [--fallback-models <提供商/模型>[,<提供商/模型>...]] [--failover-after <N>]',
+  '                   [--split-recipe <配方名|配方.yaml>]   # 先按分割配方切分 --inputs 中的文本再处理',
+  '                   [--var <名称>=<值>]...               # 提示词模板变量，可重复，覆盖方案 prompt_variables',
+  '                   [--compare <变体>,<变体>[,...]]       # A/B 对比：变体为 <版本>、<提供商>/<模型> 或 <版本>@<提供商>/<模型>',
+  '                   [--record | --replay <磁带.jsonl|runId|运行输出目录>]  # 录制 LLM 请求 / 按录制回放（不发送请求）',
+].join('\n');
+
+/**
+ * 无交互批处理入口：不经过 inquirer，直接驱动 FileProcessor / StructuredFileProcessor
+ * - stdout 仅输出一行 JSON 结果；日志统一走 stderr
+ */
+class HeadlessRunner {
+  constructor({ logger = console } = {}) {
+    this.logger = logger;
+  }
+
+  /**
+   * 解析命令行参数（支持 --key value 与 --key=value；--inputs 可重复或逗号分隔；--var 可重复）
+   * @param {string[]} argv
+   * @returns {Object}
+   */
+  static parseArgs(argv = []) {
+    const args = { inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+      const token = argv[i];
+      if (!token.startsWith('--')) {
+        throw configError(`无法识别的参数: ${token}`);
+      }
+      let key = token.slice(2);
+      let value;
+      const eq = key.indexOf('=');
+      if (eq >= 0) {
+        value = key.slice(eq + 1);
+        key = key.slice(0, eq);
+      } else if (BOOLEAN_FLAGS.includes(key)) {
+        value = true;
+      } else {
+        value = argv[++i];
+        if (value === undefined || value.startsWith('--')) {
+          throw configError(`参数缺少取值: --${key}`);
+        }
+      }
+      const camel = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      if (camel === 'inputs' || camel === 'input') {
+        args.inputs.push(...String(value).split(',').map((s) => s.trim()).filter(Boolean));
+      } else if (camel === 'var') {
+        (args.vars = args.vars || []).push(value);
+      } else {
+        args[camel] = value;
+      }
+    }
+    return args;
+  }
+
+  /**
+   * 执行一次无交互运行
+   * @param {Object} args - parseArgs 的结果
+   * @returns {Promise<{ exitCode:number, result:Object }>}
+   */
+  async run(args) {
+    let config;
+    let job;
+    try {
+      config = await ConfigLoader.load();
+      job = this.resolveJob(args, config);
+      ConfigLoader.ensureDirectories(config);
+    } catch (e) {
+      return { exitCode: EXIT_CODES.CONFIG_ERROR, result: { ok: false, exitCode: EXIT_CODES.CONFIG_ERROR, error: e.message } };
+    }
+
+    const controller = new RunController();
+    const onSignal = (sig) => {
+      controller.hardStop(sig);
+      this.logger.warn(`收到 ${sig}，停止当前任务`);
+    };
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+
+    try {
+      const runConfig = job.concurrency
+        ? Object.assign({}, config, { concurrency: Object.assign({}, config.concurrency, { max_concurrent_requests: job.concurrency }) })
+        : config;
+      const options = Object.assign({}, job.options, { controller, interactive: false, customRunName: job.runName, useCache: !args.noCache });
+      // 分割 → 批处理：片段作为输入，层级路径写入各片段 CSV 的元数据行
+      let split = null;
+      if (job.split) {
+        const pipeline = new SplitPipeline({ config, logger: this.logger });
+        split = pipeline.stage(job.inputs, job.split.recipe);
+        job.inputs = split.inputs;
+        options.inputMetadata = split.inputMetadata;
+      }
+      if (job.compare) {
+        return await this.runComparison(job, runConfig, options, controller, split);
+      }
+      let result;
+      if (job.mode === 'structured') {
+        const StructuredFileProcessor = require('./structured-file-processor');
+        const sproc = new StructuredFileProcessor({ config: runConfig, logger: this.logger });
+        result = await sproc.runBatch(job.modelSel, job.inputs, job.outputDir, options);
+      } else {
+        const FileProcessor = require('./file-processor');
+        const processor = new FileProcessor({ config: runConfig, logger: this.logger });
+        result = await processor.runBatch(job.modelSel, job.inputs, job.outputDir, options);
+      }
+
+      // 恢复运行：清理 error 下已补齐的文件
+      const errorDir = job.options.resume ? path.join(job.options.fixedRunOutputDir, 'error') : null;
+      if (errorDir && fs.existsSync(errorDir)) {
+        try {
+          const { applyCleanup } = require('../utils/error-cleanup');
+          await applyCleanup({ runOutputDir: job.options.fixedRunOutputDir, errorDir, result, logger: this.logger, options: config.errors?.cleanup || {} });
+        } catch (e) {
+          this.logger.warn(`清理错误目录失败：${e.message}`);
+        }
+      }
+
+      let mergedSplitPath = null;
+      if (split && result.runOutputDir) {
+        try {
+          mergedSplitPath = await new SplitPipeline({ config, logger: this.logger }).mergeRun(result.runOutputDir, job.split.recipe, { keyColumn: result.keyColumn });
+        } catch (e) {
+          this.logger.warn(`按分割路径合并失败：${e.message}`);
+        }
+      }
+
+      let summaryPath = null;
+      if (result.runOutputDir) {
+        try {
+          const summary = new RunSummary({ logger: this.logger });
+          const json = summary.generateSummaryJson({
+            runId: result.runId,
+            runOutputDir: result.runOutputDir,
+            mode: job.mode,
+            stats: result,
+            tokenStats: result.tokenStats || null
+          });
+          summaryPath = summary.writeJson(json, result.runOutputDir);
+          summary.writeMarkdown(json, result.runOutputDir);
+        } catch (e) {
+          this.logger.warn('生成运行总结失败：' + e.message);
+        }
+      }
+
+      const exitCode = (result.failed === 0 && !controller.isStopped())
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.PARTIAL_FAILURE;
+      return {
+        exitCode,
+        result: {
+          ok: exitCode === EXIT_CODES.SUCCESS,
+          exitCode,
+          plan: job.planName || null,
+          mode: job.mode,
+          provider: job.modelSel.provider,
+          model: job.modelSel.model,
+          runId: result.runId || null,
+          runOutputDir: result.runOutputDir || null,
+          summaryPath,
+          stopped: controller.isStopped(),
+          totals: {
+            total: result.total,
+            succeeded: result.succeeded,
+            failed: result.failed,
+            fallback: result.fallback || 0,
+          },
+          errorStats: result.errorStats || {},
+          tokens: result.tokenStats ? result.tokenStats.total : null,
+          cache: result.cacheStats || null,
+          cassette: result.cassetteStats || null,
+          failover: result.failover || null,
+          split: split ? {
+            recipe: job.split.recipe.name,
+            stagingDir: split.stagingDir,
+            segments: split.segments,
+            sources: split.sources,
+            merged: mergedSplitPath,
+          } : null,
+          files: result.files || [],
+        }
+      };
+    } catch (e) {
+      return { exitCode: EXIT_CODES.RUNTIME_ERROR, result: { ok: false, exitCode: EXIT_CODES.RUNTIME_ERROR, error: e.message } };
+    } finally {
+      process.removeListener('SIGINT', onSignal);
+      process.removeListener('SIGTERM', onSignal);
+    }
+  }
+
+  /**
+   * A/B 对比运行：各变体依次处理同一批输入，输出对比总结
+   */
+  async runComparison(job, config, options, controller, split) {
+    const comparison = new PromptComparison({ config, logger: this.logger });
+    const { compareId, compareDir, runs, reportPath } = await comparison.run({
+      variants: job.compare,
+      inputs: job.inputs,
+      outputDir: job.outputDir,
+      mode: job.mode,
+      options,
+      name: job.runName,
+    });
+    const failed = runs.some(({ result }) => result.failed > 0) || runs.length < job.compare.length;
+    const exitCode = (!failed && !controller.isStopped()) ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL_FAILURE;
+    return {
+      exitCode,
+      result: {
+        ok: exitCode === EXIT_CODES.SUCCESS,
+        exitCode,
+        plan: job.planName || null,
+        mode: job.mode,
+        compareId,
+        compareDir,
+        comparisonPath: reportPath,
+        stopped: controller.isStopped(),
+        split: split ? { recipe: job.split.recipe.name, stagingDir: split.stagingDir, segments: split.segments } : null,
+        variants: runs.map(({ variant, result }) => ({
+          variant: variant.label,
+          promptVersion: job.mode === 'structured' ? variant.promptVersion : null,
+          provider: variant.modelSel.provider,
+          model: variant.modelSel.model,
+          runOutputDir: result.runOutputDir || null,
+          totals: { total: result.total, succeeded: result.succeeded, failed: result.failed, fallback: result.fallback || 0 },
+          errorStats: result.errorStats || {},
+          tokens: result.tokenStats ? result.tokenStats.total : null,
+        })),
+      },
+    };
+  }
+
+  /**
+   * 将命令行参数（及可选方案）解析为 runBatch 入参；任何缺失/无效项均抛出 CONFIG_ERROR
+   */
+  resolveJob(args, config) {
+    let job;
+    if (args.resume) {
+      // 恢复运行：参数全部取自原运行清单
+      const candidates = [args.resume, path.join(config.directories?.output_dir || '', args.resume)];
+      const runOutputDir = candidates.find((p) => fs.existsSync(path.join(p, 'run_manifest.json')));
+      if (!runOutputDir) throw configError(`未找到可恢复的运行: ${args.resume}`);
+      const setup = buildResumeSetup(runOutputDir);
+      job = {
+        planName: null,
+        modelSel: { ...setup.model, timeouts: setup.timeouts, validation: setup.validation },
+        inputs: setup.inputs,
+        outputDir: setup.outputDir,
+        mode: setup.mode,
+        options: Object.assign({}, setup.structured || {}, {
+          resume: true,
+          reuseRunOutputDir: true,
+          fixedRunOutputDir: setup.resume.runOutputDir,
+          fixedRunId: setup.resume.runId,
+        }),
+        concurrency: null,
+      };
+      if (args.concurrency != null) job.concurrency = parsePositiveInt(args.concurrency, '--concurrency');
+      ConfigLoader.getProvider(job.modelSel.provider, config);
+      return job;
+    }
+    if (args.plan) {
+      const plan = this.loadPlan(args.plan);
+      const mapped = PlanInjector.mapToRunBatchArgs(plan, config);
+      job = {
+        planName: plan.name,
+        modelSel: mapped.modelSel,
+        inputs: mapped.inputs,
+        outputDir: mapped.outputDir,
+        mode: mapped.mode,
+        options: mapped.options || {},
+        concurrency: Number(plan.concurrency?.max_concurrent_requests) || null,
+        compare: plan.compare && plan.compare.length ? plan.compare : null,
+      };
+    } else {
+      if (!args.provider || !args.model) throw configError('缺少 --provider 或 --model（或使用 --plan）');
+      job = {
+        planName: null,
+        modelSel: {
+          provider: args.provider,
+          model: args.model,
+          timeouts: {
+            connectTimeoutMs: Number(config.network?.connect_timeout_ms) || 3000,
+            responseTimeoutMs: Number(config.network?.response_timeout_ms) || 60000,
+            stream: config.network?.stream === true,
+            streamIdleTimeoutMs: Number(config.network?.stream_idle_timeout_ms) || undefined,
+          },
+          validation: {
+            enableMultiple: !!config.validation?.enable_multiple_requests,
+            requestCount: config.validation?.request_count ?? 1,
+            similarityThreshold: config.validation?.similarity_threshold ?? 0.8,
+          },
+        },
+        inputs: [],
+        outputDir: config.directories?.output_dir,
+        mode: config.processing?.default_mode || 'classic',
+        options: {},
+        concurrency: null,
+      };
+    }
+
+    // 命令行参数优先于方案
+    if (args.provider) job.modelSel.provider = args.provider;
+    if (args.model) job.modelSel.model = args.model;
+    if (args.inputs && args.inputs.length) job.inputs = args.inputs;
+    if (args.output) job.outputDir = args.output;
+    if (args.mode) job.mode = args.mode;
+    if (args.runName) job.runName = args.runName;
+    if (args.compare) job.compare = args.compare;
+    if (args.concurrency != null) job.concurrency = parsePositiveInt(args.concurrency, '--concurrency');
+    if (args.fallbackModels) {
+      job.modelSel.fallbackModels = normalizeFallbackModels(String(args.fallbackModels).split(',').map((s) => s.trim()).filter(Boolean));
+    }
+    if (args.failoverAfter != null) job.modelSel.failoverAfter = parsePositiveInt(args.failoverAfter, '--failover-after');
+    if (args.requestCount != null) {
+      const n = Number(args.requestCount);
+      if (!Number.isInteger(n) || n < 1 || n > 10) throw configError('--request-count 必须是 1-10 之间的整数');
+      job.modelSel.validation = Object.assign({}, job.modelSel.validation, { enableMultiple: n > 1, requestCount: n });
+    }
+    if (args.vars) {
+      job.options.promptVariables = Object.assign({}, job.options.promptVariables, parseVariableArgs(args.vars));
+    }
+    if (args.record && args.replay) throw configError('--record 与 --replay 不能同时使用');
+    if (args.record) job.options.record = true;
+    if (args.replay) {
+      // runId 按本次生效的输出目录（--output / 方案 / 配置）解析
+      const cassettePath = [args.replay, path.join(job.outputDir || '', String(args.replay))]
+        .map((p) => LLMCassette.resolvePath(p))
+        .find(Boolean);
+      if (!cassettePath) throw configError(`未找到 LLM 磁带: ${args.replay}`);
+      job.options.replay = cassettePath;
+    }
+
+    if (job.mode !== 'classic' && job.mode !== 'structured') {
+      throw configError(`未知处理模式: ${job.mode}（应为 classic 或 structured）`);
+    }
+    if (job.mode === 'structured') {
+      if (args.promptVersion) job.options.promptVersion = args.promptVersion;
+      if (!job.options.promptVersion) job.options.promptVersion = config.structured?.default_prompt_version;
+      if (args.repairAttempts != null) {
+        const n = Number(args.repairAttempts);
+        if (!Number.isInteger(n) || n < 0 || n > 3) throw configError('--repair-attempts 必须是 0-3 之间的整数');
+        job.options.repairAttempts = n;
+      }
+      if (args.fewShot != null) {
+        const n = Number(args.fewShot);
+        if (!Number.isInteger(n) || n < 0 || n > 10) throw configError('--few-shot 必须是 0-10 之间的整数');
+        job.options.fewShotCount = n;
+      }
+      const promptsRoot = config.structured?.prompts_root || './prompts/StructuredFileProcessor';
+      if (job.options.promptVersion && !fs.existsSync(path.join(promptsRoot, job.options.promptVersion))) {
+        throw configError(`提示词版本不存在: ${path.join(promptsRoot, job.options.promptVersion)}`);
+      }
+    }
+
+    const provider = ConfigLoader.getProvider(job.modelSel.provider, config);
+    if (!provider.models.includes(job.modelSel.model)) {
+      throw configError(`提供商 ${provider.name} 下不存在模型: ${job.modelSel.model}`);
+    }
+    if (job.compare) {
+      job.compare = PromptComparison.resolveVariants(job.compare, { modelSel: job.modelSel, promptVersion: job.options.promptVersion, mode: job.mode }, config);
+    }
+    for (const fb of job.modelSel.fallbackModels || []) {
+      const p = config.providers.find((x) => x.name === fb.provider);
+      if (!p || !p.models.includes(fb.model)) throw configError(`备用模型不存在: ${fb.provider}/${fb.model}`);
+    }
+
+    if (!job.inputs.length) throw configError('缺少 --inputs');
+    const missing = job.inputs.filter((p) => !fs.existsSync(p));
+    if (missing.length) throw configError(`输入路径不存在: ${missing.join(', ')}`);
+    if (args.splitRecipe) {
+      const dirs = job.inputs.filter((p) => !fs.statSync(p).isFile());
+      if (dirs.length) throw configError(`--split-recipe 的输入必须是文本文件: ${dirs.join(', ')}`);
+      try {
+        job.split = { recipe: new SplitPipeline({ config, logger: this.logger }).loadRecipe(args.splitRecipe) };
+      } catch (e) {
+        throw configError(e.message);
+      }
+    }
+    if (!job.outputDir) throw configError('缺少 --output');
+
+    return job;
+  }
+
+  /**
+   * 按名称（config/ColipotConfig 下）或按 YAML 文件路径加载方案
+   */
+  loadPlan(nameOrPath) {
+    let plan = null;
+    if (/\.ya?ml$/i.test(nameOrPath) && fs.existsSync(nameOrPath)) {
+      const raw = new PlanLoader().loadPlanFile(path.resolve(nameOrPath));
+      const v = PlanValidator.validate(raw);
+      if (!v.ok) throw configError(`方案无效: ${v.errors.join('; ')}`);
+      plan = v.normalized;
+    } else {
+      plan = new PlanRegistry().getByName(nameOrPath);
+    }
+    if (!plan) throw configError(`未找到方案: ${nameOrPath}`);
+    return plan;
+  }
+}
+
+function configError(message) {
+  return Object.assign(new Error(message), { code: 'CONFIG_ERROR' });
+}
+
+function parsePositiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw configError(`${flag} 必须是正整数`);
+  return n;
+}
+
+/**
+ * 命令行入口：解析参数、执行、在 stdout 打印 JSON 结果并返回退出码
+ * @param {string[]} argv - `run` 之后的参数
+ * @returns {Promise<number>}
+ */
+async function runFromArgv(argv) {
+  // stdout 专用于机器可读结果，其余输出（含各模块 console.log）改走 stderr
+  const writeResult = (obj) => process.stdout.write(JSON.stringify(obj) + '\n');
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+
+  let args;
+  try {
+    args = HeadlessRunner.parseArgs(argv);
+  } catch (e) {
+    console.error(USAGE);
+    writeResult({ ok: false, exitCode: EXIT_CODES.CONFIG_ERROR, error: e.message });
+    return EXIT_CODES.CONFIG_ERROR;
+  }
+  if (args.help) {
+    console.error(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const runner = new HeadlessRunner({ logger: console });
+  const { exitCode, result } = await runner.run(args);
+  writeResult(result);
+  return exitCode;
+}
+
+module.exports = { HeadlessRunner, EXIT_CODES, runFromArgv };
@@ -2,20 +2,54 @@ const fs = require('fs');
 const path = require('path');
 
 /**
- * 轻量 JSON Schema 校验器（专注 rows schema）
- * - 仅支持部分关键校验：type、required、properties、minItems、maxItems、minLength、maxLength、pattern、enum
- * - 以字段级错误形式返回，便于提示 LLM 进行 JSON 修复
+ * JSON Schema（draft-07）校验器
+ * - 支持全部校验关键字：type/enum/const、数值与字符串约束、format、items/additionalItems/contains/uniqueItems、
+ *   properties/patternProperties/additionalProperties/dependencies/propertyNames、allOf/anyOf/oneOf/not、if/then/else、
+ *   $ref（#/definitions/...、JSON Pointer、$id、相对 schema 文件）与布尔 schema
+ * - 以字段级错误形式返回（path + 中文 message），便于提示 LLM 进行 JSON 修复
+ * - 类型不符时不再深入该节点，避免同一字段产生大量连带错误
  */
+const MAX_DEPTH = 200;
+
+// format 校验（未知 format 放过，与规范“可选断言”一致）
+const FORMATS = {
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s) && !isNaN(Date.parse(s)),
+  date: (s) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+    if (!m) return false;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+  },
+  time: (s) => /^([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(s),
+  email: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  'idn-email': (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  hostname: (s) => s.length <= 253 && /^(?=.{1,253}$)([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*\.?$/.test(s),
+  ipv4: (s) => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(s),
+  ipv6: (s) => require('net').isIPv6(s),
+  uri: (s) => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(s),
+  'uri-reference': (s) => !/\s/.test(s),
+  'uri-template': (s) => !/\s/.test(s),
+  iri: (s) => /^[a-zA-Z][a-zA-Z0-9+.-]*:\S*$/.test(s),
+  'iri-reference': (s) => !/\s/.test(s),
+  'json-pointer': (s) => s === '' || /^(\/([^~/]|~[01])*)+$/.test(s),
+  'relative-json-pointer': (s) => /^\d+(#|(\/([^~/]|~[01])*)*)$/.test(s),
+  regex: (s) => { try { new RegExp(s, 'u'); return true; } catch { return false; } },
+};
+
 class JsonSchemaValidator {
   constructor(options = {}) {
     this.logger = options.logger || console;
     this.schema = null;
+    this.schemaPath = null;
+    this._fileCache = new Map(); // 绝对路径 -> schema（外部 $ref）
   }
 
   loadSchema(schemaPath) {
     const abs = path.isAbsolute(schemaPath) ? schemaPath : path.join(process.cwd(), schemaPath);
     const content = fs.readFileSync(abs, 'utf8');
     this.schema = JSON.parse(content);
+    this.schemaPath = abs;
+    this._fileCache.set(abs, this.schema);
     return this.schema;
   }
 
@@ -26,78 +60,313 @@ class JsonSchemaValidator {
    * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
    */
   validate(data, schema = null) {
-    const useSchema = schema || this.schema;
-    if (!useSchema) {
+    const explicit = schema !== null && schema !== undefined;
+    const useSchema = explicit ? schema : this.schema;
+    if (useSchema === null || useSchema === undefined) {
       throw new Error('Schema 未加载');
     }
+    const baseFile = explicit ? null : this.schemaPath;
+    const errors = this._validateNode(data, useSchema, '', { root: useSchema, file: baseFile, ids: this._collectIds(useSchema) }, 0);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 校验单个节点，返回该节点（含子节点）的错误列表
+   * @param {any} value
+   * @param {object|boolean} nodeSchema
+   * @param {string} currentPath
+   * @param {{ root:object, file:string|null, ids:Map }} ctx - $ref 解析上下文
+   * @param {number} depth
+   */
+  _validateNode(value, nodeSchema, currentPath, ctx, depth) {
     const errors = [];
+    const push = (message, p = currentPath) => errors.push({ path: p, message });
+    const child = (key) => (currentPath ? `${currentPath}.${key}` : String(key));
 
-    const walk = (value, nodeSchema, currentPath) => {
-      if (!nodeSchema) return;
+    if (depth > MAX_DEPTH) {
+      push('Schema 嵌套过深（可能存在循环 $ref）');
+      return errors;
+    }
+    if (nodeSchema === true || nodeSchema === undefined || nodeSchema === null) return errors;
+    if (nodeSchema === false) {
+      push('不允许出现该值（schema 为 false）');
+      return errors;
+    }
+    if (typeof nodeSchema !== 'object') return errors;
 
-      // type 校验
-      if (nodeSchema.type) {
-        if (!this.checkType(value, nodeSchema.type)) {
-          errors.push({ path: currentPath, message: `类型应为 ${nodeSchema.type}` });
-          return; // 类型错误时无需继续深入
-        }
+    // $ref：draft-07 中与 $ref 同级的其他关键字被忽略
+    if (typeof nodeSchema.$ref === 'string') {
+      const resolved = this._resolveRef(nodeSchema.$ref, ctx);
+      if (!resolved) {
+        push(`无法解析引用 ${nodeSchema.$ref}`);
+        return errors;
       }
+      return this._validateNode(value, resolved.schema, currentPath, resolved.ctx, depth + 1);
+    }
 
-      // enum
-      if (nodeSchema.enum && !nodeSchema.enum.includes(value)) {
-        errors.push({ path: currentPath, message: `取值必须在枚举 ${JSON.stringify(nodeSchema.enum)} 之中` });
+    // type 校验
+    if (nodeSchema.type !== undefined) {
+      const types = [].concat(nodeSchema.type);
+      if (!types.some((t) => this.checkType(value, t))) {
+        push(`类型应为 ${types.join(' 或 ')}`);
+        return errors; // 类型错误时无需继续深入
       }
+    }
 
-      // 字符串约束
-      if (typeof value === 'string') {
-        if (typeof nodeSchema.minLength === 'number' && value.length < nodeSchema.minLength) {
-          errors.push({ path: currentPath, message: `长度至少为 ${nodeSchema.minLength}` });
-        }
-        if (typeof nodeSchema.maxLength === 'number' && value.length > nodeSchema.maxLength) {
-          errors.push({ path: currentPath, message: `长度不能超过 ${nodeSchema.maxLength}` });
+    // enum / const
+    if (Array.isArray(nodeSchema.enum) && !nodeSchema.enum.some((e) => deepEqual(e, value))) {
+      push(`取值必须在枚举 ${JSON.stringify(nodeSchema.enum)} 之中`);
+    }
+    if (nodeSchema.const !== undefined && !deepEqual(nodeSchema.const, value)) {
+      push(`取值必须为 ${JSON.stringify(nodeSchema.const)}`);
+    }
+
+    // 数值约束
+    if (typeof value === 'number' && !Number.isNaN(value)) {
+      if (typeof nodeSchema.minimum === 'number' && value < nodeSchema.minimum) {
+        push(`数值不能小于 ${nodeSchema.minimum}`);
+      }
+      if (typeof nodeSchema.maximum === 'number' && value > nodeSchema.maximum) {
+        push(`数值不能大于 ${nodeSchema.maximum}`);
+      }
+      if (typeof nodeSchema.exclusiveMinimum === 'number' && value <= nodeSchema.exclusiveMinimum) {
+        push(`数值必须大于 ${nodeSchema.exclusiveMinimum}`);
+      }
+      if (typeof nodeSchema.exclusiveMaximum === 'number' && value >= nodeSchema.exclusiveMaximum) {
+        push(`数值必须小于 ${nodeSchema.exclusiveMaximum}`);
+      }
+      if (typeof nodeSchema.multipleOf === 'number' && nodeSchema.multipleOf > 0) {
+        const q = value / nodeSchema.multipleOf;
+        if (Math.abs(q - Math.round(q)) > 1e-9) push(`数值必须是 ${nodeSchema.multipleOf} 的倍数`);
+      }
+    }
+
+    // 字符串约束（长度按 Unicode 字符计）
+    if (typeof value === 'string') {
+      const len = Array.from(value).length;
+      if (typeof nodeSchema.minLength === 'number' && len < nodeSchema.minLength) {
+        push(`长度至少为 ${nodeSchema.minLength}`);
+      }
+      if (typeof nodeSchema.maxLength === 'number' && len > nodeSchema.maxLength) {
+        push(`长度不能超过 ${nodeSchema.maxLength}`);
+      }
+      if (typeof nodeSchema.pattern === 'string') {
+        const reg = compilePattern(nodeSchema.pattern);
+        if (reg && !reg.test(value)) {
+          push(`不匹配模式 ${nodeSchema.pattern}`);
         }
-        if (nodeSchema.pattern) {
-          try {
-            const reg = new RegExp(nodeSchema.pattern);
-            if (!reg.test(value)) {
-              errors.push({ path: currentPath, message: `不匹配模式 ${nodeSchema.pattern}` });
-            }
-          } catch (_e) {}
+      }
+      if (typeof nodeSchema.format === 'string' && FORMATS[nodeSchema.format] && !FORMATS[nodeSchema.format](value)) {
+        push(`格式应为 ${nodeSchema.format}`);
+      }
+    }
+
+    // 数组约束
+    if (Array.isArray(value)) {
+      if (typeof nodeSchema.minItems === 'number' && value.length < nodeSchema.minItems) {
+        push(`数组元素至少 ${nodeSchema.minItems} 个`);
+      }
+      if (typeof nodeSchema.maxItems === 'number' && value.length > nodeSchema.maxItems) {
+        push(`数组元素不能超过 ${nodeSchema.maxItems} 个`);
+      }
+      if (nodeSchema.uniqueItems === true) {
+        for (let i = 0; i < value.length; i++) {
+          const j = value.findIndex((other, k) => k > i && deepEqual(value[i], other));
+          if (j !== -1) {
+            push(`数组元素不能重复（第 ${i} 项与第 ${j} 项相同）`);
+            break;
+          }
         }
       }
+      if (Array.isArray(nodeSchema.items)) {
+        // 元组形式：逐位置校验，其余元素由 additionalItems 约束
+        value.forEach((item, idx) => {
+          const p = `${currentPath}[${idx}]`;
+          if (idx < nodeSchema.items.length) {
+            errors.push(...this._validateNode(item, nodeSchema.items[idx], p, ctx, depth + 1));
+          } else if (nodeSchema.additionalItems === false) {
+            push(`数组元素不能超过 ${nodeSchema.items.length} 个（不允许额外元素）`, p);
+          } else if (nodeSchema.additionalItems && typeof nodeSchema.additionalItems === 'object') {
+            errors.push(...this._validateNode(item, nodeSchema.additionalItems, p, ctx, depth + 1));
+          }
+        });
+      } else if (nodeSchema.items !== undefined) {
+        value.forEach((item, idx) => errors.push(...this._validateNode(item, nodeSchema.items, `${currentPath}[${idx}]`, ctx, depth + 1)));
+      }
+      if (nodeSchema.contains !== undefined) {
+        const ok = value.some((item, idx) => this._validateNode(item, nodeSchema.contains, `${currentPath}[${idx}]`, ctx, depth + 1).length === 0);
+        if (!ok) push('数组中至少需要一个元素满足 contains 约束');
+      }
+    }
 
-      // 数组约束
-      if (Array.isArray(value)) {
-        if (typeof nodeSchema.minItems === 'number' && value.length < nodeSchema.minItems) {
-          errors.push({ path: currentPath, message: `数组元素至少 ${nodeSchema.minItems} 个` });
+    // 对象约束
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const keys = Object.keys(value);
+      const props = nodeSchema.properties || {};
+      const required = nodeSchema.required || [];
+      if (typeof nodeSchema.minProperties === 'number' && keys.length < nodeSchema.minProperties) {
+        push(`字段数至少为 ${nodeSchema.minProperties}`);
+      }
+      if (typeof nodeSchema.maxProperties === 'number' && keys.length > nodeSchema.maxProperties) {
+        push(`字段数不能超过 ${nodeSchema.maxProperties}`);
+      }
+      required.forEach((key) => {
+        if (!(key in value)) {
+          push('缺少必填字段', child(key));
         }
-        if (typeof nodeSchema.maxItems === 'number' && value.length > nodeSchema.maxItems) {
-          errors.push({ path: currentPath, message: `数组元素不能超过 ${nodeSchema.maxItems} 个` });
+      });
+      Object.keys(props).forEach((key) => {
+        if (key in value) {
+          errors.push(...this._validateNode(value[key], props[key], child(key), ctx, depth + 1));
         }
-        if (nodeSchema.items) {
-          value.forEach((child, idx) => walk(child, nodeSchema.items, `${currentPath}[${idx}]`));
+      });
+      const patternProps = nodeSchema.patternProperties || {};
+      const patterns = Object.keys(patternProps).map((src) => ({ src, reg: compilePattern(src) })).filter((p) => p.reg);
+      keys.forEach((key) => {
+        let matched = Object.prototype.hasOwnProperty.call(props, key);
+        for (const p of patterns) {
+          if (p.reg.test(key)) {
+            matched = true;
+            errors.push(...this._validateNode(value[key], patternProps[p.src], child(key), ctx, depth + 1));
+          }
         }
-      }
-
-      // 对象约束
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        const props = nodeSchema.properties || {};
-        const required = nodeSchema.required || [];
-        required.forEach((key) => {
-          if (!(key in value)) {
-            errors.push({ path: currentPath ? `${currentPath}.${key}` : key, message: '缺少必填字段' });
+        if (!matched && nodeSchema.additionalProperties !== undefined) {
+          if (nodeSchema.additionalProperties === false) {
+            push('不允许出现未定义的字段', child(key));
+          } else {
+            errors.push(...this._validateNode(value[key], nodeSchema.additionalProperties, child(key), ctx, depth + 1));
           }
+        }
+      });
+      if (nodeSchema.propertyNames !== undefined) {
+        keys.forEach((key) => {
+          const nameErrors = this._validateNode(key, nodeSchema.propertyNames, child(key), ctx, depth + 1);
+          if (nameErrors.length) push(`字段名不符合约束: ${nameErrors[0].message}`, child(key));
         });
-        Object.keys(props).forEach((key) => {
-          if (key in value) {
-            walk(value[key], props[key], currentPath ? `${currentPath}.${key}` : key);
+      }
+      if (nodeSchema.dependencies && typeof nodeSchema.dependencies === 'object') {
+        Object.keys(nodeSchema.dependencies).forEach((key) => {
+          if (!(key in value)) return;
+          const dep = nodeSchema.dependencies[key];
+          if (Array.isArray(dep)) {
+            dep.forEach((k) => {
+              if (!(k in value)) push(`存在字段 ${key} 时必须同时提供该字段`, child(k));
+            });
+          } else {
+            errors.push(...this._validateNode(value, dep, currentPath, ctx, depth + 1));
           }
         });
       }
-    };
+    }
 
-    walk(data, useSchema, '');
-    return { valid: errors.length === 0, errors };
+    // 组合关键字
+    if (Array.isArray(nodeSchema.allOf)) {
+      nodeSchema.allOf.forEach((sub) => errors.push(...this._validateNode(value, sub, currentPath, ctx, depth + 1)));
+    }
+    if (Array.isArray(nodeSchema.anyOf)) {
+      const results = nodeSchema.anyOf.map((sub) => this._validateNode(value, sub, currentPath, ctx, depth + 1));
+      if (!results.some((r) => r.length === 0)) {
+        push(`不满足 anyOf 中任一子模式（共 ${results.length} 个）`);
+        errors.push(...closest(results, currentPath));
+      }
+    }
+    if (Array.isArray(nodeSchema.oneOf)) {
+      const results = nodeSchema.oneOf.map((sub) => this._validateNode(value, sub, currentPath, ctx, depth + 1));
+      const passed = results.map((r, i) => (r.length === 0 ? i + 1 : 0)).filter(Boolean);
+      if (passed.length === 0) {
+        push(`不满足 oneOf 中任一子模式（共 ${results.length} 个）`);
+        errors.push(...closest(results, currentPath));
+      } else if (passed.length > 1) {
+        push(`只能满足 oneOf 中的一个子模式，实际满足第 ${passed.join('、')} 个`);
+      }
+    }
+    if (nodeSchema.not !== undefined) {
+      if (this._validateNode(value, nodeSchema.not, currentPath, ctx, depth + 1).length === 0) {
+        push('不能满足 not 子模式');
+      }
+    }
+    if (nodeSchema.if !== undefined) {
+      const cond = this._validateNode(value, nodeSchema.if, currentPath, ctx, depth + 1).length === 0;
+      const branch = cond ? nodeSchema.then : nodeSchema.else;
+      if (branch !== undefined) {
+        errors.push(...this._validateNode(value, branch, currentPath, ctx, depth + 1));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * 解析 $ref：#、#/definitions/x（JSON Pointer）、$id 锚点、相对 schema 文件（other.json#/...）
+   * @returns {{ schema:any, ctx:object }|null}
+   */
+  _resolveRef(ref, ctx) {
+    const hashIdx = ref.indexOf('#');
+    const target = hashIdx === -1 ? ref : ref.slice(0, hashIdx);
+    const fragment = hashIdx === -1 ? '' : ref.slice(hashIdx + 1);
+
+    let root = ctx.root;
+    let nextCtx = ctx;
+    if (target) {
+      if (ctx.ids.has(target)) {
+        root = ctx.ids.get(target);
+      } else {
+        const loaded = this._loadRefFile(target, ctx.file);
+        if (!loaded) return null;
+        root = loaded.schema;
+        nextCtx = { root, file: loaded.file, ids: this._collectIds(root) };
+      }
+    } else if (fragment && !fragment.startsWith('/') && ctx.ids.has(`#${fragment}`)) {
+      return { schema: ctx.ids.get(`#${fragment}`), ctx };
+    }
+
+    if (!fragment) return { schema: root, ctx: nextCtx };
+    let node = root;
+    const tokens = fragment.split('/').slice(1).map((t) => decodeURIComponent(t).replace(/~1/g, '/').replace(/~0/g, '~'));
+    for (const t of tokens) {
+      if (node === null || typeof node !== 'object' || !(t in node)) return null;
+      node = node[t];
+    }
+    return { schema: node, ctx: nextCtx };
+  }
+
+  /**
+   * 读取相对当前 schema 文件的外部 schema（带缓存）
+   */
+  _loadRefFile(target, fromFile) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return null; // 不拉取远程 schema
+    const baseDir = fromFile ? path.dirname(fromFile) : process.cwd();
+    const abs = path.resolve(baseDir, target);
+    if (this._fileCache.has(abs)) return { schema: this._fileCache.get(abs), file: abs };
+    try {
+      const schema = JSON.parse(fs.readFileSync(abs, 'utf8'));
+      this._fileCache.set(abs, schema);
+      return { schema, file: abs };
+    } catch (e) {
+      this.logger.warn(`加载引用 Schema 失败: ${abs} - ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 收集 schema 内声明的 $id（含 "#anchor" 形式）
+   */
+  _collectIds(schema) {
+    const ids = new Map();
+    const walk = (node, isRoot) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach((n) => walk(n, false));
+        return;
+      }
+      if (!isRoot && typeof node.$id === 'string') ids.set(node.$id, node);
+      for (const [k, v] of Object.entries(node)) {
+        if (k === 'enum' || k === 'const') continue;
+        walk(v, false);
+      }
+    };
+    walk(schema, true);
+    return ids;
   }
 
   checkType(value, type) {
@@ -112,6 +381,34 @@ class JsonSchemaValidator {
   }
 }
 
-module.exports = JsonSchemaValidator;
+/**
+ * 编译 pattern（ECMA 262，优先启用 Unicode 模式）；非法正则返回 null
+ */
+function compilePattern(src) {
+  try { return new RegExp(src, 'u'); } catch (_e) {}
+  try { return new RegExp(src); } catch (_e) { return null; }
+}
 
+/**
+ * JSON 值深比较（enum/const/uniqueItems）
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const ka = Object.keys(a);
+  const kb = Object.keys(b);
+  return ka.length === kb.length && ka.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+}
 
+/**
+ * anyOf/oneOf 全部失败时，取最接近的子模式的错误作为修复提示
+ * （类型已匹配的子模式优先，其次错误最少）
+ */
+function closest(results, currentPath) {
+  const score = (r) => r.length + (r.some((e) => e.path === currentPath && e.message.startsWith('类型应为')) ? 1000 : 0);
+  return results.reduce((best, r) => (best === null || score(r) < score(best) ? r : best), null) || [];
+}
+
+module.exports = JsonSchemaValidator;
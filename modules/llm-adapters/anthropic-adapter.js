@@ -0,0 +1,107 @@
+const { BaseAdapter, contentToText, contentParts, hasImages, splitSystem, toChatCompletion } = require('./base-adapter');
+
+const DEFAULT_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Anthropic Messages API（/v1/messages）
+ * - 鉴权：x-api-key + anthropic-version（可用 provider.api_version 覆盖）
+ * - system 单独传递；max_tokens 必填（extra.max_tokens > provider.max_tokens > 4096）
+ */
+class AnthropicAdapter extends BaseAdapter {
+  get type() {
+    return 'anthropic';
+  }
+
+  buildRequest({ model, messages, extra = {}, stream = false }) {
+    const { system, messages: rest } = splitSystem(messages);
+    const body = {
+      model,
+      max_tokens: Number(extra.max_tokens) || Number(this.provider.max_tokens) || DEFAULT_MAX_TOKENS,
+      messages: rest.map((m) => ({
+        role: m.role === 'assistant' ? 'assistant' : 'user',
+        content: this.convertContent(m.content),
+      })),
+      temperature: extra.temperature ?? 0.2,
+    };
+    if (system) body.system = system;
+    if (extra.top_p != null) body.top_p = extra.top_p;
+    if (extra.stop != null) body.stop_sequences = [].concat(extra.stop);
+    if (stream) body.stream = true;
+    return {
+      url: `${this.baseUrl}/v1/messages`,
+      headers: this.authHeaders(),
+      body,
+    };
+  }
+
+  /**
+   * 纯文本保持字符串；含图片时转为 content blocks（base64 图片用 base64 source，远程图片用 url source）
+   */
+  convertContent(content) {
+    if (!hasImages(content)) return contentToText(content);
+    return contentParts(content).map((p) => {
+      if (p.type === 'text') return { type: 'text', text: p.text };
+      return p.data
+        ? { type: 'image', source: { type: 'base64', media_type: p.mediaType, data: p.data } }
+        : { type: 'image', source: { type: 'url', url: p.url } };
+    });
+  }
+
+  authHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.provider.api_version || DEFAULT_VERSION,
+    };
+  }
+
+  parseResponse(data) {
+    const blocks = Array.isArray(data && data.content) ? data.content : [];
+    const text = blocks.filter((b) => b && b.type === 'text').map((b) => b.text).join('');
+    const u = (data && data.usage) || null;
+    return toChatCompletion({
+      id: data && data.id,
+      model: data && data.model,
+      content: text,
+      finishReason: data && data.stop_reason,
+      usage: u ? { prompt_tokens: u.input_tokens, completion_tokens: u.output_tokens } : null,
+      provider: this.type,
+    });
+  }
+
+  parseStreamEvent(obj) {
+    switch (obj.type) {
+      case 'message_start': {
+        const msg = obj.message || {};
+        return {
+          id: msg.id,
+          model: msg.model,
+          usage: msg.usage ? { prompt_tokens: msg.usage.input_tokens } : undefined,
+        };
+      }
+      case 'content_block_delta':
+        return obj.delta && obj.delta.type === 'text_delta' ? { delta: obj.delta.text } : {};
+      case 'message_delta':
+        return {
+          finishReason: obj.delta && obj.delta.stop_reason,
+          usage: obj.usage ? { completion_tokens: obj.usage.output_tokens } : undefined,
+        };
+      case 'error':
+        throw new Error((obj.error && obj.error.message) || JSON.stringify(obj));
+      default:
+        return {};
+    }
+  }
+
+  describeError(status, data) {
+    const out = super.describeError(status, data);
+    const errType = data && data.error && data.error.type;
+    // 529 overloaded 本身即 5xx；rate_limit_error 统一映射为 429
+    if (errType === 'rate_limit_error') out.status = 429;
+    if (errType) out.reason = `${errType}: ${out.reason}`;
+    return out;
+  }
+}
+
+module.exports = AnthropicAdapter;
@@ -0,0 +1,191 @@
+/**
+ * 提供商适配器基类：负责某一类接口的鉴权头、消息格式、响应/usage 提取与错误映射
+ * - 所有适配器的 parseResponse 均返回 OpenAI chat.completion 结构（usage 使用 prompt_tokens/completion_tokens），
+ *   以便 extractTextFromResponse、TokenCounter 与响应缓存无需区分提供商
+ */
+class BaseAdapter {
+  /**
+   * @param {Object} provider - env.yaml 中的单个 provider 配置
+   */
+  constructor(provider = {}) {
+    this.provider = provider;
+    this.baseUrl = (provider.base_url || '').replace(/\/$/, '');
+    this.apiKey = provider.api_key || '';
+  }
+
+  /** 适配器类型（与 provider.type 对应） */
+  get type() {
+    return 'base';
+  }
+
+  /** 流式响应分帧方式：sse（data: 行）或 ndjson（每行一个 JSON） */
+  get streamFormat() {
+    return 'sse';
+  }
+
+  /**
+   * 发送请求前的准备（如启动本地服务、确定 baseUrl）；默认无操作
+   * @returns {Promise<void>}
+   */
+  async prepare() {}
+
+  /**
+   * 构造请求
+   * @param {{ model:string, messages:Array, extra?:Object, stream?:boolean }} params
+   * @returns {{ url:string, headers:Object, body:Object }}
+   */
+  buildRequest() {
+    throw new Error(`${this.type} 适配器未实现 buildRequest`);
+  }
+
+  /**
+   * 将原生响应转换为 chat.completion 结构
+   * @param {Object} data
+   * @returns {Object}
+   */
+  parseResponse(data) {
+    return data;
+  }
+
+  /**
+   * 解析流式响应中的一行，返回 JSON 对象；非数据行/结束标记返回 null
+   * @param {string} line
+   */
+  parseStreamLine(line) {
+    if (this.streamFormat === 'ndjson') {
+      try { return line ? JSON.parse(line) : null; } catch (_) { return null; }
+    }
+    if (!line.startsWith('data:')) return null;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return null;
+    try { return JSON.parse(payload); } catch (_) { return null; }
+  }
+
+  /**
+   * 解析单个流式事件
+   * @param {Object} obj
+   * @returns {{ delta?:string, usage?:Object, finishReason?:string, id?:string, model?:string }}
+   */
+  parseStreamEvent() {
+    return {};
+  }
+
+  /**
+   * 错误映射：从错误响应体中提取可读原因，必要时修正状态码（如按错误类型区分限流）
+   * @param {number} status
+   * @param {any} data
+   * @returns {{ status:number, reason:string }}
+   */
+  describeError(status, data) {
+    let reason = '';
+    if (typeof data === 'string') reason = data;
+    else if (data && data.error && typeof data.error === 'object') reason = data.error.message || JSON.stringify(data.error);
+    else if (data && typeof data.error === 'string') reason = data.error;
+    else if (data && data.message) reason = data.message;
+    else if (data) reason = JSON.stringify(data);
+    return { status, reason };
+  }
+
+  /**
+   * 连通性检查所用请求（列出模型）
+   * @returns {{ url:string, headers:Object }}
+   */
+  modelsRequest() {
+    return { url: `${this.baseUrl}/v1/models`, headers: this.authHeaders() };
+  }
+
+  authHeaders() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+}
+
+/**
+ * 将 OpenAI 风格的 content（字符串或分段数组）转为纯文本
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((p) => p && (p.type === 'text' || typeof p.text === 'string'))
+      .map((p) => p.text)
+      .join('\n');
+  }
+  return content == null ? '' : String(content);
+}
+
+/**
+ * 将 OpenAI 风格的 content 拆为有序分段：{ type:'text', text } 或 { type:'image', url, mediaType, data }
+ * - 图片分段来自 { type:'image_url', image_url:{ url } }（也接受 image_url 直接为字符串）
+ * - data: URL 解析出 mediaType 与 base64 data；远程 URL 的 data 为 null
+ * @returns {Array<Object>}
+ */
+function contentParts(content) {
+  if (!Array.isArray(content)) {
+    const text = contentToText(content);
+    return text ? [{ type: 'text', text }] : [];
+  }
+  const parts = [];
+  for (const p of content) {
+    if (!p) continue;
+    if (p.type === 'image_url' || p.image_url) {
+      const url = typeof p.image_url === 'string' ? p.image_url : (p.image_url && p.image_url.url) || '';
+      const m = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+      parts.push({ type: 'image', url, mediaType: m ? m[1] : null, data: m ? m[2] : null });
+    } else if (p.type === 'text' || typeof p.text === 'string') {
+      parts.push({ type: 'text', text: p.text });
+    }
+  }
+  return parts;
+}
+
+/**
+ * content 中是否含图片分段
+ */
+function hasImages(content) {
+  return Array.isArray(content) && content.some((p) => p && (p.type === 'image_url' || p.image_url));
+}
+
+/**
+ * 拆分 system 消息与对话消息（Anthropic/Gemini 的 system 单独传递）
+ */
+function splitSystem(messages = []) {
+  const system = [];
+  const rest = [];
+  for (const m of messages) {
+    if (m && m.role === 'system') system.push(contentToText(m.content));
+    else if (m) rest.push(m);
+  }
+  return { system: system.filter(Boolean).join('\n\n'), messages: rest };
+}
+
+/**
+ * 构造统一的 chat.completion 结构
+ */
+function toChatCompletion({ id, model, content, finishReason = null, usage = null, provider }) {
+  const out = {
+    id,
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: content || '' }, finish_reason: finishReason }],
+  };
+  if (usage) {
+    const prompt = Number(usage.prompt_tokens) || 0;
+    const completion = Number(usage.completion_tokens) || 0;
+    out.usage = {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: Number(usage.total_tokens) || prompt + completion,
+    };
+  }
+  if (provider) out.provider_type = provider;
+  return out;
+}
+
+/**
+ * 响应体本身表示失败（如内容被拦截）时抛出，带 response 以便统一按 HTTP 错误处理（不重试）
+ */
+function responseError(status, data, message) {
+  return Object.assign(new Error(message), { response: { status, data } });
+}
+
+module.exports = { BaseAdapter, contentToText, contentParts, hasImages, splitSystem, toChatCompletion, responseError };
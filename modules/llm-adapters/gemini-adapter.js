@@ -0,0 +1,120 @@
+const { BaseAdapter, contentToText, contentParts, hasImages, splitSystem, toChatCompletion, responseError } = require('./base-adapter');
+
+/**
+ * Google Gemini（generateContent / streamGenerateContent?alt=sse）
+ * - 鉴权：x-goog-api-key；接口版本默认 v1beta（可用 provider.api_version 覆盖）
+ * - assistant 角色映射为 model；system 消息放入 systemInstruction
+ */
+class GeminiAdapter extends BaseAdapter {
+  get type() {
+    return 'gemini';
+  }
+
+  get apiVersion() {
+    return this.provider.api_version || 'v1beta';
+  }
+
+  buildRequest({ model, messages, extra = {}, stream = false }) {
+    const { system, messages: rest } = splitSystem(messages);
+    const generationConfig = { temperature: extra.temperature ?? 0.2 };
+    if (extra.max_tokens != null) generationConfig.maxOutputTokens = extra.max_tokens;
+    if (extra.top_p != null) generationConfig.topP = extra.top_p;
+    if (extra.stop != null) generationConfig.stopSequences = [].concat(extra.stop);
+    const body = {
+      contents: rest.map((m) => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: this.convertParts(m.content),
+      })),
+      generationConfig,
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return {
+      url: `${this.baseUrl}/${this.apiVersion}/models/${encodeURIComponent(model)}:${method}`,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, this.authHeaders()),
+      body,
+    };
+  }
+
+  /**
+   * 图片分段：base64 图片转为 inlineData，远程图片转为 fileData（mimeType 按扩展名推断）
+   */
+  convertParts(content) {
+    if (!hasImages(content)) return [{ text: contentToText(content) }];
+    return contentParts(content).map((p) => {
+      if (p.type === 'text') return { text: p.text };
+      return p.data
+        ? { inlineData: { mimeType: p.mediaType, data: p.data } }
+        : { fileData: { mimeType: guessImageType(p.url), fileUri: p.url } };
+    });
+  }
+
+  authHeaders() {
+    return this.apiKey ? { 'x-goog-api-key': this.apiKey } : {};
+  }
+
+  parseResponse(data) {
+    const candidate = data && Array.isArray(data.candidates) ? data.candidates[0] : null;
+    if (!candidate) {
+      const block = data && data.promptFeedback && data.promptFeedback.blockReason;
+      throw responseError(400, data, block ? `Gemini 拒绝生成: ${block}` : 'Gemini 响应缺少 candidates');
+    }
+    return toChatCompletion({
+      id: data.responseId,
+      model: data.modelVersion,
+      content: partsText(candidate),
+      finishReason: candidate.finishReason || null,
+      usage: usageOf(data),
+      provider: this.type,
+    });
+  }
+
+  parseStreamEvent(obj) {
+    if (obj.error) {
+      throw new Error(obj.error.message || JSON.stringify(obj.error));
+    }
+    const candidate = Array.isArray(obj.candidates) ? obj.candidates[0] : null;
+    return {
+      id: obj.responseId,
+      model: obj.modelVersion,
+      delta: candidate ? partsText(candidate) : undefined,
+      finishReason: candidate && candidate.finishReason,
+      usage: usageOf(obj) || undefined,
+    };
+  }
+
+  describeError(status, data) {
+    const out = super.describeError(status, data);
+    const s = data && data.error && data.error.status;
+    if (s === 'RESOURCE_EXHAUSTED') out.status = 429;
+    if (s) out.reason = `${s}: ${out.reason}`;
+    return out;
+  }
+
+  modelsRequest() {
+    return { url: `${this.baseUrl}/${this.apiVersion}/models`, headers: this.authHeaders() };
+  }
+}
+
+function guessImageType(url) {
+  const ext = (/\.([a-z0-9]+)(?:[?#]|$)/i.exec(url || '') || [])[1];
+  const types = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', gif: 'image/gif' };
+  return types[(ext || '').toLowerCase()] || 'image/jpeg';
+}
+
+function partsText(candidate) {
+  const parts = (candidate.content && candidate.content.parts) || [];
+  return parts.filter((p) => typeof p.text === 'string' && !p.thought).map((p) => p.text).join('');
+}
+
+function usageOf(data) {
+  const u = data && data.usageMetadata;
+  if (!u) return null;
+  return {
+    prompt_tokens: u.promptTokenCount,
+    completion_tokens: u.candidatesTokenCount,
+    total_tokens: u.totalTokenCount,
+  };
+}
+
+module.exports = GeminiAdapter;
@@ -0,0 +1,33 @@
+const OpenAIAdapter = require('./openai-adapter');
+const AnthropicAdapter = require('./anthropic-adapter');
+const GeminiAdapter = require('./gemini-adapter');
+const OllamaAdapter = require('./ollama-adapter');
+const MockAdapter = require('./mock-adapter');
+
+/**
+ * provider.type -> 适配器；未配置 type 视为 openai（兼容旧配置）
+ */
+const ADAPTERS = {
+  openai: OpenAIAdapter,
+  anthropic: AnthropicAdapter,
+  gemini: GeminiAdapter,
+  ollama: OllamaAdapter,
+  mock: MockAdapter,
+};
+
+const PROVIDER_TYPES = Object.keys(ADAPTERS);
+
+/**
+ * 按 provider 配置创建适配器
+ * @param {Object} provider
+ */
+function createAdapter(provider = {}) {
+  const type = String(provider.type || 'openai').toLowerCase();
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`不支持的提供商类型: ${provider.type}（可选: ${PROVIDER_TYPES.join(', ')}）`);
+  }
+  return new Adapter(provider);
+}
+
+module.exports = { createAdapter, PROVIDER_TYPES };
@@ -0,0 +1,19 @@
+const OpenAIAdapter = require('./openai-adapter');
+
+/**
+ * 本地模拟提供商（离线测试）：请求发往进程内启动的 MockLLMServer，协议与 openai 相同
+ * - 无需 base_url / api_key；fixtures_dir、faults 见 modules/mock-llm-server.js
+ */
+class MockAdapter extends OpenAIAdapter {
+  get type() {
+    return 'mock';
+  }
+
+  async prepare() {
+    if (this.baseUrl) return;
+    const { getSharedServer } = require('../mock-llm-server'); // 延迟引用：仅使用 mock 时加载
+    this.baseUrl = (await getSharedServer(this.provider)).url;
+  }
+}
+
+module.exports = MockAdapter;
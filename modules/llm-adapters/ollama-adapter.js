@@ -0,0 +1,83 @@
+const { BaseAdapter, contentToText, contentParts, hasImages, toChatCompletion } = require('./base-adapter');
+
+/**
+ * Ollama 本地接口（/api/chat）
+ * - 无需鉴权（配置了 api_key 时按 Bearer 发送，兼容反向代理）
+ * - 流式为 NDJSON；采样参数放在 options 中
+ */
+class OllamaAdapter extends BaseAdapter {
+  get type() {
+    return 'ollama';
+  }
+
+  get streamFormat() {
+    return 'ndjson';
+  }
+
+  buildRequest({ model, messages, extra = {}, stream = false }) {
+    const options = { temperature: extra.temperature ?? 0.2 };
+    if (extra.max_tokens != null) options.num_predict = extra.max_tokens;
+    if (extra.top_p != null) options.top_p = extra.top_p;
+    if (extra.stop != null) options.stop = [].concat(extra.stop);
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, this.authHeaders()),
+      body: {
+        model,
+        messages: messages.map((m) => this.convertMessage(m)),
+        stream: !!stream,
+        options,
+      },
+    };
+  }
+
+  /**
+   * 图片放入 images（仅支持 base64，远程图片需先下载）
+   */
+  convertMessage(m) {
+    if (!hasImages(m.content)) return { role: m.role, content: contentToText(m.content) };
+    const parts = contentParts(m.content);
+    const images = parts.filter((p) => p.type === 'image');
+    if (images.some((p) => !p.data)) {
+      throw new Error('Ollama 仅支持 base64（data: URL）图片');
+    }
+    return {
+      role: m.role,
+      content: parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n'),
+      images: images.map((p) => p.data),
+    };
+  }
+
+  parseResponse(data) {
+    return toChatCompletion({
+      model: data && data.model,
+      content: data && data.message ? data.message.content : '',
+      finishReason: (data && data.done_reason) || null,
+      usage: usageOf(data),
+      provider: this.type,
+    });
+  }
+
+  parseStreamEvent(obj) {
+    if (obj.error) {
+      throw new Error(typeof obj.error === 'string' ? obj.error : JSON.stringify(obj.error));
+    }
+    return {
+      model: obj.model,
+      delta: obj.message ? obj.message.content : undefined,
+      finishReason: obj.done ? (obj.done_reason || 'stop') : undefined,
+      usage: obj.done ? usageOf(obj) : undefined,
+    };
+  }
+
+  modelsRequest() {
+    return { url: `${this.baseUrl}/api/tags`, headers: this.authHeaders() };
+  }
+}
+
+function usageOf(data) {
+  if (!data || data.prompt_eval_count === undefined) return null;
+  return { prompt_tokens: data.prompt_eval_count, completion_tokens: data.eval_count };
+}
+
+module.exports = OllamaAdapter;
@@ -0,0 +1,37 @@
+const { BaseAdapter } = require('./base-adapter');
+
+/**
+ * OpenAI 兼容接口（/v1/chat/completions），也是未配置 type 时的默认适配器
+ */
+class OpenAIAdapter extends BaseAdapter {
+  get type() {
+    return 'openai';
+  }
+
+  buildRequest({ model, messages, extra = {}, stream = false }) {
+    const body = Object.assign({ model, messages, temperature: 0.2 }, extra);
+    if (stream) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+    return {
+      url: `${this.baseUrl}/v1/chat/completions`,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, this.authHeaders()),
+      body,
+    };
+  }
+
+  parseStreamEvent(obj) {
+    if (obj.error) {
+      throw new Error(obj.error.message || JSON.stringify(obj.error));
+    }
+    const ev = { id: obj.id, model: obj.model };
+    if (obj.usage) ev.usage = obj.usage;
+    const choice = obj.choices && obj.choices[0];
+    if (choice) {
+      if (choice.delta && typeof choice.delta.content === 'string') ev.delta = choice.delta.content;
+      else if (typeof choice.text === 'string') ev.delta = choice.text;
+      if (choice.finish_reason) ev.finishReason = choice.finish_reason;
+    }
+    return ev;
+  }
+}
+
+module.exports = OpenAIAdapter;
@@ -1,4 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
 const axios = require('axios');
+const { createAdapter } = require('./llm-adapters');
+const { toChatCompletion, contentToText } = require('./llm-adapters/base-adapter');
+const TokenCounter = require('../utils/token-counter');
+const { getRateLimiter } = require('../utils/rate-limiter');
+const { RetryPolicy } = require('../utils/retry-policy');
+const { ErrorClassifier } = require('../utils/errors');
 let OpenAI = null;
 try {
   // 动态加载，未安装时回退axios实现
@@ -6,20 +15,31 @@ try {
 } catch (_) {}
 
 /**
- * 通用 LLM 客户端（优先使用 OpenAI SDK，失败回退 axios）
+ * 通用 LLM 客户端
+ * - provider.type 选择适配器（openai/anthropic/gemini/ollama/mock，默认 openai；mock 为本地模拟服务）
+ * - openai 类型优先使用 OpenAI SDK，失败回退 axios；其余类型经适配器以 axios 直连原生接口
  */
 class LLMClient {
   /**
    * @param {Object} options
    * @param {Array} options.providers - 配置中的 providers
-   * @param {Object} options.retry - 重试配置 { enable_auto_retry, max_retry_count, retry_delay_ms }
+   * @param {Object} options.retry - 重试配置 { enable_auto_retry, max_retry_count, retry_delay_ms, max_retry_delay_ms }
+   * @param {import('../utils/response-cache')} [options.cache] - 可选响应缓存
+   * @param {import('../utils/llm-cassette').LLMCassette} [options.cassette] - 可选请求录制/回放（按运行设置，见 runBatch）
+   * @param {Object} [options.logger] - 记录每次重试（未提供则不输出）
    */
-  constructor({ providers, retry }) {
+  constructor({ providers, retry, cache = null, cassette = null, logger = null }) {
     this.providers = providers || [];
+    this.cache = cache;
+    this.cassette = cassette;
+    this.logger = logger;
+    this.tokenCounter = new TokenCounter();
     this.retry = Object.assign(
       { enable_auto_retry: true, max_retry_count: 3, retry_delay_ms: 1000 },
       retry || {}
     );
+    this.retryPolicy = new RetryPolicy(this.retry);
+    this.classifier = new ErrorClassifier();
   }
 
   /**
@@ -27,54 +47,120 @@ class LLMClient {
    * @param {Object} params
    * @param {string} params.providerName
    * @param {string} params.model
-   * @param {Array} params.messages - [{ role, content }]
+   * @param {Array} params.messages - [{ role, content }]；content 为字符串或 OpenAI 风格分段数组，
+   *   图片分段 { type:'image_url', image_url:{ url:'data:image/png;base64,...' } } 由各适配器转换为原生格式
+   * @param {Array} [params.cassetteMessages] - 录制/回放的匹配依据：提示词中的运行 ID 保留为 {{runId}} 占位符，缺省为 messages
    * @param {Object} [params.extra] - 额外可选参数，如 temperature、max_tokens
-   * @param {Object} [params.timeouts] - { connectTimeoutMs, responseTimeoutMs }
-   * @returns {Promise<{ text: string, raw: Object }>} 
+   * @param {Object} [params.timeouts] - { connectTimeoutMs, responseTimeoutMs, stream, streamIdleTimeoutMs }
+   * @param {Object} [params.cacheOptions] - { bypass, sampleIndex }；sampleIndex 区分多次采样的各个样本
+   * @param {Object} [params.streamOptions] - 流式专用：{ partialPath, onProgress }
+   * @returns {Promise<{ text: string, raw: Object, cached?: boolean, cacheKey?: string, replayed?: boolean, rateLimitWaitMs?: number }>} 
+   * cacheKey：响应来自或已写入缓存时返回，调用方判定响应无效时可据此删除缓存
+   * 失败时抛出的错误带 attempts（实际发送次数）
    */
-  async chatCompletion({ providerName, model, messages, extra = {}, timeouts = {} }) {
+  async chatCompletion({ providerName, model, messages, cassetteMessages, extra = {}, timeouts = {}, cacheOptions = {}, streamOptions = {} }) {
+    // 回放：直接返回磁带中录制的响应（或录制的失败），不查缓存、不发送请求
+    const cassette = this.cassette;
+    const sampleIndex = cacheOptions.sampleIndex || 0;
+    if (cassette && cassette.mode === 'replay') {
+      return cassette.replay({ providerName, model, messages, keyMessages: cassetteMessages, extra, sampleIndex });
+    }
+    // 录制：缓存命中、成功与最终失败各记一条
+    const startedAt = Date.now();
+    const record = (result) => {
+      if (cassette) cassette.record(Object.assign({ providerName, model, messages, keyMessages: cassetteMessages, extra, sampleIndex, latencyMs: Date.now() - startedAt }, result));
+    };
+
     const provider = this.providers.find((p) => p.name === providerName);
     if (!provider) {
       throw new Error(`未找到提供商: ${providerName}`);
     }
 
-    const baseUrl = (provider.base_url || '').replace(/\/$/, '');
-    const apiKey = provider.api_key || '';
+    // 响应缓存：命中则直接返回，不发送请求
+    const cache = this.cache && this.cache.enabled ? this.cache : null;
+    let cacheKey = null;
+    if (cache) {
+      if (cacheOptions.bypass) {
+        cache.markBypassed();
+      } else {
+        cacheKey = cache.buildKey({ providerName, model, messages, extra, sampleIndex: cacheOptions.sampleIndex });
+        const hit = cache.get(cacheKey);
+        if (hit) {
+          record({ text: hit.text, raw: hit.raw, attempts: 0, cached: true });
+          return { text: hit.text, raw: hit.raw, cached: true, cacheKey };
+        }
+      }
+    }
+    // 按提供商限流：每次尝试前按估算 token 预占 RPM/TPM 额度，成功后以真实 usage 校正，失败则退还 token 额度
+    const limiter = getRateLimiter(provider);
+    const estimatedTokens = limiter ? this.estimateRequestTokens(model, messages, extra) : 0;
+    let rateLimitWaitMs = 0;
+
+    const done = (text, raw) => {
+      if (cacheKey) cache.set(cacheKey, { text, raw }, { providerName, model, sampleIndex: cacheOptions.sampleIndex || 0 });
+      if (limiter) limiter.settle(estimatedTokens, Number(raw && raw.usage && raw.usage.total_tokens) || 0);
+      record({ text, raw, attempts });
+      const result = cacheKey ? { text, raw, cacheKey } : { text, raw };
+      return rateLimitWaitMs > 0 ? Object.assign(result, { rateLimitWaitMs }) : result;
+    };
 
-    // 发送 OpenAI 兼容聊天接口请求
-    const url = `${baseUrl}/v1/chat/completions`;
+    const adapter = createAdapter(provider);
+    await adapter.prepare();
+    const baseUrl = adapter.baseUrl;
+    const apiKey = adapter.apiKey;
     const connectTimeoutMs = Math.max(500, Number(timeouts.connectTimeoutMs) || 3000);
     const responseTimeoutMs = Math.max(1000, Number(timeouts.responseTimeoutMs) || 60000);
+    // 流式模式下超时按相邻数据块间隔计算，未配置时沿用响应超时
+    const streamEnabled = timeouts.stream === true;
+    const streamIdleTimeoutMs = Math.max(1000, Number(timeouts.streamIdleTimeoutMs) || responseTimeoutMs);
 
-    const shouldRetry = (error) => {
-      if (!this.retry.enable_auto_retry) return false;
+    // 按适配器映射 HTTP 错误后再分类，保证各提供商的限流/过载归类一致
+    const normalizeError = (error) => {
       if (error && error.response) {
-        const status = error.response.status;
-        // 5xx 服务端错误、429 限流
-        return status >= 500 || status === 429;
+        const { status, reason } = adapter.describeError(error.response.status, error.response.data);
+        return new Error(`HTTP ${status}: ${reason || error.message}`);
       }
-      // 网络/超时 类错误
-      return true;
+      return error;
     };
 
     const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
     let lastErr = null;
-    for (let attempt = 0; attempt <= (this.retry.max_retry_count || 0); attempt++) {
+    let attempts = 0;
+    for (;;) {
+      attempts++;
+      let reserved = false;
       try {
+        if (limiter) {
+          rateLimitWaitMs += await limiter.acquire(estimatedTokens);
+          reserved = true;
+        }
+
         // 可选连通性检查（默认关闭）
         if (extra && extra.ping === true) {
-          await this.pingProvider({ baseUrl, apiKey, timeout: connectTimeoutMs });
+          await this.pingProvider({ adapter, timeout: connectTimeoutMs });
+        }
+
+        // 流式：逐块解析，边接收边写部分输出
+        if (streamEnabled) {
+          const raw = await this.streamChatCompletion({
+            adapter,
+            request: adapter.buildRequest({ model, messages, extra, stream: true }),
+            idleTimeoutMs: streamIdleTimeoutMs,
+            partialPath: streamOptions.partialPath,
+            onProgress: streamOptions.onProgress,
+          });
+          return done(this.extractTextFromResponse(raw), raw);
         }
 
-        // 优先使用 OpenAI SDK（若可用）
-        if (OpenAI) {
+        // 优先使用 OpenAI SDK（若可用，仅 openai 类型）
+        if (OpenAI && adapter.type === 'openai') {
           const sdkBase = baseUrl.endsWith('/v1') ? baseUrl : `${baseUrl}/v1`;
           const client = new OpenAI({
             apiKey: apiKey,
             baseURL: sdkBase,
             timeout: responseTimeoutMs,
-            maxRetries: this.retry.enable_auto_retry ? (this.retry.max_retry_count || 0) : 0,
+            maxRetries: 0, // 重试统一由下方 RetryPolicy 负责
           });
 
           try {
@@ -85,46 +171,171 @@ class LLMClient {
             });
 
             const text = this.extractTextFromResponse(resp);
-            return { text, raw: resp };
+            return done(text, resp);
           } catch (sdkErr) {
-            lastErr = sdkErr;
-            // SDK失败后继续回退到 axios 实现
+            // 服务端/网络错误直接计入本次尝试；其余（SDK 与代理不兼容等）回退 axios
+            if (sdkErr instanceof OpenAI.APIError) throw fromSdkError(sdkErr);
           }
         }
 
-        // 回退 axios 实现
-        const resp = await axios.post(
-          url,
-          Object.assign({ model, messages, temperature: 0.2 }, extra),
-          {
-            headers: Object.assign(
-              { 'Content-Type': 'application/json' },
-              apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
-            ),
-            timeout: responseTimeoutMs,
-          }
-        );
+        // axios 实现（openai 回退 / 其余类型的原生接口）
+        const request = adapter.buildRequest({ model, messages, extra });
+        const resp = await axios.post(request.url, request.body, {
+          headers: request.headers,
+          timeout: responseTimeoutMs,
+        });
 
-        const text = this.extractTextFromResponse(resp.data);
-        return { text, raw: resp.data };
+        const raw = adapter.parseResponse(resp.data);
+        const text = this.extractTextFromResponse(raw);
+        return done(text, raw);
       } catch (err) {
         lastErr = err;
-        if (attempt >= (this.retry.max_retry_count || 0) || !shouldRetry(err)) {
-          break;
+        if (reserved) limiter.refund(estimatedTokens);
+        const info = this.classifier.classify(normalizeError(err), { stage: 'request' });
+        if (!this.retryPolicy.shouldRetry(info, attempts)) break;
+        const { delayMs, source } = this.retryPolicy.delayFor(attempts, err.response && err.response.headers, err.response && err.response.status);
+        if (this.logger) {
+          this.logger.warn(`重试 ${attempts}/${this.retryPolicy.maxRetries}: ${providerName}/${model} [${info.type}] ${info.message}，${delayMs}ms 后重试${source === 'server' ? '（服务端指定）' : ''}`);
         }
-        await sleep(this.retry.retry_delay_ms || 1000);
+        await sleep(delayMs);
       }
     }
 
-    // 统一错误消息，包含可能的HTTP状态与服务端信息
-    if (lastErr && lastErr.response) {
-      const status = lastErr.response.status;
-      const data = lastErr.response.data;
-      const reason = (data && (data.error?.message || data.message)) || lastErr.message;
-      throw new Error(`HTTP ${status}: ${reason}`);
+    // 统一错误消息，包含可能的HTTP状态与服务端信息（按适配器映射）
+    const finalErr = lastErr && lastErr.response
+      ? normalizeError(lastErr)
+      : Object.assign(new Error(`LLM 请求失败: ${lastErr?.message || '未知错误'}`), { code: lastErr?.code });
+    record({ error: finalErr, attempts });
+    throw Object.assign(finalErr, { attempts });
+  }
+
+  /**
+   * 估算单次请求的 token 成本：全部消息文本与图片 + 期望输出上限（extra.max_tokens）
+   */
+  estimateRequestTokens(model, messages = [], extra = {}) {
+    // 全部消息展开为分段后统一估算：文本按字符数，图片按固定量
+    const parts = messages.flatMap((m) => (Array.isArray(m && m.content) ? m.content : [{ type: 'text', text: contentToText(m && m.content) }]));
+    return this.tokenCounter.estimateContentTokens(parts, model) + (Number(extra.max_tokens) || 0);
+  }
+
+  /**
+   * 流式请求（SSE / NDJSON，由适配器决定分帧与事件解析）
+   * - 空闲超时：相邻两个数据块间隔超过 idleTimeoutMs 即中止（首块同样计时）
+   * - 增量内容实时追加到 partialPath；成功后删除，超时/中断时保留供排查
+   * - 返回与非流式一致的 chat.completion 结构，便于复用文本与 usage 提取
+   * @returns {Promise<Object>}
+   */
+  async streamChatCompletion({ adapter, request, idleTimeoutMs, partialPath, onProgress, progressIntervalMs = 2000 }) {
+    const abort = new AbortController();
+    let timer = null;
+    let timedOut = false;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { timedOut = true; abort.abort(); }, idleTimeoutMs);
+    };
+
+    if (partialPath) {
+      fs.mkdirSync(path.dirname(partialPath), { recursive: true });
+      fs.writeFileSync(partialPath, '', 'utf8');
     }
 
-    throw new Error(`LLM 请求失败: ${lastErr?.message || '未知错误'}`);
+    let content = '';
+    const timeoutError = () => Object.assign(
+      new Error(`流式响应空闲超时(stream idle timeout ${idleTimeoutMs}ms)，已接收 ${content.length} 字符${partialPath && content ? `，部分输出: ${partialPath}` : ''}`),
+      { code: 'ECONNABORTED', partialPath }
+    );
+
+    arm();
+    let resp;
+    try {
+      resp = await axios.post(request.url, request.body, {
+        headers: Object.assign({ Accept: adapter.streamFormat === 'sse' ? 'text/event-stream' : 'application/x-ndjson' }, request.headers),
+        responseType: 'stream',
+        signal: abort.signal,
+      });
+    } catch (err) {
+      clearTimeout(timer);
+      if (timedOut) throw timeoutError();
+      // 错误响应体同样是流，读出后便于统一错误消息
+      if (err.response && err.response.data && typeof err.response.data.on === 'function') {
+        err.response.data = await readStreamBody(err.response.data);
+      }
+      throw err;
+    }
+
+    const meta = { id: undefined, model: request.body.model, finishReason: null, usage: null };
+    let chunks = 0;
+    let lastProgressAt = 0;
+    const report = (final) => {
+      if (typeof onProgress !== 'function') return;
+      const now = Date.now();
+      if (!final && now - lastProgressAt < progressIntervalMs) return;
+      lastProgressAt = now;
+      try { onProgress({ chars: content.length, chunks, done: !!final }); } catch (_) {}
+    };
+    const handleLine = (line) => {
+      const obj = adapter.parseStreamLine(line);
+      if (!obj) return;
+      const ev = adapter.parseStreamEvent(obj) || {};
+      meta.id = ev.id || meta.id;
+      meta.model = ev.model || meta.model;
+      if (ev.usage) meta.usage = Object.assign(meta.usage || {}, ev.usage);
+      if (ev.finishReason) meta.finishReason = ev.finishReason;
+      const delta = ev.delta || '';
+      if (delta) {
+        content += delta;
+        chunks++;
+        if (partialPath) {
+          try { fs.appendFileSync(partialPath, delta, 'utf8'); } catch (_) {}
+        }
+        report(false);
+      }
+    };
+
+    await new Promise((resolve, reject) => {
+      const stream = resp.data;
+      const decoder = new StringDecoder('utf8');
+      let buffer = '';
+      let settled = false;
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (err) reject(err); else resolve();
+      };
+      const drain = (final) => {
+        let idx;
+        while ((idx = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, idx).trim();
+          buffer = buffer.slice(idx + 1);
+          handleLine(line);
+        }
+        if (final && buffer.trim()) {
+          handleLine(buffer.trim());
+          buffer = '';
+        }
+      };
+      stream.on('data', (buf) => {
+        arm();
+        buffer += decoder.write(buf);
+        try { drain(false); } catch (e) { abort.abort(); finish(e); }
+      });
+      stream.on('end', () => {
+        buffer += decoder.end();
+        try { drain(true); finish(); } catch (e) { finish(e); }
+      });
+      stream.on('error', (e) => finish(timedOut ? timeoutError() : e));
+      stream.on('close', () => finish(timedOut ? timeoutError() : (settled ? null : new Error('流式连接意外关闭'))));
+    });
+
+    report(true);
+    if (partialPath) {
+      try { fs.unlinkSync(partialPath); } catch (_) {}
+    }
+    return Object.assign(
+      toChatCompletion({ id: meta.id, model: meta.model, content, finishReason: meta.finishReason, usage: meta.usage, provider: adapter.type === 'openai' ? undefined : adapter.type }),
+      { stream: true }
+    );
   }
 
   /**
@@ -165,17 +376,14 @@ class LLMClient {
   }
 
   /**
-   * 连通性检查：尝试访问 /v1/models（带短超时）。
+   * 连通性检查：尝试访问适配器的模型列表接口（带短超时）。
    * 如返回任意HTTP响应则视为可达；仅网络/超时错误才算失败。
    */
-  async pingProvider({ baseUrl, apiKey, timeout }) {
-    const url = `${baseUrl}/v1/models`;
+  async pingProvider({ adapter, timeout }) {
+    const { url, headers } = adapter.modelsRequest();
     try {
       await axios.get(url, {
-        headers: Object.assign(
-          { 'Content-Type': 'application/json' },
-          apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
-        ),
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
         // 较短的连接超时时间
         timeout,
         validateStatus: () => true, // 任何状态码都认为连通
@@ -193,6 +401,33 @@ class LLMClient {
   }
 }
 
+/**
+ * OpenAI SDK 错误转为 axios 风格（保留状态码、响应体与响应头，供统一分类与 Retry-After 解析）
+ */
+function fromSdkError(err) {
+  if (typeof err.status === 'number') {
+    return Object.assign(new Error(err.message), {
+      response: { status: err.status, data: { error: err.error }, headers: err.headers },
+    });
+  }
+  const timedOut = OpenAI.APIConnectionTimeoutError && err instanceof OpenAI.APIConnectionTimeoutError;
+  return Object.assign(new Error(timedOut ? `request timeout: ${err.message}` : err.message), {
+    code: timedOut ? 'ECONNABORTED' : (err.cause && err.cause.code) || undefined,
+  });
+}
+
+function readStreamBody(stream) {
+  return new Promise((resolve) => {
+    const parts = [];
+    stream.on('data', (c) => parts.push(Buffer.from(c)));
+    stream.on('end', () => {
+      const text = Buffer.concat(parts).toString('utf8');
+      try { resolve(JSON.parse(text)); } catch (_) { resolve(text); }
+    });
+    stream.on('error', () => resolve(Buffer.concat(parts).toString('utf8')));
+  });
+}
+
 module.exports = LLMClient;
 
 
@@ -0,0 +1,401 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const yaml = require('js-yaml');
+const { contentToText } = require('./llm-adapters/base-adapter');
+const TokenCounter = require('../utils/token-counter');
+
+/**
+ * 本地模拟 LLM 服务（OpenAI 兼容：/v1/chat/completions、/v1/embeddings、/v1/models），用于离线测试与 CI
+ * - fixture：按最后一条 user 消息匹配的录制响应（fixtures_dir 下的 .json/.yaml 文件）
+ * - fault：按顺序匹配的脚本化故障，可限定模型、匹配文本、跳过前 N 次（after）与触发次数（times）
+ *     rate_limit      429 + Retry-After（retry_after 秒，默认 1）
+ *     server_error    5xx（status，默认 500）
+ *     timeout         延迟 delay_ms（默认 120000）后才响应，用于触发客户端超时
+ *     malformed_json  返回截断的 JSON（fixture 响应的前半段）
+ *     broken_csv      返回引号未闭合的 CSV 代码块
+ *   故障可用 content 指定返回内容（malformed_json / broken_csv）或 message 指定错误信息
+ * - /v1/embeddings 返回按字符二元组哈希的确定性向量（相同文本向量相同、字面越接近越相似），不注入故障
+ * - provider.type 为 mock 时由适配器在进程内自动启动；也可经 tools/mock-llm-server.js 独立运行
+ */
+const FAULT_TYPES = ['rate_limit', 'server_error', 'timeout', 'malformed_json', 'broken_csv'];
+const FIXTURE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const DEFAULT_MODELS = ['mock-model'];
+const DEFAULT_TIMEOUT_DELAY_MS = 120000;
+const EMBEDDING_DIM = 64;
+const BROKEN_CSV = [
+  '```csv',
+  '序号,内容,备注',
+  '1,"引号未闭合,示例',
+  '2,正常行,"含""转义""的值"',
+  '```',
+].join('\n');
+
+function configError(message) {
+  return Object.assign(new Error(message), { code: 'CONFIG_ERROR' });
+}
+
+class MockLLMServer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fixturesDir] - fixture 目录
+   * @param {Array<Object>} [options.fixtures] - 直接传入的 fixture（排在目录中的 fixture 之前）
+   * @param {Array<Object>} [options.faults] - 故障脚本
+   * @param {string[]} [options.models] - /v1/models 返回的模型
+   * @param {Object} [options.logger]
+   */
+  constructor({ fixturesDir = null, fixtures = [], faults = [], models = DEFAULT_MODELS, logger = null } = {}) {
+    this.fixtures = [...fixtures, ...(fixturesDir ? loadFixtures(fixturesDir) : [])].map((f, i) => normalizeFixture(f, `fixture${i + 1}`));
+    this.faults = (faults || []).map((f, i) => normalizeFault(f, i));
+    this.models = Array.isArray(models) && models.length ? models.map(String) : DEFAULT_MODELS;
+    this.logger = logger;
+    this.tokenCounter = new TokenCounter();
+    this.requests = []; // 已处理的补全请求：{ model, fault, fixture }
+    this.embeddingRequests = []; // 已处理的嵌入请求：{ model, inputs }
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * 按 provider 配置创建（fixtures_dir、faults、models）
+   */
+  static fromProvider(provider = {}, logger = null) {
+    return new MockLLMServer({
+      fixturesDir: provider.fixtures_dir ? path.resolve(provider.fixtures_dir) : null,
+      fixtures: provider.fixtures || [],
+      faults: provider.faults || [],
+      models: provider.models,
+      logger,
+    });
+  }
+
+  /**
+   * 启动监听
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - 0 表示随机端口
+   * @param {string} [options.host='127.0.0.1']
+   * @param {boolean} [options.unref=false] - 不阻止进程退出（进程内使用时）
+   * @returns {Promise<string>} 服务地址（不含 /v1）
+   */
+  async start({ port = 0, host = '127.0.0.1', unref = false } = {}) {
+    if (this.server) return this.url;
+    const server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        if (!res.headersSent) sendJson(res, 500, errorBody(`mock: ${error.message}`, 'server_error'));
+        else res.destroy();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    if (unref) {
+      // 保持连接（keep-alive）的套接字同样不阻止退出
+      server.unref();
+      server.on('connection', (socket) => socket.unref());
+    }
+    this.server = server;
+    this.url = `http://${host}:${server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const route = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+    if (req.method === 'GET' && route === '/v1/models') {
+      return sendJson(res, 200, {
+        object: 'list',
+        data: this.models.map((id) => ({ id, object: 'model', owned_by: 'mock' })),
+      });
+    }
+    if (req.method === 'POST' && route === '/v1/chat/completions') {
+      return this.handleChat(req, res);
+    }
+    if (req.method === 'POST' && route === '/v1/embeddings') {
+      return this.handleEmbeddings(req, res);
+    }
+    return sendJson(res, 404, errorBody(`mock: 不支持的接口 ${req.method} ${route}`, 'not_found_error'));
+  }
+
+  async handleChat(req, res) {
+    let body;
+    try {
+      body = JSON.parse((await readBody(req)) || '{}');
+    } catch (error) {
+      return sendJson(res, 400, errorBody(`mock: 请求体不是有效 JSON: ${error.message}`, 'invalid_request_error'));
+    }
+    const model = String(body.model || '');
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const prompt = lastUserText(messages);
+    const fault = this.nextFault(model, prompt);
+    const fixture = this.fixtures.find((f) => matches(f, model, prompt)) || null;
+    this.requests.push({ model, fault: fault ? fault.type : null, fixture: fixture ? fixture.name : null });
+    if (fault && this.logger) this.logger.info(`mock: ${model} 注入故障 ${fault.type}`);
+
+    if (fault && fault.type === 'rate_limit') {
+      return sendJson(res, 429, errorBody(fault.message || 'mock: 请求过于频繁', 'rate_limit_error', 'rate_limit_exceeded'), {
+        'Retry-After': String(fault.retry_after ?? 1),
+      });
+    }
+    if (fault && fault.type === 'server_error') {
+      return sendJson(res, fault.status || 500, errorBody(fault.message || 'mock: 服务端错误', 'server_error'));
+    }
+    if (fault && fault.type === 'timeout') {
+      // 客户端超时断开后不再响应
+      if (!(await hold(res, fault.delay_ms ?? DEFAULT_TIMEOUT_DELAY_MS))) return undefined;
+    }
+
+    let content;
+    if (fault && fault.type === 'malformed_json') content = fault.content ?? truncateJson(fixture ? fixture.text : '');
+    else if (fault && fault.type === 'broken_csv') content = fault.content ?? BROKEN_CSV;
+    else if (fixture) content = fixture.text;
+    else {
+      return sendJson(res, 400, errorBody(`mock: 没有匹配的 fixture（model=${model}）`, 'invalid_request_error'));
+    }
+
+    const usage = (fixture && fixture.usage) || this.estimateUsage(messages, content, model);
+    const id = `mock-${Date.now().toString(36)}-${this.requests.length}`;
+    if (body.stream) return sendStream(res, { id, model, content, usage });
+    return sendJson(res, 200, {
+      id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage,
+    });
+  }
+
+  async handleEmbeddings(req, res) {
+    let body;
+    try {
+      body = JSON.parse((await readBody(req)) || '{}');
+    } catch (error) {
+      return sendJson(res, 400, errorBody(`mock: 请求体不是有效 JSON: ${error.message}`, 'invalid_request_error'));
+    }
+    const inputs = Array.isArray(body.input) ? body.input : [body.input];
+    if (!inputs.every((t) => typeof t === 'string')) {
+      return sendJson(res, 400, errorBody('mock: input 须为字符串或字符串数组', 'invalid_request_error'));
+    }
+    const model = String(body.model || '');
+    this.embeddingRequests.push({ model, inputs: inputs.length });
+    const tokens = inputs.reduce((sum, t) => sum + this.tokenCounter.estimateTokenCount(t, model, { capped: false }), 0);
+    return sendJson(res, 200, {
+      object: 'list',
+      model,
+      data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: hashEmbedding(text) })),
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+    });
+  }
+
+  /**
+   * 取本次请求触发的故障（按脚本顺序第一个命中的）；每个故障分别统计其匹配的请求次数
+   */
+  nextFault(model, prompt) {
+    let fired = null;
+    for (const fault of this.faults) {
+      if (!matches(fault, model, prompt)) continue;
+      fault.seen++;
+      const n = fault.seen - (fault.after || 0);
+      if (!fired && n > 0 && (fault.times == null || n <= fault.times)) fired = fault;
+    }
+    return fired;
+  }
+
+  estimateUsage(messages, content, model) {
+    const prompt = this.tokenCounter.estimateTokenCount(messages.map((m) => contentToText(m && m.content)).join('\n'), model, { capped: false });
+    const completion = this.tokenCounter.estimateTokenCount(content, model, { capped: false });
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+}
+
+// 进程内共享实例（provider.type 为 mock 时按提供商名称复用）
+const sharedServers = new Map();
+
+/**
+ * 取（必要时启动）提供商对应的进程内模拟服务
+ * @param {Object} provider
+ * @returns {Promise<MockLLMServer>}
+ */
+function getSharedServer(provider = {}) {
+  const key = provider.name || '';
+  if (!sharedServers.has(key)) {
+    const mock = MockLLMServer.fromProvider(provider);
+    const ready = mock.start({ unref: true }).then(() => mock);
+    ready.catch(() => sharedServers.delete(key));
+    sharedServers.set(key, ready);
+  }
+  return sharedServers.get(key);
+}
+
+/**
+ * 读取 fixture 目录：每个文件为单个 fixture 或 fixture 数组，按文件名顺序
+ * fixture: { name?, match?, model?, response: string|Object, usage? }（response 为对象时按 JSON 返回）
+ */
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw configError(`mock fixture 目录不存在: ${dir}`);
+  }
+  const out = [];
+  for (const file of fs.readdirSync(dir).filter((f) => FIXTURE_EXTENSIONS.includes(path.extname(f).toLowerCase())).sort()) {
+    const full = path.join(dir, file);
+    let parsed;
+    try {
+      parsed = yaml.load(fs.readFileSync(full, 'utf8'));
+    } catch (error) {
+      throw configError(`mock fixture 解析失败: ${full} - ${error.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : [parsed];
+    list.forEach((f, i) => out.push(Object.assign({ name: list.length > 1 ? `${file}#${i + 1}` : file }, f)));
+  }
+  return out;
+}
+
+function normalizeFixture(raw, fallbackName) {
+  if (!raw || typeof raw !== 'object' || raw.response === undefined) {
+    throw configError(`mock fixture 缺少 response: ${(raw && raw.name) || fallbackName}`);
+  }
+  return {
+    name: String(raw.name || fallbackName),
+    model: raw.model ? String(raw.model) : null,
+    match: compileMatch(raw.match),
+    text: typeof raw.response === 'string' ? raw.response : JSON.stringify(raw.response),
+    usage: raw.usage || null,
+  };
+}
+
+function normalizeFault(raw, index) {
+  const type = raw && String(raw.type || '').toLowerCase();
+  if (!FAULT_TYPES.includes(type)) {
+    throw configError(`mock 故障${index + 1}的 type 无效: ${raw && raw.type}（可选: ${FAULT_TYPES.join(', ')}）`);
+  }
+  for (const key of ['times', 'after', 'status', 'retry_after', 'delay_ms']) {
+    if (raw[key] !== undefined && !(Number.isFinite(Number(raw[key])) && Number(raw[key]) >= 0)) {
+      throw configError(`mock 故障${index + 1}的 ${key} 须为非负数`);
+    }
+  }
+  return {
+    type,
+    model: raw.model ? String(raw.model) : null,
+    match: compileMatch(raw.match),
+    times: raw.times !== undefined ? Number(raw.times) : null,
+    after: Number(raw.after) || 0,
+    status: raw.status !== undefined ? Number(raw.status) : undefined,
+    retry_after: raw.retry_after !== undefined ? Number(raw.retry_after) : undefined,
+    delay_ms: raw.delay_ms !== undefined ? Number(raw.delay_ms) : undefined,
+    content: raw.content !== undefined ? String(raw.content) : undefined,
+    message: raw.message ? String(raw.message) : undefined,
+    seen: 0,
+  };
+}
+
+/**
+ * match 为普通字符串时按包含匹配；/.../flags 形式按正则匹配
+ */
+function compileMatch(match) {
+  if (match === undefined || match === null || match === '') return null;
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(String(match));
+  if (m) {
+    try {
+      return new RegExp(m[1], m[2]);
+    } catch (error) {
+      throw configError(`mock match 正则无效: ${match} - ${error.message}`);
+    }
+  }
+  return String(match);
+}
+
+function matches(rule, model, prompt) {
+  if (rule.model && rule.model !== model) return false;
+  if (rule.match === null) return true;
+  return typeof rule.match === 'string' ? prompt.includes(rule.match) : rule.match.test(prompt);
+}
+
+function lastUserText(messages) {
+  const user = [...messages].reverse().find((m) => m && m.role === 'user');
+  return user ? contentToText(user.content) : '';
+}
+
+/**
+ * 截断为无效 JSON：取前半段（无 fixture 时使用缺少结尾的 rows 对象）
+ */
+function truncateJson(text) {
+  const base = String(text || '').trim() || '{"rows":[{"字段":"值","备注":"未闭合"}]}';
+  return base.slice(0, Math.max(1, Math.floor(base.length / 2)));
+}
+
+/**
+ * 延迟响应；连接提前关闭时返回 false
+ */
+function hold(res, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(!res.destroyed), ms);
+    timer.unref();
+    res.on('close', () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * 确定性嵌入：字符二元组哈希到 EMBEDDING_DIM 维后 L2 归一化
+ */
+function hashEmbedding(text) {
+  const vec = new Array(EMBEDDING_DIM).fill(0);
+  const chars = Array.from(String(text));
+  const grams = chars.length > 1 ? chars.slice(1).map((c, i) => chars[i] + c) : chars;
+  for (const gram of grams) {
+    let h = 2166136261;
+    for (let i = 0; i < gram.length; i++) h = Math.imul(h ^ gram.charCodeAt(i), 16777619);
+    vec[(h >>> 0) % EMBEDDING_DIM] += 1;
+  }
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    req.on('data', (c) => parts.push(c));
+    req.on('end', () => resolve(Buffer.concat(parts).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function errorBody(message, type, code) {
+  return { error: { message, type, code: code || type } };
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers));
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * SSE 流式响应：内容分 4 段发送，随后是 finish_reason、usage 与 [DONE]
+ */
+function sendStream(res, { id, model, content, usage }) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache' });
+  const chunk = (choices, extra = {}) => `data: ${JSON.stringify(Object.assign({ id, object: 'chat.completion.chunk', model, choices }, extra))}\n\n`;
+  const size = Math.max(1, Math.ceil(content.length / 4));
+  for (let i = 0; i < content.length; i += size) {
+    res.write(chunk([{ index: 0, delta: { content: content.slice(i, i + size) }, finish_reason: null }]));
+  }
+  res.write(chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]));
+  res.write(chunk([], { usage }));
+  res.end('data: [DONE]\n\n');
+}
+
+module.exports = { MockLLMServer, getSharedServer, FAULT_TYPES };
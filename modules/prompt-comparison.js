@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const RunSummary = require('./run-summary');
+const CsvValidator = require('../utils/csv-validator');
+const CsvMetadataUtils = require('../utils/csv-metadata');
+const SimilarityCalculator = require('../utils/similarity');
+
+/**
+ * 提示词版本 / 模型 A/B 对比：同一批输入依次以各变体运行，再逐文件对比产出
+ * - 变体写法：<版本>、<提供商>/<模型> 或 <版本>@<提供商>/<模型>，未写的部分沿用本次运行的默认值
+ * - 目录结构：<输出目录>/<对比ID>/<变体标签>/ 为普通运行目录（含 run_summary.json），
+ *   对比结果写入 <输出目录>/<对比ID>/comparison_summary.json 与 comparison_summary.md
+ * - 逐文件指标：数据行数、Schema 纠错回合、CsvValidator 置信度、与基线（第一个变体）的语义相似度、token 用量
+ */
+const SIMILARITY_MAX_CHARS = 4000; // 相似度只比较 CSV 开头部分，避免长表拖慢计算
+
+class PromptComparison {
+  constructor({ config, logger = console }) {
+    this.config = config;
+    this.logger = logger;
+    this.similarity = null;
+  }
+
+  /**
+   * 解析变体列表
+   * @param {string|string[]} spec - 逗号分隔的字符串或数组
+   * @param {{ modelSel:Object, promptVersion?:string, mode:string }} defaults
+   * @returns {Array<{ label:string, promptVersion:string|undefined, modelSel:Object }>}
+   */
+  static parseVariants(spec, defaults) {
+    const items = (Array.isArray(spec) ? spec : String(spec || '').split(','))
+      .map((s) => String(s).trim())
+      .filter(Boolean);
+    if (items.length < 2) throw compareError('对比至少需要两个变体');
+    const labels = new Set();
+    return items.map((item) => {
+      const at = item.indexOf('@');
+      let version = at >= 0 ? item.slice(0, at) : (item.includes('/') ? '' : item);
+      const modelPart = at >= 0 ? item.slice(at + 1) : (item.includes('/') ? item : '');
+      if (version && defaults.mode !== 'structured') {
+        throw compareError(`经典模式不区分提示词版本，只能对比模型: ${item}`);
+      }
+      let modelSel = defaults.modelSel;
+      if (modelPart) {
+        const slash = modelPart.indexOf('/');
+        if (slash <= 0 || slash === modelPart.length - 1) throw compareError(`变体格式应为 <提供商>/<模型>: ${item}`);
+        modelSel = Object.assign({}, defaults.modelSel, {
+          provider: modelPart.slice(0, slash),
+          model: modelPart.slice(slash + 1),
+          fallbackModels: [],
+        });
+      }
+      version = version || defaults.promptVersion;
+      const base = item.replace(/[<>:"/\\|?*@\s]+/g, '_');
+      let label = base;
+      for (let n = 2; labels.has(label); n++) label = `${base}_${n}`;
+      labels.add(label);
+      return { label, promptVersion: version, modelSel };
+    });
+  }
+
+  /**
+   * 解析变体并检查其模型与提示词版本在配置中存在（无交互与交互式方案运行共用）
+   * @param {string|string[]} spec
+   * @param {{ modelSel:Object, promptVersion?:string, mode:string }} defaults
+   * @param {Object} config
+   * @returns {Array<{ label:string, promptVersion:string|undefined, modelSel:Object }>}
+   */
+  static resolveVariants(spec, defaults, config) {
+    const variants = PromptComparison.parseVariants(spec, defaults);
+    const promptsRoot = config.structured?.prompts_root || './prompts/StructuredFileProcessor';
+    for (const v of variants) {
+      const p = (config.providers || []).find((x) => x.name === v.modelSel.provider);
+      if (!p || !p.models.includes(v.modelSel.model)) throw compareError(`对比变体的模型不存在: ${v.modelSel.provider}/${v.modelSel.model}`);
+      if (defaults.mode === 'structured' && !fs.existsSync(path.join(promptsRoot, v.promptVersion || ''))) {
+        throw compareError(`对比变体的提示词版本不存在: ${path.join(promptsRoot, v.promptVersion || '')}`);
+      }
+    }
+    return variants;
+  }
+
+  /**
+   * 依次运行各变体并生成对比报告
+   * @param {Object} params
+   * @param {Array} params.variants - parseVariants 的结果
+   * @param {string[]} params.inputs
+   * @param {string} params.outputDir - 输出根目录
+   * @param {string} params.mode - classic | structured
+   * @param {Object} [params.options] - 透传给 runBatch 的其他参数（controller、useCache、promptVariables 等）
+   * @param {string} [params.name] - 对比 ID，缺省为 compare_<时间戳>
+   * @returns {Promise<{ compareId:string, compareDir:string, runs:Array, report:Object, reportPath:string }>}
+   */
+  async run({ variants, inputs, outputDir, mode, options = {}, name }) {
+    const compareId = name || `compare_${this.formatLocalTimestamp('Asia/Shanghai')}`;
+    const compareDir = path.join(outputDir, compareId);
+    fs.mkdirSync(compareDir, { recursive: true });
+
+    const runs = [];
+    for (const variant of variants) {
+      if (options.controller && options.controller.isStopped()) break;
+      this.logger.info(`对比变体: ${variant.label}（${variant.promptVersion || '-'} / ${variant.modelSel.provider}/${variant.modelSel.model}）`);
+      const Processor = mode === 'structured' ? require('./structured-file-processor') : require('./file-processor');
+      const processor = new Processor({ config: this.config, logger: this.logger });
+      const runOptions = Object.assign({}, options, { customRunName: variant.label });
+      if (mode === 'structured') runOptions.promptVersion = variant.promptVersion;
+      const result = await processor.runBatch(variant.modelSel, inputs, compareDir, runOptions);
+      if (result.runOutputDir) {
+        try {
+          const summary = new RunSummary({ logger: this.logger });
+          const json = summary.generateSummaryJson({ runId: result.runId, runOutputDir: result.runOutputDir, mode, stats: result, tokenStats: result.tokenStats || null });
+          summary.writeJson(json, result.runOutputDir);
+          summary.writeMarkdown(json, result.runOutputDir);
+        } catch (e) {
+          this.logger.warn('生成运行总结失败：' + e.message);
+        }
+      }
+      runs.push({ variant, result });
+    }
+
+    const report = await this.buildReport(compareId, mode, runs);
+    const reportPath = this.writeJson(report, compareDir);
+    this.writeMarkdown(report, compareDir);
+    return { compareId, compareDir, runs, report, reportPath };
+  }
+
+  /**
+   * 逐文件对比各变体产出
+   */
+  async buildReport(compareId, mode, runs) {
+    const validator = new CsvValidator({ logger: silentLogger(this.logger) });
+    const marker = this.config.output?.metadata_marker || '[META]';
+    const filenames = [];
+    for (const { result } of runs) {
+      for (const f of result.files || []) if (!filenames.includes(f.filename)) filenames.push(f.filename);
+    }
+
+    const files = [];
+    for (const filename of filenames) {
+      const entries = [];
+      for (const { variant, result } of runs) {
+        const record = (result.files || []).find((f) => f.filename === filename) || null;
+        const entry = {
+          variant: variant.label,
+          succeeded: !!(record && record.succeeded),
+          fallback: !!(record && record.fallback),
+          rows: null,
+          repairAttempts: record ? (record.repairAttemptsUsed ?? null) : null,
+          confidence: null,
+          similarity: null,
+          tokens: record && record.tokens ? record.tokens.total : null,
+          error: record ? (record.error || null) : '未运行',
+        };
+        const csvPath = result.runOutputDir && path.join(result.runOutputDir, filename.replace(path.extname(filename), '.csv'));
+        if (entry.succeeded && csvPath && fs.existsSync(csvPath)) {
+          const data = readDataCsv(csvPath, marker);
+          entry.rows = data.rows;
+          entry.csv = data.csv;
+          entry.confidence = round((await validator.validateAndFix(data.csv, filename)).confidence);
+        }
+        entries.push(entry);
+      }
+      // 与基线（第一个变体）的相似度
+      const baseline = entries[0];
+      for (const entry of entries) {
+        if (entry === baseline) {
+          entry.similarity = baseline.csv !== undefined ? 1 : null;
+        } else if (baseline.csv !== undefined && entry.csv !== undefined) {
+          entry.similarity = round(await this.score(baseline.csv, entry.csv));
+        }
+      }
+      entries.forEach((e) => { delete e.csv; });
+      files.push({ filename, variants: entries });
+    }
+
+    const variants = runs.map(({ variant, result }) => {
+      const entries = files.map((f) => f.variants.find((e) => e.variant === variant.label)).filter(Boolean);
+      const ok = entries.filter((e) => e.succeeded);
+      return {
+        variant: variant.label,
+        promptVersion: mode === 'structured' ? variant.promptVersion : null,
+        provider: variant.modelSel.provider,
+        model: variant.modelSel.model,
+        runId: result.runId || null,
+        runOutputDir: result.runOutputDir || null,
+        totals: { total: result.total || 0, succeeded: result.succeeded || 0, failed: result.failed || 0, fallback: result.fallback || 0 },
+        rows: sum(ok.map((e) => e.rows)),
+        repairAttempts: sum(ok.map((e) => e.repairAttempts)),
+        avgConfidence: avg(ok.map((e) => e.confidence)),
+        avgSimilarity: avg(ok.map((e) => e.similarity)),
+        tokens: result.tokenStats ? result.tokenStats.total : null,
+      };
+    });
+
+    return {
+      compareId,
+      mode,
+      baseline: runs.length ? runs[0].variant.label : null,
+      similarityMethod: this.similarity ? this.similarity.method : null,
+      variants,
+      files,
+      generatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * 两份 CSV 的相似度：语义后端不可用时由 SimilarityCalculator 降级为字面相似度
+   */
+  async score(a, b) {
+    if (!this.similarity) this.similarity = new SimilarityCalculator({ config: this.config, logger: this.logger });
+    return this.similarity.calculateSimilarity(a.slice(0, SIMILARITY_MAX_CHARS), b.slice(0, SIMILARITY_MAX_CHARS));
+  }
+
+  writeJson(report, outDir) {
+    const jsonPath = path.join(outDir, 'comparison_summary.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf8');
+    this.logger.info(`📄 对比总结(JSON): ${jsonPath}`);
+    return jsonPath;
+  }
+
+  writeMarkdown(report, outDir) {
+    const mdPath = path.join(outDir, 'comparison_summary.md');
+    const fmt = (v, digits = 2) => (v === null || v === undefined ? '-' : (typeof v === 'number' && !Number.isInteger(v) ? v.toFixed(digits) : String(v)));
+    const lines = [];
+    lines.push(`# 对比总结 - ${report.compareId}`);
+    lines.push('');
+    lines.push(`- 模式: ${report.mode}`);
+    lines.push(`- 基线: ${report.baseline || '-'}（相似度均相对基线${report.similarityMethod ? `，方法 ${report.similarityMethod}` : ''}）`);
+    lines.push('');
+    lines.push('## 变体汇总');
+    lines.push('');
+    lines.push('| 变体 | 提示词版本 | 模型 | 成功/总数 | 行数 | 纠错回合 | 平均置信度 | 平均相似度 | Tokens |');
+    lines.push('|---|---|---|---|---|---|---|---|---|');
+    for (const v of report.variants) {
+      lines.push(`| ${v.variant} | ${v.promptVersion || '-'} | ${v.provider}/${v.model} | ${v.totals.succeeded}/${v.totals.total} | ${fmt(v.rows)} | ${fmt(v.repairAttempts)} | ${fmt(v.avgConfidence)} | ${fmt(v.avgSimilarity)} | ${fmt(v.tokens)} |`);
+    }
+    lines.push('');
+    lines.push('## 逐文件对比');
+    for (const f of report.files) {
+      lines.push('');
+      lines.push(`### ${f.filename}`);
+      lines.push('');
+      lines.push('| 变体 | 结果 | 行数 | 纠错回合 | 置信度 | 相似度 | Tokens |');
+      lines.push('|---|---|---|---|---|---|---|');
+      for (const e of f.variants) {
+        const status = e.succeeded ? (e.fallback ? '🟡 回退' : '✅') : `❌ ${e.error || ''}`;
+        lines.push(`| ${e.variant} | ${status} | ${fmt(e.rows)} | ${fmt(e.repairAttempts)} | ${fmt(e.confidence)} | ${fmt(e.similarity)} | ${fmt(e.tokens)} |`);
+      }
+    }
+    fs.writeFileSync(mdPath, lines.join('\n') + '\n', 'utf8');
+    this.logger.info(`📝 对比总结(Markdown): ${mdPath}`);
+    return mdPath;
+  }
+
+  formatLocalTimestamp(timeZone = 'Asia/Shanghai') {
+    const parts = new Intl.DateTimeFormat('zh-CN', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+    }).formatToParts(new Date()).reduce((acc, p) => {
+      acc[p.type] = p.value;
+      return acc;
+    }, {});
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}-${parts.minute}-${parts.second}`;
+  }
+}
+
+/**
+ * 读取输出 CSV 并去除元数据行，返回数据行数与去除元数据后的 CSV 文本
+ */
+function readDataCsv(csvPath, marker) {
+  const parsed = Papa.parse(fs.readFileSync(csvPath, 'utf8').replace(/^\uFEFF/, ''), { skipEmptyLines: true });
+  const rows = parsed.data.filter((cells) => !CsvMetadataUtils.isMetadataRow(cells, marker));
+  return { rows: Math.max(0, rows.length - 1), csv: Papa.unparse(rows) };
+}
+
+function compareError(message) {
+  return Object.assign(new Error(message), { code: 'CONFIG_ERROR' });
+}
+
+// CsvValidator 逐条输出调试信息，对比时只保留警告与错误
+function silentLogger(logger) {
+  return { info() {}, debug() {}, warn: (...a) => logger.warn(...a), error: (...a) => logger.error(...a) };
+}
+
+function round(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? Math.round(v * 1000) / 1000 : null;
+}
+
+function sum(values) {
+  const nums = values.filter((v) => typeof v === 'number');
+  return nums.length ? nums.reduce((a, b) => a + b, 0) : null;
+}
+
+function avg(values) {
+  const nums = values.filter((v) => typeof v === 'number');
+  return nums.length ? round(nums.reduce((a, b) => a + b, 0) / nums.length) : null;
+}
+
+module.exports = PromptComparison;
@@ -20,6 +20,9 @@ class RunSummary {
       errorStats: stats.errorStats || {},
       files: stats.files || [],
       token: tokenStats || null,
+      cache: stats.cacheStats || null,
+      cassette: stats.cassetteStats || null,
+      failover: stats.failover || null,
       generatedAt: new Date().toISOString(),
     };
     return summary;
@@ -61,13 +64,42 @@ class RunSummary {
       lines.push(`- 平均每请求：${summary.token.averageTokensPerRequest}`);
       lines.push(`- 真实用量记录数：${summary.token.apiResponseCount} | 估算：${summary.token.estimatedCount}`);
     }
+    if (summary.cache && summary.cache.enabled) {
+      const c = summary.cache;
+      lines.push('');
+      lines.push('## 响应缓存');
+      lines.push(`- 命中：${c.hits} | 未命中：${c.misses} | 命中率：${c.hitRate}`);
+      lines.push(`- 新写入：${c.writes} | 本次跳过缓存：${c.bypassed}`);
+    }
+    if (summary.cassette) {
+      const k = summary.cassette;
+      lines.push('');
+      lines.push('## LLM 磁带');
+      lines.push(k.mode === 'replay'
+        ? `- 回放：${k.path}（命中 ${k.replayed} | 未命中 ${k.misses}）`
+        : `- 录制：${k.path}（${k.recorded} 条）`);
+    }
+    if (summary.failover) {
+      const fo = summary.failover;
+      lines.push('');
+      lines.push('## 故障切换');
+      lines.push(`- 模型链：${fo.chain.join(' → ')}（连续 ${fo.failoverAfter} 次失败切换）`);
+      if (fo.events.length) {
+        for (const ev of fo.events) {
+          lines.push(`- ${ev.at}：${ev.from} → ${ev.to || '无可用模型'}（${ev.reason}）`);
+        }
+      } else {
+        lines.push('- 本次运行未发生切换');
+      }
+    }
     if (summary.files && summary.files.length) {
       lines.push('');
       lines.push('## 文件结果');
-      lines.push('| 文件 | 模式 | 成功 | 回退 | 纠错回合 | 错误 |');
-      lines.push('|---|---|---:|---:|---:|---|');
+      lines.push('| 文件 | 模式 | 成功 | 回退 | 纠错回合 | 模型 | 错误 |');
+      lines.push('|---|---|---:|---:|---:|---|---|');
       for (const f of summary.files) {
-        lines.push(`| ${f.filename} | ${f.mode || '-'} | ${f.succeeded ? '✅' : '❌'} | ${f.fallback ? '🟡' : ''} | ${f.repairAttemptsUsed ?? '-'} | ${f.error ? f.error : ''} |`);
+        const models = Array.isArray(f.producedBy) && f.producedBy.length ? f.producedBy.join(', ') : '-';
+        lines.push(`| ${f.filename} | ${f.mode || '-'} | ${f.succeeded ? '✅' : '❌'} | ${f.fallback ? '🟡' : ''} | ${f.repairAttemptsUsed ?? '-'} | ${models} | ${f.error ? f.error : ''} |`);
       }
     }
     fs.writeFileSync(mdPath, lines.join('\n') + '\n', 'utf8');
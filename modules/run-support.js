@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const FileUtils = require('../utils/file-utils');
+const { writeRunManifest, readRunManifest } = require('../utils/run-checkpoint');
+
+/**
+ * 经典 / 结构化处理器共用的运行管理：
+ * - 运行目录与恢复运行清单（run_manifest.json）
+ * - 输入文件收集（恢复运行按清单重建）与顺序清单（inputs_order.json）
+ * - 并发 worker 与硬停止处理
+ */
+
+/**
+ * 解析本次运行的 runId、输出目录与 temp 目录（绝对路径）；恢复运行沿用原清单中的 temp 目录
+ * @param {Object} options - runBatch 的 options（reuseRunOutputDir、fixedRunId、fixedRunOutputDir、customRunName、resume）
+ * @param {string} outputDir
+ * @param {Object} params
+ * @param {Object} params.config
+ * @param {string} params.timestamp - 未指定运行名时的默认 runId
+ * @param {Object} params.logger
+ * @returns {{ runId:string, runOutputDir:string, resumeManifest:Object|null, tempDir:string }}
+ */
+function resolveRunPaths(options, outputDir, { config, timestamp, logger }) {
+  const runId = options.reuseRunOutputDir && options.fixedRunId
+    ? options.fixedRunId
+    : (options.customRunName || timestamp);
+  const runOutputDir = options.reuseRunOutputDir && options.fixedRunOutputDir
+    ? options.fixedRunOutputDir
+    : path.join(outputDir, runId);
+  const resumeManifest = options.resume ? readRunManifest(runOutputDir) : null;
+  if (options.resume && !resumeManifest) {
+    logger.warn(`未找到运行清单，按新运行处理: ${runOutputDir}`);
+  }
+  const tempDir = path.resolve(resumeManifest?.tempDir || config.directories.temp_dir || path.join(path.dirname(outputDir), 'temp'));
+  fs.mkdirSync(runOutputDir, { recursive: true });
+  fs.mkdirSync(tempDir, { recursive: true });
+  return { runId, runOutputDir, resumeManifest, tempDir };
+}
+
+/**
+ * 收集输入文件：恢复运行按清单 files 重建（已不存在的跳过），否则扫描输入路径（目录或单文件）
+ * @param {string[]} inputs
+ * @param {Object|null} resumeManifest
+ * @param {Object} logger
+ * @returns {Promise<Array<{ path:string, name:string, relativePath:string }>>}
+ */
+async function collectRunFiles(inputs, resumeManifest, logger) {
+  const files = [];
+  if (resumeManifest && Array.isArray(resumeManifest.files)) {
+    for (const f of resumeManifest.files) {
+      if (f && f.path && fs.existsSync(f.path)) {
+        files.push({ path: f.path, name: path.basename(f.path), relativePath: f.rel });
+      } else {
+        logger.warn(`恢复运行：输入文件已不存在，跳过: ${f && f.path}`);
+      }
+    }
+    return files;
+  }
+  for (const target of inputs) {
+    try {
+      const stat = fs.statSync(target);
+      if (stat.isDirectory()) {
+        files.push(...(await FileUtils.scanFiles(target)));
+      } else {
+        const rel = path.basename(target);
+        files.push({ path: target, name: rel, size: stat.size, modified: stat.mtime, relativePath: rel });
+      }
+    } catch (_) {
+      logger.warn(`输入无效或无法访问: ${target}`);
+    }
+  }
+  return files;
+}
+
+/**
+ * 写入本次运行的输入顺序清单（用于合并时保持顺序）
+ */
+function writeInputsOrder(runOutputDir, files, logger) {
+  try {
+    const manifestPath = path.join(runOutputDir, 'inputs_order.json');
+    const orderList = files.map((f) => f.relativePath || path.basename(f.path));
+    fs.writeFileSync(manifestPath, JSON.stringify(orderList, null, 2), 'utf8');
+    logger.info(`已写入顺序清单: ${manifestPath}`);
+  } catch (e) {
+    logger.warn(`写入顺序清单失败: ${e.message}`);
+  }
+}
+
+/**
+ * 写入运行开始时的清单（恢复运行时据此重建文件列表与参数）
+ * inputs、tempDir 与 files[].path 均记为绝对路径，从其他工作目录恢复运行时仍指向原文件
+ * @param {string} runOutputDir
+ * @param {Object} data - runId、mode、inputs、tempDir 及各模式的参数
+ * @param {Object} params
+ * @param {Object} params.modelSel
+ * @param {Array} params.files
+ * @param {Map<string, Object>} params.inputMetadata
+ * @param {Object} params.logger
+ */
+function writeStartManifest(runOutputDir, data, { modelSel, files, inputMetadata, logger }) {
+  try {
+    writeRunManifest(runOutputDir, Object.assign({ status: 'running' }, data, {
+      inputs: (data.inputs || []).map((p) => path.resolve(p)),
+      tempDir: path.resolve(data.tempDir),
+      modelSel: { provider: modelSel.provider, model: modelSel.model, fallbackModels: modelSel.fallbackModels, failoverAfter: modelSel.failoverAfter, timeouts: modelSel.timeouts, validation: modelSel.validation },
+      files: files.map((f) => ({ rel: f.relativePath || path.basename(f.path), path: path.resolve(f.path), meta: inputMetadata.get(path.resolve(f.path)) })),
+    }));
+  } catch (e) {
+    logger.warn(`写入运行清单失败: ${e.message}`);
+  }
+}
+
+/**
+ * 运行结束：按是否被停止写入清单状态
+ */
+function writeFinishManifest(runOutputDir, controller) {
+  try {
+    const stopped = !!(controller && controller.isStopped());
+    writeRunManifest(runOutputDir, { status: stopped ? 'stopped' : 'completed', finishedAt: new Date().toISOString() });
+  } catch (_) {}
+}
+
+/**
+ * 启动并发 worker 并等待结束；硬停止时不再等待进行中的任务
+ * @param {Function} worker - async () => void，循环取任务直到队列为空
+ * @param {number} concurrency
+ * @param {Object} [controller] - RunController
+ * @param {Object} logger
+ */
+async function runWorkers(worker, concurrency, controller, logger) {
+  const workers = Array.from({ length: concurrency }).map(() => worker());
+  if (!controller) {
+    await Promise.all(workers);
+    return;
+  }
+  let stoppedEarly = false;
+  let interval = null;
+  await Promise.race([
+    Promise.all(workers),
+    new Promise((resolve) => {
+      interval = setInterval(() => {
+        if (controller.isHardStopped()) {
+          stoppedEarly = true;
+          resolve('stop');
+        }
+      }, 100);
+    })
+  ]);
+  clearInterval(interval);
+  if (stoppedEarly) {
+    logger.warn(chalk.yellow('硬停止触发：跳过等待剩余任务'));
+  }
+}
+
+module.exports = {
+  resolveRunPaths,
+  collectRunFiles,
+  writeInputsOrder,
+  writeStartManifest,
+  writeFinishManifest,
+  runWorkers,
+};
@@ -1,16 +1,24 @@
 const chalk = require('chalk');
 const SimilarityCalculator = require('../utils/similarity');
 const CsvValidator = require('../utils/csv-validator');
+const OutputSchema = require('../utils/output-schema');
 
 /**
  * 增强语义校验系统 - 多样本语义校验与智能决策
  * 提供位置级内容比较、智能投票算法和详细决策日志
  */
 class SemanticValidator {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - 完整配置（相似度后端见 config.similarity）
+   * @param {SimilarityCalculator} [options.similarityCalculator] - 复用调用方的相似度计算器
+   */
   constructor(options = {}) {
     this.logger = options.logger || console;
-    this.similarityCalculator = new SimilarityCalculator();
-    this.csvValidator = new CsvValidator({ logger: this.logger });
+    this.similarityCalculator = options.similarityCalculator
+      || new SimilarityCalculator({ config: options.config, logger: this.logger });
+    this.outputSchema = options.outputSchema || OutputSchema.default();
+    this.csvValidator = new CsvValidator({ logger: this.logger, outputSchema: this.outputSchema });
     
     // 校验配置
     this.config = {
@@ -28,6 +36,15 @@ class SemanticValidator {
     this.validationLog = [];
   }
 
+  /**
+   * 切换输出表结构（列用于逐单元格比较，答案列用于完整性评分）
+   * @param {OutputSchema} outputSchema
+   */
+  setOutputSchema(outputSchema) {
+    this.outputSchema = outputSchema || OutputSchema.default();
+    this.csvValidator.setOutputSchema(this.outputSchema);
+  }
+
   /**
    * 主要校验入口 - 多样本语义校验
    * @param {string[]} samples - 多个LLM回复样本
@@ -49,6 +66,7 @@ class SemanticValidator {
       validSamples: [],
       invalidSamples: [],
       similarityMatrix: [],
+      similarity: null,
       selectedSample: null,
       confidence: 0,
       decisionLog: [],
@@ -68,6 +86,7 @@ class SemanticValidator {
 
       // 2. 计算相似度矩阵
       validationResult.similarityMatrix = await this.calculateSimilarityMatrix(preprocessed.valid);
+      validationResult.similarity = this.similarityCalculator.getStatus();
 
       // 3. 位置级内容比较
       const positionComparison = await this.performPositionLevelComparison(preprocessed.valid);
@@ -76,7 +95,8 @@ class SemanticValidator {
       const votingResult = await this.performIntelligentVoting(
         preprocessed.valid, 
         validationResult.similarityMatrix,
-        positionComparison
+        positionComparison,
+        validationResult.similarity
       );
 
       validationResult.selectedSample = votingResult.winner;
@@ -165,29 +185,8 @@ class SemanticValidator {
    * 计算相似度矩阵
    */
   async calculateSimilarityMatrix(validSamples) {
-    const matrix = [];
-    const contents = validSamples.map(s => s.content);
-
-    // 使用现有的批量相似度计算
-    const similarities = await this.similarityCalculator.calculateBatchSimilarity(contents);
-    
-    // 转换为矩阵格式
-    let index = 0;
-    for (let i = 0; i < validSamples.length; i++) {
-      matrix[i] = [];
-      for (let j = 0; j < validSamples.length; j++) {
-        if (i === j) {
-          matrix[i][j] = 1.0;
-        } else if (i < j) {
-          matrix[i][j] = similarities[index].similarity;
-          index++;
-        } else {
-          matrix[i][j] = matrix[j][i]; // 矩阵对称
-        }
-      }
-    }
-
-    return matrix;
+    // 每个样本只嵌入一次（批量 + 缓存），再两两求余弦
+    return this.similarityCalculator.calculateSimilarityMatrix(validSamples.map(s => s.content));
   }
 
   /**
@@ -211,7 +210,7 @@ class SemanticValidator {
     
     for (let row = 0; row < maxRows; row++) {
       comparison.cellMatches[row] = {};
-      const fields = ['编号', '问题', '答案', '答题人', '专业'];
+      const fields = this.outputSchema.columns;
       
       for (const field of fields) {
         const cellValues = [];
@@ -245,7 +244,7 @@ class SemanticValidator {
   /**
    * 智能投票算法 - 综合多维度评分
    */
-  async performIntelligentVoting(validSamples, similarityMatrix, positionComparison) {
+  async performIntelligentVoting(validSamples, similarityMatrix, positionComparison, similarityStatus = null) {
     const decisionLog = [];
     const scores = validSamples.map((sample, idx) => ({
       sampleIndex: idx,
@@ -273,10 +272,11 @@ class SemanticValidator {
     // 2. 内容完整性评分 (30%) 
     decisionLog.push("\n=== 内容完整性评分 ===");
     const maxRowCount = Math.max(...validSamples.map(s => s.csvData ? s.csvData.length : 0));
+    const answerField = this.outputSchema.answerColumn;
     validSamples.forEach((sample, idx) => {
       const rowCount = sample.csvData ? sample.csvData.length : 0;
       const avgAnswerLength = sample.csvData ? 
-        sample.csvData.reduce((sum, row) => sum + (row['答案'] || '').length, 0) / Math.max(rowCount, 1) : 0;
+        sample.csvData.reduce((sum, row) => sum + (row[answerField] || '').length, 0) / Math.max(rowCount, 1) : 0;
       
       const completenessScore = (rowCount / maxRowCount) * 0.7 + 
                                Math.min(avgAnswerLength / 100, 1) * 0.3;
@@ -292,6 +292,11 @@ class SemanticValidator {
 
     // 3. 语义相似度评分 (20%)
     decisionLog.push("\n=== 语义相似度评分 ===");
+    if (similarityStatus && similarityStatus.method === 'lexical') {
+      decisionLog.push(similarityStatus.degraded
+        ? `⚠️ 已降级为字面相似度（编辑距离 + 字符 Jaccard）: ${similarityStatus.reason}`
+        : '相似度后端为 lexical：使用字面相似度（编辑距离 + 字符 Jaccard）');
+    }
     validSamples.forEach((sample, idx) => {
       const similarities = similarityMatrix[idx];
       const avgSimilarity = similarities.reduce((sum, sim, i) => 
@@ -407,6 +412,15 @@ class SemanticValidator {
       });
     }
 
+    // 语义相似度降级
+    if (validationResult.similarity && validationResult.similarity.degraded) {
+      recommendations.push({
+        type: 'similarity_degraded',
+        message: `语义相似度不可用，相似度评分已改用字面相似度: ${validationResult.similarity.reason}`,
+        priority: 'medium'
+      });
+    }
+
     // 基于样本数量的建议
     if (validationResult.validSamples.length < this.config.minSamples) {
       recommendations.push({
@@ -489,6 +503,7 @@ class SemanticValidator {
       } : null,
       decisionLog: validationResult.decisionLog,
       recommendations: validationResult.recommendations,
+      similarity: validationResult.similarity,
       similarityMatrix: validationResult.similarityMatrix
     };
 
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const TextSplitter = require('../utils/text-splitter');
+const CsvMerger = require('../utils/csv-merger');
+const { DEFAULT_RECIPES_DIR, loadRecipe, resolveRecipePath } = require('../utils/split-recipe');
+
+/**
+ * 分割 → 批处理流水线：按配方把源文本分割为片段，片段直接作为 FileProcessor / StructuredFileProcessor 的输入
+ * - 片段写入暂存目录 <staging>/<源文件名>/NNNN_<路径>.txt，序号保证处理与合并顺序与原文一致
+ * - 片段的层级路径（result.path）与各层级匹配/捕获组作为 inputMetadata 写入对应 CSV 的元数据行：
+ *   split_recipe, split_source, split_seq, split_path, split_level<N>, split_groups<N>（N 为层级序号，从 1 开始）
+ * - 运行结束后可按元数据展开列合并为一张表（mergeRun），便于按章节分组
+ */
+const SEGMENT_NAME_MAX = 60;
+
+class SplitPipeline {
+  constructor({ config = {}, logger = console } = {}) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * 按名称（text_splitter.recipes_dir 下）或路径加载配方
+   * @param {string} nameOrPath
+   */
+  loadRecipe(nameOrPath) {
+    const recipesDir = this.config.text_splitter?.recipes_dir || DEFAULT_RECIPES_DIR;
+    const recipePath = resolveRecipePath(nameOrPath, recipesDir);
+    if (!recipePath) {
+      throw Object.assign(new Error(`未找到分割配方: ${nameOrPath}`), { code: 'RECIPE_INVALID' });
+    }
+    return loadRecipe(recipePath);
+  }
+
+  /**
+   * 分割源文件并写出片段
+   * @param {string[]} sources - 源文本文件
+   * @param {Object} recipe - loadRecipe 的结果
+   * @param {string} [stagingDir] - 片段暂存目录，缺省为 <temp_dir>/split/<时间戳>
+   * @returns {{ stagingDir:string, inputs:string[], inputMetadata:Object<string, Object>, sources:Array<{source:string, segments:number}>, segments:number }}
+   */
+  stage(sources, recipe, stagingDir) {
+    const root = stagingDir || path.join(
+      this.config.directories?.temp_dir || './data/temp',
+      'split',
+      new Date().toISOString().replace(/[:.]/g, '-')
+    );
+    const inputMetadata = {};
+    const summary = [];
+    const usedDirs = new Set();
+    let total = 0;
+
+    for (const source of sources) {
+      const splitter = new TextSplitter();
+      splitter.applyRecipe(recipe);
+      splitter.sourceContent = fs.readFileSync(source, 'utf-8');
+      const results = splitter.splitText().filter(r => r.content);
+
+      // 同名源文件写入不同子目录
+      const base = path.basename(source, path.extname(source));
+      let dirName = base;
+      for (let n = 2; usedDirs.has(dirName); n++) dirName = `${base}_${n}`;
+      usedDirs.add(dirName);
+      const dir = path.join(root, dirName);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const width = Math.max(4, String(results.length).length);
+      results.forEach((result, i) => {
+        const seq = i + 1;
+        const label = safeSegmentName(result.path || base);
+        const filePath = path.join(dir, `${String(seq).padStart(width, '0')}_${label}.txt`);
+        fs.writeFileSync(filePath, result.content, 'utf-8');
+        inputMetadata[path.resolve(filePath)] = this.buildSegmentMeta(recipe, source, seq, result);
+      });
+      summary.push({ source, segments: results.length });
+      total += results.length;
+      this.logger.info(`分割: ${source} → ${results.length} 个片段（配方 ${recipe.name}）`);
+    }
+
+    return { stagingDir: root, inputs: [root], inputMetadata, sources: summary, segments: total };
+  }
+
+  /**
+   * 单个片段的元数据
+   */
+  buildSegmentMeta(recipe, source, seq, result) {
+    const meta = {
+      split_recipe: recipe.name,
+      split_source: path.basename(source),
+      split_seq: seq,
+      split_path: result.path,
+    };
+    for (const m of result.matches) {
+      const n = m.levelIndex + 1;
+      meta[`split_level${n}`] = String(m.match).trim();
+      const groups = (m.groups || []).filter(g => g !== undefined);
+      if (groups.length) meta[`split_groups${n}`] = groups.join('|');
+    }
+    return meta;
+  }
+
+  /**
+   * 合并时展开为列的元数据字段：split_path 与各层级匹配文本（列名取层级名称）
+   * @param {Object} recipe
+   */
+  static metaColumns(recipe) {
+    return [
+      { key: 'split_source', header: 'split_source' },
+      { key: 'split_path', header: 'split_path' },
+      ...recipe.levels.map((level, i) => ({ key: `split_level${i + 1}`, header: level.name })),
+    ];
+  }
+
+  /**
+   * 按输入顺序合并运行产出的 CSV，并把分割元数据展开为每行的追加列
+   * @param {string} runOutputDir
+   * @param {Object} recipe
+   * @param {Object} [options]
+   * @param {string} [options.outName='merged_split.csv']
+   * @param {string} [options.keyColumn] - 连续重编号的主键列（运行结果的 keyColumn）
+   * @returns {Promise<string|null>} 合并文件路径（无可合并文件时为 null）
+   */
+  async mergeRun(runOutputDir, recipe, { outName = 'merged_split.csv', keyColumn } = {}) {
+    const orderPath = path.join(runOutputDir, 'inputs_order.json');
+    if (!fs.existsSync(orderPath)) return null;
+    const order = JSON.parse(fs.readFileSync(orderPath, 'utf8'));
+    const csvFiles = order
+      .map(rel => path.join(runOutputDir, rel.replace(path.extname(rel), '.csv')))
+      .filter(p => fs.existsSync(p));
+    if (!csvFiles.length) return null;
+
+    const merger = new CsvMerger(this.logger);
+    const marker = this.config.output?.metadata_marker || '[META]';
+    const rows = await merger.mergeCsvFilesToRows(csvFiles, { metaColumns: SplitPipeline.metaColumns(recipe), marker, keyColumn });
+    const outPath = path.join(runOutputDir, outName);
+    if (!(await merger.writeMergedCsv(rows, outPath))) return null;
+    this.logger.info(`已按分割路径合并: ${outPath}（${rows.length - 1} 行）`);
+    return outPath;
+  }
+}
+
+/**
+ * 片段文件名：层级路径去除文件名非法字符并截断
+ */
+function safeSegmentName(name) {
+  const safe = String(name).replace(/[<>:"/\\|?*\r\n\t]/g, '_').trim();
+  return (safe.length > SEGMENT_NAME_MAX ? safe.slice(0, SEGMENT_NAME_MAX) : safe) || 'segment';
+}
+
+module.exports = SplitPipeline;
@@ -4,12 +4,22 @@ const chalk = require('chalk');
 const FileUtils = require('../utils/file-utils');
 const CsvValidator = require('../utils/csv-validator');
 const SemanticValidator = require('./semantic-validator');
+const SimilarityCalculator = require('../utils/similarity');
 const LLMClient = require('./llm-client');
 const TokenCounter = require('../utils/token-counter');
 const JsonSchemaValidator = require('./json-schema-validator');
 const JsonUtils = require('../utils/json-utils');
 const { ErrorClassifier, ErrorReporter } = require('../utils/errors');
 const CsvMetadataUtils = require('../utils/csv-metadata');
+const { buildInputMetadata } = require('../utils/run-checkpoint');
+const { resolveRunPaths, collectRunFiles, writeInputsOrder, writeStartManifest, writeFinishManifest, runWorkers } = require('./run-support');
+const ResponseCache = require('../utils/response-cache');
+const { LLMCassette, RUN_ID_PLACEHOLDER } = require('../utils/llm-cassette');
+const { ModelFailover } = require('../utils/model-failover');
+const OutputSchema = require('../utils/output-schema');
+const { TextChunker, stitchChunkCsvs, formatChunkIndex } = require('../utils/text-chunker');
+const { renderTemplate, buildTemplateVariables } = require('../utils/prompt-template');
+const FewShotExamples = require('../utils/few-shot-examples');
 
 /**
  * 结构化文件处理器：LLM 输出 JSON(rows) → 本地校验/修复 → CSV → 进入现有校验/语义一致性
@@ -18,30 +28,34 @@ class StructuredFileProcessor {
   constructor({ config, logger = console }) {
     this.config = config;
     this.logger = logger;
-    this.client = new LLMClient({ providers: config.providers, retry: config.retry });
+    this.responseCache = ResponseCache.fromConfig(config);
+    this.client = new LLMClient({ providers: config.providers, retry: config.retry, cache: this.responseCache, logger });
     this.csvValidator = new CsvValidator({ logger });
-    this.semanticValidator = new SemanticValidator({ logger, similarityThreshold: config.validation?.similarity_threshold || 0.8 });
+    this.similarity = new SimilarityCalculator({ config, logger });
+    this.semanticValidator = new SemanticValidator({
+      logger,
+      similarityCalculator: this.similarity,
+      similarityThreshold: config.validation?.similarity_threshold || 0.8
+    });
     this.tokenCounter = new TokenCounter();
     if (config.token_tracking?.save_token_logs && config.token_tracking?.log_file) {
       this.tokenCounter.setLogFile(config.token_tracking.log_file);
     }
 
     this.schemaValidator = new JsonSchemaValidator({ logger });
+    this.outputSchema = OutputSchema.default();
   }
 
   /**
    * 主入口：并发处理目录/文件（与经典处理器返回结构保持一致）
    */
   async runBatch(modelSel, input, outputDir, options = {}) {
-    const runId = options.reuseRunOutputDir && options.fixedRunId
-      ? options.fixedRunId
-      : (options.customRunName || this._formatLocalTimestamp('Asia/Shanghai'));
-    const runOutputDir = options.reuseRunOutputDir && options.fixedRunOutputDir
-      ? options.fixedRunOutputDir
-      : path.join(outputDir, runId);
-    const tempRoot = this.config.directories.temp_dir || path.join(path.dirname(outputDir), 'temp');
-    this._ensureDir(runOutputDir);
-    this._ensureDir(tempRoot);
+    // 恢复运行：沿用原清单中的 temp 目录与文件列表，已写出 CSV 的文件跳过
+    const { runId, runOutputDir, resumeManifest, tempDir: tempRoot } = resolveRunPaths(options, outputDir, {
+      config: this.config,
+      timestamp: this._formatLocalTimestamp('Asia/Shanghai'),
+      logger: this.logger,
+    });
 
     // 保存上下文（供元数据行使用）
     this._currentRunContext = {
@@ -50,38 +64,45 @@ class StructuredFileProcessor {
       modelSel,
       promptVersion: options.promptVersion,
       timestamp: new Date().toISOString(),
+      useCache: options.useCache !== false,
+      inputMetadata: buildInputMetadata(options.inputMetadata, resumeManifest), // 绝对路径 -> 附加元数据（如分割路径）
+      promptVariables: options.promptVariables || resumeManifest?.promptVariables || {}, // 提示词模板的自定义变量
     };
+    // 故障切换链在整个运行内共享（含纠错回合与回退经典模式）
+    this._failover = new ModelFailover(modelSel, { failoverAfter: this.config.failover?.failover_after, logger: this.logger });
+    // 请求录制/回放（回退经典模式的请求同样经过）
+    this.client.cassette = LLMCassette.forRun({
+      record: options.record ?? resumeManifest?.record ?? this.config.cassette?.record === true,
+      replay: options.replay,
+      runOutputDir,
+      runId,
+      logger: this.logger,
+    });
 
     const inputs = Array.isArray(input) ? input : [input];
-    const files = [];
-    for (const target of inputs) {
-      try {
-        const stat = fs.statSync(target);
-        if (stat.isDirectory()) {
-          const list = await FileUtils.scanFiles(target, ['.txt', '.md', '.docx']);
-          files.push(...list);
-        } else {
-          const rel = path.basename(target);
-          files.push({ path: target, name: rel, size: stat.size, modified: stat.mtime, relativePath: rel });
-        }
-      } catch {
-        this.logger.warn(`输入无效或无法访问: ${target}`);
-      }
-    }
+    const files = await collectRunFiles(inputs, resumeManifest, this.logger);
     if (files.length === 0) return { total: 0, succeeded: 0, failed: 0 };
-
-    // 写入本次运行的输入顺序清单（用于合并时保持顺序）
-    try {
-      const manifestPath = path.join(runOutputDir, 'inputs_order.json');
-      const orderList = files.map((f) => f.relativePath || path.basename(f.path));
-      fs.writeFileSync(manifestPath, JSON.stringify(orderList, null, 2), 'utf8');
-      this.logger.info(`已写入顺序清单: ${manifestPath}`);
-    } catch (e) {
-      this.logger.warn(`写入顺序清单失败: ${e.message}`);
-    }
+    writeInputsOrder(runOutputDir, files, this.logger);
 
     const promptVersion = options.promptVersion || this.config.structured?.default_prompt_version || 'v1.0';
     const maxRepairAttempts = Math.max(0, Math.min(3, Number(options.repairAttempts ?? this.config.structured?.max_repair_attempts ?? 2)));
+    const fewShotCount = Math.max(0, Math.min(10, Number(options.fewShotCount ?? resumeManifest?.fewShotCount ?? this.config.structured?.few_shot_count ?? 2) || 0));
+    this._applyOutputSchema(promptVersion);
+    const chunker = TextChunker.fromConfig(this.config, modelSel.model, resumeManifest ? (resumeManifest.chunking || { enabled: false }) : null);
+
+    // 写入运行清单（恢复运行时据此重建文件列表与参数）
+    writeStartManifest(runOutputDir, {
+      runId,
+      mode: 'structured',
+      inputs,
+      tempDir: tempRoot,
+      promptVersion,
+      repairAttempts: maxRepairAttempts,
+      fewShotCount,
+      chunking: chunker ? { enabled: true, maxTokens: chunker.maxTokens } : { enabled: false },
+      promptVariables: this._currentRunContext.promptVariables,
+      record: this.client.cassette?.mode === 'record',
+    }, { modelSel, files, inputMetadata: this._currentRunContext.inputMetadata, logger: this.logger });
 
     // 构建任务并发执行（统一一起发送，而非逐个分批）
     const concurrency = Math.max(1, this.config.concurrency?.max_concurrent_requests || 1);
@@ -103,11 +124,19 @@ class StructuredFileProcessor {
         const tempDir = path.join(tempRoot, runId, path.dirname(rel));
         this._ensureDir(tempDir);
         let record = { filename: rel, mode: 'structured', succeeded: false, fallback: false, error: null };
+        if (options.resume && fs.existsSync(outPath)) {
+          record.succeeded = true;
+          record.resumed = true;
+          stats.succeeded++;
+          stats.files.push(record);
+          if (options?.controller) options.controller.updateTask(current.taskId, { stage: 'done' });
+          continue;
+        }
         try {
-          const content = await FileUtils.readFile(file.path);
+          const content = await FileUtils.readFile(file.path, FileUtils.readerOptions(this.config, outPath));
           if (options?.controller) options.controller.updateTask(current.taskId, { stage: 'running' });
           if (options?.controller && options.controller.isHardStopped()) throw Object.assign(new Error('用户停止(硬)'), { code: 'USER_ABORT' });
-          const { finalCsv, repairAttemptsUsed, validationErrors } = await this._processOneFile({ modelSel, content, filename: rel, tempDir, promptVersion, maxRepairAttempts });
+          const { finalCsv, repairAttemptsUsed, validationErrors, producedBy, chunks, fewShot, tokens } = await this._processChunked({ chunker, modelSel, content, filename: rel, filePath: file.path, tempDir, promptVersion, maxRepairAttempts, fewShotCount });
           // 若返回时已硬停止，则丢弃结果并按取消处理
           if (options?.controller && options.controller.isHardStopped()) {
             this.logger.warn(chalk.yellow(`已硬停止，丢弃结果: ${rel}`));
@@ -117,7 +146,9 @@ class StructuredFileProcessor {
           const wantMeta = (typeof this.config?.output?.add_metadata_row === 'boolean') ? this.config.output.add_metadata_row : true;
           let toWrite = finalCsv;
           if (wantMeta) {
-            const metaString = this._buildMetaString(file.path || '', repairAttemptsUsed, promptVersion);
+            const chunkMeta = chunks ? { chunks: chunks.length, chunk_index: formatChunkIndex(chunks) } : {};
+            if (fewShot && fewShot.length) chunkMeta.few_shot = fewShot.join('|');
+            const metaString = this._buildMetaString(file.path || '', repairAttemptsUsed, promptVersion, producedBy, chunkMeta);
             const CsvMeta = require('../utils/csv-metadata');
             toWrite = CsvMeta.prependMetadataRowToCsv(finalCsv, metaString);
           }
@@ -125,6 +156,10 @@ class StructuredFileProcessor {
           this.logger.info(chalk.green(`✅ 写出CSV: ${outPath}`));
           record.succeeded = true;
           record.repairAttemptsUsed = repairAttemptsUsed;
+          record.producedBy = producedBy;
+          if (chunks) record.chunks = chunks.length;
+          if (fewShot && fewShot.length) record.fewShot = fewShot;
+          record.tokens = { input: tokens.input, output: tokens.output, total: tokens.input + tokens.output };
           record.validationErrors = validationErrors || [];
           stats.succeeded++;
           if (options?.controller) options.controller.updateTask(current.taskId, { stage: 'done' });
@@ -132,13 +167,19 @@ class StructuredFileProcessor {
           if (options?.controller) options.controller.updateTask(current.taskId, { stage: 'done' });
           record.error = e.message;
           this.logger.warn(chalk.yellow(`结构化模式失败: ${rel} - ${e.message}`));
-          if (!(options?.controller && options.controller.isStopped()) && this.config.processing?.allow_fallback && (this.config.processing?.fallback_mode === 'classic')) {
+          // 无法读取的文件回退经典模式同样无法读取，直接归档
+          const unreadable = e && e.code === 'UNSUPPORTED_FILE';
+          if (!unreadable && !(options?.controller && options.controller.isStopped()) && this.config.processing?.allow_fallback && (this.config.processing?.fallback_mode === 'classic')) {
             try {
               const FileProcessor = require('./file-processor');
               const classic = new FileProcessor({ config: this.config, logger: this.logger });
-              await classic.processSingleFile(modelSel, { path: file.path, relativePath: rel }, path.dirname(file.path), runOutputDir, tempRoot);
+              classic.failover = this._failover;
+              classic.client.cassette = this.client.cassette;
+              classic.currentRunContext = { runId, inputMetadata: this._currentRunContext.inputMetadata, promptVariables: this._currentRunContext.promptVariables };
+              const fallbackResult = await classic.processSingleFile(modelSel, { path: file.path, relativePath: rel }, path.dirname(file.path), runOutputDir, tempRoot);
               this.logger.info(chalk.green(`🔁 已回退经典模式成功: ${rel}`));
               record.fallback = true;
+              record.producedBy = fallbackResult && fallbackResult.producedBy;
               stats.fallback++;
               stats.succeeded++;
             } catch (ee) {
@@ -158,12 +199,13 @@ class StructuredFileProcessor {
                 mode: 'structured',
                 provider: modelSel?.provider,
                 model: modelSel?.model,
+                requestAttempts: ee.attempts || e.attempts,
               });
             }
           } else {
             stats.failed++;
             // 归档结构化失败（一般为 parse/validation）
-            const stage = (e && e.code === 'USER_ABORT') ? 'cancel' : 'validation';
+            const stage = (e && e.code === 'USER_ABORT') ? 'cancel' : unreadable ? 'read' : 'validation';
             const info = classifier.classify(e, { stage });
             reporter.addRecord({
               filename: rel,
@@ -176,6 +218,7 @@ class StructuredFileProcessor {
               mode: 'structured',
               provider: modelSel?.provider,
               model: modelSel?.model,
+              requestAttempts: e.attempts,
             });
           }
         }
@@ -183,75 +226,116 @@ class StructuredFileProcessor {
       }
     };
 
-    const workers = Array.from({ length: concurrency }).map(() => worker());
-    if (options?.controller) {
-      let stoppedEarly = false;
-      await Promise.race([
-        Promise.all(workers),
-        new Promise((resolve) => {
-          const interval = setInterval(() => {
-            if (options.controller.isHardStopped()) {
-              clearInterval(interval);
-              stoppedEarly = true;
-              resolve('stop');
-            }
-          }, 100);
-        })
-      ]);
-      if (stoppedEarly) {
-        this.logger.warn(chalk.yellow('硬停止触发：跳过等待剩余任务'));
-      }
-    } else {
-      await Promise.all(workers);
-    }
+    await runWorkers(worker, concurrency, options?.controller, this.logger);
+    writeFinishManifest(runOutputDir, options?.controller);
 
     const tokenStats = this.tokenCounter.getTokenStats();
+    const cacheStats = this.responseCache.getStats();
+    const cassetteStats = this.client.cassette ? this.client.cassette.getStats() : null;
+    const failover = this._failover.enabled ? this._failover.getSummary() : null;
     const manifest = reporter.finalize();
     const errorStats = manifest ? manifest.byType : {};
-    return { total: stats.total, succeeded: stats.succeeded, failed: stats.failed, fallback: stats.fallback, files: stats.files, runId, runOutputDir, tokenStats, errorStats };
+    return { total: stats.total, succeeded: stats.succeeded, failed: stats.failed, fallback: stats.fallback, files: stats.files, runId, runOutputDir, keyColumn: this.outputSchema.keyColumn, tokenStats, errorStats, cacheStats, cassetteStats, failover };
+  }
+
+  /**
+   * 超出 token 预算的文件逐块走结构化流程，再拼接 CSV（主键列连续重编号）
+   * @returns {Promise<Object>} 与 _processOneFile 相同，分块时额外返回 chunks（各块行区间）
+   */
+  async _processChunked({ chunker, modelSel, content, filename, filePath, tempDir, promptVersion, maxRepairAttempts, fewShotCount = 0 }) {
+    const pieces = chunker ? chunker.split(content) : [];
+    if (pieces.length <= 1) {
+      return this._processOneFile({ modelSel, content, filename, filePath, tempDir, promptVersion, maxRepairAttempts, fewShotCount });
+    }
+    this.logger.info(`分块: ${filename} 约 ${chunker.count(content)} tokens，切分为 ${pieces.length} 块（每块上限 ${chunker.maxTokens}）`);
+    const csvTexts = [];
+    const producedBy = new Set();
+    const validationErrors = [];
+    const fewShot = new Set();
+    const tokens = { input: 0, output: 0 };
+    let repairAttemptsUsed = 0;
+    for (const piece of pieces) {
+      const res = await this._processOneFile({ modelSel, content: piece.text, filename, filePath, tempDir, promptVersion, maxRepairAttempts, fewShotCount, chunk: piece });
+      csvTexts.push(res.finalCsv);
+      res.producedBy.forEach((m) => producedBy.add(m));
+      res.fewShot.forEach((n) => fewShot.add(n));
+      tokens.input += res.tokens.input;
+      tokens.output += res.tokens.output;
+      validationErrors.push(...(res.validationErrors || []));
+      repairAttemptsUsed += res.repairAttemptsUsed;
+    }
+    const { csv, ranges } = stitchChunkCsvs(csvTexts, this.outputSchema);
+    return { finalCsv: csv, repairAttemptsUsed, validationErrors, producedBy: [...producedBy], chunks: ranges, fewShot: [...fewShot], tokens };
   }
 
-  async _processOneFile({ modelSel, content, filename, tempDir, promptVersion, maxRepairAttempts }) {
-    // 1) 构造 messages
+  /**
+   * 单个文件（或分块）的结构化处理：请求 → 解析/Schema 校验 → 纠错回合 → CSV
+   * @param {string} [params.filePath] - 输入文件路径，用于提示词模板变量
+   * @param {number} [params.fewShotCount] - 注入的 few-shot 示例数（版本目录 examples/ 下按相似度选取）
+   * @param {Object} [params.chunk] - 分块处理时的块信息 { index, total }，用于区分中间文件与日志
+   */
+  async _processOneFile({ modelSel, content, filename, filePath = null, tempDir, promptVersion, maxRepairAttempts, fewShotCount = 0, chunk = null }) {
+    // 1) 构造 messages（系统/纠错提示词按文件渲染模板变量）
     const promptsRoot = this.config.structured?.prompts_root || './prompts/StructuredFileProcessor';
     const systemPath = path.join(promptsRoot, promptVersion, 'system.rows.md');
     const repairPath = path.join(promptsRoot, promptVersion, 'repair.rows.md');
-    const schemaPath = path.join(promptsRoot, promptVersion, 'rows.schema.json');
-    const systemPrompt = fs.existsSync(systemPath) ? fs.readFileSync(systemPath, 'utf8') : '仅返回形如 {"rows": [...]} 的JSON';
+    const templateVars = this._templateVariablesFor(filePath || filename, filename, chunk);
+    // 录制/回放按模板匹配：运行 ID 保留为占位符，换运行目录回放仍能命中
+    const cassetteVars = this._templateVariablesFor(filePath || filename, filename, chunk, RUN_ID_PLACEHOLDER);
+    const systemTemplate = fs.existsSync(systemPath) ? fs.readFileSync(systemPath, 'utf8') : '仅返回形如 {"rows": [...]} 的JSON';
+    const systemPrompt = renderTemplate(systemTemplate, templateVars);
     // 延迟加载版本内 Schema
-    if (fs.existsSync(schemaPath)) {
-      try { this.schemaValidator.loadSchema(schemaPath); } catch (e) { this.logger.warn(`加载版本Schema失败: ${e.message}`); }
-    } else {
-      // 回退到全局 schema_path（兼容旧配置）
-      const globalSchema = this.config.structured?.schema_path;
-      if (globalSchema && fs.existsSync(globalSchema)) {
-        try { this.schemaValidator.loadSchema(globalSchema); } catch (e) { this.logger.warn(`加载全局Schema失败: ${e.message}`); }
-      }
+    const schemaPath = this._resolveSchemaPath(promptVersion);
+    if (schemaPath) {
+      try { this.schemaValidator.loadSchema(schemaPath); } catch (e) { this.logger.warn(`加载Schema失败: ${schemaPath} - ${e.message}`); }
+    }
+
+    // few-shot 示例：作为 user/assistant 轮次插在系统提示词之后
+    const label = chunk ? `${filename} (分块 ${chunk.index + 1}/${chunk.total})` : filename;
+    const examples = fewShotCount > 0 ? await this._fewShotExamples(promptVersion).select(content, fewShotCount) : [];
+    if (examples.length) {
+      this.logger.info(`few-shot: ${label} 使用示例 ${examples.map((ex) => ex.name).join(', ')}`);
     }
 
     const messages = [
       { role: 'system', content: systemPrompt },
+      ...FewShotExamples.toMessages(examples),
       { role: 'user', content }
     ];
+    const cassetteMessages = [{ role: 'system', content: renderTemplate(systemTemplate, cassetteVars) }, ...messages.slice(1)];
 
     // 2) 请求
-    this.logger.info(`发送中: ${filename} -> ${modelSel.provider}/${modelSel.model}`);
-    const { text, raw } = await this.client.chatCompletion({
-      providerName: modelSel.provider,
-      model: modelSel.model,
+    const failover = this._failover || new ModelFailover(modelSel, { failoverAfter: this.config.failover?.failover_after, logger: this.logger });
+    const producedBy = new Set();
+    const target = failover.current() || modelSel;
+    this.logger.info(`发送中: ${label} -> ${target.provider}/${target.model}`);
+    const cacheOptions = { bypass: this._currentRunContext?.useCache === false, sampleIndex: 0 };
+    const base = path.join(tempDir, path.basename(filename, path.extname(filename)) + (chunk ? `_chunk_${chunk.index + 1}` : ''));
+    const { result: mainResp, modelUsed } = await failover.execute((m) => this.client.chatCompletion({
+      providerName: m.provider,
+      model: m.model,
       messages,
+      cassetteMessages,
       extra: { temperature: 0.1 },
-      timeouts: {
-        connectTimeoutMs: modelSel?.timeouts?.connectTimeoutMs ?? this.config.network?.connect_timeout_ms,
-        responseTimeoutMs: modelSel?.timeouts?.responseTimeoutMs ?? this.config.network?.response_timeout_ms,
-      }
-    });
-    const usage = this.tokenCounter.getTokenUsage(raw, content, text, modelSel.model);
-    this.tokenCounter.recordTokenUsage({ model: modelSel.model, provider: modelSel.provider, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, method: usage.method, estimated: usage.estimated });
-    this.logger.info(`已完成: ${filename} 用量 in=${usage.inputTokens} out=${usage.outputTokens} total=${usage.totalTokens} (${usage.method === 'api_response' ? '真实' : '估算'})`);
+      timeouts: this._requestTimeouts(modelSel),
+      cacheOptions,
+      streamOptions: this._streamOptions(`${base}_sample_0.partial.txt`, label),
+    }));
+    const { text, raw, cached, rateLimitWaitMs } = mainResp;
+    producedBy.add(`${modelUsed.provider}/${modelUsed.model}`);
+    const tokens = { input: 0, output: 0 }; // 本文件（块）实际消耗，缓存命中不计
+    if (rateLimitWaitMs) this.logger.info(`限流等待 ${(rateLimitWaitMs / 1000).toFixed(1)}s: ${label}`);
+    if (cached) {
+      this.logger.info(`已完成(缓存命中): ${label}`);
+    } else {
+      const usage = this.tokenCounter.getTokenUsage(raw, content, text, modelUsed.model);
+      this.tokenCounter.recordTokenUsage({ model: modelUsed.model, provider: modelUsed.provider, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, method: usage.method, estimated: usage.estimated });
+      tokens.input += usage.inputTokens;
+      tokens.output += usage.outputTokens;
+      this.logger.info(`已完成: ${label} 用量 in=${usage.inputTokens} out=${usage.outputTokens} total=${usage.totalTokens} (${usage.method === 'api_response' ? '真实' : '估算'})`);
+    }
 
     // 保存原始 JSON 文本（可能非严格JSON）
-    const base = path.join(tempDir, path.basename(filename, path.extname(filename)));
     const rawJsonPath = `${base}_sample_0.json`;
     const repairedJsonPath = `${base}_sample_0_repaired.json`;
     const parsedJsonPath = `${base}_sample_0_parsed.json`;
@@ -263,37 +347,51 @@ class StructuredFileProcessor {
     let parsed = JsonUtils.safeParseJson(text);
     let json = parsed.ok ? parsed.data : null;
     let validation = json ? this.schemaValidator.validate(json) : { valid: false, errors: [{ path: '', message: 'JSON非法' }] };
+    // 解析或校验未通过的响应不留在缓存中，否则下次运行会再次命中同一个无效响应
+    if (!json || !validation.valid) this.responseCache.delete(mainResp.cacheKey);
 
     // 4) 纠错回合
     let attempt = 0;
     while ((!json || !validation.valid) && attempt < maxRepairAttempts) {
       attempt++;
       const errorsForLLM = (validation.errors || []).map((e) => `- ${e.path || 'root'}: ${e.message}`).join('\n');
-      const repairPrompt = fs.existsSync(repairPath) ? fs.readFileSync(repairPath, 'utf8') : '修复上面的 JSON；仅返回修复后的 JSON。';
+      const repairTemplate = fs.existsSync(repairPath) ? fs.readFileSync(repairPath, 'utf8') : '修复上面的 JSON；仅返回修复后的 JSON。';
       const repairMessages = [
-        { role: 'system', content: repairPrompt },
+        { role: 'system', content: renderTemplate(repairTemplate, templateVars) },
         { role: 'user', content: `原始JSON：\n${text}\n\n错误列表：\n${errorsForLLM}` }
       ];
+      const repairCassetteMessages = [{ role: 'system', content: renderTemplate(repairTemplate, cassetteVars) }, repairMessages[1]];
 
-      this.logger.info(`发送中(修复): ${filename} [${attempt}/${maxRepairAttempts}] -> ${modelSel.provider}/${modelSel.model}`);
-      const { text: repairText, raw: repairRaw } = await this.client.chatCompletion({
-        providerName: modelSel.provider,
-        model: modelSel.model,
+      const repairTarget = failover.current() || modelSel;
+      this.logger.info(`发送中(修复): ${label} [${attempt}/${maxRepairAttempts}] -> ${repairTarget.provider}/${repairTarget.model}`);
+      const { result: repairResp, modelUsed: repairModel } = await failover.execute((m) => this.client.chatCompletion({
+        providerName: m.provider,
+        model: m.model,
         messages: repairMessages,
+        cassetteMessages: repairCassetteMessages,
         extra: { temperature: 0.0 },
-        timeouts: {
-          connectTimeoutMs: modelSel?.timeouts?.connectTimeoutMs ?? this.config.network?.connect_timeout_ms,
-          responseTimeoutMs: modelSel?.timeouts?.responseTimeoutMs ?? this.config.network?.response_timeout_ms,
-        }
-      });
-      const repairUsage = this.tokenCounter.getTokenUsage(repairRaw, errorsForLLM, repairText, modelSel.model);
-      this.tokenCounter.recordTokenUsage({ model: modelSel.model, provider: modelSel.provider, inputTokens: repairUsage.inputTokens, outputTokens: repairUsage.outputTokens, method: repairUsage.method, estimated: repairUsage.estimated });
-      this.logger.info(`已完成(修复): ${filename} 用量 in=${repairUsage.inputTokens} out=${repairUsage.outputTokens} total=${repairUsage.totalTokens} (${repairUsage.method === 'api_response' ? '真实' : '估算'})`);
+        timeouts: this._requestTimeouts(modelSel),
+        cacheOptions,
+        streamOptions: this._streamOptions(`${base}_repair_${attempt}.partial.txt`, `${label} (修复 ${attempt})`),
+      }));
+      const { text: repairText, raw: repairRaw, cached: repairCached, rateLimitWaitMs: repairWaitMs } = repairResp;
+      producedBy.add(`${repairModel.provider}/${repairModel.model}`);
+      if (repairWaitMs) this.logger.info(`限流等待 ${(repairWaitMs / 1000).toFixed(1)}s: ${label} (修复 ${attempt})`);
+      if (repairCached) {
+        this.logger.info(`已完成(修复, 缓存命中): ${label}`);
+      } else {
+        const repairUsage = this.tokenCounter.getTokenUsage(repairRaw, errorsForLLM, repairText, repairModel.model);
+        this.tokenCounter.recordTokenUsage({ model: repairModel.model, provider: repairModel.provider, inputTokens: repairUsage.inputTokens, outputTokens: repairUsage.outputTokens, method: repairUsage.method, estimated: repairUsage.estimated });
+        tokens.input += repairUsage.inputTokens;
+        tokens.output += repairUsage.outputTokens;
+        this.logger.info(`已完成(修复): ${label} 用量 in=${repairUsage.inputTokens} out=${repairUsage.outputTokens} total=${repairUsage.totalTokens} (${repairUsage.method === 'api_response' ? '真实' : '估算'})`);
+      }
 
       fs.writeFileSync(repairedJsonPath, repairText, 'utf8');
       parsed = JsonUtils.safeParseJson(repairText);
       json = parsed.ok ? parsed.data : null;
       validation = json ? this.schemaValidator.validate(json) : { valid: false, errors: [{ path: '', message: 'JSON非法' }] };
+      if (!json || !validation.valid) this.responseCache.delete(repairResp.cacheKey);
     }
 
     if (!json || !validation.valid) {
@@ -307,14 +405,98 @@ class StructuredFileProcessor {
     try { fs.writeFileSync(parsedJsonPath, JSON.stringify({ rows: json.rows || [] }, null, 2), 'utf8'); } catch {}
 
     // 6) 进入现有 CSV 校验与（可选）多样本语义校验（此处单样本）
-    const csvValidation = await this.csvValidator.validateAndFix(csvText, filename);
+    const csvValidation = await this.csvValidator.validateAndFix(csvText, label);
     const finalCsv = csvValidation.fixed;
 
-    return { finalCsv, csvValidation, repairAttemptsUsed: attempt, validationErrors: validation.errors };
+    return { finalCsv, csvValidation, repairAttemptsUsed: attempt, validationErrors: validation.errors, producedBy: [...producedBy], fewShot: examples.map((ex) => ex.name), tokens };
+  }
+
+  _requestTimeouts(modelSel) {
+    const t = modelSel?.timeouts || {};
+    const net = this.config.network || {};
+    return {
+      connectTimeoutMs: t.connectTimeoutMs ?? net.connect_timeout_ms,
+      responseTimeoutMs: t.responseTimeoutMs ?? net.response_timeout_ms,
+      stream: (t.stream ?? net.stream) === true,
+      streamIdleTimeoutMs: t.streamIdleTimeoutMs ?? net.stream_idle_timeout_ms,
+    };
+  }
+
+  _streamOptions(partialPath, label) {
+    return {
+      partialPath,
+      onProgress: ({ chars, done }) => { if (!done) this.logger.info(`接收中: ${label} 已接收 ${chars} 字符`); },
+    };
+  }
+
+  /**
+   * 提示词模板变量：文件名、相对目录各级名称、章节、运行 ID，以及输入元数据与本次运行的自定义变量
+   * runId 缺省为本次运行 ID；录制/回放的匹配依据传 RUN_ID_PLACEHOLDER
+   */
+  _templateVariablesFor(filePath, rel, chunk = null, runId = undefined) {
+    const ctx = this._currentRunContext || {};
+    return buildTemplateVariables({
+      filePath,
+      relativePath: rel,
+      runId: runId ?? ctx.runId,
+      metadata: ctx.inputMetadata?.get(path.resolve(filePath)),
+      custom: ctx.promptVariables,
+      chunk,
+    });
+  }
+
+  /**
+   * 提示词版本的 few-shot 示例库（按版本缓存；示例输出需通过版本 Schema 校验）
+   * @returns {FewShotExamples}
+   */
+  _fewShotExamples(promptVersion) {
+    if (!this._fewShot) this._fewShot = new Map();
+    if (!this._fewShot.has(promptVersion)) {
+      const promptsRoot = this.config.structured?.prompts_root || './prompts/StructuredFileProcessor';
+      const library = FewShotExamples.load(path.join(promptsRoot, promptVersion), {
+        selection: this.config.structured?.few_shot_selection || 'similarity',
+        similarity: this.similarity,
+        validate: (json) => this.schemaValidator.validate(json),
+        logger: this.logger,
+      });
+      if (library.size) this.logger.info(`few-shot 示例库: ${promptVersion} 共 ${library.size} 个示例`);
+      this._fewShot.set(promptVersion, library);
+    }
+    return this._fewShot.get(promptVersion);
+  }
+
+  /**
+   * 版本内 rows.schema.json，不存在时回退到全局 schema_path（兼容旧配置）
+   * @returns {string|null}
+   */
+  _resolveSchemaPath(promptVersion) {
+    const promptsRoot = this.config.structured?.prompts_root || './prompts/StructuredFileProcessor';
+    const versionSchema = path.join(promptsRoot, promptVersion, 'rows.schema.json');
+    if (fs.existsSync(versionSchema)) return versionSchema;
+    const globalSchema = this.config.structured?.schema_path;
+    return globalSchema && fs.existsSync(globalSchema) ? globalSchema : null;
+  }
+
+  /**
+   * 由 rows schema 推导输出表结构（列/主键列/答案列），同步给 CSV 与语义校验器
+   */
+  _applyOutputSchema(promptVersion) {
+    const schemaPath = this._resolveSchemaPath(promptVersion);
+    try {
+      this.outputSchema = OutputSchema.fromFile(schemaPath);
+    } catch (e) {
+      this.logger.warn(`推导输出表结构失败，使用默认五列: ${e.message}`);
+      this.outputSchema = OutputSchema.default();
+    }
+    this.csvValidator.setOutputSchema(this.outputSchema);
+    this.semanticValidator.setOutputSchema(this.outputSchema);
+    if (!this.outputSchema.isDefault) {
+      this.logger.info(`输出表结构: ${this.outputSchema.describe()}`);
+    }
   }
 
   _rowsToCsv(rows) {
-    const headers = ['编号', '问题', '答案', '答题人', '专业'];
+    const headers = this.outputSchema.columns;
     const normalize = (val) => {
       // CSV 单行记录内禁止换行符，将其替换为空格
       const s = (val == null ? '' : String(val)).replace(/\r\n|\r|\n/g, ' ');
@@ -327,13 +509,7 @@ class StructuredFileProcessor {
     };
     const lines = [headers.join(',')];
     for (const r of rows) {
-      lines.push([
-        escape(r['编号']),
-        escape(r['问题']),
-        escape(r['答案']),
-        escape(r['答题人']),
-        escape(r['专业'])
-      ].join(','));
+      lines.push(headers.map((h) => escape(r[h])).join(','));
     }
     return lines.join('\n');
   }
@@ -361,7 +537,7 @@ class StructuredFileProcessor {
 module.exports = StructuredFileProcessor;
 
 // 私有方法追加
-StructuredFileProcessor.prototype._buildMetaString = function(absInputPathOrName, repairAttemptsUsed, promptVersion) {
+StructuredFileProcessor.prototype._buildMetaString = function(absInputPathOrName, repairAttemptsUsed, promptVersion, producedBy, extra = {}) {
   try {
     const ctx = this._currentRunContext || {};
     const meta = {
@@ -374,6 +550,9 @@ StructuredFileProcessor.prototype._buildMetaString = function(absInputPathOrName
       src_path: absInputPathOrName || '',
       prompt_ver: promptVersion || ctx.promptVersion,
       repair_used: repairAttemptsUsed,
+      produced_by: Array.isArray(producedBy) && producedBy.length ? producedBy.join('|') : undefined,
+      ...((absInputPathOrName && ctx.inputMetadata && ctx.inputMetadata.get(require('path').resolve(absInputPathOrName))) || {}),
+      ...extra,
     };
     return CsvMetadataUtils.buildMetaString(meta, '[META]');
   } catch (_) {
@@ -0,0 +1,124 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const path = require('path');
+const fs = require('fs');
+const { loadRecipe, saveRecipe, listRecipes } = require('../utils/split-recipe');
+
+/**
+ * 文本分割UI的配方菜单：加载配方 / 保存为配方
+ */
+
+/**
+ * 交互选择并加载配方，应用到分割器
+ * @param {TextSplitter} splitter
+ * @param {string} recipesDir - 配方目录（列出其中的 .yaml 供选择）
+ * @returns {Promise<Object|null>} 配方中的导出选项；加载失败时为 null
+ */
+async function promptLoadRecipe(splitter, recipesDir) {
+    console.log(chalk.cyan('\n📂 加载配方\n'));
+
+    const recipes = listRecipes(recipesDir);
+    const answer = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'filePath',
+            message: chalk.cyan('请选择配方:'),
+            choices: [
+                ...recipes.map(p => ({ name: path.basename(p), value: p })),
+                { name: '✏️  手动输入路径', value: '__manual__' }
+            ],
+            when: () => recipes.length > 0
+        },
+        {
+            type: 'input',
+            name: 'manualPath',
+            message: chalk.cyan('配方文件路径:'),
+            when: (answers) => recipes.length === 0 || answers.filePath === '__manual__',
+            validate: (input) => {
+                if (!fs.existsSync(input)) {
+                    return chalk.red('文件不存在，请重新输入');
+                }
+                return true;
+            }
+        }
+    ]);
+
+    const filePath = answer.manualPath || answer.filePath;
+    try {
+        const recipe = loadRecipe(filePath);
+        const exportOptions = splitter.applyRecipe(recipe);
+        console.log(chalk.green(`✅ 已加载配方: ${recipe.name}（${recipe.levels.length} 个层级）`));
+        return exportOptions;
+    } catch (error) {
+        console.error(chalk.red(`❌ 加载配方失败: ${error.message}`));
+        return null;
+    }
+}
+
+/**
+ * 交互填写名称与路径，把分割器当前层级与导出选项保存为配方
+ * @param {TextSplitter} splitter
+ * @param {string} recipesDir - 默认保存目录
+ * @param {Object} exportOptions - 当前导出选项（写入配方）
+ */
+async function promptSaveRecipe(splitter, recipesDir, exportOptions) {
+    if (splitter.levels.length === 0) {
+        console.log(chalk.yellow('⚠️  请先配置分割层级'));
+        return;
+    }
+
+    console.log(chalk.cyan('\n💾 保存为配方\n'));
+
+    const answer = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'name',
+            message: chalk.cyan('配方名称:'),
+            validate: (input) => {
+                if (!input.trim()) {
+                    return chalk.red('配方名称不能为空');
+                }
+                if (/[<>:"/\\|?*]/.test(input)) {
+                    return chalk.red('配方名称不能包含文件名非法字符');
+                }
+                return true;
+            }
+        },
+        {
+            type: 'input',
+            name: 'description',
+            message: chalk.cyan('配方描述 (可选):'),
+            default: ''
+        },
+        {
+            type: 'input',
+            name: 'filePath',
+            message: chalk.cyan('保存路径:'),
+            default: (answers) => path.join(recipesDir, `${answers.name.trim()}.yaml`)
+        },
+        {
+            type: 'confirm',
+            name: 'overwrite',
+            message: chalk.yellow('文件已存在，是否覆盖？'),
+            default: false,
+            when: (answers) => fs.existsSync(answers.filePath)
+        }
+    ]);
+
+    if (answer.overwrite === false) {
+        return;
+    }
+
+    try {
+        const recipe = splitter.toRecipe(
+            { name: answer.name.trim(), description: answer.description },
+            exportOptions
+        );
+        saveRecipe(answer.filePath, recipe);
+        console.log(chalk.green(`✅ 配方已保存: ${answer.filePath}`));
+    } catch (error) {
+        console.error(chalk.red(`❌ 保存配方失败: ${error.message}`));
+    }
+}
+
+module.exports = { promptLoadRecipe, promptSaveRecipe };
@@ -1,8 +1,9 @@
 const inquirer = require('inquirer');
 const chalk = require('chalk');
-const path = require('path');
 const fs = require('fs');
 const TextSplitter = require('../utils/text-splitter');
+const { DEFAULT_RECIPES_DIR } = require('../utils/split-recipe');
+const { promptLoadRecipe, promptSaveRecipe } = require('./text-splitter-recipe-ui');
 
 /**
  * 文本分割工具的交互式UI
@@ -11,6 +12,13 @@ class TextSplitterUI {
     constructor(config = {}) {
         this.splitter = new TextSplitter();
         this.config = config;
+        this.recipesDir = config.text_splitter?.recipes_dir || DEFAULT_RECIPES_DIR;
+        // 导出选项：配置默认值，加载配方或完成导出后更新
+        this.exportOptions = {
+            fileExtension: config.text_splitter?.default_file_extension || '.txt',
+            includeMetadata: config.text_splitter?.include_metadata ?? true,
+            flattenStructure: config.text_splitter?.flatten_structure ?? false
+        };
     }
 
     /**
@@ -48,6 +56,16 @@ class TextSplitterUI {
                 value: 'test_regex',
                 description: '测试正则表达式在源文本中的匹配效果'
             },
+            {
+                name: '📂 加载配方',
+                value: 'load_recipe',
+                description: '从 YAML 配方加载分割层级与导出选项'
+            },
+            {
+                name: '💾 保存为配方',
+                value: 'save_recipe',
+                description: '将当前分割层级与导出选项保存为 YAML 配方'
+            },
             {
                 name: '🔄 重置配置',
                 value: 'reset',
@@ -64,7 +82,7 @@ class TextSplitterUI {
             name: 'action',
             message: chalk.cyan('文本分割工具 - 请选择操作:'),
             choices: choices,
-            pageSize: 10
+            pageSize: 12
         }]);
 
         return answer.action;
@@ -168,6 +186,18 @@ class TextSplitterUI {
                     return true;
                 }
             },
+            {
+                type: 'input',
+                name: 'flags',
+                message: chalk.cyan('正则标志 (g 始终启用):'),
+                default: 'gm',
+                validate: (input, answers) => {
+                    if (!this.splitter.validateRegex(answers.regex, input)) {
+                        return chalk.red('正则标志无效（仅支持 g i m s u y）');
+                    }
+                    return true;
+                }
+            },
             {
                 type: 'input',
                 name: 'description',
@@ -179,6 +209,7 @@ class TextSplitterUI {
         this.splitter.addLevel({
             name: answer.name,
             regex: answer.regex,
+            flags: answer.flags,
             description: answer.description
         });
 
@@ -236,6 +267,18 @@ class TextSplitterUI {
                     return true;
                 }
             },
+            {
+                type: 'input',
+                name: 'flags',
+                message: chalk.cyan('正则标志 (g 始终启用):'),
+                default: level.flags,
+                validate: (input, answers) => {
+                    if (!this.splitter.validateRegex(answers.regex, input)) {
+                        return chalk.red('正则标志无效（仅支持 g i m s u y）');
+                    }
+                    return true;
+                }
+            },
             {
                 type: 'input',
                 name: 'description',
@@ -244,11 +287,15 @@ class TextSplitterUI {
             }
         ]);
 
-        // 更新层级
-        level.name = answer.name;
-        level.regex = answer.regex;
-        level.description = answer.description;
-        level.compiled = new RegExp(answer.regex, 'gm');
+        // 更新层级（原位替换，保持层级顺序）
+        const index = levelIndex.index;
+        this.splitter.addLevel({
+            name: answer.name,
+            regex: answer.regex,
+            flags: answer.flags,
+            description: answer.description
+        });
+        this.splitter.levels.splice(index, 1, this.splitter.levels.pop());
 
         console.log(chalk.green(`✅ 成功更新层级: ${answer.name}`));
     }
@@ -301,7 +348,7 @@ class TextSplitterUI {
 
         this.splitter.levels.forEach((level, index) => {
             console.log(chalk.blue(`${index + 1}. ${level.name}`));
-            console.log(chalk.gray(`   正则: ${level.regex}`));
+            console.log(chalk.gray(`   正则: ${level.regex}  标志: ${level.flags}`));
             if (level.description) {
                 console.log(chalk.gray(`   描述: ${level.description}`));
             }
@@ -366,19 +413,19 @@ class TextSplitterUI {
                     { name: '.md', value: '.md' },
                     { name: '.yaml', value: '.yaml' }
                 ],
-                default: this.config.text_splitter?.default_file_extension || '.txt'
+                default: this.exportOptions.fileExtension
             },
             {
                 type: 'confirm',
                 name: 'includeMetadata',
                 message: chalk.cyan('是否在文件中包含元数据信息？'),
-                default: this.config.text_splitter?.include_metadata ?? true
+                default: this.exportOptions.includeMetadata
             },
             {
                 type: 'confirm',
                 name: 'flattenStructure',
                 message: chalk.cyan('是否使用扁平化结构（所有文件在同一目录）？'),
-                default: this.config.text_splitter?.flatten_structure ?? false
+                default: this.exportOptions.flattenStructure
             },
             {
                 type: 'confirm',
@@ -393,11 +440,12 @@ class TextSplitterUI {
         }
 
         try {
-            const exportedFiles = this.splitter.exportSplitResults(answer.outputDir, {
+            this.exportOptions = {
                 fileExtension: answer.fileExtension,
                 includeMetadata: answer.includeMetadata,
                 flattenStructure: answer.flattenStructure
-            });
+            };
+            const exportedFiles = this.splitter.exportSplitResults(answer.outputDir, this.exportOptions);
 
             console.log(chalk.green(`\n✅ 导出完成！共导出 ${exportedFiles.length} 个文件`));
         } catch (error) {
@@ -419,7 +467,7 @@ class TextSplitterUI {
         } else {
             config.levels.forEach((level, index) => {
                 console.log(chalk.green(`  ${index + 1}. ${level.name}`));
-                console.log(chalk.gray(`     正则: ${level.regex}`));
+                console.log(chalk.gray(`     正则: ${level.regex}  标志: ${level.flags}`));
                 if (level.description) {
                     console.log(chalk.gray(`     描述: ${level.description}`));
                 }
@@ -488,6 +536,24 @@ class TextSplitterUI {
         }
     }
 
+    /**
+     * 加载配方
+     */
+    async loadRecipe() {
+        const exportOptions = await promptLoadRecipe(this.splitter, this.recipesDir);
+        if (exportOptions) {
+            this.exportOptions = exportOptions;
+            this.viewLevels();
+        }
+    }
+
+    /**
+     * 保存为配方
+     */
+    async saveRecipe() {
+        await promptSaveRecipe(this.splitter, this.recipesDir, this.exportOptions);
+    }
+
     /**
      * 重置配置
      */
@@ -535,6 +601,12 @@ class TextSplitterUI {
                     case 'test_regex':
                         await this.testRegex();
                         break;
+                    case 'load_recipe':
+                        await this.loadRecipe();
+                        break;
+                    case 'save_recipe':
+                        await this.saveRecipe();
+                        break;
                     case 'reset':
                         await this.resetConfiguration();
                         break;
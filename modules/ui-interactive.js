@@ -6,6 +6,7 @@ const ora = require('ora');
 const boxen = require('boxen');
 const gradient = require('gradient-string');
 const FileSelector = require('../utils/file-selector');
+const { inputExtensions } = require('../utils/file-readers');
 
 class InteractiveUI {
     constructor(config = {}) {
@@ -27,6 +28,19 @@ class InteractiveUI {
     }
   }
 
+  /**
+   * 统计提示词版本目录下 examples/ 中的 few-shot 示例数（*.rows.json）
+   */
+  countFewShotExamples(versionDir) {
+    try {
+      const dir = path.join(versionDir, 'examples');
+      if (!fs.existsSync(dir)) return 0;
+      return fs.readdirSync(dir).filter(f => f.endsWith('.rows.json')).length;
+    } catch (_) {
+      return 0;
+    }
+  }
+
     /**
      * 显示欢迎界面
      */
@@ -61,6 +75,11 @@ class InteractiveUI {
                 value: 'batch_llm',
                 description: '使用LLM批量处理文件，支持错配检测'
             },
+            {
+                name: '⏯  恢复中断的运行',
+                value: 'resume_run',
+                description: '复用 temp 目录中的 JSONL 中间样本，仅补发缺失请求'
+            },
             {
                 name: '📄 Word转Markdown',
                 value: 'docx_to_md',
@@ -126,6 +145,8 @@ class InteractiveUI {
 
         // 1. 选择模型
         const modelSelection = await this.selectModel(config.providers);
+        // 1.0 可选：备用模型（故障切换链）
+        modelSelection.fallbackModels = await this.selectFallbackModels(config.providers, modelSelection);
         
     // 1.1 选择输出模式（Classic / Structured）
     const modeAnswer = await inquirer.prompt([{
@@ -188,9 +209,33 @@ class InteractiveUI {
         promptVersion: versionAnswer.promptVersion,
         repairAttempts: repairAnswer.repairAttempts
       };
+      // 版本目录含 examples/ 时可选择 few-shot 示例数
+      const exampleCount = this.countFewShotExamples(path.join(promptsRoot, versionAnswer.promptVersion));
+      if (exampleCount > 0) {
+        const fewShotAnswer = await inquirer.prompt([{
+          type: 'number',
+          name: 'fewShotCount',
+          message: chalk.cyan(`few-shot 示例数（按与输入的相似度选取，共 ${exampleCount} 个，0 不使用）:`),
+          default: Math.min(exampleCount, config.structured?.few_shot_count ?? 2),
+          validate: (n) => (Number.isInteger(n) && n >= 0 && n <= 10) ? true : chalk.red('范围 0-10')
+        }]);
+        structured.fewShotCount = fewShotAnswer.fewShotCount;
+      }
     }
     
 
+    // 7.1 已启用响应缓存时，可按本次运行跳过
+    let useCache = true;
+    if (config.cache?.enabled) {
+      const cacheAnswer = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'useCache',
+        message: chalk.cyan('本次运行是否使用响应缓存（命中则不再请求）？'),
+        default: true
+      }]);
+      useCache = cacheAnswer.useCache;
+    }
+
     // 8. 可选：让 LLM 在任务结束后根据 JSON 生成总结报告（单独选择模型）
     const wantLLMSummary = await inquirer.prompt([{
       type: 'confirm',
@@ -215,6 +260,7 @@ class InteractiveUI {
             timeouts: timeoutConfig,
             mode: modeAnswer.mode,
             structured: structured,
+            useCache: useCache,
             llmSummary: {
               enabled: wantLLMSummary.enableLLMSummary,
               model: llmSummaryModel
@@ -346,6 +392,37 @@ class InteractiveUI {
       return ans.sel || null;
     }
 
+    /**
+     * 选择一个未完成的运行（按更新时间倒序），返回可直接用于批处理的配置
+     * @param {string} outputRoot
+     * @returns {Promise<object|null>}
+     */
+    async selectResumableRun(outputRoot) {
+      const { listResumableRuns, buildResumeSetup } = require('../utils/run-checkpoint');
+      const runs = listResumableRuns(outputRoot);
+      if (runs.length === 0) {
+        console.log(chalk.yellow(`\n⚠️  ${outputRoot} 下没有可恢复的运行`));
+        return null;
+      }
+      const choices = runs.map((r) => ({
+        name: `${r.runId}  模式:${r.manifest.mode || '-'}  文件:${(r.manifest.files || []).length}  状态:${r.manifest.status || '-'}  (${r.manifest.modelSel?.provider}/${r.manifest.modelSel?.model})`,
+        value: r.runOutputDir,
+        short: r.runId,
+      }));
+      choices.push(new inquirer.Separator());
+      choices.push({ name: '返回', value: null });
+
+      const ans = await inquirer.prompt([{
+        type: 'list',
+        name: 'runOutputDir',
+        message: chalk.cyan('选择要恢复的运行（按时间倒序）：'),
+        choices,
+        pageSize: Math.min(12, Math.max(6, choices.length)),
+      }]);
+      if (!ans.runOutputDir) return null;
+      return buildResumeSetup(ans.runOutputDir);
+    }
+
     /**
      * Colipot 模式：选择方案并返回标准化配置
      */
@@ -384,6 +461,9 @@ class InteractiveUI {
         console.log(chalk.gray('─'.repeat(60)));
         console.log(`名称: ${plan.display_name || plan.name}`);
         console.log(`模型: ${plan.model.provider} / ${plan.model.model}`);
+        if (plan.model.fallback_models && plan.model.fallback_models.length) {
+            console.log(`备用: ${plan.model.fallback_models.map(m => typeof m === 'string' ? m : `${m.provider}/${m.model}`).join(' → ')}`);
+        }
         console.log(`模式: ${plan.processing?.mode || (config.processing?.default_mode || 'classic')}`);
         console.log(`输入: ${(plan.paths?.inputs || []).join(', ')}`);
         console.log(`输出: ${plan.paths?.output_dir}`);
@@ -393,6 +473,12 @@ class InteractiveUI {
         if (plan.structured) {
             console.log(`结构化: version=${plan.structured.prompt_version ?? '-'} repair=${plan.structured.repair_attempts ?? '-'}`);
         }
+        if (plan.prompt_variables && Object.keys(plan.prompt_variables).length) {
+            console.log(`提示词变量: ${Object.entries(plan.prompt_variables).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+        }
+        if (plan.compare && plan.compare.length) {
+            console.log(`A/B 对比: ${plan.compare.join(' vs ')}`);
+        }
         console.log(chalk.gray('─'.repeat(60)));
 
         const go = await require('inquirer').prompt([
@@ -412,7 +498,9 @@ class InteractiveUI {
             validation: mapped.modelSel.validation,
             timeouts: mapped.modelSel.timeouts,
             mode: mapped.mode,
-            structured: mapped.mode === 'structured' ? { promptVersion: mapped.options?.promptVersion, repairAttempts: mapped.options?.repairAttempts } : null,
+            structured: mapped.mode === 'structured' ? { promptVersion: mapped.options?.promptVersion, repairAttempts: mapped.options?.repairAttempts, fewShotCount: mapped.options?.fewShotCount } : null,
+            promptVariables: mapped.options?.promptVariables,
+            compare: plan.compare && plan.compare.length ? plan.compare : null,
             llmSummary: { enabled: false, model: null },
         };
         return ret;
@@ -445,6 +533,44 @@ class InteractiveUI {
         return answer.model;
     }
 
+    /**
+     * 选择备用模型（故障切换链，按列表顺序依次切换）
+     * @param {Array} providers
+     * @param {{ provider: string, model: string }} primary - 主模型（不出现在候选中）
+     * @returns {Promise<Array<{ provider: string, model: string }>>}
+     */
+    async selectFallbackModels(providers, primary) {
+        const choices = [];
+        providers.forEach(provider => {
+            provider.models.forEach(model => {
+                if (provider.name === primary.provider && model === primary.model) return;
+                choices.push({
+                    name: `${chalk.blue(provider.name)} - ${chalk.yellow(model)}`,
+                    value: { provider: provider.name, model: model },
+                    short: `${provider.name} - ${model}`
+                });
+            });
+        });
+        if (choices.length === 0) return [];
+
+        const { enable } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'enable',
+            message: chalk.cyan('是否配置备用模型（主模型不可用时自动切换）？'),
+            default: false
+        }]);
+        if (!enable) return [];
+
+        const answer = await inquirer.prompt([{
+            type: 'checkbox',
+            name: 'models',
+            message: chalk.cyan('选择备用模型（按列表顺序依次切换）:'),
+            choices: choices,
+            pageSize: 15
+        }]);
+        return answer.models || [];
+    }
+
     /**
      * 统一路径选择方法：首选图形文件选择器，支持手动输入备选
      * @param {string} title - 选择提示标题
@@ -504,7 +630,7 @@ class InteractiveUI {
         try {
             if (selectFiles) {
                 // 选择文件
-                const supportedExtensions = ['.txt', '.md', '.docx'];
+                const supportedExtensions = inputExtensions({ includeUnsupported: false });
                 const result = await this.fileSelector.select({
                     type: 'file',
                     multiple: multiple,
@@ -869,8 +995,7 @@ class InteractiveUI {
      * 检查文件是否支持
      */
     isSupportedFile(filename) {
-        const supportedExtensions = ['.txt', '.md', '.docx'];
-        return supportedExtensions.includes(path.extname(filename).toLowerCase());
+        return inputExtensions().includes(path.extname(filename).toLowerCase());
     }
 
     /**
@@ -1141,12 +1266,33 @@ class InteractiveUI {
                     }
                     return true;
                 }
+            },
+            {
+                type: 'confirm',
+                name: 'stream',
+                message: chalk.cyan('是否启用流式响应(边接收边写入部分输出):'),
+                default: (defaults.stream ?? this.config?.network?.stream) === true
+            },
+            {
+                type: 'number',
+                name: 'streamIdleTimeoutMs',
+                message: chalk.cyan('流式空闲超时(毫秒，相邻数据块的最大间隔):'),
+                default: defaults.stream_idle_timeout_ms || this.config?.network?.stream_idle_timeout_ms || 30000,
+                when: (a) => a.stream,
+                validate: (input) => {
+                    if (input < 1000 || input > 600000) {
+                        return chalk.red('流式空闲超时必须在1000-600000毫秒之间');
+                    }
+                    return true;
+                }
             }
         ]);
 
         return {
             connectTimeoutMs: ans.connectTimeoutMs,
-            responseTimeoutMs: ans.responseTimeoutMs
+            responseTimeoutMs: ans.responseTimeoutMs,
+            stream: !!ans.stream,
+            streamIdleTimeoutMs: ans.stream ? ans.streamIdleTimeoutMs : undefined
         };
     }
 
@@ -1203,7 +1349,7 @@ class InteractiveUI {
                     multiple: true,
                     startPath: rootDir,
                     message: '请选择要处理的文件和目录',
-                    extensions: ['.txt', '.md', '.docx']
+                    extensions: inputExtensions({ includeUnsupported: false })
                 });
                 
                 return selectedFiles || [];
@@ -1245,7 +1391,7 @@ class InteractiveUI {
      * 统计所选目标中的文件数（递归扫描目录，文件直接计数）
      */
     async countFilesInTargets(targets) {
-        const exts = ['.txt', '.md', '.docx'];
+        const exts = inputExtensions();
         let total = 0;
         for (const p of targets) {
             try {
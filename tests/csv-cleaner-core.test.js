@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const CsvCleanerCore = require('../utils/csv-cleaner-core');
+const { fixture } = require('./helpers');
+
+const read = (name) => fs.readFileSync(fixture('csv', name), 'utf8');
+
+describe('CsvCleanerCore.cleanCsvContent', () => {
+  it('删除第三列为空（含全角空格）的行，保留表头与引号内换行', () => {
+    const { header, keptRows } = CsvCleanerCore.cleanCsvContent(read('empty-third-column.csv'));
+    assert.deepEqual(header, ['id', 'name', 'value']);
+    assert.deepEqual(keptRows, [
+      ['id', 'name', 'value'],
+      ['1', 'a', 'x'],
+      ['4', 'd', 'N/A'],
+      ['5', 'e', '多行\n值'],
+    ]);
+  });
+
+  it('记录被删除行的行号（从 1 开始，含表头）与样本', () => {
+    const { removed } = CsvCleanerCore.cleanCsvContent('id,name,value\n1,a,\n2,b,y\n3,c,　');
+    assert.deepEqual(removed, [{ rowNumber: 2, sample: '' }, { rowNumber: 4, sample: '　' }]);
+  });
+
+  it('treatCommonNull 时把 NULL、N/A、— 等视为空', () => {
+    const { keptRows } = CsvCleanerCore.cleanCsvContent('a,b,c\n1,x,NULL\n2,x,n/a\n3,x,—\n4,x,--\n5,x,ok', { treatCommonNull: true });
+    assert.deepEqual(keptRows, [['a', 'b', 'c'], ['5', 'x', 'ok']]);
+  });
+
+  it('首行为元数据行时按第二行识别表头，并保留元数据行', () => {
+    const { header, keptRows } = CsvCleanerCore.cleanCsvContent(read('with-meta.csv'));
+    assert.deepEqual(header, ['编号', '问题', '答案', '答题人', '专业']);
+    assert.match(keptRows[0][keptRows[0].length - 1], /^\[META\] source=/);
+    assert.deepEqual(keptRows[1], header);
+    assert.equal(keptRows.length, 4);
+  });
+
+  it('引号破损的行不抛错，按 Papa 的容错结果保留', () => {
+    const { keptRows } = CsvCleanerCore.cleanCsvContent(read('broken-quotes.csv'));
+    assert.equal(keptRows.length, 3);
+    assert.deepEqual(keptRows[2], ['2', '正常', '正常', '赵六', '物理']);
+  });
+
+  it('空内容返回空结果', () => {
+    assert.deepEqual(CsvCleanerCore.cleanCsvContent(''), { header: null, keptRows: [], removed: [] });
+  });
+
+  it('unparseCsv 全部加引号并转义内部引号', () => {
+    assert.equal(CsvCleanerCore.unparseCsv([['a', 'b'], ['他说"好"', '多\n行']]), '"a","b"\r\n"他说""好""","多\n行"');
+    assert.equal(CsvCleanerCore.unparseCsv([]), '');
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CsvMerger = require('../utils/csv-merger');
+const { fixture, quietLogger } = require('./helpers');
+
+const csv = (name) => fixture('csv', name);
+const HEADER = ['编号', '问题', '答案', '答题人', '专业'];
+
+describe('CsvMerger.mergeCsvFilesToRows', () => {
+  const merger = new CsvMerger(quietLogger);
+
+  it('去掉元数据行，只保留第一个表头，编号连续重排', async () => {
+    const rows = await merger.mergeCsvFilesToRows([csv('with-meta.csv'), csv('plain.csv')]);
+    assert.deepEqual(rows, [
+      HEADER,
+      ['1', '什么是生态位？', '物种在群落中的地位与作用', '张三', '生态学'],
+      ['2', '什么是食物链？', '能量沿捕食关系的传递', '张三', '生态学'],
+      ['3', '光合作用的产物？', '葡萄糖和氧气', '李四', '植物学'],
+      ['4', '多行\n答案？', '第一行\n第二行', '李四', '植物学'],
+    ]);
+  });
+
+  it('丢弃列数与表头不一致的行和空行', async () => {
+    const rows = await merger.mergeCsvFilesToRows([csv('ragged.csv')]);
+    assert.deepEqual(rows.slice(1).map((r) => r[1]), ['q1', 'q3']);
+    assert.deepEqual(rows.slice(1).map((r) => r[0]), ['1', '2']);
+  });
+
+  it('按 keyColumn 指定的主键列连续重编号，表头无该列时保持原值', async () => {
+    const files = [csv('custom-key.csv'), csv('custom-key.csv')];
+    const renumbered = await merger.mergeCsvFilesToRows(files, { keyColumn: '序号' });
+    assert.deepEqual(renumbered.map((r) => r[0]), ['序号', '1', '2', '3', '4']);
+    const untouched = await merger.mergeCsvFilesToRows(files);
+    assert.deepEqual(untouched.map((r) => r[0]), ['序号', '7', '9', '7', '9']);
+  });
+
+  it('metaColumns 把各文件元数据字段展开为追加列（无元数据行的文件为空）', async () => {
+    const rows = await merger.mergeCsvFilesToRows([csv('with-meta.csv'), csv('plain.csv')], {
+      metaColumns: ['source', { key: 'model', header: '模型' }],
+    });
+    assert.deepEqual(rows[0], [...HEADER, 'source', '模型']);
+    assert.deepEqual(rows[1].slice(5), ['张三/生态学/作业1.md', 'OpenAI/gpt-4o-mini']);
+    assert.deepEqual(rows[3].slice(5), ['', '']);
+  });
+
+  it('读取失败的文件记录错误后跳过', async () => {
+    const errors = [];
+    const m = new CsvMerger(Object.assign({}, quietLogger, { error: (msg) => errors.push(msg) }));
+    const rows = await m.mergeCsvFilesToRows([csv('missing.csv'), csv('with-meta.csv')]);
+    assert.equal(errors.length, 1);
+    assert.equal(rows.length, 3);
+  });
+});
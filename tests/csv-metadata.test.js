@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Papa = require('papaparse');
+const CsvMetadataUtils = require('../utils/csv-metadata');
+
+describe('CsvMetadataUtils', () => {
+  it('buildMetaString 跳过空值并把换行压成空格', () => {
+    const meta = CsvMetadataUtils.buildMetaString({ source: 'a.md', note: '第一行\n第二行', empty: null, skipped: undefined });
+    assert.equal(meta, '[META] source=a.md; note=第一行 第二行');
+  });
+
+  it('parseMetaString 是 buildMetaString 的逆操作，值中的 "; " 不误拆', () => {
+    const obj = { source: '张三/生态学/作业1.md', split_path: '第一章; 第二节', model: 'OpenAI/gpt-4o-mini' };
+    const parsed = CsvMetadataUtils.parseMetaString(CsvMetadataUtils.buildMetaString(obj));
+    assert.deepEqual(parsed, obj);
+  });
+
+  it('parseMetaString 支持自定义 marker，无 marker 时也能解析', () => {
+    assert.deepEqual(CsvMetadataUtils.parseMetaString('#M a=1; b=2', '#M'), { a: '1', b: '2' });
+    assert.deepEqual(CsvMetadataUtils.parseMetaString('a=1'), { a: '1' });
+    assert.deepEqual(CsvMetadataUtils.parseMetaString(''), {});
+  });
+
+  it('isMetadataRow 只看最后一个单元格', () => {
+    assert.equal(CsvMetadataUtils.isMetadataRow(['', '', ' [META] a=1']), true);
+    assert.equal(CsvMetadataUtils.isMetadataRow(['[META] a=1', '']), false);
+    assert.equal(CsvMetadataUtils.isMetadataRow([]), false);
+    assert.equal(CsvMetadataUtils.isMetadataRow(null), false);
+  });
+
+  it('prependMetadataRowToCsv 按表头列数补空单元格，元数据放在多出的一列', () => {
+    const csv = CsvMetadataUtils.prependMetadataRowToCsv('编号,答案\n1,"含,逗号"', '[META] a=1');
+    const rows = Papa.parse(csv).data;
+    assert.deepEqual(rows, [['', '', '[META] a=1'], ['编号', '答案'], ['1', '含,逗号']]);
+  });
+
+  it('prependMetadataRowToCsv / prependMetadataRowToRows 在缺少内容时原样返回', () => {
+    assert.equal(CsvMetadataUtils.prependMetadataRowToCsv('', '[META] a=1'), '');
+    assert.equal(CsvMetadataUtils.prependMetadataRowToCsv('a,b', ''), 'a,b');
+    assert.deepEqual(CsvMetadataUtils.prependMetadataRowToRows([], '[META] a=1'), []);
+    assert.deepEqual(CsvMetadataUtils.prependMetadataRowToRows([['a']], '[META] a=1'), [['', '[META] a=1'], ['a']]);
+  });
+});
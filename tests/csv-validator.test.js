@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const Papa = require('papaparse');
+const CsvValidator = require('../utils/csv-validator');
+const OutputSchema = require('../utils/output-schema');
+const { fixture, quietLogger } = require('./helpers');
+
+const read = (name) => fs.readFileSync(fixture('csv', name), 'utf8');
+const HEADER = '编号,问题,答案,答题人,专业';
+
+function validator(options = {}) {
+  return new CsvValidator(Object.assign({ logger: quietLogger }, options));
+}
+
+describe('CsvValidator.applyAutoFixes', () => {
+  it('去掉代码围栏', async () => {
+    const fixed = await validator().applyAutoFixes(read('code-fence.csv'), [{ type: 'remove_code_fence_in_answer' }]);
+    assert.equal(fixed.includes('```'), false);
+    assert.equal(Papa.parse(fixed.trim()).data.length, 3);
+  });
+
+  it('去掉答案中混入的 ```csv 表头', async () => {
+    const text = `1,q,"\`\`\`csv ${HEADER} 真正的答案",张三,生态学`;
+    const fixed = await validator().applyAutoFixes(text, [{ type: 'remove_header_in_answer' }]);
+    assert.equal(fixed, '1,q,"真正的答案",张三,生态学');
+  });
+
+  it('移除重复表头', async () => {
+    const fixed = await validator().applyAutoFixes(read('duplicate-header.csv'), [{ type: 'remove_duplicate_headers' }]);
+    assert.equal(fixed, `${HEADER}\n1,q,a,b,c\n`);
+  });
+
+  it('只应用与问题对应的规则', async () => {
+    const text = read('code-fence.csv');
+    assert.equal(await validator().applyAutoFixes(text, []), text);
+    assert.equal(await validator().applyAutoFixes(text, [{ type: 'remove_duplicate_headers' }]), text);
+  });
+
+  it('fix_field_count 规则按当前表结构的列数补齐', async () => {
+    const fixed = await validator().applyAutoFixes(`${HEADER}\n1,q`, [{ type: 'fix_field_count' }]);
+    assert.deepEqual(Papa.parse(fixed).data[1], ['1', 'q', '', '', '']);
+  });
+});
+
+describe('CsvValidator.fixFieldCount', () => {
+  it('字段不足时补空字段', () => {
+    const rows = Papa.parse(validator().fixFieldCount(`${HEADER}\n1,q,a`, 5)).data;
+    assert.deepEqual(rows[1], ['1', 'q', 'a', '', '']);
+  });
+
+  it('表头行不合并', () => {
+    const rows = Papa.parse(validator().fixFieldCount(`${HEADER},多余\n1,q,a,b,c`, 5)).data;
+    assert.deepEqual(rows[0], ['编号', '问题', '答案', '答题人', '专业', '多余']);
+  });
+
+  it('引号不成对时逐行修复，不吞掉后续行', () => {
+    const text = `${HEADER}\n1,"未闭合,a,b,c\n2,q,a,b,c`;
+    const rows = Papa.parse(validator().fixFieldCount(text, 5)).data;
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows[2], ['2', 'q', 'a', 'b', 'c']);
+  });
+
+  it('自定义表结构把多出的字段追加到其答案列', () => {
+    const outputSchema = OutputSchema.fromRowsSchema({
+      properties: {
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              序号: { type: 'integer' },
+              名称: { type: 'string', maxLength: 50 },
+              说明: { type: 'string' },
+            },
+          },
+        },
+      },
+    });
+    const rows = Papa.parse(validator({ outputSchema }).fixFieldCount('序号,名称,说明\n1,NaCl,常用,易溶', 3)).data;
+    assert.deepEqual(rows[1], ['1', 'NaCl', '常用 易溶']);
+  });
+});
+
+describe('CsvValidator.validateAndFix', () => {
+  it('格式正确的 CSV 通过校验', async () => {
+    const text = `${HEADER}\n1,什么是生态位？,物种在群落中所处的地位与作用,张三,生态学`;
+    const result = await validator().validateAndFix(text, 'ok.csv');
+    assert.equal(result.parseResult.success, true);
+    assert.equal(result.isValid, true);
+    assert.ok(result.confidence > 0.6);
+  });
+
+  it('表头不符时解析判为失败', async () => {
+    const result = await validator().validateAndFix('a,b,c\n1,2,3', 'bad.csv');
+    assert.equal(result.parseResult.success, false);
+    assert.equal(result.parseResult.errors[0].code, 'HEADER_VALIDATION');
+  });
+
+  it('预检识别代码围栏与混入的表头', async () => {
+    const types = validator().preCheck(`\`\`\`csv\n${HEADER}\n1,q,a,b,c\n\`\`\``).map((i) => i.type);
+    assert.deepEqual(types, ['header_in_content', 'incomplete_code_fence']);
+  });
+
+  it('缺少必填字段记为问题', async () => {
+    const result = await validator().validateAndFix(`${HEADER}\n1,q,,张三,生态学`, 'missing.csv');
+    assert.deepEqual(result.issues.map((i) => i.type), ['missing_required_field']);
+    assert.equal(result.issues[0].field, '答案');
+  });
+});
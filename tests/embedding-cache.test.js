@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EmbeddingCache = require('../utils/embedding-cache');
+
+describe('EmbeddingCache', () => {
+  it('按命名空间区分同一文本的向量', () => {
+    const a = new EmbeddingCache({ namespace: 'api:m1' });
+    const b = new EmbeddingCache({ namespace: 'api:m2' });
+    assert.notEqual(a.keyFor('文本'), b.keyFor('文本'));
+    a.set('文本', [1, 0]);
+    assert.deepEqual(a.get('文本'), [1, 0]);
+    assert.equal(a.get('其它'), null);
+    assert.deepEqual(a.getStats(), { disk: false, size: 1, memoryHits: 1, diskHits: 0, misses: 1, writes: 0 });
+  });
+
+  it('内存条目超过上限时淘汰最早写入的', () => {
+    const cache = new EmbeddingCache({ maxMemoryEntries: 2 });
+    cache.set('x', [1]);
+    cache.set('y', [2]);
+    cache.set('z', [3]);
+    assert.equal(cache.get('x'), null);
+    assert.deepEqual(cache.get('z'), [3]);
+  });
+
+  it('fromConfig 读取 similarity.cache', () => {
+    const cache = EmbeddingCache.fromConfig({ cache: { disk: true, dir: '/tmp/emb', max_memory_entries: 10 } }, 'local:m');
+    assert.equal(cache.disk, true);
+    assert.equal(cache.dir, '/tmp/emb');
+    assert.equal(cache.maxMemoryEntries, 10);
+    assert.equal(cache.namespace, 'local:m');
+  });
+});
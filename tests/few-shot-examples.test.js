@@ -0,0 +1,91 @@
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FewShotExamples = require('../utils/few-shot-examples');
+const JsonSchemaValidator = require('../modules/json-schema-validator');
+const { fixture, quietLogger } = require('./helpers');
+
+const VERSION_DIR = fixture('few-shot');
+const ROWS_SCHEMA = path.join(__dirname, '..', 'prompts', 'StructuredFileProcessor', 'Version2', 'rows.schema.json');
+
+function recordingLogger() {
+  const warnings = [];
+  return { warnings, logger: Object.assign({}, quietLogger, { warn: (m) => warnings.push(m) }) };
+}
+
+// 按输入中出现的关键词打分，避免测试依赖语义模型
+const keywordSimilarity = (scores) => ({
+  calculateSimilarities: async (text, candidates) => candidates.map((c) => scores.find(([kw]) => c.includes(kw))?.[1] ?? 0),
+});
+
+describe('FewShotExamples.load', () => {
+  it('读取成对的输入与 rows.json（对象或 rows 数组），跳过无法配对与 JSON 无效的文件', () => {
+    const { warnings, logger } = recordingLogger();
+    const library = FewShotExamples.load(VERSION_DIR, { logger });
+    assert.deepEqual(library.examples.map((ex) => ex.name), ['chemistry', 'ecology', 'incomplete']);
+    assert.deepEqual(library.examples[0].output.rows[0].专业, '化学');
+    assert.match(library.examples[1].input, /^# 生态学作业/);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /JSON 解析失败.*malformed\.rows\.json/);
+    assert.match(warnings[1], /缺少输入文件（orphan\.md 或 orphan\.txt）/);
+  });
+
+  it('按输出 Schema 校验示例，不符合的记录原因后跳过', () => {
+    const validator = new JsonSchemaValidator({ logger: quietLogger });
+    validator.loadSchema(ROWS_SCHEMA);
+    const { warnings, logger } = recordingLogger();
+    const library = FewShotExamples.load(VERSION_DIR, { logger, validate: (json) => validator.validate(json) });
+    assert.deepEqual(library.examples.map((ex) => ex.name), ['chemistry', 'ecology']);
+    const rejected = warnings.filter((m) => m.includes('不符合输出 Schema'));
+    assert.equal(rejected.length, 1);
+    assert.match(rejected[0], /incomplete\.rows\.json - rows\[0\]\.答案: 缺少必填字段/);
+  });
+
+  it('版本目录下没有 examples 时为空库', () => {
+    const library = FewShotExamples.load(path.join(__dirname, '..', 'prompts', 'StructuredFileProcessor', 'Version1'), { logger: quietLogger });
+    assert.equal(library.size, 0);
+  });
+});
+
+describe('FewShotExamples.select', () => {
+  const examples = [
+    { name: 'a', input: '生态位', output: { rows: [] } },
+    { name: 'b', input: '滴定', output: { rows: [] } },
+    { name: 'c', input: '演替', output: { rows: [] } },
+  ];
+
+  it('按相似度选出前 N 个，最相似的排在最后', async () => {
+    const library = new FewShotExamples({ examples, similarity: keywordSimilarity([['生态位', 0.9], ['滴定', 0.1], ['演替', 0.5]]), logger: quietLogger });
+    const picked = await library.select('什么是生态位？', 2);
+    assert.deepEqual(picked.map((ex) => [ex.name, ex.score]), [['c', 0.5], ['a', 0.9]]);
+  });
+
+  it('相似度相同时按文件名顺序优先', async () => {
+    const library = new FewShotExamples({ examples, similarity: keywordSimilarity([]), logger: quietLogger });
+    assert.deepEqual((await library.select('无关文本', 2)).map((ex) => ex.name), ['b', 'a']);
+  });
+
+  it('order 方式或输入无文本时按顺序取前 N 个，不计算相似度', async () => {
+    const similarity = { calculateSimilarities: async () => assert.fail('不应计算相似度') };
+    const ordered = new FewShotExamples({ examples, selection: 'order', similarity, logger: quietLogger });
+    assert.deepEqual((await ordered.select('生态位', 2)).map((ex) => [ex.name, ex.score]), [['a', null], ['b', null]]);
+    const library = new FewShotExamples({ examples, similarity, logger: quietLogger });
+    const image = [{ type: 'image_url', image_url: { url: 'data:image/png;base64,AA==' } }];
+    assert.deepEqual((await library.select(image, 1)).map((ex) => ex.name), ['a']);
+  });
+
+  it('数量按 0 到示例总数截取', async () => {
+    const library = new FewShotExamples({ examples, selection: 'order', logger: quietLogger });
+    assert.deepEqual(await library.select('x', 0), []);
+    assert.deepEqual(await library.select('x', -1), []);
+    assert.equal((await library.select('x', 10)).length, 3);
+  });
+
+  it('toMessages 转为 user/assistant 轮次', () => {
+    const output = { rows: [{ 编号: 1 }] };
+    assert.deepEqual(FewShotExamples.toMessages([{ input: '生态位', output }]), [
+      { role: 'user', content: '生态位' },
+      { role: 'assistant', content: '{"rows":[{"编号":1}]}' },
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { HeadlessRunner } = require('../modules/headless-runner');
+const { quietLogger } = require('./helpers');
+
+describe('HeadlessRunner.resolveJob --replay', () => {
+  let dir;
+  let config;
+  let input;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'headless-runner-'));
+    input = path.join(dir, 'input.txt');
+    fs.writeFileSync(input, '什么是生态位？');
+    for (const root of ['configured', 'custom']) {
+      fs.mkdirSync(path.join(dir, root, 'run_A'), { recursive: true });
+      fs.writeFileSync(path.join(dir, root, 'run_A', 'llm_cassette.jsonl'), '');
+    }
+    config = {
+      directories: { output_dir: path.join(dir, 'configured') },
+      providers: [{ name: 'Mock', models: ['mock-model'] }],
+    };
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const resolve = (extra) => new HeadlessRunner({ logger: quietLogger })
+    .resolveJob(Object.assign({ provider: 'Mock', model: 'mock-model', inputs: [input], replay: 'run_A' }, extra), config);
+
+  it('runId 按 --output 指定的输出目录解析', () => {
+    const job = resolve({ output: path.join(dir, 'custom') });
+    assert.equal(job.options.replay, path.join(dir, 'custom', 'run_A', 'llm_cassette.jsonl'));
+  });
+
+  it('未指定 --output 时按配置的输出目录解析', () => {
+    const job = resolve({});
+    assert.equal(job.options.replay, path.join(dir, 'configured', 'run_A', 'llm_cassette.jsonl'));
+  });
+
+  it('输出目录下不存在该运行时报配置错误', () => {
+    assert.throws(() => resolve({ output: path.join(dir, 'custom'), replay: 'run_B' }), /未找到 LLM 磁带/);
+  });
+});
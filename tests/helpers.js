@@ -0,0 +1,14 @@
+const path = require('path');
+
+/**
+ * 测试公用：fixture 路径与静默 logger（被测模块的日志不混入测试输出）
+ */
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function fixture(...parts) {
+  return path.join(FIXTURES_DIR, ...parts);
+}
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {}, success() {} };
+
+module.exports = { FIXTURES_DIR, fixture, quietLogger };
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const JsonSchemaValidator = require('../modules/json-schema-validator');
+const { fixture, quietLogger } = require('./helpers');
+
+const json = (name) => require(fixture('json', name));
+const ROWS_SCHEMA = path.join(__dirname, '..', 'prompts', 'StructuredFileProcessor', 'Version2', 'rows.schema.json');
+
+function loaded(schemaPath) {
+  const validator = new JsonSchemaValidator({ logger: quietLogger });
+  validator.loadSchema(schemaPath);
+  return validator;
+}
+
+describe('JsonSchemaValidator.validate', () => {
+  it('内置 rows.schema.json：合法输出（含引号与换行）通过', () => {
+    assert.deepEqual(loaded(ROWS_SCHEMA).validate(json('rows.valid.json')), { valid: true, errors: [] });
+  });
+
+  it('内置 rows.schema.json：字段级错误带路径与中文说明', () => {
+    const { valid, errors } = loaded(ROWS_SCHEMA).validate(json('rows.invalid.json'));
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      { path: 'rows[0].编号', message: '类型应为 integer' },
+      { path: 'rows[1].专业', message: '缺少必填字段' },
+      { path: 'rows[1].编号', message: '数值不能小于 1' },
+    ]);
+  });
+
+  it('类型不符时不再深入该节点', () => {
+    const { errors } = loaded(ROWS_SCHEMA).validate({ rows: 'x' });
+    assert.deepEqual(errors, [{ path: 'rows', message: '类型应为 array' }]);
+    assert.deepEqual(loaded(ROWS_SCHEMA).validate({ rows: [] }).errors, [{ path: 'rows', message: '数组元素至少 1 个' }]);
+  });
+
+  it('解析相对 schema 文件的 $ref，校验 enum、additionalProperties、uniqueItems 与 format', () => {
+    const validator = loaded(fixture('json', 'reagents.schema.json'));
+    assert.equal(validator.validate({ rows: [{ 名称: 'NaCl', 浓度: 0.5, 单位: 'mol/L' }], recordedAt: '2024-02-29' }).valid, true);
+
+    const bad = { 名称: 'NaCl', 浓度: 0, 单位: 'g', 备注: 'x' };
+    const paths = validator.validate({ rows: [bad, { ...bad }], recordedAt: '2023-02-29' }).errors.map((e) => e.path);
+    assert.deepEqual(paths, [
+      'rows',
+      'rows[0].浓度', 'rows[0].单位', 'rows[0].备注',
+      'rows[1].浓度', 'rows[1].单位', 'rows[1].备注',
+      'recordedAt',
+    ]);
+  });
+
+  it('组合关键字：oneOf 恰好一个、if/then', () => {
+    const validator = new JsonSchemaValidator({ logger: quietLogger });
+    assert.equal(validator.validate(3, { oneOf: [{ type: 'integer' }, { type: 'number' }] }).valid, false);
+    assert.equal(validator.validate(3.5, { oneOf: [{ type: 'integer' }, { type: 'number' }] }).valid, true);
+    const conditional = { if: { properties: { kind: { const: 'a' } } }, then: { required: ['x'] } };
+    assert.deepEqual(validator.validate({ kind: 'a' }, conditional).errors, [{ path: 'x', message: '缺少必填字段' }]);
+    assert.equal(validator.validate({ kind: 'b' }, conditional).valid, true);
+  });
+
+  it('未加载 schema 时抛错', () => {
+    assert.throws(() => new JsonSchemaValidator({ logger: quietLogger }).validate({}), /Schema 未加载/);
+  });
+});
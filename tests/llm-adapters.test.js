@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapter, PROVIDER_TYPES } = require('../modules/llm-adapters');
+const { contentParts, splitSystem } = require('../modules/llm-adapters/base-adapter');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const MESSAGES = [
+  { role: 'system', content: '把问答整理为 CSV' },
+  { role: 'user', content: '什么是生态位？' },
+  { role: 'assistant', content: '编号,问题' },
+  { role: 'user', content: '继续' },
+];
+const IMAGE_MESSAGE = {
+  role: 'user',
+  content: [
+    { type: 'text', text: '识别图中的表格' },
+    { type: 'image_url', image_url: { url: PNG } },
+  ],
+};
+const EXTRA = { temperature: 0, max_tokens: 512, top_p: 0.9, stop: '###' };
+
+describe('createAdapter', () => {
+  it('按 provider.type 选择适配器，未配置时为 openai', () => {
+    assert.deepEqual(PROVIDER_TYPES, ['openai', 'anthropic', 'gemini', 'ollama', 'mock']);
+    assert.equal(createAdapter({}).type, 'openai');
+    assert.equal(createAdapter({ type: 'Anthropic' }).type, 'anthropic');
+    assert.throws(() => createAdapter({ type: 'azure' }), /不支持的提供商类型: azure/);
+  });
+});
+
+describe('base-adapter 工具函数', () => {
+  it('contentParts 拆出文本与图片分段，data: URL 解析出类型与数据', () => {
+    assert.deepEqual(contentParts(IMAGE_MESSAGE.content), [
+      { type: 'text', text: '识别图中的表格' },
+      { type: 'image', url: PNG, mediaType: 'image/png', data: 'iVBORw0KGgo=' },
+    ]);
+    assert.deepEqual(contentParts('纯文本'), [{ type: 'text', text: '纯文本' }]);
+  });
+
+  it('splitSystem 合并 system 消息', () => {
+    const { system, messages } = splitSystem([{ role: 'system', content: 'a' }, ...MESSAGES]);
+    assert.equal(system, 'a\n\n把问答整理为 CSV');
+    assert.equal(messages.length, 3);
+  });
+});
+
+describe('OpenAIAdapter', () => {
+  const adapter = createAdapter({ base_url: 'https://api.example.com/', api_key: 'sk-test' });
+
+  it('请求体保留 messages 与 extra，流式时请求 usage', () => {
+    const req = adapter.buildRequest({ model: 'gpt-4o-mini', messages: MESSAGES, extra: EXTRA, stream: true });
+    assert.equal(req.url, 'https://api.example.com/v1/chat/completions');
+    assert.equal(req.headers.Authorization, 'Bearer sk-test');
+    assert.deepEqual(req.body, Object.assign({ model: 'gpt-4o-mini', messages: MESSAGES }, EXTRA, { stream: true, stream_options: { include_usage: true } }));
+  });
+
+  it('解析流式事件的增量、结束原因与 usage', () => {
+    assert.deepEqual(adapter.parseStreamEvent({ id: 'c1', model: 'm', choices: [{ delta: { content: '编号' }, finish_reason: null }] }), { id: 'c1', model: 'm', delta: '编号' });
+    assert.deepEqual(adapter.parseStreamEvent({ id: 'c1', model: 'm', choices: [], usage: { total_tokens: 3 } }), { id: 'c1', model: 'm', usage: { total_tokens: 3 } });
+    assert.equal(adapter.parseStreamEvent({ choices: [{ delta: {}, finish_reason: 'stop' }] }).finishReason, 'stop');
+    assert.throws(() => adapter.parseStreamEvent({ error: { message: '过载' } }), /过载/);
+  });
+
+  it('SSE 行解析忽略非数据行与 [DONE]', () => {
+    assert.deepEqual(adapter.parseStreamLine('data: {"a":1}'), { a: 1 });
+    assert.equal(adapter.parseStreamLine('data: [DONE]'), null);
+    assert.equal(adapter.parseStreamLine(': keep-alive'), null);
+  });
+});
+
+describe('AnthropicAdapter', () => {
+  const adapter = createAdapter({ type: 'anthropic', base_url: 'https://api.anthropic.com', api_key: 'ak', max_tokens: 2048 });
+
+  it('system 单独传递，参数映射为 Messages API 字段', () => {
+    const req = adapter.buildRequest({ model: 'claude', messages: MESSAGES, extra: EXTRA });
+    assert.equal(req.url, 'https://api.anthropic.com/v1/messages');
+    assert.deepEqual(req.headers, { 'Content-Type': 'application/json', 'x-api-key': 'ak', 'anthropic-version': '2023-06-01' });
+    assert.deepEqual(req.body, {
+      model: 'claude',
+      max_tokens: 512,
+      messages: [
+        { role: 'user', content: '什么是生态位？' },
+        { role: 'assistant', content: '编号,问题' },
+        { role: 'user', content: '继续' },
+      ],
+      temperature: 0,
+      system: '把问答整理为 CSV',
+      top_p: 0.9,
+      stop_sequences: ['###'],
+    });
+  });
+
+  it('max_tokens 缺省取 provider.max_tokens；图片转为 base64 / url source', () => {
+    const remote = { role: 'user', content: [{ type: 'image_url', image_url: 'https://example.com/a.png' }] };
+    const req = adapter.buildRequest({ model: 'claude', messages: [IMAGE_MESSAGE, remote] });
+    assert.equal(req.body.max_tokens, 2048);
+    assert.deepEqual(req.body.messages[0].content, [
+      { type: 'text', text: '识别图中的表格' },
+      { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+    ]);
+    assert.deepEqual(req.body.messages[1].content, [{ type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }]);
+  });
+
+  it('响应转换为 chat.completion，usage 换算为 prompt/completion tokens', () => {
+    const out = adapter.parseResponse({
+      id: 'msg_1',
+      model: 'claude',
+      content: [{ type: 'text', text: '编号,' }, { type: 'tool_use' }, { type: 'text', text: '问题' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 4 },
+    });
+    assert.equal(out.choices[0].message.content, '编号,问题');
+    assert.equal(out.choices[0].finish_reason, 'end_turn');
+    assert.deepEqual(out.usage, { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 });
+    assert.equal(out.provider_type, 'anthropic');
+  });
+
+  it('流式事件与错误映射', () => {
+    assert.deepEqual(adapter.parseStreamEvent({ type: 'message_start', message: { id: 'm1', model: 'claude', usage: { input_tokens: 7 } } }), { id: 'm1', model: 'claude', usage: { prompt_tokens: 7 } });
+    assert.deepEqual(adapter.parseStreamEvent({ type: 'content_block_delta', delta: { type: 'text_delta', text: '编号' } }), { delta: '编号' });
+    assert.deepEqual(adapter.parseStreamEvent({ type: 'message_delta', delta: { stop_reason: 'max_tokens' }, usage: { output_tokens: 5 } }), { finishReason: 'max_tokens', usage: { completion_tokens: 5 } });
+    assert.throws(() => adapter.parseStreamEvent({ type: 'error', error: { message: 'Overloaded' } }), /Overloaded/);
+    assert.deepEqual(adapter.describeError(400, { error: { type: 'rate_limit_error', message: 'slow down' } }), { status: 429, reason: 'rate_limit_error: slow down' });
+  });
+});
+
+describe('GeminiAdapter', () => {
+  const adapter = createAdapter({ type: 'gemini', base_url: 'https://generativelanguage.googleapis.com', api_key: 'gk' });
+
+  it('assistant 映射为 model，system 放入 systemInstruction，参数放入 generationConfig', () => {
+    const req = adapter.buildRequest({ model: 'gemini-2.0-flash', messages: MESSAGES, extra: EXTRA, stream: true });
+    assert.equal(req.url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse');
+    assert.equal(req.headers['x-goog-api-key'], 'gk');
+    assert.deepEqual(req.body, {
+      contents: [
+        { role: 'user', parts: [{ text: '什么是生态位？' }] },
+        { role: 'model', parts: [{ text: '编号,问题' }] },
+        { role: 'user', parts: [{ text: '继续' }] },
+      ],
+      generationConfig: { temperature: 0, maxOutputTokens: 512, topP: 0.9, stopSequences: ['###'] },
+      systemInstruction: { parts: [{ text: '把问答整理为 CSV' }] },
+    });
+  });
+
+  it('图片转为 inlineData / fileData', () => {
+    const remote = { role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/b.webp?x=1' } }] };
+    const req = adapter.buildRequest({ model: 'g', messages: [IMAGE_MESSAGE, remote] });
+    assert.deepEqual(req.body.contents[0].parts[1], { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } });
+    assert.deepEqual(req.body.contents[1].parts, [{ fileData: { mimeType: 'image/webp', fileUri: 'https://example.com/b.webp?x=1' } }]);
+  });
+
+  it('响应跳过思考分段；无 candidates 时按拦截原因报错', () => {
+    const out = adapter.parseResponse({
+      responseId: 'r1',
+      modelVersion: 'gemini-2.0-flash',
+      candidates: [{ content: { parts: [{ text: '思考', thought: true }, { text: '编号,问题' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 3, totalTokenCount: 11 },
+    });
+    assert.equal(out.choices[0].message.content, '编号,问题');
+    assert.deepEqual(out.usage, { prompt_tokens: 8, completion_tokens: 3, total_tokens: 11 });
+    assert.throws(() => adapter.parseResponse({ promptFeedback: { blockReason: 'SAFETY' } }), (err) => /SAFETY/.test(err.message) && err.response.status === 400);
+  });
+
+  it('RESOURCE_EXHAUSTED 映射为 429', () => {
+    assert.deepEqual(adapter.describeError(400, { error: { status: 'RESOURCE_EXHAUSTED', message: 'quota' } }), { status: 429, reason: 'RESOURCE_EXHAUSTED: quota' });
+  });
+});
+
+describe('OllamaAdapter', () => {
+  const adapter = createAdapter({ type: 'ollama', base_url: 'http://localhost:11434' });
+
+  it('采样参数放入 options，图片放入 images', () => {
+    const req = adapter.buildRequest({ model: 'qwen2.5', messages: [MESSAGES[0], IMAGE_MESSAGE], extra: EXTRA });
+    assert.equal(req.url, 'http://localhost:11434/api/chat');
+    assert.equal(req.headers.Authorization, undefined);
+    assert.deepEqual(req.body, {
+      model: 'qwen2.5',
+      messages: [
+        { role: 'system', content: '把问答整理为 CSV' },
+        { role: 'user', content: '识别图中的表格', images: ['iVBORw0KGgo='] },
+      ],
+      stream: false,
+      options: { temperature: 0, num_predict: 512, top_p: 0.9, stop: ['###'] },
+    });
+  });
+
+  it('远程图片报错', () => {
+    const remote = { role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] };
+    assert.throws(() => adapter.buildRequest({ model: 'q', messages: [remote] }), /仅支持 base64/);
+  });
+
+  it('NDJSON 流式：逐行解析，done 时给出结束原因与 usage', () => {
+    assert.deepEqual(adapter.parseStreamLine('{"message":{"content":"编号"}}'), { message: { content: '编号' } });
+    assert.equal(adapter.parseStreamLine('not json'), null);
+    const last = adapter.parseStreamEvent({ model: 'q', message: { content: '' }, done: true, prompt_eval_count: 6, eval_count: 2 });
+    assert.deepEqual(last, { model: 'q', delta: '', finishReason: 'stop', usage: { prompt_tokens: 6, completion_tokens: 2 } });
+    const out = adapter.parseResponse({ model: 'q', message: { content: '编号,问题' }, done_reason: 'stop', prompt_eval_count: 6, eval_count: 2 });
+    assert.equal(out.choices[0].message.content, '编号,问题');
+    assert.equal(out.usage.total_tokens, 8);
+  });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const LLMClient = require('../modules/llm-client');
+const { MockLLMServer } = require('../modules/mock-llm-server');
+const { LLMCassette, RUN_ID_PLACEHOLDER } = require('../utils/llm-cassette');
+const { renderTemplate } = require('../utils/prompt-template');
+
+const SYSTEM_PROMPT = '运行 {{runId}}：把问答整理为 CSV';
+
+describe('LLMCassette', () => {
+  const mock = new MockLLMServer({ fixtures: [{ response: '编号,问题,答案,答题人,专业\n1,q,a,张三,生态学' }] });
+  let dir;
+  let providers;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cassette-'));
+    providers = [{ name: 'Mock', base_url: await mock.start(), models: ['mock-model'] }];
+  });
+  after(() => {
+    mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // 与处理器相同：按运行创建磁带，系统提示词按运行 ID 渲染，匹配依据中运行 ID 保留为占位符
+  const request = (runId, cassetteOptions, content = '什么是生态位？') => {
+    const runOutputDir = path.join(dir, runId);
+    const cassette = LLMCassette.forRun(Object.assign({ runOutputDir, runId, logger: { warn() {} } }, cassetteOptions));
+    const client = new LLMClient({ providers, retry: { enable_auto_retry: false }, cassette });
+    const user = { role: 'user', content };
+    return client.chatCompletion({
+      providerName: 'Mock',
+      model: 'mock-model',
+      messages: [{ role: 'system', content: renderTemplate(SYSTEM_PROMPT, { runId }) }, user],
+      cassetteMessages: [{ role: 'system', content: renderTemplate(SYSTEM_PROMPT, { runId: RUN_ID_PLACEHOLDER }) }, user],
+    });
+  };
+
+  it('引用 {{runId}} 的提示词录制后可在新运行目录中回放', async () => {
+    const recorded = await request('run_A', { record: true });
+    const sent = mock.requests.length;
+
+    const replayed = await request('run_B', { replay: path.join(dir, 'run_A') });
+    assert.equal(replayed.replayed, true);
+    assert.equal(replayed.text, recorded.text);
+    assert.equal(mock.requests.length, sent);
+  });
+
+  it('正文中与运行名相同的文字不被当作运行 ID', async () => {
+    await request('eco', { record: true }, 'eco 区域的生态位');
+    const sent = mock.requests.length;
+
+    const replayed = await request('run_D', { replay: path.join(dir, 'eco') }, 'eco 区域的生态位');
+    assert.equal(replayed.replayed, true);
+    assert.equal(mock.requests.length, sent);
+    await assert.rejects(request('run_E', { replay: path.join(dir, 'eco') }, 'run_E 区域的生态位'), { code: 'REPLAY_MISS' });
+  });
+
+  it('提示词其余部分变化时回放未命中', async () => {
+    const cassette = LLMCassette.forRun({ replay: path.join(dir, 'run_A'), runOutputDir: path.join(dir, 'run_C'), runId: 'run_C' });
+    assert.throws(() => cassette.replay({
+      providerName: 'Mock',
+      model: 'mock-model',
+      messages: [{ role: 'system', content: '运行 run_C：另一份提示词' }, { role: 'user', content: '什么是生态位？' }],
+    }), { code: 'REPLAY_MISS' });
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const Papa = require('papaparse');
+const LLMClient = require('../modules/llm-client');
+const { MockLLMServer } = require('../modules/mock-llm-server');
+const { createEmbeddingBackend } = require('../utils/embedding-backends');
+
+const CSV = '编号,问题,答案,答题人,专业\n1,什么是生态位,物种在群落中的地位,张三,生态学';
+const JSON_ROWS = { rows: [{ 编号: 1, 问题: '什么是生态位', 答案: '物种在群落中的地位' }] };
+const NO_RETRY = { enable_auto_retry: false };
+const FAST_RETRY = { max_retry_count: 2, retry_delay_ms: 10, max_retry_delay_ms: 50 };
+
+describe('MockLLMServer', () => {
+  const mock = new MockLLMServer({
+    fixtures: [
+      { name: 'json', match: '结构化', response: JSON_ROWS },
+      { name: 'csv', response: CSV },
+    ],
+    faults: [
+      { type: 'rate_limit', match: '限流', retry_after: 0, times: 1 },
+      { type: 'server_error', match: '服务端', status: 503 },
+      { type: 'timeout', match: '超时', delay_ms: 2000 },
+      { type: 'malformed_json', match: '结构化' },
+      { type: 'broken_csv', match: '破损' },
+    ],
+    models: ['mock-model', 'mock-embed'],
+  });
+  let dir;
+  let providers;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-llm-server-'));
+    providers = [{ name: 'Mock', base_url: await mock.start(), models: ['mock-model'] }];
+  });
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const ask = (content, { retry = NO_RETRY, timeouts = {}, streamOptions = {} } = {}) => {
+    const client = new LLMClient({ providers, retry });
+    return client.chatCompletion({ providerName: 'Mock', model: 'mock-model', messages: [{ role: 'user', content }], timeouts, streamOptions });
+  };
+  // 本次请求之后服务端记录的请求
+  const since = (n) => mock.requests.slice(n).map((r) => r.fault);
+
+  it('无故障时按 fixture 返回，附带 usage', async () => {
+    const n = mock.requests.length;
+    const res = await ask('什么是生态位？');
+    assert.equal(res.text, CSV);
+    assert.ok(res.raw.usage.total_tokens > 0);
+    assert.deepEqual(since(n), [null]);
+  });
+
+  it('rate_limit：返回 429 与 Retry-After，客户端重试后成功', async () => {
+    const n = mock.requests.length;
+    const res = await ask('限流：什么是生态位？', { retry: FAST_RETRY });
+    assert.equal(res.text, CSV);
+    assert.deepEqual(since(n), ['rate_limit', null]);
+  });
+
+  it('server_error：按配置的状态码失败', async () => {
+    const n = mock.requests.length;
+    await assert.rejects(ask('服务端：什么是生态位？'), (err) => /503/.test(err.message) && err.attempts === 1);
+    assert.deepEqual(since(n), ['server_error']);
+  });
+
+  it('timeout：延迟响应触发客户端超时', async () => {
+    const started = Date.now();
+    await assert.rejects(ask('超时：什么是生态位？', { timeouts: { responseTimeoutMs: 1000 } }));
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it('malformed_json：返回截断的 fixture JSON', async () => {
+    const res = await ask('结构化：什么是生态位？');
+    assert.equal(res.text, JSON.stringify(JSON_ROWS).slice(0, Math.floor(JSON.stringify(JSON_ROWS).length / 2)));
+    assert.throws(() => JSON.parse(res.text), SyntaxError);
+  });
+
+  it('broken_csv：返回引号未闭合的 CSV 代码块', async () => {
+    const res = await ask('破损：什么是生态位？');
+    assert.match(res.text, /^```csv\n/);
+    const parsed = Papa.parse(res.text.replace(/^```csv\n|\n```$/g, ''), { skipEmptyLines: true });
+    assert.ok(parsed.errors.some((e) => e.type === 'Quotes'));
+  });
+
+  it('SSE 流式响应分块到达，拼接结果与 usage 与非流式一致', async () => {
+    const partialPath = path.join(dir, 'sample.partial.txt');
+    let progress = 0;
+    const res = await ask('什么是生态位？', {
+      timeouts: { stream: true, streamIdleTimeoutMs: 2000 },
+      streamOptions: { partialPath, onProgress: () => { progress++; } },
+    });
+    assert.equal(res.text, CSV);
+    assert.ok(res.raw.usage.total_tokens > 0);
+    assert.ok(progress > 1, `进度回调 ${progress} 次`);
+    assert.equal(fs.existsSync(partialPath), false);
+  });
+
+  it('/v1/models 列出配置的模型', async () => {
+    const resp = await axios.get(`${providers[0].base_url}/v1/models`);
+    assert.deepEqual(resp.data.data.map((m) => m.id), ['mock-model', 'mock-embed']);
+  });
+
+  it('/v1/embeddings 经嵌入后端返回确定性向量', async () => {
+    const backend = createEmbeddingBackend({ backend: 'api', api: { provider: 'Mock', model: 'mock-embed' } }, { providers });
+    await backend.initialize();
+    const [a, b, c] = await backend.embed(['生态位的定义', '生态位的定义', '有机化学反应']);
+    assert.equal(a.length, 64);
+    assert.deepEqual(a, b);
+    const dot = (x, y) => x.reduce((sum, v, i) => sum + v * y[i], 0);
+    assert.ok(Math.abs(dot(a, b) - 1) < 1e-9);
+    assert.ok(dot(a, c) < dot(a, b));
+    assert.deepEqual(mock.embeddingRequests.at(-1), { model: 'mock-embed', inputs: 3 });
+  });
+});
+
+describe('mock 类型提供商', () => {
+  it('进程内自动启动，故障脚本取自提供商配置', async () => {
+    const provider = {
+      name: 'InProcessMock',
+      type: 'mock',
+      models: ['mock-model'],
+      fixtures: [{ response: CSV }],
+      faults: [{ type: 'server_error', times: 1 }],
+    };
+    const client = new LLMClient({ providers: [provider], retry: FAST_RETRY });
+    const res = await client.chatCompletion({ providerName: 'InProcessMock', model: 'mock-model', messages: [{ role: 'user', content: '什么是生态位？' }] });
+    assert.equal(res.text, CSV);
+  });
+});
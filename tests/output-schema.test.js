@@ -0,0 +1,91 @@
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OutputSchema = require('../utils/output-schema');
+
+const rowsSchema = (items) => ({ type: 'object', properties: { rows: { type: 'array', items: Object.assign({ type: 'object' }, items) } } });
+
+const REAGENT_PROPS = {
+  名称: { type: 'string', maxLength: 50 },
+  序号: { type: 'integer' },
+  规格: { type: 'string', maxLength: 20 },
+  用途: { type: 'string', maxLength: 200 },
+  备注: { type: ['string', 'null'] },
+};
+
+describe('OutputSchema.fromRowsSchema', () => {
+  it('列取 properties 的键顺序；主键取第一个 integer 列，答案取第一个未限制 maxLength 的 string 列', () => {
+    const schema = OutputSchema.fromRowsSchema(rowsSchema({ properties: REAGENT_PROPS }));
+    assert.deepEqual(schema.columns, ['名称', '序号', '规格', '用途', '备注']);
+    assert.equal(schema.keyColumn, '序号');
+    assert.equal(schema.answerColumn, '备注');
+    assert.equal(schema.isDefault, false);
+  });
+
+  it('string 列都限制 maxLength 时答案取上限最大的列', () => {
+    const { 备注, ...props } = REAGENT_PROPS;
+    assert.equal(OutputSchema.fromRowsSchema(rowsSchema({ properties: props })).answerColumn, '用途');
+  });
+
+  it('没有 integer 列时主键取第一列，没有 string 列时答案取末列', () => {
+    const schema = OutputSchema.fromRowsSchema(rowsSchema({ properties: { a: { type: 'number' }, b: { type: 'boolean' } } }));
+    assert.equal(schema.keyColumn, 'a');
+    assert.equal(schema.answerColumn, 'b');
+  });
+
+  it('x-columns / x-key-column / x-answer-column 显式指定', () => {
+    const schema = OutputSchema.fromRowsSchema(rowsSchema({
+      properties: REAGENT_PROPS,
+      'x-columns': ['序号', '名称', '用途'],
+      'x-key-column': '名称',
+      'x-answer-column': '用途',
+    }));
+    assert.deepEqual(schema.columns, ['序号', '名称', '用途']);
+    assert.equal(schema.keyColumn, '名称');
+    assert.equal(schema.answerColumn, '用途');
+    assert.deepEqual(schema.requiredColumns, ['名称', '用途']);
+  });
+
+  it('x-key-column / x-answer-column 不在列中时回退为首列与末列', () => {
+    const schema = OutputSchema.fromRowsSchema(rowsSchema({
+      properties: REAGENT_PROPS,
+      'x-columns': ['名称', '规格'],
+      'x-key-column': '序号',
+      'x-answer-column': '用途',
+    }));
+    assert.equal(schema.keyColumn, '名称');
+    assert.equal(schema.answerColumn, '规格');
+  });
+
+  it('无法推导时使用默认五列问答表', () => {
+    for (const s of [{}, rowsSchema({}), rowsSchema({ properties: {} })]) {
+      const schema = OutputSchema.fromRowsSchema(s);
+      assert.equal(schema.isDefault, true);
+      assert.equal(schema.keyColumn, '编号');
+      assert.equal(schema.answerColumn, '答案');
+    }
+  });
+});
+
+describe('OutputSchema', () => {
+  it('fromFile 读取提示词版本的 rows.schema.json，文件不存在时为默认结构', () => {
+    const file = path.join(__dirname, '..', 'prompts', 'StructuredFileProcessor', 'Version1', 'rows.schema.json');
+    const schema = OutputSchema.fromFile(file);
+    assert.deepEqual(schema.columns, OutputSchema.DEFAULT_COLUMNS);
+    assert.equal(schema.answerIndex, 2);
+    assert.equal(schema.source, file);
+    assert.equal(OutputSchema.fromFile(path.join(__dirname, 'missing.schema.json')).isDefault, true);
+  });
+
+  it('headerPattern 允许列间空白并转义特殊字符', () => {
+    const schema = new OutputSchema({ columns: ['编号', '浓度(mol/L)', '答案'] });
+    const re = new RegExp(`^${schema.headerPattern()}$`);
+    assert.ok(re.test('编号 , 浓度(mol/L),答案'));
+    assert.ok(!re.test('编号,浓度mol/L,答案'));
+    assert.equal(schema.headerLine(), '编号,浓度(mol/L),答案');
+  });
+
+  it('至少需要一列', () => {
+    assert.throws(() => new OutputSchema({ columns: [] }), /至少需要一列/);
+  });
+});
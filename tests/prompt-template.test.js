@@ -0,0 +1,98 @@
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, buildTemplateVariables, normalizeVariables, parseVariableArgs } = require('../utils/prompt-template');
+
+describe('renderTemplate', () => {
+  it('替换变量，允许花括号内空白', () => {
+    assert.equal(renderTemplate('答题人：{{ 答题人 }}，文件 {{filename}}', { 答题人: '张三', filename: 'a.md' }), '答题人：张三，文件 a.md');
+  });
+
+  it('未定义或为空的变量替换为空字符串，写作 {{名称|默认值}} 时取默认值', () => {
+    assert.equal(renderTemplate('[{{missing}}][{{empty|未知}}][{{zero|未知}}]', { empty: '', zero: 0 }), '[][未知][0]');
+  });
+
+  it('模板为空时返回空字符串', () => {
+    assert.equal(renderTemplate(undefined, {}), '');
+  });
+});
+
+describe('buildTemplateVariables', () => {
+  const filePath = path.join('/data', 'input', '生态学', '张三', '作业1.md');
+
+  it('由相对路径得到文件名与各级目录', () => {
+    const vars = buildTemplateVariables({ filePath, relativePath: '生态学\\张三\\作业1.md', runId: 'run_A' });
+    assert.deepEqual(vars, {
+      filename: '作业1.md',
+      basename: '作业1',
+      relativeDir: '生态学/张三',
+      parentDir: '张三',
+      chapter: '',
+      chunkIndex: 1,
+      chunkTotal: 1,
+      runId: 'run_A',
+      dir1: '生态学',
+      dir2: '张三',
+    });
+  });
+
+  it('根目录下的文件没有 dir 变量，相对路径缺省为文件名', () => {
+    const vars = buildTemplateVariables({ filePath });
+    assert.equal(vars.relativeDir, '');
+    assert.equal(vars.filename, '作业1.md');
+    assert.equal(vars.dir1, undefined);
+    assert.equal(vars.runId, '');
+  });
+
+  it('分块时 chapter 取块标题，否则取分割路径', () => {
+    const meta = { split_path: '第一章 > 第二节', split_level: 2 };
+    const chunked = buildTemplateVariables({ filePath, metadata: meta, chunk: { index: 1, total: 3, heading: '## 群落' } });
+    assert.equal(chunked.chapter, '## 群落');
+    assert.equal(chunked.chunkIndex, 2);
+    assert.equal(chunked.chunkTotal, 3);
+    const split = buildTemplateVariables({ filePath, metadata: meta });
+    assert.equal(split.chapter, '第一章 > 第二节');
+    assert.equal(split.split_level, 2);
+  });
+
+  it('元数据不覆盖内置变量；自定义变量可引用内置变量并优先于同名变量', () => {
+    const vars = buildTemplateVariables({
+      filePath,
+      relativePath: '生态学/张三/作业1.md',
+      metadata: { filename: '被忽略.md' },
+      custom: { 答题人: '{{dir2}}', 专业: '{{dir1}}', basename: '自定义' },
+    });
+    assert.equal(vars.filename, '作业1.md');
+    assert.equal(vars.答题人, '张三');
+    assert.equal(vars.专业, '生态学');
+    assert.equal(vars.basename, '自定义');
+  });
+});
+
+describe('normalizeVariables', () => {
+  it('值转为字符串，null 视为空字符串', () => {
+    assert.deepEqual(normalizeVariables({ 年级: 3, 启用: true, 备注: null }), { ok: true, errors: [], variables: { 年级: '3', 启用: 'true', 备注: '' } });
+    assert.deepEqual(normalizeVariables(undefined), { ok: true, errors: [], variables: {} });
+  });
+
+  it('拒绝非键值对、无效变量名与对象值', () => {
+    assert.deepEqual(normalizeVariables(['a']).errors, ['须为键值对']);
+    const res = normalizeVariables({ 'a b': 'x', 'c|d': 'y', 列表: [1], ok: 'z' });
+    assert.equal(res.ok, false);
+    assert.deepEqual(res.errors, ['变量名无效: a b', '变量名无效: c|d', '变量 列表 的值须为字符串、数字或布尔']);
+    assert.deepEqual(res.variables, { ok: 'z' });
+  });
+});
+
+describe('parseVariableArgs', () => {
+  it('按第一个等号拆分，值中可含逗号与等号', () => {
+    assert.deepEqual(parseVariableArgs(['答题人=张三', ' 专业 =生态学,植物学', 'expr=a=b']), { 答题人: '张三', 专业: '生态学,植物学', expr: 'a=b' });
+    assert.deepEqual(parseVariableArgs('k='), { k: '' });
+  });
+
+  it('缺少名称或等号时报配置错误', () => {
+    for (const bad of ['无等号', '=值']) {
+      assert.throws(() => parseVariableArgs(bad), (err) => err.code === 'CONFIG_ERROR' && /名称=值/.test(err.message));
+    }
+  });
+});
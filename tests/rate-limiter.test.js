@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const LLMClient = require('../modules/llm-client');
+const { MockLLMServer } = require('../modules/mock-llm-server');
+const { RateLimiter, TokenBucket, getRateLimiter } = require('../utils/rate-limiter');
+
+// 把桶的上次回填时间往前拨，模拟时间流逝
+const elapse = (bucket, ms) => { bucket.last -= ms; };
+
+describe('TokenBucket', () => {
+  it('按每分钟额度匀速回填，不超过容量', () => {
+    const bucket = new TokenBucket(60); // 每秒 1 个
+    bucket.take(60);
+    assert.ok(bucket.waitTime(1) > 900);
+    elapse(bucket, 1500);
+    assert.equal(bucket.waitTime(1), 0);
+    elapse(bucket, 600000);
+    bucket._refill();
+    assert.equal(bucket.tokens, 60);
+  });
+
+  it('单次成本超过容量时按容量计', () => {
+    const bucket = new TokenBucket(100);
+    assert.equal(bucket.waitTime(500), 0);
+    bucket.take(500);
+    assert.ok(bucket.tokens <= 0.01);
+  });
+
+  it('退还不超过预占量与容量', () => {
+    const bucket = new TokenBucket(100);
+    bucket.take(80);
+    bucket.refund(80);
+    assert.ok(bucket.tokens <= 100);
+    assert.ok(bucket.tokens > 99.9);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('RPM：额度用尽后等待回填', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 600 }); // 每 100ms 1 个
+    limiter.rpm.tokens = 1;
+    assert.ok(await limiter.acquire() < 50);
+    const waited = await limiter.acquire();
+    assert.ok(waited >= 50, `等待 ${waited}ms`);
+  });
+
+  it('TPM：按估算 token 预占，不足时等待回填', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 60000 }); // 每毫秒 1 个
+    await limiter.acquire(60000);
+    assert.ok(limiter.tpm.tokens < 100);
+    const waited = await limiter.acquire(100);
+    assert.ok(waited >= 50, `等待 ${waited}ms`);
+  });
+
+  it('settle 补扣真实用量超出估算的部分，低于估算不退还', () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 1000 });
+    limiter.tpm.take(100);
+    limiter.settle(100, 300);
+    assert.ok(limiter.tpm.tokens < 701);
+    limiter.settle(100, 10);
+    assert.ok(limiter.tpm.tokens < 701);
+  });
+
+  it('未配置 TPM 时 settle / refund 不报错', () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 10 });
+    limiter.settle(10, 100);
+    limiter.refund(10);
+    assert.equal(limiter.tpm, null);
+  });
+
+  it('getRateLimiter 按提供商共享，未限流时返回 null', () => {
+    assert.equal(getRateLimiter({ name: 'NoLimit' }), null);
+    const a = getRateLimiter({ name: 'Shared', requests_per_minute: 10 });
+    assert.equal(getRateLimiter({ name: 'Shared', requests_per_minute: 10 }), a);
+    assert.notEqual(getRateLimiter({ name: 'Shared', requests_per_minute: 20 }), a);
+  });
+});
+
+describe('LLMClient 限流', () => {
+  const mock = new MockLLMServer({
+    fixtures: [{ response: '编号,问题,答案,答题人,专业\n1,q,a,张三,生态学' }],
+    faults: [{ type: 'server_error', match: '重试', times: 2 }],
+  });
+  let baseUrl;
+  before(async () => {
+    baseUrl = await mock.start();
+  });
+  after(() => mock.stop());
+
+  it('失败后重试的尝试退还预占，成功的尝试按真实用量校正', async () => {
+    const provider = { name: 'LimitedMock', base_url: baseUrl, models: ['mock-model'], tokens_per_minute: 100000 };
+    const client = new LLMClient({ providers: [provider], retry: { max_retry_count: 3, retry_delay_ms: 10, max_retry_delay_ms: 20 } });
+    const limiter = getRateLimiter(provider);
+    const calls = [];
+    for (const name of ['acquire', 'refund', 'settle']) {
+      const original = limiter[name].bind(limiter);
+      limiter[name] = (...args) => {
+        calls.push([name, ...args]);
+        return original(...args);
+      };
+    }
+    const messages = [{ role: 'user', content: '重试：什么是生态位？' }];
+    const estimated = client.estimateRequestTokens('mock-model', messages);
+    const res = await client.chatCompletion({ providerName: 'LimitedMock', model: 'mock-model', messages });
+    assert.equal(mock.requests.length, 3);
+    assert.deepEqual(calls, [
+      ['acquire', estimated], ['refund', estimated],
+      ['acquire', estimated], ['refund', estimated],
+      ['acquire', estimated], ['settle', estimated, res.raw.usage.total_tokens],
+    ]);
+  });
+});
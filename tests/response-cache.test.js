@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ResponseCache = require('../utils/response-cache');
+
+const REQUEST = { model: 'gpt-4o', messages: [{ role: 'user', content: '你好' }], extra: { temperature: 0.1 } };
+
+describe('ResponseCache', () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-')); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('同名模型在不同提供商下使用不同的键', () => {
+    const openai = ResponseCache.hashRequest(Object.assign({ providerName: 'OpenAI' }, REQUEST));
+    const azure = ResponseCache.hashRequest(Object.assign({ providerName: 'Azure' }, REQUEST));
+    assert.notEqual(openai, azure);
+    assert.equal(openai, ResponseCache.hashRequest(Object.assign({ providerName: 'OpenAI' }, REQUEST)));
+  });
+
+  it('delete 删除条目后不再命中', () => {
+    const cache = new ResponseCache({ enabled: true, dir });
+    const key = cache.buildKey(Object.assign({ providerName: 'OpenAI' }, REQUEST));
+    cache.set(key, { text: '{"rows": [', raw: {} });
+    assert.equal(cache.get(key).text, '{"rows": [');
+    cache.delete(key);
+    assert.equal(cache.get(key), null);
+    cache.delete(key);
+    cache.delete(undefined);
+  });
+});
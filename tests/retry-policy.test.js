@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RetryPolicy, parseRetryHeaders } = require('../utils/retry-policy');
+
+describe('RetryPolicy.delayFor', () => {
+  const policy = new RetryPolicy({ retry_delay_ms: 1000, max_retry_delay_ms: 60000 }, () => 0);
+
+  it('429 时按限流重置头等待', () => {
+    assert.deepEqual(policy.delayFor(1, { 'x-ratelimit-reset-requests': '6s' }, 429), { delayMs: 6000, source: 'server' });
+    assert.equal(parseRetryHeaders({ 'anthropic-ratelimit-tokens-reset': '250ms' }, 429), 250);
+  });
+
+  it('非 429 时忽略限流重置头，按指数退避', () => {
+    assert.deepEqual(policy.delayFor(2, { 'x-ratelimit-reset-tokens': '6m0s' }, 500), { delayMs: 1000, source: 'backoff' });
+    assert.equal(parseRetryHeaders({ 'x-ratelimit-reset': '30' }), null);
+  });
+
+  it('Retry-After 不限状态码', () => {
+    assert.deepEqual(policy.delayFor(1, { 'Retry-After': '3' }, 503), { delayMs: 3000, source: 'server' });
+  });
+});
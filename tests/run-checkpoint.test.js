@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSamples, appendSample } = require('../utils/run-checkpoint');
+const { resolveRunPaths, collectRunFiles, writeStartManifest } = require('../modules/run-support');
+const { quietLogger } = require('./helpers');
+
+describe('loadSamples / appendSample', () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-checkpoint-')); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('只读取完整的行，不修改带残行的文件', () => {
+    const file = path.join(dir, 'a.jsonl');
+    const content = '{"index":0,"text":"甲"}\n{"index":1,"text":"乙"}\n{"index":2,"te';
+    fs.writeFileSync(file, content, 'utf8');
+    const samples = loadSamples(file);
+    assert.deepEqual([...samples.keys()], [0, 1]);
+    assert.equal(fs.readFileSync(file, 'utf8'), content);
+  });
+
+  it('追加时先补换行，残行不与新样本粘连', () => {
+    const file = path.join(dir, 'b.jsonl');
+    fs.writeFileSync(file, '{"index":0,"text":"甲"}\n{"index":1,"te', 'utf8');
+    appendSample(file, { index: 1, text: '乙' });
+    appendSample(file, { index: 2, text: '丙' });
+    assert.deepEqual([...loadSamples(file).entries()].map(([i, s]) => [i, s.text]), [[0, '甲'], [1, '乙'], [2, '丙']]);
+  });
+});
+
+describe('运行清单路径', () => {
+  const cwd = process.cwd();
+  let dir;
+  before(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'run-manifest-')));
+    fs.mkdirSync(path.join(dir, 'project', 'in'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'elsewhere'));
+    fs.writeFileSync(path.join(dir, 'project', 'in', 'a.txt'), '什么是生态位？', 'utf8');
+  });
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('以相对路径开始的运行可从其他工作目录恢复', async () => {
+    const config = { directories: { temp_dir: './temp' } };
+    const context = { config, timestamp: 'run', logger: quietLogger };
+
+    process.chdir(path.join(dir, 'project'));
+    const started = resolveRunPaths({ customRunName: 'r1' }, 'out', context);
+    const files = await collectRunFiles(['in'], null, quietLogger);
+    writeStartManifest(started.runOutputDir, { runId: 'r1', mode: 'classic', inputs: ['in'], tempDir: started.tempDir }, {
+      modelSel: { provider: 'Mock', model: 'mock-model' }, files, inputMetadata: new Map(), logger: quietLogger,
+    });
+    fs.mkdirSync(path.join(started.tempDir, 'r1'), { recursive: true });
+    appendSample(path.join(started.tempDir, 'r1', 'a.jsonl'), { index: 0, text: '甲' });
+
+    process.chdir(path.join(dir, 'elsewhere'));
+    const resumed = resolveRunPaths({ resume: true, customRunName: 'r1' }, path.join(dir, 'project', 'out'), context);
+    assert.equal(resumed.tempDir, path.join(dir, 'project', 'temp'));
+    assert.deepEqual(resumed.resumeManifest.inputs, [path.join(dir, 'project', 'in')]);
+    const resumedFiles = await collectRunFiles(resumed.resumeManifest.inputs, resumed.resumeManifest, quietLogger);
+    assert.deepEqual(resumedFiles.map((f) => [f.relativePath, f.path]), [['a.txt', path.join(dir, 'project', 'in', 'a.txt')]]);
+    assert.deepEqual([...loadSamples(path.join(resumed.tempDir, 'r1', 'a.jsonl')).keys()], [0]);
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const SimilarityCalculator = require('../utils/similarity');
+const SemanticValidator = require('../modules/semantic-validator');
+const { MockLLMServer } = require('../modules/mock-llm-server');
+const { createEmbeddingBackend } = require('../utils/embedding-backends');
+const { fixture, quietLogger } = require('./helpers');
+
+// 不存在的模型目录 + 禁止联网：local 后端必然不可用，测试不触发下载
+const OFFLINE_LOCAL = { local_model_path: fixture('no-models'), allow_remote_models: false };
+const SAMPLE = '编号,问题,答案,答题人,专业\n1,什么是生态位？,物种在群落中的地位与作用,张三,生态学\n';
+
+const calculator = (similarity, providers = []) =>
+  new SimilarityCalculator({ config: { similarity, providers }, logger: quietLogger });
+
+describe('createEmbeddingBackend', () => {
+  it('lexical 不创建嵌入后端，未知后端与不完整的 api 配置报 CONFIG_ERROR', () => {
+    assert.equal(createEmbeddingBackend({ backend: 'lexical' }), null);
+    assert.throws(() => createEmbeddingBackend({ backend: 'bogus' }), { code: 'CONFIG_ERROR' });
+    assert.throws(() => createEmbeddingBackend({ backend: 'api', api: { model: 'e' } }), { code: 'CONFIG_ERROR' });
+    assert.throws(() => createEmbeddingBackend({ backend: 'api', api: { model: 'e', provider: 'X' } }), { code: 'CONFIG_ERROR' });
+  });
+});
+
+describe('SimilarityCalculator', () => {
+  it('lexical 后端：相同文本为 1，未降级', async () => {
+    const sim = calculator({ backend: 'lexical' });
+    assert.equal(await sim.calculateSimilarity(SAMPLE, SAMPLE), 1);
+    assert.ok((await sim.calculateSimilarity('abc', 'abd')) < 1);
+    assert.deepEqual(sim.getStatus(), { backend: 'lexical', method: 'lexical', degraded: false, reason: null, cache: null });
+    await assert.rejects(sim.calculateSemanticSimilarity('a', 'b'), { code: 'SIMILARITY_UNAVAILABLE' });
+  });
+
+  it('空文本的字面相似度为 1 而不是 NaN', () => {
+    const sim = calculator({ backend: 'lexical' });
+    assert.equal(sim.calculateLexicalSimilarity('', ''), 1);
+  });
+
+  it('本地模型缺失时显式降级为字面相似度并记录原因', async () => {
+    const sim = calculator(OFFLINE_LOCAL);
+    assert.equal(await sim.calculateSimilarity(SAMPLE, SAMPLE), 1);
+    const status = sim.getStatus();
+    assert.equal(status.method, 'lexical');
+    assert.equal(status.degraded, true);
+    assert.match(status.reason, /本地嵌入模型不存在/);
+  });
+
+  it('fallback: none 时语义后端不可用直接报错', async () => {
+    const sim = calculator(Object.assign({ fallback: 'none' }, OFFLINE_LOCAL));
+    await assert.rejects(sim.calculateSimilarity('a', 'b'), { code: 'CONFIG_ERROR' });
+  });
+
+  describe('api 后端（本地模拟 /v1/embeddings）', () => {
+    const mock = new MockLLMServer();
+    let providers;
+    before(async () => {
+      providers = [{ name: 'Embed', base_url: await mock.start(), models: ['mock-model'] }];
+    });
+    after(() => mock.stop());
+
+    it('按嵌入余弦计算语义相似度', async () => {
+      const sim = calculator({ backend: 'api', api: { provider: 'Embed', model: 'mock-embedding' } }, providers);
+      assert.ok(Math.abs((await sim.calculateSimilarity(SAMPLE, SAMPLE)) - 1) < 1e-9);
+      assert.ok((await sim.calculateSimilarity('细胞膜的结构', '光合作用的产物')) < 0.5);
+      assert.equal(sim.getStatus().method, 'semantic');
+    });
+
+    it('接口不可达时降级，并在多样本校验中给出建议', async () => {
+      const sim = calculator({ backend: 'api', api: { base_url: 'http://127.0.0.1:9', model: 'e', timeout_ms: 2000 } });
+      const validator = new SemanticValidator({ logger: quietLogger, similarityCalculator: sim });
+      const result = await validator.validateMultipleSamples([SAMPLE, SAMPLE, SAMPLE.replace('地位', '位置')], 'a.md');
+      assert.equal(result.similarity.degraded, true);
+      assert.ok(result.recommendations.some((r) => r.type === 'similarity_degraded'));
+      assert.ok(result.decisionLog.some((line) => line.includes('已降级为字面相似度')));
+      assert.ok(result.similarityMatrix[0][1] > 0.9);
+    });
+
+    it('相似度矩阵中每个文本只嵌入一次，重复计算命中内存缓存', async () => {
+      const sim = calculator({ backend: 'api', api: { provider: 'Embed', model: 'matrix' } }, providers);
+      const texts = ['样本甲', '样本乙', '样本甲', '样本丙'];
+      const before = mock.embeddingRequests.length;
+      const matrix = await sim.calculateSimilarityMatrix(texts);
+      assert.deepEqual(mock.embeddingRequests.slice(before), [{ model: 'matrix', inputs: 3 }]);
+      assert.equal(matrix[0][0], 1);
+      assert.ok(Math.abs(matrix[0][2] - 1) < 1e-9);
+      assert.equal(matrix[1][3], matrix[3][1]);
+
+      await sim.calculateSimilarityMatrix(texts);
+      assert.equal(mock.embeddingRequests.length, before + 1);
+      assert.equal(sim.getStatus().cache.memoryHits, 3);
+    });
+
+    it('未命中的文本按 batch_size 分批请求', async () => {
+      const sim = calculator({ backend: 'api', batch_size: 2, api: { provider: 'Embed', model: 'batched' } }, providers);
+      const before = mock.embeddingRequests.length;
+      await sim.calculateSimilarities('a', ['b', 'c', 'd', 'e']);
+      assert.deepEqual(mock.embeddingRequests.slice(before).map((r) => r.inputs), [2, 2, 1]);
+    });
+
+    describe('磁盘缓存', () => {
+      let dir;
+      before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-cache-')); });
+      after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+      it('新实例从磁盘读取上次计算的向量，不再请求接口', async () => {
+        const options = { backend: 'api', cache: { disk: true, dir }, api: { provider: 'Embed', model: 'disk' } };
+        const first = await calculator(options, providers).calculateSimilarity('细胞膜的结构', '细胞膜的组成');
+        const before = mock.embeddingRequests.length;
+        const sim = calculator(options, providers);
+        assert.equal(await sim.calculateSimilarity('细胞膜的结构', '细胞膜的组成'), first);
+        assert.equal(mock.embeddingRequests.length, before);
+        assert.equal(sim.getStatus().cache.diskHits, 2);
+      });
+    });
+  });
+});
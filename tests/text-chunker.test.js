@@ -0,0 +1,99 @@
+const fs = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Papa = require('papaparse');
+const { TextChunker, stitchChunkCsvs, formatChunkIndex } = require('../utils/text-chunker');
+const OutputSchema = require('../utils/output-schema');
+const { fixture } = require('./helpers');
+
+const HEADER = ['编号', '问题', '答案', '答题人', '专业'];
+const parse = (csv) => Papa.parse(csv, { skipEmptyLines: true }).data;
+
+// 三个小节，每节若干段落，整体远超 100 tokens 的预算
+const section = (title) => `## ${title}\n\n` + Array.from({ length: 12 }, (_, i) => `${title}第${i + 1}段：生态位描述物种在群落中的时空位置及其功能关系。\n\n`).join('');
+const LONG = section('种群') + section('群落') + section('生态系统');
+
+describe('TextChunker', () => {
+  it('未超出预算的文档原样作为单块', () => {
+    const chunker = new TextChunker({ maxTokens: 6000 });
+    const chunks = chunker.split('什么是生态位？');
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(chunks[0], { index: 0, total: 1, text: '什么是生态位？', tokens: chunker.count('什么是生态位？'), heading: null });
+  });
+
+  it('超出预算时切分，各块不超预算且拼接后与原文一致', () => {
+    const chunker = new TextChunker({ maxTokens: 100 });
+    const chunks = chunker.split(LONG);
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.map((c) => c.text).join(''), LONG);
+    chunks.forEach((c, i) => {
+      assert.equal(c.index, i);
+      assert.equal(c.total, chunks.length);
+      assert.ok(c.tokens <= 100, `第 ${i + 1} 块 ${c.tokens} tokens`);
+    });
+  });
+
+  it('块的 heading 取块首标题，否则沿用此前最后出现的标题', () => {
+    const chunks = new TextChunker({ maxTokens: 100 }).split(LONG);
+    assert.deepEqual(chunks.map((c) => c.heading), ['## 种群', '## 群落', '## 生态系统', '## 生态系统']);
+    assert.ok(!chunks[2].text.startsWith('## '));
+  });
+
+  it('分段 content（图片输入）不切分', () => {
+    const parts = [{ type: 'text', text: LONG }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AA==' } }];
+    const chunks = new TextChunker({ maxTokens: 100 }).split(parts);
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].text, parts);
+  });
+
+  it('fromConfig 默认开启，enabled: false 时关闭；恢复运行沿用清单参数', () => {
+    assert.equal(TextChunker.fromConfig({}).maxTokens, 6000);
+    assert.equal(TextChunker.fromConfig({ chunking: { max_tokens: 3000 } }).maxTokens, 3000);
+    assert.equal(TextChunker.fromConfig({ chunking: { enabled: false } }), null);
+    assert.equal(TextChunker.fromConfig({ chunking: { enabled: true } }, 'm', { enabled: false }), null);
+    assert.equal(TextChunker.fromConfig({ chunking: { enabled: false } }, 'm', { enabled: true, maxTokens: 2000 }).maxTokens, 2000);
+  });
+});
+
+describe('stitchChunkCsvs', () => {
+  const schema = OutputSchema.default();
+
+  it('去掉元数据行、代码围栏与重复表头，编号跨块连续', () => {
+    const chunk2 = '```csv\n编号,问题,答案,答题人,专业\n1,什么是群落？,同一区域内各种群的集合,张三,生态学\n2,什么是演替？,群落随时间的更替,张三,生态学\n```';
+    const { csv, ranges } = stitchChunkCsvs([fs.readFileSync(fixture('csv', 'with-meta.csv'), 'utf8'), chunk2], schema);
+    const rows = parse(csv);
+    assert.deepEqual(rows[0], HEADER);
+    assert.deepEqual(rows.slice(1).map((r) => r[0]), ['1', '2', '3', '4']);
+    assert.deepEqual(rows[3], ['3', '什么是群落？', '同一区域内各种群的集合', '张三', '生态学']);
+    assert.deepEqual(ranges, [
+      { chunk: 1, from: 1, to: 2, rows: 2 },
+      { chunk: 2, from: 3, to: 4, rows: 2 },
+    ]);
+  });
+
+  it('没有数据行的块区间为空，后续块编号不中断', () => {
+    const { csv, ranges } = stitchChunkCsvs([
+      '编号,问题,答案,答题人,专业\n5,q1,a1,张三,生态学',
+      '编号,问题,答案,答题人,专业',
+      '编号,问题,答案,答题人,专业\n9,q2,a2,张三,生态学',
+    ], schema);
+    assert.deepEqual(parse(csv).slice(1).map((r) => r[0]), ['1', '2']);
+    assert.deepEqual(ranges.map((r) => [r.from, r.to, r.rows]), [[1, 1, 1], [null, null, 0], [2, 2, 1]]);
+  });
+
+  it('按输出表结构的主键列重编号', () => {
+    const reagents = new OutputSchema({ columns: ['名称', '序号', '用途'], keyColumn: '序号', answerColumn: '用途' });
+    const { csv } = stitchChunkCsvs(['名称,序号,用途\n乙醇,7,溶剂', '名称,序号,用途\n丙酮,1,清洗'], reagents);
+    assert.deepEqual(parse(csv), [['名称', '序号', '用途'], ['乙醇', '1', '溶剂'], ['丙酮', '2', '清洗']]);
+  });
+});
+
+describe('formatChunkIndex', () => {
+  it('写出各块编号区间，空块记为 -', () => {
+    assert.equal(formatChunkIndex([
+      { chunk: 1, from: 1, to: 12, rows: 12 },
+      { chunk: 2, from: 13, to: 20, rows: 8 },
+      { chunk: 3, from: null, to: null, rows: 0 },
+    ]), '1:1-12|2:13-20|3:-');
+  });
+});
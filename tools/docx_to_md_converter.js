@@ -3,35 +3,73 @@ const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
 const inquirer = require('inquirer');
+const FileUtils = require('../utils/file-utils');
+
+// 转换引擎：mammoth（纯 JS，默认，仅 .docx）| pandoc（需安装，保真度更高）| auto（有 pandoc 用 pandoc，否则 mammoth）
+const ENGINES = ['mammoth', 'pandoc', 'auto'];
 
 /**
  * 批量将docx文件转换为md文件，保留目录结构
- * 使用pandoc进行转换
+ * 默认使用 mammoth 生成 HTML 再转 Markdown，无需外部程序；pandoc 作为可选引擎
+ * mammoth 引擎不支持 .doc（按 UNSUPPORTED_FILE 失败）；pandoc 引擎先经 LibreOffice 将 .doc 转为 .docx
  */
 class DocxToMdConverter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.concurrency=8] 并发数
+     * @param {string} [options.engine='mammoth'] 转换引擎：mammoth | pandoc | auto（对应 docx_converter.engine）
+     * @param {string[]} [options.styleMap] 追加的 mammoth 样式映射（对应 docx_converter.style_map）
+     * @param {boolean} [options.extractImages=true] 内嵌图片提取到 .md 旁的 assets/<文件名>/（对应 docx_converter.extract_images）；关闭时 mammoth 以 data URI 内联
+     */
     constructor(options = {}) {
         this.supportedExtensions = ['.docx', '.doc'];
         this.convertedCount = 0;
         this.errorCount = 0;
         this.errors = [];
         this.concurrency = options.concurrency || 8; // 默认并发数
+        this.engine = options.engine || 'mammoth';
+        this.styleMap = options.styleMap || [];
+        this.extractImages = options.extractImages !== false;
+        this.activeEngine = null; // convert() 中解析 auto 后的实际引擎
     }
 
     /**
      * 检查pandoc是否可用
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet=false] 不可用时不输出错误（auto 引擎探测用）
      * @returns {boolean}
      */
-    checkPandoc() {
+    checkPandoc({ quiet = false } = {}) {
         try {
             execSync('pandoc --version', { stdio: 'ignore' });
             return true;
         } catch (error) {
-            console.error('❌ Pandoc未安装或不在PATH中');
-            console.error('请确保已安装pandoc并添加到系统PATH');
+            if (!quiet) {
+                console.error('❌ Pandoc未安装或不在PATH中');
+                console.error('请确保已安装pandoc并添加到系统PATH，或改用 docx_converter.engine: mammoth');
+            }
             return false;
         }
     }
 
+    /**
+     * 解析实际使用的转换引擎
+     * @returns {string|null} mammoth | pandoc；配置无效或 pandoc 不可用时返回 null
+     */
+    resolveEngine() {
+        if (!ENGINES.includes(this.engine)) {
+            console.error(`❌ 未知的转换引擎: ${this.engine}（可选: ${ENGINES.join(' / ')}）`);
+            return null;
+        }
+        if (this.engine === 'pandoc') {
+            return this.checkPandoc() ? 'pandoc' : null;
+        }
+        if (this.engine === 'auto') {
+            return this.checkPandoc({ quiet: true }) ? 'pandoc' : 'mammoth';
+        }
+        return 'mammoth';
+    }
+
     /**
      * 检查LibreOffice是否可用
      * @returns {boolean}
@@ -100,7 +138,7 @@ class DocxToMdConverter {
     }
 
     /**
-     * 转换单个Word文档(doc/docx)为md
+     * 转换单个Word文档(doc/docx)为md（同步版本，仅支持 pandoc 引擎；批量转换使用 convertFileAsync）
      * @param {string} inputFile 
      * @param {string} outputFile 
      * @returns {boolean}
@@ -255,82 +293,105 @@ class DocxToMdConverter {
     }
 
     /**
-     * 异步版本的转换方法
+     * 异步版本的转换方法（按 activeEngine 选择 mammoth 或 pandoc）
      * @param {string} inputFile 
      * @param {string} outputFile 
      */
     async convertFileAsync(inputFile, outputFile) {
-        return new Promise((resolve, reject) => {
-            try {
-                // 确保输出目录存在
-                const outputDir = path.dirname(outputFile);
-                if (!fs.existsSync(outputDir)) {
-                    fs.mkdirSync(outputDir, { recursive: true });
-                }
+        const engine = this.activeEngine || (this.engine === 'pandoc' ? 'pandoc' : 'mammoth');
+        let tempDocxPath = null;
+        try {
+            // 确保输出目录存在
+            const outputDir = path.dirname(outputFile);
+            if (!fs.existsSync(outputDir)) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
 
-                const ext = path.extname(inputFile).toLowerCase();
-                let pandocInputFile = inputFile;
-                let tempDocxPath = null;
-
-                // 如果是.doc文件，先转换为.docx
-                if (ext === '.doc') {
-                    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doc2md-'));
-                    tempDocxPath = this.convertDocToDocx(inputFile, tempDir);
-                    if (!tempDocxPath) {
-                        this.errorCount++;
-                        this.errors.push({
-                            file: inputFile,
-                            error: '.doc转.docx失败'
-                        });
-                        reject(new Error('.doc转.docx失败'));
-                        return;
-                    }
-                    pandocInputFile = tempDocxPath;
+            // 如果是.doc文件，先转换为.docx（mammoth 只能读取 .docx，不为其调用 LibreOffice）
+            let docxInputFile = inputFile;
+            if (path.extname(inputFile).toLowerCase() === '.doc') {
+                if (engine === 'mammoth') {
+                    throw Object.assign(
+                        new Error('mammoth 引擎不支持 .doc，请先另存为 .docx，或改用 docx_converter.engine: pandoc（需安装 pandoc 与 LibreOffice）'),
+                        { code: 'UNSUPPORTED_FILE' }
+                    );
                 }
+                const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doc2md-'));
+                tempDocxPath = this.convertDocToDocx(inputFile, tempDir);
+                if (!tempDocxPath) {
+                    fs.rmSync(tempDir, { recursive: true, force: true });
+                    throw new Error('.doc转.docx失败（.doc 需安装 LibreOffice）');
+                }
+                docxInputFile = tempDocxPath;
+            }
 
-                // 使用pandoc转换为markdown
-                let command;
-                if (process.platform === 'win32') {
-                    const escapedInputFile = pandocInputFile.replace(/"/g, '""');
-                    const escapedOutputFile = outputFile.replace(/"/g, '""');
-                    command = `pandoc "${escapedInputFile}" -o "${escapedOutputFile}" --to markdown --wrap=none`;
-                } else {
-                    command = `pandoc "${pandocInputFile}" -o "${outputFile}" --to markdown --wrap=none`;
+            if (engine === 'pandoc') {
+                await this.convertWithPandoc(docxInputFile, outputFile);
+            } else {
+                await this.convertWithMammoth(docxInputFile, outputFile);
+            }
+            this.convertedCount++;
+        } catch (error) {
+            this.errorCount++;
+            this.errors.push({
+                file: inputFile,
+                error: error.message,
+                code: error.code
+            });
+            throw error;
+        } finally {
+            // 清理临时文件
+            if (tempDocxPath) {
+                try {
+                    fs.rmSync(path.dirname(tempDocxPath), { recursive: true, force: true });
+                } catch (cleanupError) {
+                    console.warn(`⚠️  清理临时文件失败: ${cleanupError.message}`);
                 }
+            }
+        }
+    }
 
-                // 异步执行命令
-                const { exec } = require('child_process');
-                exec(command, (error, stdout, stderr) => {
-                    // 清理临时文件
-                    if (tempDocxPath) {
-                        try {
-                            fs.unlinkSync(tempDocxPath);
-                            fs.rmdirSync(path.dirname(tempDocxPath));
-                        } catch (cleanupError) {
-                            console.warn(`⚠️  清理临时文件失败: ${cleanupError.message}`);
-                        }
-                    }
+    /**
+     * mammoth 引擎：docx → HTML → Markdown
+     * 图片按出现顺序提取为 assets/<文件名>/fig-N.<扩展名>，正文留 ![fig-N](assets/<文件名>/fig-N.<扩展名>)
+     * @param {string} docxFile 
+     * @param {string} outputFile 
+     */
+    async convertWithMammoth(docxFile, outputFile) {
+        const { markdown, messages, images } = await FileUtils.convertDocxToMarkdown(docxFile, {
+            styleMap: this.styleMap,
+            ...(this.extractImages ? FileUtils.imageAssetOptions(outputFile) : {})
+        });
+        fs.writeFileSync(outputFile, markdown, 'utf8');
+        if (images.length > 0) {
+            console.log(`🖼️  ${path.basename(docxFile)}: 提取图片 ${images.length} 张 → ${path.dirname(images[0].path)}`);
+        }
+        const warnings = messages.filter(m => m.type === 'warning');
+        if (warnings.length > 0) {
+            console.warn(`⚠️  ${path.basename(docxFile)}: ${warnings.length} 处样式未识别，已按普通段落处理`);
+        }
+    }
 
-                    if (error) {
-                        this.errorCount++;
-                        this.errors.push({
-                            file: inputFile,
-                            error: error.message
-                        });
-                        reject(error);
-                    } else {
-                        this.convertedCount++;
-                        resolve();
-                    }
-                });
-            } catch (error) {
-                this.errorCount++;
-                this.errors.push({
-                    file: inputFile,
-                    error: error.message
-                });
-                reject(error);
-            }
+    /**
+     * pandoc 引擎（提取图片时使用 pandoc 的 --extract-media，图片位于 assets/<文件名>/media/ 下，沿用 pandoc 的命名）
+     * @param {string} docxFile 
+     * @param {string} outputFile 
+     */
+    convertWithPandoc(docxFile, outputFile) {
+        // 在输出目录下执行，使图片链接为相对路径
+        const media = this.extractImages ? ` --extract-media="${FileUtils.imageAssetOptions(outputFile).imagesHref}"` : '';
+        let command;
+        if (process.platform === 'win32') {
+            const escapedInputFile = docxFile.replace(/"/g, '""');
+            const escapedOutputFile = outputFile.replace(/"/g, '""');
+            command = `pandoc "${escapedInputFile}" -o "${escapedOutputFile}" --to markdown --wrap=none${media}`;
+        } else {
+            command = `pandoc "${docxFile}" -o "${outputFile}" --to markdown --wrap=none${media}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const { exec } = require('child_process');
+            exec(command, { cwd: path.dirname(outputFile) }, (error) => (error ? reject(error) : resolve()));
         });
     }
 
@@ -342,16 +403,13 @@ class DocxToMdConverter {
     async convert(inputDir, outputDir) {
         console.log('🚀 开始批量转换Word文档(doc/docx)为md文件...\n');
 
-        // 检查pandoc和LibreOffice
-        console.log('🔍 检查依赖工具...');
-        if (!this.checkPandoc()) {
+        // 选择转换引擎（LibreOffice 仅 .doc 需要，转换时按需报错）
+        console.log('🔍 检查转换引擎...');
+        this.activeEngine = this.resolveEngine();
+        if (!this.activeEngine) {
             return false;
         }
-        // 临时跳过LibreOffice检测，先测试并行功能
-        // if (!this.checkSoffice()) {
-        //     return false;
-        // }
-        console.log('✅ Pandoc检查完成，LibreOffice检测已跳过\n');
+        console.log(`✅ 转换引擎: ${this.activeEngine}${this.engine === 'auto' ? '（auto）' : ''}\n`);
 
         // 检查输入目录
         if (!fs.existsSync(inputDir)) {
@@ -410,7 +468,7 @@ class DocxToMdConverter {
             console.log('\n❌ 转换失败的文件:');
             this.errors.forEach((error, index) => {
                 console.log(`   ${index + 1}. ${path.basename(error.file)}`);
-                console.log(`      错误: ${error.error}`);
+                console.log(`      错误: ${error.error}${error.code === 'UNSUPPORTED_FILE' ? '（unsupported_file）' : ''}`);
             });
         }
 
@@ -531,9 +589,34 @@ async function askForPaths() {
  * 主函数
  */
 async function main() {
-    // 获取命令行参数
-    const args = process.argv.slice(2);
-    
+    // 获取命令行参数：<输入目录> <输出目录> [--engine mammoth|pandoc|auto]
+    const argv = process.argv.slice(2);
+    const args = [];
+    let engine = null;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--engine') {
+            engine = argv[++i];
+        } else if (argv[i].startsWith('--engine=')) {
+            engine = argv[i].slice('--engine='.length);
+        } else {
+            args.push(argv[i]);
+        }
+    }
+
+    // 引擎与样式映射默认取 docx_converter 配置
+    let converterConfig = {};
+    try {
+        const ConfigLoader = require('../config/config-loader');
+        converterConfig = (await ConfigLoader.load()).docx_converter || {};
+    } catch (error) {
+        converterConfig = {};
+    }
+    const converterOptions = {
+        engine: engine || converterConfig.engine || 'mammoth',
+        styleMap: converterConfig.style_map,
+        extractImages: converterConfig.extract_images
+    };
+
     // 如果提供了命令行参数，使用命令行模式
     if (args.length >= 2) {
         const inputDir = path.resolve(args[0]);
@@ -543,7 +626,7 @@ async function main() {
         console.log(`📂 输出目录: ${outputDir}\n`);
 
         // 创建转换器并开始转换
-        const converter = new DocxToMdConverter();
+        const converter = new DocxToMdConverter(converterOptions);
         const success = await converter.convert(inputDir, outputDir);
 
         process.exit(success ? 0 : 1);
@@ -551,7 +634,7 @@ async function main() {
         // 使用交互式模式
         console.log('📖 使用方法:');
         console.log('   交互式模式: node docx_to_md_converter.js');
-        console.log('   命令行模式: node docx_to_md_converter.js <输入目录> <输出目录>');
+        console.log('   命令行模式: node docx_to_md_converter.js <输入目录> <输出目录> [--engine mammoth|pandoc|auto]');
         console.log('   支持格式: .doc, .docx → .md');
         console.log('');
 
@@ -565,7 +648,7 @@ async function main() {
         console.log(`📂 输出目录: ${paths.outputDir}\n`);
 
         // 创建转换器并开始转换
-        const converter = new DocxToMdConverter();
+        const converter = new DocxToMdConverter(converterOptions);
         const success = await converter.convert(paths.inputDir, paths.outputDir);
 
         process.exit(success ? 0 : 1);
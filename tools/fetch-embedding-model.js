@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * 下载语义相似度模型到本地目录（供离线机器使用；BuildScript/build.js 会打包该目录）
+ * node tools/fetch-embedding-model.js [--model Xenova/paraphrase-multilingual-MiniLM-L12-v2] [--dir ./models]
+ * 未指定时读取 config/env.yaml 的 similarity.model / similarity.local_model_path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+    LocalEmbeddingBackend,
+    DEFAULT_EMBEDDING_MODEL,
+    DEFAULT_LOCAL_MODEL_PATH
+} = require('../utils/embedding-backends');
+
+const USAGE = [
+    '用法:',
+    '  node tools/fetch-embedding-model.js [--model <模型ID>] [--dir <模型目录>]',
+    '',
+    '  下载后配置 similarity.local_model_path 指向该目录，并可设 allow_remote_models: false 禁止联网'
+].join('\n');
+
+function parseArgs(argv = []) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        if (token === '--help' || token === '-h') {
+            args.help = true;
+            continue;
+        }
+        if (!token.startsWith('--')) throw new Error(`无法识别的参数: ${token}`);
+        let key = token.slice(2);
+        let value;
+        const eq = key.indexOf('=');
+        if (eq >= 0) {
+            value = key.slice(eq + 1);
+            key = key.slice(0, eq);
+        } else {
+            value = argv[++i];
+            if (value === undefined || value.startsWith('--')) throw new Error(`参数缺少取值: --${key}`);
+        }
+        args[key] = value;
+    }
+    return args;
+}
+
+/**
+ * config/env.yaml 中的 similarity 配置（不存在或解析失败时为空）
+ */
+function readSimilarityConfig() {
+    const configPath = path.join(__dirname, '..', 'config', 'env.yaml');
+    try {
+        return (fs.existsSync(configPath) && (yaml.load(fs.readFileSync(configPath, 'utf8')) || {}).similarity) || {};
+    } catch (_) {
+        return {};
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const similarity = readSimilarityConfig();
+    const backend = new LocalEmbeddingBackend({
+        model: args.model || similarity.model || DEFAULT_EMBEDDING_MODEL,
+        localModelPath: args.dir || similarity.local_model_path || DEFAULT_LOCAL_MODEL_PATH,
+        allowRemote: true
+    });
+    const target = path.join(backend.localModelPath, backend.model);
+    console.log(backend.isBundled() ? `📦 模型目录已存在，校验加载: ${target}` : `⬇️  下载模型: ${backend.model} -> ${backend.localModelPath}`);
+
+    try {
+        await backend.initialize();
+        const [vector] = await backend.embed(['离线嵌入模型自检']);
+        console.log(`✅ 模型可离线使用: ${target}（向量维度 ${vector.length}）`);
+        return 0;
+    } catch (error) {
+        console.error(`❌ 模型下载或加载失败: ${error.message}`);
+        return 3;
+    }
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs };
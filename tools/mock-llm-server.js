@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * 本地模拟 LLM 服务 - 独立CLI入口（OpenAI 兼容，供 type: openai 的提供商或外部工具离线联调）
+ * node tools/mock-llm-server.js --fixtures <目录> [--faults faults.yaml] [--port 18080]
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { MockLLMServer } = require('../modules/mock-llm-server');
+
+const USAGE = [
+    '用法:',
+    '  node tools/mock-llm-server.js --fixtures <目录> [--faults <故障脚本.yaml|.json>] [--models m1,m2]',
+    '                                [--port 18080] [--host 127.0.0.1]',
+    '',
+    '  fixture 与故障脚本格式见 README「本地模拟提供商」；Ctrl+C 停止'
+].join('\n');
+
+function parseArgs(argv = []) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        if (token === '--help' || token === '-h') {
+            args.help = true;
+            continue;
+        }
+        if (!token.startsWith('--')) throw new Error(`无法识别的参数: ${token}`);
+        let key = token.slice(2);
+        let value;
+        const eq = key.indexOf('=');
+        if (eq >= 0) {
+            value = key.slice(eq + 1);
+            key = key.slice(0, eq);
+        } else {
+            value = argv[++i];
+            if (value === undefined || value.startsWith('--')) throw new Error(`参数缺少取值: --${key}`);
+        }
+        args[key] = value;
+    }
+    return args;
+}
+
+/**
+ * 故障脚本：数组，或含 faults 数组的对象
+ */
+function loadFaults(file) {
+    if (!file) return [];
+    const parsed = yaml.load(fs.readFileSync(file, 'utf8'));
+    const faults = Array.isArray(parsed) ? parsed : parsed && parsed.faults;
+    if (!Array.isArray(faults)) throw new Error(`故障脚本须为数组或含 faults 数组: ${file}`);
+    return faults;
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    let mock;
+    try {
+        args = parseArgs(argv);
+        if (args.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        mock = new MockLLMServer({
+            fixturesDir: args.fixtures || null,
+            faults: loadFaults(args.faults),
+            models: args.models ? String(args.models).split(',').map((s) => s.trim()).filter(Boolean) : undefined,
+            logger: console
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    const url = await mock.start({ port: Number(args.port ?? 18080), host: args.host || '127.0.0.1' });
+    console.log(`✅ 模拟 LLM 服务已启动: ${url}（fixture ${mock.fixtures.length} 个，故障 ${mock.faults.length} 条）`);
+    const shutdown = () => {
+        mock.stop().then(() => {
+            console.log(`已停止，共处理 ${mock.requests.length} 个补全请求`);
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    return null;
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        if (code !== null) process.exitCode = code;
+    }, (error) => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 3;
+    });
+}
+
+module.exports = { main, parseArgs, loadFaults };
@@ -2,35 +2,183 @@
 
 /**
  * 文本分割工具 - 独立CLI入口
- * 可以直接运行: node tools/text-splitter-cli.js
+ * 交互式: node tools/text-splitter-cli.js
+ * 无交互: node tools/text-splitter-cli.js --recipe chapters.yaml --input a.txt --out dir
  */
 
+const fs = require('fs');
+const path = require('path');
 const TextSplitterUI = require('../modules/text-splitter-ui');
+const TextSplitter = require('../utils/text-splitter');
 const ConfigLoader = require('../config/config-loader');
+const { EXIT_CODES } = require('../modules/headless-runner');
+const { DEFAULT_RECIPES_DIR, loadRecipe, resolveRecipePath } = require('../utils/split-recipe');
 
-async function main() {
+// 无需取值的开关参数
+const BOOLEAN_FLAGS = ['help', 'flatten', 'no-flatten', 'metadata', 'no-metadata'];
+
+const USAGE = [
+    '用法:',
+    '  node tools/text-splitter-cli.js                 # 交互式菜单',
+    '  node tools/text-splitter-cli.js --recipe <配方名|配方.yaml> --input <文件>[,<文件>...] --out <目录>',
+    '                                  [--ext .txt|.md|.yaml] [--flatten|--no-flatten] [--metadata|--no-metadata]',
+    '',
+    '  多个输入时，每个文件导出到 <目录>/<文件名> 子目录'
+].join('\n');
+
+function configError(message) {
+    return Object.assign(new Error(message), { code: 'CONFIG_ERROR' });
+}
+
+/**
+ * 解析命令行参数（支持 --key value 与 --key=value；--input 可重复或逗号分隔）
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv = []) {
+    const args = { inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        if (!token.startsWith('--')) {
+            throw configError(`无法识别的参数: ${token}`);
+        }
+        let key = token.slice(2);
+        let value;
+        const eq = key.indexOf('=');
+        if (eq >= 0) {
+            value = key.slice(eq + 1);
+            key = key.slice(0, eq);
+        } else if (BOOLEAN_FLAGS.includes(key)) {
+            value = true;
+        } else {
+            value = argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw configError(`参数缺少取值: --${key}`);
+            }
+        }
+        if (key === 'input' || key === 'inputs') {
+            args.inputs.push(...String(value).split(',').map((s) => s.trim()).filter(Boolean));
+        } else if (key === 'no-flatten' || key === 'no-metadata') {
+            args[key.slice(3)] = false;
+        } else {
+            args[key] = value;
+        }
+    }
+    return args;
+}
+
+/**
+ * 按配方无交互分割
+ * @param {Object} args - parseArgs 的结果
+ * @param {Object} config
+ * @returns {{ exitCode:number, result:Object }}
+ */
+function runRecipe(args, config) {
+    let recipe;
+    let exportOptions;
     try {
-        // 尝试加载配置文件
-        let config = {};
+        if (!args.recipe) throw configError('缺少 --recipe');
+        if (!args.inputs.length) throw configError('缺少 --input');
+        if (!args.out) throw configError('缺少 --out');
+        const missing = args.inputs.filter((p) => !fs.existsSync(p) || !fs.statSync(p).isFile());
+        if (missing.length) throw configError(`输入文件不存在: ${missing.join(', ')}`);
+
+        const recipesDir = config.text_splitter?.recipes_dir || DEFAULT_RECIPES_DIR;
+        const recipePath = resolveRecipePath(args.recipe, recipesDir);
+        if (!recipePath) throw configError(`未找到配方: ${args.recipe}`);
+        recipe = loadRecipe(recipePath);
+
+        // 命令行参数优先于配方
+        exportOptions = { ...recipe.export };
+        if (args.ext) exportOptions.fileExtension = String(args.ext).startsWith('.') ? args.ext : `.${args.ext}`;
+        if (args.flatten !== undefined) exportOptions.flattenStructure = args.flatten !== false && args.flatten !== 'false';
+        if (args.metadata !== undefined) exportOptions.includeMetadata = args.metadata !== false && args.metadata !== 'false';
+    } catch (error) {
+        return { exitCode: EXIT_CODES.CONFIG_ERROR, result: { ok: false, exitCode: EXIT_CODES.CONFIG_ERROR, error: error.message } };
+    }
+
+    const files = [];
+    for (const input of args.inputs) {
+        const outDir = args.inputs.length > 1
+            ? path.join(args.out, path.basename(input, path.extname(input)))
+            : args.out;
+        try {
+            const splitter = new TextSplitter();
+            splitter.applyRecipe(recipe);
+            if (!splitter.loadSourceFile(input)) throw new Error(`读取失败: ${input}`);
+            const segments = splitter.splitText();
+            const exported = splitter.exportSplitResults(outDir, exportOptions);
+            files.push({ input, outDir, ok: exported.length === segments.length, segments: segments.length, exported: exported.length });
+        } catch (error) {
+            files.push({ input, outDir, ok: false, error: error.message });
+        }
+    }
+
+    const failed = files.filter((f) => !f.ok).length;
+    const exitCode = failed === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL_FAILURE;
+    return {
+        exitCode,
+        result: {
+            ok: failed === 0,
+            exitCode,
+            recipe: recipe.name,
+            export: exportOptions,
+            totals: { total: files.length, succeeded: files.length - failed, failed },
+            files
+        }
+    };
+}
+
+async function main(argv = process.argv.slice(2)) {
+    // 尝试加载配置文件
+    const loadConfig = async () => {
         try {
-            config = await ConfigLoader.load();
+            const config = await ConfigLoader.load();
             console.log('✅ 配置文件加载成功');
+            return config;
         } catch (error) {
             console.log('⚠️  配置文件加载失败，使用默认配置');
-            config = {};
+            return {};
         }
-        
+    };
+
+    if (argv.length > 0) {
+        // 无交互模式：stdout 仅输出一行 JSON 结果，日志走 stderr
+        const writeResult = (obj) => process.stdout.write(JSON.stringify(obj) + '\n');
+        console.log = console.error;
+        console.info = console.error;
+
+        let args;
+        try {
+            args = parseArgs(argv);
+        } catch (error) {
+            console.error(USAGE);
+            writeResult({ ok: false, exitCode: EXIT_CODES.CONFIG_ERROR, error: error.message });
+            return EXIT_CODES.CONFIG_ERROR;
+        }
+        if (args.help) {
+            console.error(USAGE);
+            return EXIT_CODES.SUCCESS;
+        }
+        const { exitCode, result } = runRecipe(args, await loadConfig());
+        writeResult(result);
+        return exitCode;
+    }
+
+    try {
+        const config = await loadConfig();
         const textSplitterUI = new TextSplitterUI(config);
         await textSplitterUI.run();
+        return EXIT_CODES.SUCCESS;
     } catch (error) {
         console.error('❌ 文本分割工具执行失败:', error.message);
-        process.exit(1);
+        return EXIT_CODES.RUNTIME_ERROR;
     }
 }
 
 // 如果直接运行此文件
 if (require.main === module) {
-    main();
+    main().then((code) => process.exit(code));
 }
 
-module.exports = { main };
+module.exports = { main, parseArgs, runRecipe };
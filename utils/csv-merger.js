@@ -5,6 +5,9 @@ const inquirer = require('inquirer');
 const FileUtils = require('./file-utils');
 const Papa = require('papaparse');
 const CsvMetadataUtils = require('./csv-metadata');
+const OutputSchema = require('./output-schema');
+
+const DEFAULT_KEY_COLUMN = OutputSchema.default().keyColumn;
 
 /**
  * CSV合并工具
@@ -101,9 +104,11 @@ class CsvMerger {
    * 合并多个CSV文件为一个
    * @param {string[]} csvFiles - CSV文件路径列表
    * @param {string} outputPath - 输出文件路径
+   * @param {Object} [options]
+   * @param {string} [options.keyColumn='编号'] - 连续重编号的主键列（OutputSchema.keyColumn）
    * @returns {Promise<boolean>} 是否成功
    */
-  async mergeCsvFiles(csvFiles, outputPath) {
+  async mergeCsvFiles(csvFiles, outputPath, { keyColumn = DEFAULT_KEY_COLUMN } = {}) {
     if (csvFiles.length === 0) {
       this.logger.warn('没有CSV文件可合并');
       return false;
@@ -142,8 +147,9 @@ class CsvMerger {
         for (let i = dataStart + 1; i < rows.length; i++) {
           const row = Array.isArray(rows[i]) ? rows[i] : [rows[i]];
           if (row.length === headerRow.length && row.some(cell => String(cell).trim())) {
-            if (headerRow[0] === '编号' && row[0]) {
-              row[0] = rowCounter.toString();
+            const keyIndex = columnIndex(headerRow, keyColumn);
+            if (keyIndex >= 0 && row[keyIndex]) {
+              row[keyIndex] = rowCounter.toString();
               rowCounter++;
             }
             allRows.push(row);
@@ -201,9 +207,11 @@ class CsvMerger {
 
   /**
    * 去除各文件元数据行但保留表头与数据，逐文件拼接
+   * @param {Array<string|{key:string, header?:string}>} [metaColumns] - 将元数据字段展开为追加列（如 split_path），便于合并后分组
    */
-  async concatCsvFilesNoMeta(csvFiles, { insertBlankLineBetweenBlocks = true, marker = '[META]' } = {}) {
+  async concatCsvFilesNoMeta(csvFiles, { insertBlankLineBetweenBlocks = true, marker = '[META]', metaColumns = [] } = {}) {
     const allRows = [];
+    const cols = normalizeMetaColumns(metaColumns);
     let first = true;
     for (const csvFile of csvFiles) {
       try {
@@ -213,10 +221,15 @@ class CsvMerger {
         if (rows.length === 0) continue;
         let start = 0;
         if (CsvMetadataUtils.isMetadataRow(rows[0], marker)) start = 1;
+        const values = metaValues(start ? rows[0] : null, cols, marker);
         if (!first && insertBlankLineBetweenBlocks) allRows.push([]);
         for (let i = start; i < rows.length; i++) {
           const r = Array.isArray(rows[i]) ? rows[i] : [rows[i]];
-          allRows.push(r);
+          if (cols.length && r.some(cell => String(cell).trim())) {
+            allRows.push([...r, ...(i === start ? cols.map(c => c.header) : values)]);
+          } else {
+            allRows.push(r);
+          }
         }
         first = false;
       } catch (e) {
@@ -227,9 +240,12 @@ class CsvMerger {
   }
   /**
    * 直接返回合并后的 rows（供后续写两个版本和 xlsx）
+   * @param {Array<string|{key:string, header?:string}>} [metaColumns] - 将各文件元数据字段展开为每行的追加列
+   * @param {string} [keyColumn='编号'] - 连续重编号的主键列（OutputSchema.keyColumn）
    */
-  async mergeCsvFilesToRows(csvFiles) {
+  async mergeCsvFilesToRows(csvFiles, { metaColumns = [], marker = '[META]', keyColumn = DEFAULT_KEY_COLUMN } = {}) {
     const allRows = [];
+    const cols = normalizeMetaColumns(metaColumns);
     let headerRow = null;
     let rowCounter = 1;
     for (const csvFile of csvFiles) {
@@ -239,20 +255,22 @@ class CsvMerger {
         const rows = Array.isArray(parsed.data) ? parsed.data : [];
         if (rows.length === 0) continue;
         let dataStart = 0;
-        if (CsvMetadataUtils.isMetadataRow(rows[0])) dataStart = 1;
+        if (CsvMetadataUtils.isMetadataRow(rows[0], marker)) dataStart = 1;
+        const values = metaValues(dataStart ? rows[0] : null, cols, marker);
         const currentHeader = rows[dataStart] || [];
         if (!headerRow) {
           headerRow = currentHeader;
-          allRows.push(headerRow);
+          allRows.push(cols.length ? [...headerRow, ...cols.map(c => c.header)] : headerRow);
         }
         for (let i = dataStart + 1; i < rows.length; i++) {
           const row = Array.isArray(rows[i]) ? rows[i] : [rows[i]];
           if (row.length === headerRow.length && row.some(cell => String(cell).trim())) {
-            if (headerRow[0] === '编号' && row[0]) {
-              row[0] = rowCounter.toString();
+            const keyIndex = columnIndex(headerRow, keyColumn);
+            if (keyIndex >= 0 && row[keyIndex]) {
+              row[keyIndex] = rowCounter.toString();
               rowCounter++;
             }
-            allRows.push(row);
+            allRows.push(cols.length ? [...row, ...values] : row);
           }
         }
       } catch (e) {
@@ -334,4 +352,30 @@ class CsvMerger {
   }
 }
 
+/**
+ * 元数据展开列：字符串视为 { key, header: key }
+ */
+function normalizeMetaColumns(metaColumns) {
+  return (Array.isArray(metaColumns) ? metaColumns : [])
+    .map((c) => (typeof c === 'string' ? { key: c, header: c } : c))
+    .filter((c) => c && c.key)
+    .map((c) => ({ key: String(c.key), header: String(c.header || c.key) }));
+}
+
+/**
+ * 表头中某列的位置（忽略首尾空白），不存在为 -1
+ */
+function columnIndex(headerRow, column) {
+  return headerRow.findIndex(cell => String(cell).trim() === column);
+}
+
+/**
+ * 从元数据行取出各展开列的值（无元数据行或缺少字段时为空）
+ */
+function metaValues(metaRow, cols, marker) {
+  if (!cols.length) return [];
+  const meta = metaRow ? CsvMetadataUtils.parseMetaString(metaRow[metaRow.length - 1], marker) : {};
+  return cols.map((c) => meta[c.key] ?? '');
+}
+
 module.exports = CsvMerger;
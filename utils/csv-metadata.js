@@ -20,6 +20,30 @@ class CsvMetadataUtils {
         return `${marker} ${parts.join('; ')}`.trim();
     }
 
+    /**
+     * 解析元数据字符串（buildMetaString 的逆操作）
+     * 值中含 "; " 时，仅当其后紧跟 "key=" 才视为分隔
+     * @param {string} metaString 形如 "[META] key1=v1; key2=v2"
+     * @param {string} marker
+     * @returns {object} 键值对象
+     */
+    static parseMetaString(metaString, marker = '[META]') {
+        let body = String(metaString ?? '').trim();
+        if (body.startsWith(marker)) body = body.slice(marker.length).trim();
+        const out = {};
+        const re = /(?:^|;\s*)([A-Za-z_][\w.-]*)=/g;
+        const keys = [];
+        let m;
+        while ((m = re.exec(body)) !== null) {
+            keys.push({ key: m[1], start: m.index, valueStart: re.lastIndex });
+        }
+        keys.forEach((k, i) => {
+            const end = i + 1 < keys.length ? keys[i + 1].start : body.length;
+            out[k.key] = body.slice(k.valueStart, end).trim();
+        });
+        return out;
+    }
+
     /**
      * 判断一行是否为元数据行
      * 约定：元数据行的最后一个单元格以 marker 开头
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const Papa = require('papaparse');
 const chalk = require('chalk');
+const OutputSchema = require('./output-schema');
 
 /**
  * CSV格式校验器 - 专业CSV解析和修复
@@ -13,6 +14,8 @@ class CsvValidator {
     this.rulesDir = options.rulesDir || path.join(__dirname, 'rules');
     this.autoFix = options.autoFix !== false;
     this.backupOriginal = options.backupOriginal !== false;
+    // 输出表结构（列/主键列/答案列），默认五列问答表
+    this.outputSchema = options.outputSchema || OutputSchema.default();
     
     // 加载规则配置
     this.formatRules = this.loadRules('format-rules.json');
@@ -27,6 +30,34 @@ class CsvValidator {
     };
   }
 
+  /**
+   * 切换输出表结构（结构化模式按提示词版本的 rows.schema.json 设置）
+   * @param {OutputSchema} outputSchema
+   */
+  setOutputSchema(outputSchema) {
+    this.outputSchema = outputSchema || OutputSchema.default();
+  }
+
+  /**
+   * 期望表头：默认表结构沿用规则文件配置，自定义表结构取 schema 列
+   */
+  getExpectedHeaders() {
+    if (this.outputSchema.isDefault) {
+      return this.formatRules.content_validation?.expected_headers || this.outputSchema.columns;
+    }
+    return this.outputSchema.columns;
+  }
+
+  /**
+   * 必填字段：默认表结构沿用规则文件配置，自定义表结构取主键列与答案列
+   */
+  getRequiredFields() {
+    if (this.outputSchema.isDefault) {
+      return this.validationRules.validation_rules?.content_validation?.empty_fields?.required_fields || this.outputSchema.requiredColumns;
+    }
+    return this.outputSchema.requiredColumns;
+  }
+
   /**
    * 加载规则文件
    */
@@ -162,12 +193,16 @@ class CsvValidator {
         const oldFixed = fixed;
         
         if (rule.pattern && rule.replacement !== undefined) {
-          // 基于正则表达式的修复
-          const regex = new RegExp(rule.pattern, rule.flags || 'g');
+          // 基于正则表达式的修复（规则中的默认表头替换为当前表结构的表头）
+          const pattern = this.outputSchema.isDefault
+            ? rule.pattern
+            : rule.pattern.split(OutputSchema.DEFAULT_COLUMNS.join(',')).join(this.outputSchema.headerPattern());
+          const regex = new RegExp(pattern, rule.flags || 'g');
           fixed = fixed.replace(regex, rule.replacement);
         } else if (rule.check === 'field_count_validation') {
           // 字段数量校验和修复
-          fixed = this.fixFieldCount(fixed, rule.expected_fields);
+          const expected = this.outputSchema.isDefault ? rule.expected_fields : this.outputSchema.columns.length;
+          fixed = this.fixFieldCount(fixed, expected);
         }
 
         if (fixed !== oldFixed) {
@@ -185,7 +220,8 @@ class CsvValidator {
   /**
    * 修复字段数量问题
    */
-  fixFieldCount(csvContent, expectedFields = 5) {
+  fixFieldCount(csvContent, expectedFields = this.outputSchema.columns.length) {
+    const answerIndex = Math.max(0, Math.min(this.outputSchema.answerIndex, expectedFields - 1));
     const lines = csvContent.split('\n').filter(line => line.trim());
     const fixedLines = [];
 
@@ -211,10 +247,10 @@ class CsvValidator {
         } else if (fields.length > expectedFields) {
           // 处理字段过多的情况（通常是答案字段包含了额外内容）
           if (fields.length > expectedFields && i > 0) { // 跳过表头行
-            // 将多余字段合并到答案字段（索引2）
+            // 将多余字段合并到答案字段
             const extraContent = fields.slice(expectedFields).join(' ');
             if (extraContent.trim()) {
-              fields[2] = (fields[2] || '') + ' ' + extraContent;
+              fields[answerIndex] = (fields[answerIndex] || '') + ' ' + extraContent;
             }
             fields.length = expectedFields; // 截断到正确长度
           }
@@ -265,8 +301,7 @@ class CsvValidator {
 
       // 额外校验表头
       if (result.success && parseResult.meta.fields) {
-        const expectedHeaders = this.formatRules.content_validation?.expected_headers || 
-                               ['编号', '问题', '答案', '答题人', '专业'];
+        const expectedHeaders = this.getExpectedHeaders();
         const actualHeaders = parseResult.meta.fields;
         
         const headerMismatch = !this.arraysEqual(expectedHeaders, actualHeaders);
@@ -310,7 +345,7 @@ class CsvValidator {
       const row = data[rowIndex];
       
       // 必填字段检查
-      const requiredFields = validation.empty_fields?.required_fields || ['编号', '答案'];
+      const requiredFields = this.getRequiredFields();
       for (const field of requiredFields) {
         if (!row[field] || !row[field].toString().trim()) {
           issues.push({
@@ -388,8 +423,9 @@ class CsvValidator {
 
     // 内容完整性权重10%
     if (result.parseResult.data && result.parseResult.data.length > 0) {
+      const answerField = this.outputSchema.answerColumn;
       const hasContent = result.parseResult.data.some(row => 
-        row['答案'] && row['答案'].toString().trim().length > 10
+        row[answerField] && row[answerField].toString().trim().length > 10
       );
       if (!hasContent) score -= 0.1;
     }
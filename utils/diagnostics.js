@@ -68,6 +68,7 @@ async function runStartupDiagnostics(options = {}) {
       path.join(appDir, 'prompts'),
       path.join(appDir, 'utils', 'rules'),
       path.join(appDir, 'node_modules'),
+      path.join(appDir, 'models'), // 离线语义相似度模型（构建时 --fetchEmbeddingModel）
     ];
     for (const p of checks) {
       const exists = fs.existsSync(p);
@@ -113,8 +114,12 @@ async function runStartupDiagnostics(options = {}) {
         if (fs.existsSync(envPath)) {
           const cfg = yaml.load(fs.readFileSync(envPath, 'utf8')) || {};
           const p = Array.isArray(cfg.providers) ? cfg.providers[0] : null;
-          if (p && p.base_url) {
-            const base = String(p.base_url).replace(/\/$/, '');
+          // mock 类型未配置 base_url 时先启动进程内模拟服务
+          const mockUrl = p && !p.base_url && String(p.type || '').toLowerCase() === 'mock'
+            ? (await require('../modules/mock-llm-server').getSharedServer(p)).url
+            : null;
+          if (p && (p.base_url || mockUrl)) {
+            const base = String(p.base_url || mockUrl).replace(/\/$/, '');
             const url = `${base}/v1/models`;
             const headers = p.api_key ? { Authorization: `Bearer ${p.api_key}` } : {};
             const res = await pingUrl(url, headers, 2000);
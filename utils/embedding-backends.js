@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * 相似度计算后端（config.similarity.backend）
+ * - local：@xenova/transformers 本地推理；优先从 local_model_path 加载（BuildScript/build.js 会打包该目录），
+ *   目录中没有模型且 allow_remote_models 不为 false 时联网下载到该目录，之后即可离线使用
+ * - api：OpenAI 兼容 /v1/embeddings；可用 api.provider 复用 providers 中的提供商（含 mock）
+ * - lexical：不计算嵌入，由 SimilarityCalculator 使用编辑距离 + 字符 Jaccard
+ * 嵌入后端统一接口：initialize()、embed(texts) -> number[][]、describe()
+ */
+const SIMILARITY_BACKENDS = ['local', 'api', 'lexical'];
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+const DEFAULT_LOCAL_MODEL_PATH = './models';
+const DEFAULT_API_TIMEOUT_MS = 60000;
+const APP_ROOT = path.resolve(__dirname, '..');
+
+function configError(message) {
+  return Object.assign(new Error(message), { code: 'CONFIG_ERROR' });
+}
+
+class LocalEmbeddingBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.model] - 模型 ID（同时是 localModelPath 下的子目录）
+   * @param {string} [options.localModelPath='./models']
+   * @param {boolean} [options.allowRemote=true] - 本地没有模型时是否联网下载
+   */
+  constructor({ model = DEFAULT_EMBEDDING_MODEL, localModelPath = DEFAULT_LOCAL_MODEL_PATH, allowRemote = true } = {}) {
+    this.model = model;
+    this.localModelPath = resolveModelDir(localModelPath);
+    this.allowRemote = allowRemote;
+    this.extractor = null;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  /** 模型是否已在本地目录中 */
+  isBundled() {
+    return fs.existsSync(path.join(this.localModelPath, this.model));
+  }
+
+  describe() {
+    return `local ${this.model}（${this.isBundled() ? `本地目录 ${this.localModelPath}` : '联网下载'}）`;
+  }
+
+  async initialize() {
+    if (this.extractor) return;
+    const bundled = this.isBundled();
+    if (!bundled && !this.allowRemote) {
+      throw configError(`本地嵌入模型不存在: ${path.join(this.localModelPath, this.model)}（运行 node tools/fetch-embedding-model.js 下载，或开启 allow_remote_models）`);
+    }
+    const { pipeline, env } = require('@xenova/transformers'); // 延迟引用：lexical / api 后端不加载
+    env.localModelPath = this.localModelPath;
+    env.allowLocalModels = true;
+    env.allowRemoteModels = !bundled && this.allowRemote;
+    // 下载的文件写入模型目录（与 localModelPath 目录结构一致），下次即可离线加载
+    this.extractor = await pipeline('feature-extraction', this.model, { cache_dir: this.localModelPath });
+  }
+
+  /**
+   * 一批文本一次推理：分词时补齐到同一长度，均值池化按 attention mask 只计真实 token，再 L2 归一化
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} 句向量
+   */
+  async embed(texts) {
+    const tensor = await this.extractor(texts, { pooling: 'mean', normalize: true });
+    const [count, dim] = tensor.dims;
+    return Array.from({ length: count }, (_, i) => Array.from(tensor.data.subarray(i * dim, (i + 1) * dim)));
+  }
+}
+
+class ApiEmbeddingBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.model
+   * @param {Object} [options.provider] - providers 中的提供商（优先于 baseUrl / apiKey）
+   * @param {string} [options.baseUrl] - 不含 /v1
+   * @param {string} [options.apiKey]
+   * @param {number} [options.timeoutMs=60000]
+   */
+  constructor({ model, provider = null, baseUrl = '', apiKey = '', timeoutMs = DEFAULT_API_TIMEOUT_MS }) {
+    this.model = model;
+    this.provider = provider;
+    this.baseUrl = String(baseUrl || '').replace(/\/$/, '');
+    this.headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    this.timeoutMs = timeoutMs;
+  }
+
+  get name() {
+    return 'api';
+  }
+
+  describe() {
+    return `api ${this.model}（${this.provider ? `提供商 ${this.provider.name}` : this.baseUrl}）`;
+  }
+
+  async initialize() {
+    if (!this.provider) return;
+    const { createAdapter } = require('../modules/llm-adapters');
+    const adapter = createAdapter(this.provider);
+    await adapter.prepare();
+    this.baseUrl = adapter.baseUrl;
+    this.headers = adapter.authHeaders();
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    const resp = await axios.post(`${this.baseUrl}/v1/embeddings`, { model: this.model, input: texts }, {
+      headers: Object.assign({ 'Content-Type': 'application/json' }, this.headers),
+      timeout: this.timeoutMs,
+    });
+    const data = resp.data && resp.data.data;
+    if (!Array.isArray(data) || data.length !== texts.length || !data.every((d) => d && Array.isArray(d.embedding))) {
+      throw new Error(`嵌入接口返回格式无效（期望 ${texts.length} 个 embedding）`);
+    }
+    return [...data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map((d) => d.embedding);
+  }
+}
+
+/**
+ * 模型目录：相对路径先按当前目录、再按程序目录查找（便携包从其它目录启动时仍能找到打包的 models/）
+ */
+function resolveModelDir(dir) {
+  const candidates = [path.resolve(dir), path.resolve(APP_ROOT, dir)];
+  return candidates.find((p) => fs.existsSync(p)) || candidates[0];
+}
+
+/**
+ * 按 config.similarity 创建嵌入后端；lexical 返回 null
+ * @param {Object} [options] - config.similarity
+ * @param {Object} [context]
+ * @param {Array<Object>} [context.providers] - 供 api.provider 引用
+ * @returns {LocalEmbeddingBackend|ApiEmbeddingBackend|null}
+ */
+function createEmbeddingBackend(options = {}, { providers = [] } = {}) {
+  const backend = String(options.backend || 'local').toLowerCase();
+  if (!SIMILARITY_BACKENDS.includes(backend)) {
+    throw configError(`similarity.backend 无效: ${options.backend}（可选: ${SIMILARITY_BACKENDS.join(', ')}）`);
+  }
+  if (backend === 'lexical') return null;
+  if (backend === 'api') {
+    const api = options.api || {};
+    if (!api.model) throw configError('similarity.api.model 未配置');
+    let provider = null;
+    if (api.provider) {
+      provider = providers.find((p) => p.name === api.provider);
+      if (!provider) throw configError(`similarity.api.provider 未找到: ${api.provider}`);
+    } else if (!api.base_url) {
+      throw configError('similarity.api 需配置 provider 或 base_url');
+    }
+    return new ApiEmbeddingBackend({
+      model: api.model,
+      provider,
+      baseUrl: api.base_url,
+      apiKey: api.api_key,
+      timeoutMs: api.timeout_ms || DEFAULT_API_TIMEOUT_MS,
+    });
+  }
+  return new LocalEmbeddingBackend({
+    model: options.model || DEFAULT_EMBEDDING_MODEL,
+    localModelPath: options.local_model_path || DEFAULT_LOCAL_MODEL_PATH,
+    allowRemote: options.allow_remote_models !== false,
+  });
+}
+
+module.exports = {
+  createEmbeddingBackend,
+  LocalEmbeddingBackend,
+  ApiEmbeddingBackend,
+  SIMILARITY_BACKENDS,
+  DEFAULT_EMBEDDING_MODEL,
+  DEFAULT_LOCAL_MODEL_PATH,
+};
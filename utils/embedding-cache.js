@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 嵌入向量缓存：内存 + 可选磁盘
+ * - 键：命名空间（后端 + 模型）+ 文本 的 sha256，不同模型的向量互不混用
+ * - 内存：超过 maxMemoryEntries 时淘汰最早写入的条目
+ * - 磁盘（similarity.cache.disk: true）：<dir>/<xx>/<hash>.json，跨运行复用；读写失败不影响主流程
+ */
+class EmbeddingCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.namespace=''] - 如 local:Xenova/paraphrase-multilingual-MiniLM-L12-v2
+   * @param {boolean} [options.disk=false]
+   * @param {string} [options.dir='./data/cache/embeddings']
+   * @param {number} [options.maxMemoryEntries=5000]
+   */
+  constructor({ namespace = '', disk = false, dir = './data/cache/embeddings', maxMemoryEntries = 5000 } = {}) {
+    this.namespace = namespace;
+    this.disk = !!disk;
+    this.dir = dir;
+    this.maxMemoryEntries = Math.max(1, Number(maxMemoryEntries) || 5000);
+    this.memory = new Map();
+    this.stats = { memoryHits: 0, diskHits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * 由 similarity.cache 配置创建
+   * @param {Object} [similarity] - config.similarity
+   * @param {string} namespace
+   */
+  static fromConfig(similarity = {}, namespace = '') {
+    const c = similarity.cache || {};
+    return new EmbeddingCache({ namespace, disk: c.disk === true, dir: c.dir, maxMemoryEntries: c.max_memory_entries });
+  }
+
+  keyFor(text) {
+    return crypto.createHash('sha256').update(`${this.namespace}\n${text}`).digest('hex');
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]|null}
+   */
+  get(text) {
+    const key = this.keyFor(text);
+    if (this.memory.has(key)) {
+      this.stats.memoryHits++;
+      return this.memory.get(key);
+    }
+    if (this.disk) {
+      try {
+        const file = this._pathFor(key);
+        if (fs.existsSync(file)) {
+          const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+          if (Array.isArray(entry.vector)) {
+            this.stats.diskHits++;
+            this._remember(key, entry.vector);
+            return entry.vector;
+          }
+        }
+      } catch (_) {}
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * @param {string} text
+   * @param {number[]} vector
+   */
+  set(text, vector) {
+    const key = this.keyFor(text);
+    this._remember(key, vector);
+    if (!this.disk) return;
+    try {
+      const file = this._pathFor(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ namespace: this.namespace, createdAt: new Date().toISOString(), vector }), 'utf8');
+      this.stats.writes++;
+    } catch (_) {}
+  }
+
+  getStats() {
+    return Object.assign({ disk: this.disk, size: this.memory.size }, this.stats);
+  }
+
+  _remember(key, vector) {
+    this.memory.delete(key);
+    this.memory.set(key, vector);
+    if (this.memory.size > this.maxMemoryEntries) this.memory.delete(this.memory.keys().next().value);
+  }
+
+  _pathFor(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+}
+
+module.exports = EmbeddingCache;
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { inputExtensions } = require('./file-readers');
 
 /**
  * 重处理清理工具：
@@ -11,7 +12,7 @@ async function applyCleanup({ runOutputDir, errorDir, result, logger = console,
     const removeEmptyErrorDir = options.remove_empty_error_dir !== false;
     const pruneFixedEntries = options.prune_fixed_entries === true; // 默认仅标记，不移除
 
-    const supportedExts = new Set(['.md', '.txt', '.docx']);
+    const supportedExts = new Set(inputExtensions({ includeUnsupported: false }));
     const successSet = new Set();
     for (const f of (result.files || [])) {
       if (f && f.succeeded && f.filename) successSet.add(f.filename);
@@ -32,12 +32,15 @@ class ErrorClassifier {
    * 依据异常对象与上下文进行分类
    * @param {any} err - 捕获的异常
    * @param {Object} [context]
-   * @param {string} [context.stage] - request|parse|validation|write|fallback
+   * @param {string} [context.stage] - request|read|parse|validation|write|fallback
    * @returns {{ type:string, message:string, status?:number, code?:string }}
    */
   classify(err, context = {}) {
     const stage = context.stage;
 
+    // 无法读取的输入（格式不支持、加密、扫描件/纯图片）不论阶段均归入 unsupported_file
+    if (err && err.code === 'UNSUPPORTED_FILE') return this._normalize('unsupported_file', err);
+
     // 直接指定业务阶段错误类型
     if (stage === 'parse') return this._normalize('parse_error', err);
     if (stage === 'validation') return this._normalize('validation_error', err);
@@ -140,6 +143,7 @@ class ErrorReporter {
    * @param {string} [rec.provider]
    * @param {string} [rec.model]
    * @param {number} [rec.attemptsUsed]
+   * @param {number} [rec.requestAttempts] 最后一次失败请求的实际发送次数（含重试）
    */
   addRecord(rec) {
     const safeType = rec.type || 'unknown_error';
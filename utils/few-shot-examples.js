@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 结构化提示词版本的 few-shot 示例库：<prompts_root>/<版本>/examples/
+ * - 每个示例为同名的一对文件：<名称>.md 或 <名称>.txt（输入文本）与 <名称>.rows.json（期望输出 {"rows":[...]} 或 rows 数组）
+ * - 按与当前输入的相似度（SimilarityCalculator）选出前 N 个，作为 user/assistant 轮次插在系统提示词与正式输入之间，
+ *   越相似的示例越靠近正式输入
+ * - 语义模型不可用（如离线）时退化为字符 Jaccard 相似度
+ */
+const EXAMPLES_DIR = 'examples';
+const INPUT_EXTENSIONS = ['.md', '.txt'];
+const ROWS_SUFFIX = '.rows.json';
+const SIMILARITY_MAX_CHARS = 2000; // 相似度只比较开头部分，避免长文本拖慢计算
+
+class FewShotExamples {
+  /**
+   * @param {Object} options
+   * @param {Array<{ name:string, input:string, output:Object }>} [options.examples]
+   * @param {'similarity'|'order'} [options.selection='similarity'] - order 时按文件名顺序取前 N 个
+   * @param {Object} [options.similarity] - SimilarityCalculator 实例（缺省时按需创建）
+   * @param {Object} [options.logger]
+   */
+  constructor({ examples = [], selection = 'similarity', similarity = null, logger = console } = {}) {
+    this.examples = examples;
+    this.selection = selection;
+    this.similarity = similarity;
+    this.logger = logger;
+  }
+
+  /**
+   * 读取版本目录下的示例；目录不存在时返回空库。无法配对或 JSON 无效的文件记录警告后跳过
+   * @param {string} versionDir - 提示词版本目录
+   * @param {Object} [options] - 同构造函数；另可传 validate(json) => { valid, errors } 校验示例输出
+   * @returns {FewShotExamples}
+   */
+  static load(versionDir, options = {}) {
+    const logger = options.logger || console;
+    const dir = path.join(versionDir, EXAMPLES_DIR);
+    const examples = [];
+    if (fs.existsSync(dir)) {
+      for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(ROWS_SUFFIX)).sort()) {
+        const name = file.slice(0, -ROWS_SUFFIX.length);
+        const inputPath = INPUT_EXTENSIONS.map((ext) => path.join(dir, name + ext)).find((p) => fs.existsSync(p));
+        if (!inputPath) {
+          logger.warn(`few-shot 示例缺少输入文件（${name}.md 或 ${name}.txt），已跳过: ${path.join(dir, file)}`);
+          continue;
+        }
+        let output;
+        try {
+          const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          output = Array.isArray(parsed) ? { rows: parsed } : parsed;
+        } catch (e) {
+          logger.warn(`few-shot 示例 JSON 解析失败，已跳过: ${path.join(dir, file)} - ${e.message}`);
+          continue;
+        }
+        const validation = options.validate ? options.validate(output) : { valid: Array.isArray(output && output.rows) };
+        if (!validation.valid) {
+          const reason = (validation.errors || []).slice(0, 3).map((e) => `${e.path || 'root'}: ${e.message}`).join('; ') || '缺少 rows 数组';
+          logger.warn(`few-shot 示例不符合输出 Schema，已跳过: ${path.join(dir, file)} - ${reason}`);
+          continue;
+        }
+        examples.push({ name, input: fs.readFileSync(inputPath, 'utf8'), output });
+      }
+    }
+    return new FewShotExamples(Object.assign({}, options, { examples, logger }));
+  }
+
+  get size() {
+    return this.examples.length;
+  }
+
+  /**
+   * 选出与输入最相似的 count 个示例（按相似度升序返回，最相似的在最后）
+   * @param {string|Array} content - 当前输入（图片分段只取其中的文本）
+   * @param {number} count
+   * @returns {Promise<Array<{ name:string, input:string, output:Object, score:number|null }>>}
+   */
+  async select(content, count) {
+    const n = Math.min(Math.max(0, Math.floor(Number(count) || 0)), this.examples.length);
+    if (n === 0) return [];
+    const text = textOf(content);
+    if (this.selection === 'order' || !text.trim()) {
+      return this.examples.slice(0, n).map((ex) => Object.assign({ score: null }, ex));
+    }
+    const scores = await this.score(text, this.examples.map((ex) => ex.input));
+    const scored = this.examples.map((ex, i) => Object.assign({ score: scores[i] }, ex));
+    return scored
+      .map((ex, i) => ({ ex, i }))
+      .sort((a, b) => (b.ex.score - a.ex.score) || (a.i - b.i))
+      .slice(0, n)
+      .reverse()
+      .map(({ ex }) => ex);
+  }
+
+  /**
+   * 输入与各示例的相似度（一次批量计算，示例嵌入跨文件缓存）；语义后端不可用时由 SimilarityCalculator 降级为字面相似度
+   * @returns {Promise<number[]>}
+   */
+  async score(text, exampleInputs) {
+    if (!this.similarity) {
+      const SimilarityCalculator = require('./similarity');
+      this.similarity = new SimilarityCalculator({ logger: this.logger });
+    }
+    return this.similarity.calculateSimilarities(
+      text.slice(0, SIMILARITY_MAX_CHARS),
+      exampleInputs.map((input) => input.slice(0, SIMILARITY_MAX_CHARS))
+    );
+  }
+
+  /**
+   * 示例转为对话轮次
+   * @param {Array<{ input:string, output:Object }>} examples
+   * @returns {Array<{ role:string, content:string }>}
+   */
+  static toMessages(examples) {
+    return examples.flatMap((ex) => [
+      { role: 'user', content: ex.input },
+      { role: 'assistant', content: JSON.stringify(ex.output) },
+    ]);
+  }
+}
+
+/**
+ * 输入的文本部分（图片分段 content 只取文本分段）
+ */
+function textOf(content) {
+  if (!Array.isArray(content)) return String(content ?? '');
+  return content.filter((p) => p && typeof p.text === 'string').map((p) => p.text).join('\n');
+}
+
+module.exports = FewShotExamples;
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const { htmlToMarkdown, parseHtml } = require('./html-to-markdown');
+
+/**
+ * 输入文件读取器：按扩展名把输入文件转换为送入模型的文本
+ * - 内置 .txt/.md/.csv、.docx、.html/.htm（转 Markdown）、.pdf、.epub（按书脊顺序逐章转 Markdown）、.xlsx（每个工作表一段 CSV）
+ * - 图片（.png/.jpg/.jpeg/.webp/.gif）读取为 OpenAI 风格的分段 content（base64 data URL），需配合支持视觉的模型
+ * - registerReader 可注册新格式或覆盖内置读取器
+ * - 无法读取的文件（格式不支持、加密、扫描件/纯图片）抛出 code 为 UNSUPPORTED_FILE 的错误，由处理器归入 unsupported_file
+ */
+const UNSUPPORTED_FILE = 'UNSUPPORTED_FILE';
+const DEFAULT_PDF_MIN_CHARS = 20;
+const DEFAULT_IMAGE_MAX_MB = 20;
+
+const IMAGE_MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+// 常见但无法读取的格式：目录扫描时一并收集，记入 unsupported_file 而不是静默跳过
+const KNOWN_UNSUPPORTED_EXTENSIONS = [
+  '.doc', '.xls', '.ppt', '.pptx', '.rtf', '.odt', '.ods', '.odp', '.pages', '.mobi', '.azw3',
+  '.bmp', '.tif', '.tiff', '.heic', '.svg',
+];
+
+const readers = new Map();
+
+function unsupportedError(message) {
+  return Object.assign(new Error(message), { code: UNSUPPORTED_FILE });
+}
+
+/**
+ * 提取结果为空白时按扫描件/纯图片处理
+ */
+function ensureText(text, what, minChars = 1) {
+  const visible = String(text || '').replace(/\s+/g, '');
+  if (visible.length < minChars) {
+    throw unsupportedError(`${what}未包含可提取的文本（可能为扫描件或纯图片文件）`);
+  }
+  return text;
+}
+
+/**
+ * 注册读取器
+ * @param {string|string[]} extensions - 扩展名（含点，如 .rtf）
+ * @param {(filePath:string, options:Object) => Promise<string|Array>|string|Array} read - 返回文本（或图片等分段 content）；无法读取时抛出 UNSUPPORTED_FILE
+ */
+function registerReader(extensions, read) {
+  if (typeof read !== 'function') throw new TypeError('read 必须为函数');
+  for (const ext of [].concat(extensions)) {
+    readers.set(String(ext).toLowerCase(), read);
+  }
+}
+
+function getReader(ext) {
+  return readers.get(String(ext).toLowerCase()) || null;
+}
+
+/**
+ * 已注册（可读取）的扩展名
+ * @returns {string[]}
+ */
+function supportedExtensions() {
+  return [...readers.keys()];
+}
+
+/**
+ * 目录扫描时收集的扩展名：可读取的格式与已知不支持的格式（后者处理时归入 unsupported_file）
+ * .csv 为输出格式，不作为输入收集
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnsupported=true] - false 时仅返回可读取的输入格式
+ * @returns {string[]}
+ */
+function inputExtensions({ includeUnsupported = true } = {}) {
+  const all = includeUnsupported ? [...supportedExtensions(), ...KNOWN_UNSUPPORTED_EXTENSIONS] : supportedExtensions();
+  return [...new Set(all)].filter((ext) => ext !== '.csv');
+}
+
+/**
+ * 读取输入文件为文本；图片返回分段 content：[{ type:'text', text }?, { type:'image_url', image_url:{ url } }]
+ * @param {string} filePath
+ * @param {Object} [options] - 配置中的 file_readers 段
+ * @param {number} [options.pdf_min_chars=20] - PDF 提取文本少于该字数时视为扫描件
+ * @param {string} [options.imagesDir] - DOCX 内嵌图片提取目录（指定时 DOCX 以 Markdown 读取并保留图片占位）
+ * @param {string} [options.imagesHref] - 图片占位链接前缀
+ * @param {number} [options.image_max_mb=20] - 图片输入大小上限，超出视为无法读取
+ * @param {string} [options.image_prompt] - 图片输入附带的文本（缺省仅发送图片，指令由系统提示词给出）
+ * @returns {Promise<string|Array>}
+ */
+async function readInputFile(filePath, options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  const read = getReader(ext);
+  if (!read) {
+    throw unsupportedError(`不支持的文件格式: ${ext || '(无扩展名)'}`);
+  }
+  return read(filePath, options || {});
+}
+
+// ---- 内置读取器 ----
+
+async function readText(filePath) {
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+async function readDocx(filePath, options) {
+  const FileUtils = require('./file-utils'); // 延迟引用，避免循环依赖
+  const text = await FileUtils.convertDocxToText(filePath, { imagesDir: options.imagesDir, imagesHref: options.imagesHref });
+  return ensureText(text, 'DOCX ');
+}
+
+async function readHtml(filePath) {
+  return ensureText(htmlToMarkdown(fs.readFileSync(filePath, 'utf8')), 'HTML ');
+}
+
+async function readPdf(filePath, options) {
+  // 直接引用实现文件：包入口在无父模块时会尝试读取自带的测试 PDF
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  let data;
+  try {
+    data = await pdfParse(fs.readFileSync(filePath));
+  } catch (error) {
+    const reason = /password/i.test(`${error.name} ${error.message}`) ? '已加密' : `解析失败: ${error.message}`;
+    throw unsupportedError(`PDF ${reason}`);
+  }
+  const minChars = Number(options.pdf_min_chars ?? DEFAULT_PDF_MIN_CHARS) || 1;
+  return ensureText(data.text, 'PDF ', minChars);
+}
+
+/**
+ * EPUB：container.xml → OPF → 书脊（spine）顺序的各章 XHTML → Markdown
+ */
+async function readEpub(filePath) {
+  const JSZip = require('jszip');
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  } catch (error) {
+    throw unsupportedError(`EPUB 解析失败: ${error.message}`);
+  }
+  if (zip.file('META-INF/encryption.xml')) {
+    throw unsupportedError('EPUB 含加密内容（DRM），无法读取');
+  }
+  const container = zip.file('META-INF/container.xml');
+  const rootfile = container && findNodes(parseHtml(await container.async('string')), 'rootfile')[0];
+  const opfPath = rootfile && rootfile.attrs['full-path'];
+  const opfFile = opfPath && zip.file(opfPath);
+  if (!opfFile) throw unsupportedError('EPUB 缺少 OPF 包文件');
+
+  const opf = parseHtml(await opfFile.async('string'));
+  const manifest = new Map(findNodes(opf, 'item').map((n) => [n.attrs.id, n.attrs]));
+  const baseDir = path.posix.dirname(opfPath);
+  const chapters = [];
+  for (const ref of findNodes(opf, 'itemref')) {
+    const item = manifest.get(ref.attrs.idref);
+    if (!item || !/html|xml/i.test(item.href || '') || ref.attrs.linear === 'no') continue;
+    const href = decodeURIComponent(item.href.split('#')[0]);
+    const entry = zip.file(path.posix.normalize(baseDir === '.' ? href : `${baseDir}/${href}`));
+    if (!entry) continue;
+    const md = htmlToMarkdown(await entry.async('string'));
+    if (md.trim()) chapters.push(md.trim());
+  }
+  return ensureText(chapters.join('\n\n'), 'EPUB ');
+}
+
+function findNodes(node, tag, out = []) {
+  for (const child of node.children || []) {
+    if (child.tag === tag) out.push(child);
+    findNodes(child, tag, out);
+  }
+  return out;
+}
+
+/**
+ * XLSX：每个非空工作表输出为「## 工作表: 名称」加 CSV 文本（单元格取显示文本）
+ */
+async function readXlsx(filePath) {
+  const ExcelJS = require('exceljs');
+  const Papa = require('papaparse');
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.readFile(filePath);
+  } catch (error) {
+    throw unsupportedError(`XLSX 解析失败: ${error.message}`);
+  }
+  const sections = [];
+  workbook.eachSheet((sheet) => {
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let c = 1; c <= sheet.columnCount; c++) cells.push(cellText(row.getCell(c)));
+      rows.push(cells);
+    });
+    if (rows.length) sections.push(`## 工作表: ${sheet.name}\n\n${Papa.unparse(rows)}`);
+  });
+  return ensureText(sections.join('\n\n'), 'XLSX ');
+}
+
+/**
+ * 图片：base64 data URL 分段，可选附带 image_prompt 文本
+ */
+async function readImage(filePath, options) {
+  const maxMb = Number(options.image_max_mb ?? DEFAULT_IMAGE_MAX_MB) || DEFAULT_IMAGE_MAX_MB;
+  const size = fs.statSync(filePath).size;
+  if (size === 0) throw unsupportedError('图片文件为空');
+  if (size > maxMb * 1024 * 1024) {
+    throw unsupportedError(`图片超过大小上限 ${maxMb}MB（file_readers.image_max_mb）`);
+  }
+  const mediaType = IMAGE_MEDIA_TYPES[path.extname(filePath).toLowerCase()];
+  const url = `data:${mediaType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+  const parts = [];
+  if (options.image_prompt) parts.push({ type: 'text', text: String(options.image_prompt) });
+  parts.push({ type: 'image_url', image_url: { url } });
+  return parts;
+}
+
+function cellText(cell) {
+  const value = cell.value && cell.value.result !== undefined ? cell.value.result : cell.value;
+  // 日期单元格输出 ISO 日期（无时间部分时省略时间）
+  if (value instanceof Date) return value.toISOString().replace(/T00:00:00\.000Z$/, '');
+  return cell.text || '';
+}
+
+registerReader(['.txt', '.md', '.csv'], readText);
+registerReader('.docx', readDocx);
+registerReader(['.html', '.htm', '.xhtml'], readHtml);
+registerReader('.pdf', readPdf);
+registerReader('.epub', readEpub);
+registerReader('.xlsx', readXlsx);
+registerReader(Object.keys(IMAGE_MEDIA_TYPES), readImage);
+
+module.exports = {
+  UNSUPPORTED_FILE,
+  IMAGE_MEDIA_TYPES,
+  KNOWN_UNSUPPORTED_EXTENSIONS,
+  registerReader,
+  getReader,
+  supportedExtensions,
+  inputExtensions,
+  readInputFile,
+  unsupportedError,
+};
@@ -1,15 +1,29 @@
 const fs = require('fs');
 const path = require('path');
 const mammoth = require('mammoth');
+const { inputExtensions, readInputFile } = require('./file-readers');
+
+// DOCX 内嵌图片的 contentType → 提取文件扩展名（wmf/emf 多为公式编辑器生成的公式图片）
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tif',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp',
+    'image/x-wmf': 'wmf',
+    'image/x-emf': 'emf'
+};
 
 class FileUtils {
     /**
      * 扫描目录中的文件
      * @param {string} directory - 目录路径
-     * @param {Array} extensions - 支持的文件扩展名
+     * @param {Array} [extensions] - 收集的文件扩展名，缺省为可读取格式与已知不支持格式（见 file-readers）
      * @returns {Array} 文件列表
      */
-    static async scanFiles(directory, extensions = ['.txt', '.md', '.docx']) {
+    static async scanFiles(directory, extensions = inputExtensions()) {
         const files = [];
         
         const scanDir = async (dir) => {
@@ -44,46 +58,45 @@ class FileUtils {
     /**
      * 检查文件是否支持
      * @param {string} filename - 文件名
-     * @param {Array} extensions - 支持的文件扩展名
+     * @param {Array} [extensions] - 支持的文件扩展名，缺省同 scanFiles
      * @returns {boolean} 是否支持
      */
-    static isSupportedFile(filename, extensions = ['.txt', '.md', '.docx']) {
+    static isSupportedFile(filename, extensions = inputExtensions()) {
         const ext = path.extname(filename).toLowerCase();
         return extensions.includes(ext);
     }
 
     /**
-     * 读取文件内容
+     * 读取文件内容（按扩展名选择读取器，见 utils/file-readers.js）
      * @param {string} filePath - 文件路径
+     * @param {Object} [options] - 配置中的 file_readers 段
      * @returns {Promise<string>} 文件内容
+     * @throws 无法读取的文件抛出 code 为 UNSUPPORTED_FILE 的错误
      */
-    static async readFile(filePath) {
+    static async readFile(filePath, options = {}) {
         try {
-            const ext = path.extname(filePath).toLowerCase();
-            
-            switch (ext) {
-                case '.txt':
-                case '.md':
-                case '.csv':
-                    return fs.readFileSync(filePath, 'utf8');
-                    
-                case '.docx':
-                    return await this.convertDocxToText(filePath);
-                    
-                default:
-                    throw new Error(`不支持的文件格式: ${ext}`);
-            }
+            return await readInputFile(filePath, options);
         } catch (error) {
-            throw new Error(`读取文件失败: ${filePath} - ${error.message}`);
+            throw Object.assign(new Error(`读取文件失败: ${filePath} - ${error.message}`), { code: error.code });
         }
     }
 
     /**
      * 转换DOCX文件为文本
      * @param {string} filePath - DOCX文件路径
+     * @param {Object} [options]
+     * @param {string} [options.imagesDir] - 指定时提取内嵌图片并改为输出 Markdown（图片处留 ![fig-N](...) 占位），见 convertDocxToMarkdown
+     * @param {string} [options.imagesHref]
      * @returns {Promise<string>} 转换后的文本
      */
-    static async convertDocxToText(filePath) {
+    static async convertDocxToText(filePath, options = {}) {
+        if (options.imagesDir) {
+            const { markdown } = await this.convertDocxToMarkdown(filePath, {
+                imagesDir: options.imagesDir,
+                imagesHref: options.imagesHref
+            });
+            return markdown;
+        }
         try {
             const result = await mammoth.extractRawText({ path: filePath });
             return result.value;
@@ -92,6 +105,85 @@ class FileUtils {
         }
     }
 
+    /**
+     * 转换DOCX文件为Markdown：mammoth 生成 HTML，再转为 Markdown（保留标题、列表、表格、图片）
+     * @param {string} filePath - DOCX文件路径
+     * @param {Object} [options]
+     * @param {string[]} [options.styleMap] - 追加的 mammoth 样式映射，如 "p[style-name='章标题'] => h1:fresh"
+     * @param {string} [options.imagesDir] - 内嵌图片（含公式图片）按出现顺序写为 fig-N.<扩展名>；缺省时以 data URI 内联
+     * @param {string} [options.imagesHref] - 占位链接前缀，缺省为 imagesDir
+     * @returns {Promise<{ markdown: string, messages: Array, images: Array<{ name:string, path:string, contentType:string, altText:string|null }> }>}
+     *   messages 为 mammoth 的转换警告；images 为已提取的图片
+     */
+    static async convertDocxToMarkdown(filePath, options = {}) {
+        const { htmlToMarkdown } = require('./html-to-markdown');
+        // 中文版 Word 自定义的“标题 N”样式按对应级别标题处理
+        const styleMap = [
+            ...[1, 2, 3, 4, 5, 6].map((n) => `p[style-name='标题 ${n}'] => h${n}:fresh`),
+            ...(Array.isArray(options.styleMap) ? options.styleMap : [])
+        ];
+        const mammothOptions = { styleMap };
+        const images = [];
+        if (options.imagesDir) {
+            const imagesDir = options.imagesDir;
+            const href = String(options.imagesHref || imagesDir).replace(/\\/g, '/').replace(/\/$/, '');
+            this.clearExtractedImages(imagesDir);
+            // 编号在回调开始时同步分配，保证与图片在文档中的顺序一致
+            let seq = 0;
+            mammothOptions.convertImage = mammoth.images.imgElement(async (image) => {
+                const label = `fig-${++seq}`;
+                const name = `${label}.${IMAGE_EXTENSIONS[image.contentType] || 'bin'}`;
+                const target = path.join(imagesDir, name);
+                fs.mkdirSync(imagesDir, { recursive: true });
+                fs.writeFileSync(target, await image.read());
+                images.push({ name, path: target, contentType: image.contentType, altText: image.altText || null });
+                return { src: `${href}/${name}`, alt: label };
+            });
+        }
+        try {
+            const result = await mammoth.convertToHtml({ path: filePath }, mammothOptions);
+            images.sort((a, b) => parseInt(a.name.slice(4), 10) - parseInt(b.name.slice(4), 10));
+            return { markdown: htmlToMarkdown(result.value), messages: result.messages || [], images };
+        } catch (error) {
+            throw new Error(`DOCX转换失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除上次提取留下的 fig-N.* 图片（重新转换时图片数量可能减少）
+     * @param {string} imagesDir
+     */
+    static clearExtractedImages(imagesDir) {
+        if (!fs.existsSync(imagesDir)) return;
+        for (const name of fs.readdirSync(imagesDir)) {
+            if (/^fig-\d+\.[a-z0-9]+$/i.test(name)) fs.rmSync(path.join(imagesDir, name), { force: true });
+        }
+    }
+
+    /**
+     * 图片提取位置：输出文件旁的 assets/<输出文件名>/，占位链接相对输出文件所在目录
+     * @param {string} outputPath - 转换结果（.md）或运行结果（.csv）路径
+     * @returns {{ imagesDir: string, imagesHref: string }}
+     */
+    static imageAssetOptions(outputPath) {
+        const base = path.basename(outputPath, path.extname(outputPath));
+        return { imagesDir: path.join(path.dirname(outputPath), 'assets', base), imagesHref: `assets/${base}` };
+    }
+
+    /**
+     * 处理器读取输入时的选项：file_readers 配置，并按 file_readers.docx_images 附加图片提取位置
+     * @param {Object} config
+     * @param {string} outputPath - 该输入对应的输出 CSV 路径
+     * @returns {Object}
+     */
+    static readerOptions(config, outputPath) {
+        const options = { ...(config?.file_readers || {}) };
+        if (options.docx_images !== false && outputPath) {
+            Object.assign(options, this.imageAssetOptions(outputPath));
+        }
+        return options;
+    }
+
     /**
      * 写入文件
      * @param {string} filePath - 文件路径
@@ -0,0 +1,332 @@
+/**
+ * 轻量 HTML → Markdown 转换（无第三方依赖）
+ * - 面向 mammoth 等工具生成的规整 HTML：标题、段落、粗体/斜体/删除线、链接、图片、有序/无序列表（可嵌套）、表格、引用、代码
+ * - 表格输出为 GFM 管道表格，首行作表头；单元格内换行以 <br> 表示
+ * - 无法映射的标签保留其文本内容
+ */
+const VOID_TAGS = new Set(['br', 'img', 'hr', 'meta', 'link', 'input', 'col', 'wbr', 'source']);
+const SKIP_TAGS = new Set(['script', 'style', 'head', 'title', 'noscript', 'template']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr',
+  'blockquote', 'pre', 'hr', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'figure',
+  'figcaption', 'dl', 'dt', 'dd', 'body', 'html',
+]);
+
+// <br> 在折叠空白前以占位符表示，折叠后再转为换行
+const BR = '\u2028';
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', middot: '·', times: '×', divide: '÷', deg: '°', plusmn: '±',
+};
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    const v = NAMED_ENTITIES[body.toLowerCase()];
+    return v === undefined ? m : v;
+  });
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  const re = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * 解析为节点树：{ tag, attrs, children } / { text }
+ * 容错：未闭合标签在父级闭合时一并结束，多余的闭合标签忽略
+ */
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let last = 0;
+  let m;
+  const top = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) top().children.push({ text: decodeEntities(text) });
+  };
+  while ((m = re.exec(html)) !== null) {
+    pushText(html.slice(last, m.index));
+    last = re.lastIndex;
+    if (m[1] !== undefined) {
+      top().children.push({ text: m[1] });
+      continue;
+    }
+    if (!m[3]) continue; // 注释、doctype、处理指令
+    const tag = m[3].toLowerCase().replace(/^.*:/, '');
+    if (m[2]) {
+      const idx = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (idx > 0) stack.length = idx;
+      continue;
+    }
+    const attrSrc = m[4] || '';
+    const node = { tag, attrs: parseAttrs(attrSrc.replace(/\/\s*$/, '')), children: [] };
+    top().children.push(node);
+    if (SKIP_TAGS.has(tag)) {
+      // 跳过内容直到对应闭合标签
+      const close = new RegExp(`</${tag}\\s*>`, 'i');
+      const rest = html.slice(last);
+      const cm = close.exec(rest);
+      last = cm ? last + cm.index + cm[0].length : html.length;
+      re.lastIndex = last;
+      node.skip = true;
+      continue;
+    }
+    if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSrc)) stack.push(node);
+  }
+  pushText(html.slice(last));
+  return root;
+}
+
+function escapeText(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+class HtmlToMarkdown {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.bullet='-'] - 无序列表符号
+   * @param {(img:{src:string, alt:string})=>string|null} [options.imageHandler] - 自定义图片输出（返回 null 时使用默认 ![alt](src)）
+   */
+  constructor({ bullet = '-', imageHandler = null } = {}) {
+    this.bullet = bullet;
+    this.imageHandler = imageHandler;
+  }
+
+  /**
+   * @param {string} html
+   * @returns {string}
+   */
+  convert(html) {
+    const tree = parseHtml(String(html || ''));
+    const md = this._blocks(tree.children).join('\n\n');
+    return md.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+  }
+
+  /**
+   * 块级渲染：返回块字符串数组（块间以空行分隔）
+   */
+  _blocks(nodes) {
+    const out = [];
+    let inline = [];
+    const flush = () => {
+      const text = this._hardBreaks(this._collapse(inline.join('')));
+      if (text) out.push(text);
+      inline = [];
+    };
+    for (const node of nodes) {
+      if (node.text !== undefined || !BLOCK_TAGS.has(node.tag)) {
+        inline.push(node.text !== undefined ? escapeText(node.text) : this._inline(node));
+        continue;
+      }
+      flush();
+      const block = this._block(node);
+      if (block) out.push(block);
+    }
+    flush();
+    return out;
+  }
+
+  _block(node) {
+    const { tag } = node;
+    const heading = /^h([1-6])$/.exec(tag);
+    if (heading) {
+      const text = this._collapse(this._inlineChildren(node)).replace(/\n+/g, ' ');
+      return text ? `${'#'.repeat(Number(heading[1]))} ${text}` : '';
+    }
+    switch (tag) {
+      case 'p': {
+        return this._hardBreaks(this._escapeLineStart(this._collapse(this._inlineChildren(node))));
+      }
+      case 'ul':
+      case 'ol':
+        return this._list(node, '');
+      case 'table':
+        return this._table(node);
+      case 'blockquote':
+        return this._blocks(node.children).join('\n\n').split('\n').map((l) => (l ? `> ${l}` : '>')).join('\n');
+      case 'pre': {
+        const code = this._text(node).replace(/\n$/, '');
+        const fence = code.includes('```') ? '~~~' : '```';
+        return `${fence}\n${code}\n${fence}`;
+      }
+      case 'hr':
+        return '---';
+      case 'li':
+        return this._list({ tag: 'ul', children: [node] }, '');
+      default:
+        return this._blocks(node.children).join('\n\n');
+    }
+  }
+
+  /**
+   * @param {Object} node - ul / ol 节点
+   * @param {string} pad - 当前列表的缩进（嵌套列表对齐到父项内容列）
+   */
+  _list(node, pad) {
+    const ordered = node.tag === 'ol';
+    let n = Number(node.attrs?.start) || 1;
+    const lines = [];
+    for (const li of node.children) {
+      if (li.text !== undefined) {
+        if (li.text.trim()) lines.push(`${pad}${this.bullet} ${escapeText(li.text.trim())}`);
+        continue;
+      }
+      if (li.tag === 'ul' || li.tag === 'ol') {
+        lines.push(this._list(li, `${pad}  `));
+        continue;
+      }
+      const marker = ordered ? `${n++}.` : this.bullet;
+      const indent = ' '.repeat(marker.length + 1);
+      const inlineNodes = [];
+      const nested = [];
+      for (const child of li.tag === 'li' ? li.children : [li]) {
+        if (child.tag === 'ul' || child.tag === 'ol') nested.push(child);
+        else inlineNodes.push(child);
+      }
+      const body = this._blocks(inlineNodes).join('\n\n');
+      const [first, ...rest] = body.split('\n');
+      lines.push(`${pad}${marker} ${first || ''}`.trimEnd());
+      for (const line of rest) lines.push(line ? `${pad}${indent}${line}` : '');
+      for (const sub of nested) lines.push(this._list(sub, `${pad}${indent}`));
+    }
+    return lines.join('\n');
+  }
+
+  _table(node) {
+    const rows = [];
+    const collect = (n) => {
+      for (const child of n.children || []) {
+        if (child.tag === 'tr') rows.push(child);
+        else if (child.tag === 'thead' || child.tag === 'tbody' || child.tag === 'tfoot') collect(child);
+      }
+    };
+    collect(node);
+    if (!rows.length) return '';
+    const grid = rows.map((tr) => {
+      const cells = [];
+      for (const cell of tr.children.filter((c) => c.tag === 'td' || c.tag === 'th')) {
+        const text = this._blocks(cell.children).join('\n\n')
+          .replace(/\\?\n+/g, '<br>')
+          .replace(/\|/g, '\\|');
+        cells.push(text);
+        // 合并单元格：横向补空单元格以保持列数
+        const span = Number(cell.attrs.colspan) || 1;
+        for (let i = 1; i < span; i++) cells.push('');
+      }
+      return cells;
+    });
+    const width = Math.max(...grid.map((r) => r.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(grid[0]), `|${' --- |'.repeat(width)}`, ...grid.slice(1).map(line)].join('\n');
+  }
+
+  _inlineChildren(node) {
+    return node.children.map((c) => (c.text !== undefined ? escapeText(c.text) : this._inline(c))).join('');
+  }
+
+  _inline(node) {
+    if (node.skip) return '';
+    const inner = () => this._inlineChildren(node);
+    const wrap = (mark) => {
+      const text = inner();
+      if (!text.trim()) return text;
+      // 标记不能紧贴空白，否则 Markdown 不识别
+      const m = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+      return `${m[1]}${mark}${m[2]}${mark}${m[3]}`;
+    };
+    switch (node.tag) {
+      case 'strong':
+      case 'b':
+        return wrap('**');
+      case 'em':
+      case 'i':
+        return wrap('*');
+      case 's':
+      case 'del':
+      case 'strike':
+        return wrap('~~');
+      case 'sup':
+      case 'sub':
+      case 'u':
+        return `<${node.tag}>${inner()}</${node.tag}>`;
+      case 'code': {
+        const text = this._text(node);
+        const ticks = text.includes('`') ? '``' : '`';
+        return `${ticks}${text}${ticks}`;
+      }
+      case 'br':
+        return BR;
+      case 'a': {
+        const text = inner();
+        const href = node.attrs.href;
+        if (!href) return text;
+        if (!text.trim()) return '';
+        return `[${text}](${href.replace(/ /g, '%20').replace(/\)/g, '%29')})`;
+      }
+      case 'img': {
+        const img = { src: node.attrs.src || '', alt: node.attrs.alt || '' };
+        const custom = this.imageHandler ? this.imageHandler(img) : null;
+        if (custom !== null && custom !== undefined) return custom;
+        return img.src ? `![${escapeText(img.alt)}](${img.src.replace(/ /g, '%20')})` : '';
+      }
+      default:
+        return BLOCK_TAGS.has(node.tag) ? `${BR}${this._blocks([node]).join(BR)}${BR}` : inner();
+    }
+  }
+
+  _text(node) {
+    if (node.text !== undefined) return node.text;
+    if (node.tag === 'br') return '\n';
+    return (node.children || []).map((c) => this._text(c)).join('');
+  }
+
+  /**
+   * 折叠 HTML 中的空白：连续空白（含源码换行）合并为一个空格，仅 <br> 产生换行
+   */
+  _collapse(text) {
+    return text
+      .replace(/[ \t\r\n\f\v]+/g, ' ')
+      .split(BR)
+      .map((l) => l.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * 段内换行输出为硬换行（行尾反斜杠，与 pandoc 一致）
+   */
+  _hardBreaks(text) {
+    return text.replace(/\n(?!\n)/g, '\\\n');
+  }
+
+  /**
+   * 段首的 # > - + 数字. 会被解析为其他块，需转义
+   */
+  _escapeLineStart(text) {
+    return text.replace(/^(#{1,6}\s|>|[-+]\s|\d+[.)]\s)/, '\\$1');
+  }
+}
+
+/**
+ * 便捷函数
+ * @param {string} html
+ * @param {Object} [options] - 同 HtmlToMarkdown 构造参数
+ */
+function htmlToMarkdown(html, options) {
+  return new HtmlToMarkdown(options).convert(html);
+}
+
+module.exports = { HtmlToMarkdown, htmlToMarkdown, parseHtml, decodeEntities };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const ResponseCache = require('./response-cache');
+
+/**
+ * LLM 请求录制与回放（回归测试用）
+ * - 录制：每次 chatCompletion（含缓存命中与最终失败）追加一行 JSON 到 <运行目录>/llm_cassette.jsonl，
+ *   记录 messages、模型、参数、原始响应、usage、耗时与尝试次数
+ * - 回放：按 提供商 + 模型 + messages + 参数 + 样本序号 的哈希（与响应缓存同一算法）返回录制的响应，不发送请求；
+ *   调用方可另传 keyMessages（提示词按模板渲染、运行 ID 保留为 {{runId}} 占位符）作为匹配依据，
+ *   引用 runId 的提示词在新运行目录中也能回放，正文中与运行名相同的文字不受影响；
+ *   同一请求录制了多次时按录制顺序依次返回，用完后重复最后一次；录制的失败原样抛出
+ * - 回放未命中抛出 code 为 REPLAY_MISS 的错误（不重试、不回退到真实请求）
+ */
+const CASSETTE_NAME = 'llm_cassette.jsonl';
+const REPLAY_MISS = 'REPLAY_MISS';
+// keyMessages 中代替运行 ID 的占位符（即模板原文）
+const RUN_ID_PLACEHOLDER = '{{runId}}';
+
+class LLMCassette {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode
+   * @param {string} options.path - 磁带文件（.jsonl）
+   * @param {string} [options.runId] - 当前运行 ID（记入录制，不参与匹配）
+   * @param {Object} [options.logger]
+   */
+  constructor({ mode, path: filePath, runId = '', logger = console }) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`未知的磁带模式: ${mode}`);
+    }
+    this.mode = mode;
+    this.path = filePath;
+    this.runId = runId;
+    this.logger = logger;
+    this.stats = { recorded: 0, replayed: 0, misses: 0 };
+    this.entries = new Map(); // key -> { list, next }（仅回放）
+    if (mode === 'replay') this._load();
+  }
+
+  /**
+   * 按运行参数创建：replay 优先；都未开启时返回 null
+   * @param {Object} params
+   * @param {boolean} [params.record] - 录制到 <runOutputDir>/llm_cassette.jsonl（恢复运行时追加）
+   * @param {string} [params.replay] - 回放的磁带文件或其所在运行目录
+   * @param {string} params.runOutputDir
+   * @param {string} [params.runId]
+   * @param {Object} [params.logger]
+   * @returns {LLMCassette|null}
+   */
+  static forRun({ record = false, replay = null, runOutputDir, runId = '', logger = console }) {
+    if (replay) return new LLMCassette({ mode: 'replay', path: LLMCassette.resolvePath(replay), runId, logger });
+    if (record) return new LLMCassette({ mode: 'record', path: path.join(runOutputDir, CASSETTE_NAME), runId, logger });
+    return null;
+  }
+
+  /**
+   * 回放来源：磁带文件，或含 llm_cassette.jsonl 的运行目录；不存在返回 null
+   * @param {string} target
+   * @returns {string|null}
+   */
+  static resolvePath(target) {
+    const candidates = [target, path.join(target, CASSETTE_NAME)];
+    return candidates.find((p) => fs.existsSync(p) && fs.statSync(p).isFile()) || null;
+  }
+
+  /**
+   * 追加一条录制（失败不影响主流程）
+   * @param {Object} entry - { providerName, model, messages, keyMessages?, extra, sampleIndex, text, raw, latencyMs, attempts, cached?, error? }
+   */
+  record(entry) {
+    if (this.mode !== 'record') return;
+    const { providerName, model, messages, keyMessages, extra = {}, sampleIndex = 0 } = entry;
+    const line = {
+      key: keyFor({ providerName, model, messages: keyMessages || messages, extra, sampleIndex }),
+      recordedAt: new Date().toISOString(),
+      runId: this.runId,
+      provider: providerName,
+      model,
+      sampleIndex: Number(sampleIndex) || 0,
+      params: extra,
+      messages,
+      text: entry.error ? null : entry.text,
+      raw: entry.error ? null : entry.raw,
+      usage: (entry.raw && entry.raw.usage) || null,
+      latencyMs: entry.latencyMs,
+      attempts: entry.attempts,
+    };
+    if (keyMessages && keyMessages !== messages) line.keyMessages = keyMessages;
+    if (entry.cached) line.cached = true;
+    if (entry.error) line.error = { message: entry.error.message, code: entry.error.code };
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.appendFileSync(this.path, JSON.stringify(line) + '\n', 'utf8');
+      this.stats.recorded++;
+    } catch (e) {
+      this.logger.warn(`写入 LLM 磁带失败: ${e.message}`);
+    }
+  }
+
+  /**
+   * 回放一次请求
+   * @param {{ providerName:string, model:string, messages:Array, keyMessages?:Array, extra?:Object, sampleIndex?:number }} params
+   * @returns {{ text:string, raw:Object, replayed:true }}
+   */
+  replay({ providerName, model, messages, keyMessages, extra = {}, sampleIndex = 0 }) {
+    const key = keyFor({ providerName, model, messages: keyMessages || messages, extra, sampleIndex });
+    const slot = this.entries.get(key);
+    if (!slot) {
+      this.stats.misses++;
+      throw Object.assign(new Error(`回放未命中：磁带中没有该请求（${providerName}/${model}，样本 ${Number(sampleIndex) || 0}）: ${this.path}`), { code: REPLAY_MISS, attempts: 0 });
+    }
+    const entry = slot.list[Math.min(slot.next, slot.list.length - 1)];
+    slot.next++;
+    this.stats.replayed++;
+    if (entry.error) {
+      throw Object.assign(new Error(entry.error.message), { code: entry.error.code, attempts: entry.attempts || 1 });
+    }
+    return { text: entry.text, raw: entry.raw, replayed: true };
+  }
+
+  /**
+   * 获取统计（供 run_summary.json 使用）
+   */
+  getStats() {
+    return Object.assign({ mode: this.mode, path: this.path }, this.stats);
+  }
+
+  _load() {
+    if (!this.path) throw Object.assign(new Error('回放磁带不存在'), { code: 'CONFIG_ERROR' });
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n');
+    let bad = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (_) {
+        bad++; // 录制中途退出留下的残行
+        continue;
+      }
+      if (!entry || !Array.isArray(entry.messages)) continue;
+      // 按当前算法重算键（兼容较早录制的磁带）
+      const key = keyFor({
+        providerName: entry.provider,
+        model: entry.model,
+        messages: entry.keyMessages || entry.messages,
+        extra: entry.params || {},
+        sampleIndex: entry.sampleIndex,
+      });
+      if (!this.entries.has(key)) this.entries.set(key, { list: [], next: 0 });
+      this.entries.get(key).list.push(entry);
+    }
+    if (bad) this.logger.warn(`LLM 磁带中有 ${bad} 行无法解析，已跳过: ${this.path}`);
+  }
+}
+
+/**
+ * 磁带匹配键：与响应缓存同一算法
+ */
+function keyFor({ providerName, model, messages, extra = {}, sampleIndex = 0 }) {
+  return ResponseCache.hashRequest({ providerName, model, messages, extra, sampleIndex });
+}
+
+module.exports = { LLMCassette, CASSETTE_NAME, REPLAY_MISS, RUN_ID_PLACEHOLDER };
@@ -0,0 +1,114 @@
+const { ErrorClassifier } = require('./errors');
+
+/**
+ * 运行级模型故障切换链：主模型 + fallbackModels
+ * - 某模型累计 failoverAfter 次可切换类错误（重试耗尽后的网络/5xx/超时/限流）即标记为不可用
+ * - 标记后当前请求立即改投链上下一个可用模型，后续请求直接使用新模型，不再回切
+ * - 4xx、解析等与提供商可用性无关的错误原样抛出
+ */
+const FAILOVER_TYPES = ['network_error', 'server_error', 'timeout', 'rate_limit'];
+// 未在模型选择与配置中指定时，连续失败几次后切换（单次偶发失败不切换）
+const DEFAULT_FAILOVER_AFTER = 3;
+
+class ModelFailover {
+  /**
+   * @param {Object} modelSel - { provider, model, fallbackModels?: [{provider, model}], failoverAfter?: number }
+   * @param {Object} [options]
+   * @param {number} [options.failoverAfter] - modelSel 未指定时的切换阈值（对应配置 failover.failover_after），默认 3
+   * @param {Object} [options.logger]
+   */
+  constructor(modelSel, { failoverAfter, logger = console } = {}) {
+    const chain = [{ provider: modelSel.provider, model: modelSel.model }];
+    for (const m of normalizeFallbackModels(modelSel.fallbackModels)) {
+      if (!chain.some((c) => c.provider === m.provider && c.model === m.model)) chain.push(m);
+    }
+    this.chain = chain.map((m) => ({ ...m, failures: 0, down: false }));
+    this.failoverAfter = Math.max(1, Number(modelSel.failoverAfter) || Number(failoverAfter) || DEFAULT_FAILOVER_AFTER);
+    this.logger = logger;
+    this.classifier = new ErrorClassifier();
+    this.events = [];
+  }
+
+  /** 是否配置了备用模型 */
+  get enabled() {
+    return this.chain.length > 1;
+  }
+
+  /** 当前首选的可用模型（全部不可用时返回 null） */
+  current() {
+    const m = this.chain.find((c) => !c.down);
+    return m ? { provider: m.provider, model: m.model } : null;
+  }
+
+  /**
+   * 依次在可用模型上执行请求
+   * @param {(m:{provider:string, model:string}) => Promise<any>} fn
+   * @returns {Promise<{ result:any, modelUsed:{provider:string, model:string} }>}
+   */
+  async execute(fn) {
+    let lastErr = null;
+    for (;;) {
+      const entry = this.chain.find((c) => !c.down);
+      if (!entry) throw lastErr || new Error('备用模型已全部不可用');
+      const modelUsed = { provider: entry.provider, model: entry.model };
+      try {
+        const result = await fn(modelUsed);
+        entry.failures = 0;
+        return { result, modelUsed };
+      } catch (err) {
+        lastErr = err;
+        const info = this.classifier.classify(err, { stage: 'request' });
+        if (!FAILOVER_TYPES.includes(info.type)) throw err;
+        // 并发请求中其他 worker 已将该模型标记为不可用：直接改投下一个
+        if (entry.down) continue;
+        entry.failures++;
+        if (entry.failures < this.failoverAfter || !this.enabled) throw err;
+        entry.down = true;
+        const next = this.current();
+        this.events.push({
+          from: `${entry.provider}/${entry.model}`,
+          to: next ? `${next.provider}/${next.model}` : null,
+          reason: info.type,
+          message: info.message,
+          at: new Date().toISOString(),
+        });
+        if (!next) {
+          this.logger.error(`故障切换：${entry.provider}/${entry.model} 不可用（${info.type}），已无可用备用模型`);
+          throw err;
+        }
+        this.logger.warn(`故障切换：${entry.provider}/${entry.model} 连续失败 ${entry.failures} 次（${info.type}），改用 ${next.provider}/${next.model}`);
+      }
+    }
+  }
+
+  /** 供 run_summary 使用 */
+  getSummary() {
+    return {
+      chain: this.chain.map((c) => `${c.provider}/${c.model}`),
+      failoverAfter: this.failoverAfter,
+      down: this.chain.filter((c) => c.down).map((c) => `${c.provider}/${c.model}`),
+      events: this.events,
+    };
+  }
+}
+
+/**
+ * 规范化备用模型列表：支持 [{provider, model}] 或 "提供商/模型" 字符串
+ * @param {Array} list
+ * @returns {Array<{provider:string, model:string}>}
+ */
+function normalizeFallbackModels(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const item of list) {
+    if (typeof item === 'string') {
+      const idx = item.indexOf('/');
+      if (idx > 0 && idx < item.length - 1) out.push({ provider: item.slice(0, idx).trim(), model: item.slice(idx + 1).trim() });
+    } else if (item && item.provider && item.model) {
+      out.push({ provider: String(item.provider), model: String(item.model) });
+    }
+  }
+  return out;
+}
+
+module.exports = { ModelFailover, normalizeFallbackModels, FAILOVER_TYPES };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 输出表结构：由提示词版本的 rows.schema.json 推导 CSV 列、主键列与“答案”列
+ * - columns：rows.items.properties 的键顺序（可用 items["x-columns"] 显式指定）
+ * - keyColumn：items["x-key-column"]，缺省取第一个 integer 列，再缺省取第一列
+ * - answerColumn：items["x-answer-column"]，缺省取第一个未限制 maxLength 的 string 列，
+ *   再缺省取 maxLength 最大的 string 列，最后取末列
+ * 未提供 schema 时使用默认的五列问答表
+ */
+const DEFAULT_COLUMNS = ['编号', '问题', '答案', '答题人', '专业'];
+
+class OutputSchema {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.columns
+   * @param {string} [options.keyColumn]
+   * @param {string} [options.answerColumn]
+   * @param {string} [options.source] - 来源 schema 路径（日志用）
+   */
+  constructor({ columns, keyColumn, answerColumn, source = null }) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error('输出表结构至少需要一列');
+    }
+    this.columns = columns.map(String);
+    this.keyColumn = this.columns.includes(keyColumn) ? keyColumn : this.columns[0];
+    this.answerColumn = this.columns.includes(answerColumn) ? answerColumn : this.columns[this.columns.length - 1];
+    this.source = source;
+  }
+
+  static default() {
+    return new OutputSchema({ columns: DEFAULT_COLUMNS, keyColumn: '编号', answerColumn: '答案' });
+  }
+
+  /**
+   * 从 rows schema 对象推导；无法推导（无 rows.items.properties）时返回默认结构
+   * @param {Object} schema
+   * @param {string} [source]
+   */
+  static fromRowsSchema(schema, source = null) {
+    const items = schema?.properties?.rows?.items;
+    const props = items?.properties;
+    if (!props || typeof props !== 'object' || Object.keys(props).length === 0) {
+      return OutputSchema.default();
+    }
+    const columns = Array.isArray(items['x-columns']) && items['x-columns'].length
+      ? items['x-columns']
+      : Object.keys(props);
+    const typeOf = (col) => [].concat(props[col]?.type || []);
+
+    let keyColumn = items['x-key-column'];
+    if (!keyColumn) keyColumn = columns.find((c) => typeOf(c).includes('integer')) || columns[0];
+
+    let answerColumn = items['x-answer-column'];
+    if (!answerColumn) {
+      const strings = columns.filter((c) => c !== keyColumn && typeOf(c).includes('string'));
+      answerColumn = strings.find((c) => typeof props[c].maxLength !== 'number')
+        || strings.slice().sort((a, b) => props[b].maxLength - props[a].maxLength)[0]
+        || columns[columns.length - 1];
+    }
+    return new OutputSchema({ columns, keyColumn, answerColumn, source });
+  }
+
+  /**
+   * 读取 schema 文件并推导；文件不存在时返回默认结构
+   * @param {string} schemaPath
+   */
+  static fromFile(schemaPath) {
+    if (!schemaPath || !fs.existsSync(schemaPath)) return OutputSchema.default();
+    const abs = path.isAbsolute(schemaPath) ? schemaPath : path.join(process.cwd(), schemaPath);
+    return OutputSchema.fromRowsSchema(JSON.parse(fs.readFileSync(abs, 'utf8')), abs);
+  }
+
+  /** 是否为默认五列问答表 */
+  get isDefault() {
+    return this.columns.length === DEFAULT_COLUMNS.length && this.columns.every((c, i) => c === DEFAULT_COLUMNS[i]);
+  }
+
+  /** 必填列：主键列与答案列 */
+  get requiredColumns() {
+    return [...new Set([this.keyColumn, this.answerColumn])];
+  }
+
+  get answerIndex() {
+    return this.columns.indexOf(this.answerColumn);
+  }
+
+  /** CSV 表头行（不加引号） */
+  headerLine() {
+    return this.columns.join(',');
+  }
+
+  /**
+   * 匹配表头行的正则源码（列间允许空白）
+   */
+  headerPattern() {
+    return this.columns.map((c) => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s*,\\s*');
+  }
+
+  describe() {
+    return `列=[${this.columns.join(', ')}] 主键=${this.keyColumn} 答案=${this.answerColumn}`;
+  }
+}
+
+OutputSchema.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+
+module.exports = OutputSchema;
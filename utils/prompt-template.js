@@ -0,0 +1,115 @@
+const path = require('path');
+
+/**
+ * 提示词模板：系统提示词（含纠错提示词）中的 {{变量}} 按文件替换
+ * 内置变量：
+ *   filename      输入文件名（含扩展名）
+ *   basename      输入文件名（不含扩展名）
+ *   relativeDir   相对输入根目录的子目录（/ 分隔，根目录下的文件为空）
+ *   dir1..dirN    relativeDir 的各级目录名（dir1 为最外层）
+ *   parentDir     输入文件所在目录名
+ *   chapter       章节：分块标题，其次为分割路径（split_path），都没有时为空
+ *   chunkIndex / chunkTotal  分块序号（从 1 开始）/ 总块数，未分块时为 1/1
+ *   runId
+ * 另有输入元数据（如分割流水线的 split_*）与自定义变量（Colipot 方案 prompt_variables、--var）
+ * 自定义变量的值可引用上述变量，如 答题人: "{{dir1}}"；同名时自定义变量优先
+ * 未定义或为空的变量替换为空字符串；写作 {{名称|默认值}} 时使用默认值
+ */
+const VARIABLE_PATTERN = /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}/g;
+
+/**
+ * 替换模板中的变量
+ * @param {string} template
+ * @param {Object<string, string|number|boolean>} [vars]
+ * @returns {string}
+ */
+function renderTemplate(template, vars = {}) {
+  return String(template ?? '').replace(VARIABLE_PATTERN, (_, name, fallback) => {
+    const value = vars[name];
+    if (value === undefined || value === null || value === '') return fallback !== undefined ? fallback : '';
+    return String(value);
+  });
+}
+
+/**
+ * 构造单个输入文件（或分块）的模板变量
+ * @param {Object} params
+ * @param {string} params.filePath - 输入文件路径
+ * @param {string} [params.relativePath] - 相对输入根目录的路径，缺省为文件名
+ * @param {string} [params.runId]
+ * @param {Object} [params.metadata] - 输入元数据（如分割路径）
+ * @param {Object} [params.custom] - 自定义变量
+ * @param {Object} [params.chunk] - 分块信息 { index, total, heading }
+ * @returns {Object<string, string|number>}
+ */
+function buildTemplateVariables({ filePath, relativePath, runId, metadata = null, custom = null, chunk = null }) {
+  const rel = String(relativePath || path.basename(filePath || '')).replace(/\\/g, '/');
+  const dir = path.posix.dirname(rel);
+  const relativeDir = dir === '.' ? '' : dir;
+  const vars = {
+    filename: path.posix.basename(rel),
+    basename: path.posix.basename(rel, path.posix.extname(rel)),
+    relativeDir,
+    parentDir: filePath ? path.basename(path.dirname(path.resolve(filePath))) : '',
+    chapter: (chunk && chunk.heading) || (metadata && metadata.split_path) || '',
+    chunkIndex: chunk ? chunk.index + 1 : 1,
+    chunkTotal: chunk ? chunk.total : 1,
+    runId: runId || '',
+  };
+  (relativeDir ? relativeDir.split('/') : []).forEach((name, i) => { vars[`dir${i + 1}`] = name; });
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (!(key in vars)) vars[key] = value;
+  }
+  for (const [key, value] of Object.entries(custom || {})) {
+    vars[key] = renderTemplate(value, vars);
+  }
+  return vars;
+}
+
+/**
+ * 规范化自定义变量：须为键值对，值为字符串/数字/布尔
+ * @param {Object} raw
+ * @returns {{ ok:boolean, errors:string[], variables:Object<string, string> }}
+ */
+function normalizeVariables(raw) {
+  if (raw === undefined || raw === null) return { ok: true, errors: [], variables: {} };
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { ok: false, errors: ['须为键值对'], variables: {} };
+  }
+  const errors = [];
+  const variables = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!/^[^{}|\s]+$/.test(key)) {
+      errors.push(`变量名无效: ${key}`);
+    } else if (value !== null && typeof value === 'object') {
+      errors.push(`变量 ${key} 的值须为字符串、数字或布尔`);
+    } else {
+      variables[key] = value === null ? '' : String(value);
+    }
+  }
+  return { ok: errors.length === 0, errors, variables };
+}
+
+/**
+ * 解析命令行 名称=值 形式的变量（--var 可重复传入；值中可含逗号与等号）
+ * @param {string|string[]} values
+ * @returns {Object<string, string>}
+ */
+function parseVariableArgs(values) {
+  const variables = {};
+  for (const item of [].concat(values || [])) {
+    const eq = String(item).indexOf('=');
+    if (eq <= 0) {
+      throw Object.assign(new Error(`变量格式应为 名称=值: ${item}`), { code: 'CONFIG_ERROR' });
+    }
+    variables[String(item).slice(0, eq).trim()] = String(item).slice(eq + 1);
+  }
+  return variables;
+}
+
+module.exports = {
+  renderTemplate,
+  buildTemplateVariables,
+  normalizeVariables,
+  parseVariableArgs,
+};
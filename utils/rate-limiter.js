@@ -0,0 +1,124 @@
+/**
+ * 按提供商的令牌桶限流（RPM / TPM）
+ * - 同一进程内按 provider.name 共享同一个限流器，经典与结构化模式的所有 worker 共用额度
+ * - 请求前按估算 token 预占额度；拿到真实 usage 后补扣差额（不退还，避免超发）
+ * - 未拿到响应的尝试（出错、将要重试）退还预占的 token 额度；请求数额度不退还
+ * - 单次成本超过桶容量时按容量计，保证超大请求最终也能发出
+ */
+class TokenBucket {
+  /**
+   * @param {number} perMinute - 每分钟额度（同时作为桶容量）
+   */
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.last = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) * this.refillPerMs);
+    this.last = now;
+  }
+
+  /**
+   * 距离可扣除 cost 还需等待的毫秒数（0 表示立即可用）
+   */
+  waitTime(cost) {
+    this._refill();
+    const need = Math.min(cost, this.capacity);
+    return this.tokens >= need ? 0 : Math.ceil((need - this.tokens) / this.refillPerMs);
+  }
+
+  take(cost) {
+    this._refill();
+    this.tokens -= Math.min(cost, this.capacity);
+  }
+
+  /** 补扣（允许为负，后续请求将等待回填） */
+  charge(cost) {
+    this._refill();
+    this.tokens -= cost;
+  }
+
+  /** 退还 take 预占的额度（不超过桶容量） */
+  refund(cost) {
+    this._refill();
+    this.tokens = Math.min(this.capacity, this.tokens + Math.min(cost, this.capacity));
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.requestsPerMinute] - 每分钟请求数，缺省/0 表示不限
+   * @param {number} [options.tokensPerMinute] - 每分钟 token 数，缺省/0 表示不限
+   */
+  constructor({ requestsPerMinute, tokensPerMinute } = {}) {
+    this.rpm = Number(requestsPerMinute) > 0 ? new TokenBucket(Number(requestsPerMinute)) : null;
+    this.tpm = Number(tokensPerMinute) > 0 ? new TokenBucket(Number(tokensPerMinute)) : null;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * 按先来先得顺序等待额度并预占
+   * @param {number} tokens - 估算的本次请求 token 数
+   * @returns {Promise<number>} 实际等待的毫秒数
+   */
+  acquire(tokens = 0) {
+    const run = async () => {
+      const start = Date.now();
+      for (;;) {
+        const wait = Math.max(this.rpm ? this.rpm.waitTime(1) : 0, this.tpm ? this.tpm.waitTime(tokens) : 0);
+        if (wait <= 0) break;
+        await new Promise((r) => setTimeout(r, wait));
+      }
+      if (this.rpm) this.rpm.take(1);
+      if (this.tpm) this.tpm.take(tokens);
+      return Date.now() - start;
+    };
+    const p = this._queue.then(run);
+    this._queue = p.catch(() => {});
+    return p;
+  }
+
+  /**
+   * 用真实用量校正预占：实际超出估算的部分补扣
+   * @param {number} estimated
+   * @param {number} actual
+   */
+  settle(estimated, actual) {
+    if (!this.tpm || !(actual > estimated)) return;
+    this.tpm.charge(actual - estimated);
+  }
+
+  /**
+   * 请求失败（无 usage）时退还 acquire 预占的 token 额度
+   * @param {number} estimated
+   */
+  refund(estimated) {
+    if (this.tpm) this.tpm.refund(estimated);
+  }
+}
+
+const registry = new Map(); // provider.name -> { key, limiter }
+
+/**
+ * 获取提供商共享的限流器；未配置 requests_per_minute / tokens_per_minute 时返回 null
+ * @param {Object} provider
+ * @returns {RateLimiter|null}
+ */
+function getRateLimiter(provider = {}) {
+  const rpm = Number(provider.requests_per_minute) || 0;
+  const tpm = Number(provider.tokens_per_minute) || 0;
+  if (rpm <= 0 && tpm <= 0) return null;
+  const key = `${rpm}/${tpm}`;
+  const hit = registry.get(provider.name);
+  if (hit && hit.key === key) return hit.limiter;
+  const limiter = new RateLimiter({ requestsPerMinute: rpm, tokensPerMinute: tpm });
+  registry.set(provider.name, { key, limiter });
+  return limiter;
+}
+
+module.exports = { RateLimiter, TokenBucket, getRateLimiter };
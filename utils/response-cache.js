@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * LLM 响应磁盘缓存（可选开启）
+ * - 键：提供商 + model + messages + 额外参数 + 样本序号 的内容哈希（sha256）；同名模型在不同提供商下互不混用
+ * - 值：{ text, raw }，按哈希前两位分目录存放于 <dir>/<xx>/<hash>.json
+ * - 样本序号参与哈希，保证多次采样校验的 N 个样本互不相同
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled=false]
+   * @param {string} [options.dir='./data/cache/llm']
+   * @param {number} [options.ttlHours=0] - 过期时间（小时），0 表示不过期
+   */
+  constructor({ enabled = false, dir = './data/cache/llm', ttlHours = 0 } = {}) {
+    this.enabled = !!enabled;
+    this.dir = dir;
+    this.ttlMs = Math.max(0, Number(ttlHours) || 0) * 3600 * 1000;
+    this.stats = { hits: 0, misses: 0, writes: 0, bypassed: 0 };
+  }
+
+  /**
+   * 由配置的 cache 段创建实例
+   * @param {Object} config - 完整配置
+   */
+  static fromConfig(config = {}) {
+    const c = config.cache || {};
+    return new ResponseCache({ enabled: c.enabled === true, dir: c.dir, ttlHours: c.ttl_hours });
+  }
+
+  /**
+   * 计算缓存键
+   * @param {{ providerName: string, model: string, messages: Array, extra?: Object, sampleIndex?: number }} params
+   * @returns {string}
+   */
+  buildKey(params) {
+    return ResponseCache.hashRequest(params);
+  }
+
+  /**
+   * 请求内容哈希（缓存键；LLM 磁带回放也按此匹配请求）
+   * @param {{ providerName: string, model: string, messages: Array, extra?: Object, sampleIndex?: number }} params
+   * @returns {string}
+   */
+  static hashRequest({ providerName = '', model, messages, extra = {}, sampleIndex = 0 }) {
+    const payload = JSON.stringify({ providerName, model, messages, extra: sortKeys(extra), sampleIndex: Number(sampleIndex) || 0 });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * 读取缓存（未命中或过期返回 null，并计入统计）
+   * @param {string} key
+   * @returns {{ text: string, raw: Object }|null}
+   */
+  get(key) {
+    const file = this._pathFor(key);
+    try {
+      if (fs.existsSync(file)) {
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const expired = this.ttlMs > 0 && (Date.now() - Date.parse(entry.createdAt || 0)) > this.ttlMs;
+        if (!expired && typeof entry.text === 'string') {
+          this.stats.hits++;
+          return { text: entry.text, raw: entry.raw };
+        }
+      }
+    } catch (_) {}
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * 写入缓存（失败不影响主流程）
+   * @param {string} key
+   * @param {{ text: string, raw: Object }} value
+   * @param {Object} [meta] - 附加信息（model、sampleIndex），仅用于人工排查
+   */
+  set(key, value, meta = {}) {
+    try {
+      const file = this._pathFor(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const entry = Object.assign({ createdAt: new Date().toISOString() }, meta, { text: value.text, raw: value.raw });
+      fs.writeFileSync(file, JSON.stringify(entry), 'utf8');
+      this.stats.writes++;
+    } catch (_) {}
+  }
+
+  /**
+   * 删除缓存条目（响应被调用方判定无效时，避免下次运行再次命中）
+   * @param {string} key
+   */
+  delete(key) {
+    if (!key) return;
+    try {
+      fs.rmSync(this._pathFor(key), { force: true });
+    } catch (_) {}
+  }
+
+  /**
+   * 记录一次按运行跳过缓存的请求
+   */
+  markBypassed() {
+    this.stats.bypassed++;
+  }
+
+  /**
+   * 获取统计（供 run_summary.json 使用）
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups > 0 ? ((this.stats.hits / lookups) * 100).toFixed(2) + '%' : '0%',
+    };
+  }
+
+  _pathFor(key) {
+    return path.join(this.dir, key.slice(0, 2), `${key}.json`);
+  }
+}
+
+function sortKeys(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return obj;
+  return Object.keys(obj).sort().reduce((acc, k) => { acc[k] = sortKeys(obj[k]); return acc; }, {});
+}
+
+module.exports = ResponseCache;
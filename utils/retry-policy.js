@@ -0,0 +1,125 @@
+/**
+ * 统一重试策略：指数退避 + 抖动，优先遵循服务端给出的等待时间
+ * - 延迟：min(max_retry_delay_ms, retry_delay_ms * 2^n)，再乘以 [0.5, 1) 的随机因子
+ * - 服务端提示：retry-after-ms / Retry-After（秒或 HTTP 日期）；x-ratelimit-reset* / anthropic-ratelimit-*-reset
+ *   仅在 429 时采用（其它状态下它们只是配额的常规重置时间，不代表需要等待）
+ * - 是否重试由 ErrorClassifier 的分类决定：默认限流、5xx、网络、超时、未知错误可重试；4xx 与用户取消不重试
+ *   （配置 retry_on_errors 时以其为准）
+ */
+const RETRYABLE_TYPES = ['rate_limit', 'server_error', 'network_error', 'timeout', 'unknown_error'];
+
+// retry_on_errors 中的历史写法 -> ErrorClassifier 类型
+const TYPE_ALIASES = { rate_limit_exceeded: 'rate_limit' };
+
+const RESET_HEADERS = [
+  'x-ratelimit-reset',
+  'x-ratelimit-reset-requests',
+  'x-ratelimit-reset-tokens',
+  'anthropic-ratelimit-requests-reset',
+  'anthropic-ratelimit-tokens-reset',
+];
+
+class RetryPolicy {
+  /**
+   * @param {Object} retry - 配置中的 retry 段
+   * @param {boolean} [retry.enable_auto_retry=true]
+   * @param {number} [retry.max_retry_count=3]
+   * @param {number} [retry.retry_delay_ms=1000] - 退避基数
+   * @param {number} [retry.max_retry_delay_ms=60000] - 单次等待上限（含服务端提示）
+   * @param {string[]} [retry.retry_on_errors] - 可重试的错误类型
+   * @param {Function} [random] - 随机数来源（便于测试）
+   */
+  constructor(retry = {}, random = Math.random) {
+    this.enabled = retry.enable_auto_retry !== false;
+    this.maxRetries = this.enabled ? Math.max(0, Number(retry.max_retry_count ?? 3) || 0) : 0;
+    this.baseDelayMs = Math.max(0, Number(retry.retry_delay_ms ?? 1000) || 0);
+    this.maxDelayMs = Math.max(this.baseDelayMs, Number(retry.max_retry_delay_ms) || 60000);
+    this.retryableTypes = Array.isArray(retry.retry_on_errors) && retry.retry_on_errors.length
+      ? retry.retry_on_errors.map((t) => TYPE_ALIASES[t] || t)
+      : RETRYABLE_TYPES;
+    this.random = random;
+  }
+
+  /**
+   * @param {{ type:string }} classified - ErrorClassifier 分类结果
+   * @param {number} attempt - 已失败的次数（从 1 开始）
+   */
+  shouldRetry(classified, attempt) {
+    if (attempt > this.maxRetries) return false;
+    return this.retryableTypes.includes(classified && classified.type);
+  }
+
+  /**
+   * 计算第 attempt 次失败后的等待时间
+   * @param {number} attempt - 已失败的次数（从 1 开始）
+   * @param {Object} [headers] - 失败响应头
+   * @param {number} [status] - 失败响应的 HTTP 状态码
+   * @returns {{ delayMs:number, source:'server'|'backoff' }}
+   */
+  delayFor(attempt, headers, status) {
+    const hinted = parseRetryHeaders(headers, status);
+    if (hinted != null) {
+      return { delayMs: Math.min(this.maxDelayMs, hinted), source: 'server' };
+    }
+    const exp = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, Math.max(0, attempt - 1)));
+    return { delayMs: Math.round(exp * (0.5 + this.random() * 0.5)), source: 'backoff' };
+  }
+}
+
+/**
+ * 从响应头中解析服务端建议的等待毫秒数；无可用提示返回 null
+ * @param {Object} headers
+ * @param {number} [status] - 仅 429 时读取限流重置头
+ */
+function parseRetryHeaders(headers, status) {
+  if (!headers) return null;
+  const get = (name) => {
+    if (typeof headers.get === 'function') return headers.get(name);
+    const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+  };
+
+  const ms = Number(get('retry-after-ms'));
+  if (isFinite(ms) && ms >= 0 && get('retry-after-ms') != null) return Math.ceil(ms);
+
+  const ra = get('retry-after');
+  if (ra != null && ra !== '') {
+    const sec = Number(ra);
+    if (isFinite(sec)) return Math.max(0, Math.ceil(sec * 1000));
+    const at = Date.parse(ra);
+    if (!isNaN(at)) return Math.max(0, at - Date.now());
+  }
+
+  if (Number(status) !== 429) return null;
+  let best = null;
+  for (const name of RESET_HEADERS) {
+    const v = get(name);
+    if (v == null || v === '') continue;
+    const d = parseResetValue(String(v));
+    if (d != null) best = best == null ? d : Math.max(best, d);
+  }
+  return best;
+}
+
+/**
+ * 解析重置时间：时长（"1s" / "6m0s" / "250ms"）、Unix 时间戳（秒/毫秒）、秒数或 ISO 时间
+ */
+function parseResetValue(v) {
+  const trimmed = v.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const n = Number(trimmed);
+    if (n > 1e12) return Math.max(0, n - Date.now());
+    if (n > 1e9) return Math.max(0, n * 1000 - Date.now());
+    return Math.ceil(n * 1000);
+  }
+  const dur = trimmed.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+  if (dur && dur.slice(1).some((x) => x !== undefined)) {
+    const [, h, m, s, msPart] = dur.map((x) => Number(x) || 0);
+    return Math.ceil(h * 3600000 + m * 60000 + s * 1000 + msPart);
+  }
+  const at = Date.parse(trimmed);
+  if (!isNaN(at)) return Math.max(0, at - Date.now());
+  return null;
+}
+
+module.exports = { RetryPolicy, parseRetryHeaders };
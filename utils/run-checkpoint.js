@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 运行断点工具：
+ * - 在 runOutputDir/run_manifest.json 记录本次运行的参数、文件清单与状态
+ * - 读取 temp/<runId>/ 下逐文件 JSONL 中间样本，供“恢复运行”只补发缺失的 repIndex
+ */
+const MANIFEST_NAME = 'run_manifest.json';
+
+/**
+ * 写入（合并）运行清单
+ * @param {string} runOutputDir
+ * @param {Object} data
+ */
+function writeRunManifest(runOutputDir, data) {
+  const manifestPath = path.join(runOutputDir, MANIFEST_NAME);
+  const prev = readRunManifest(runOutputDir) || {};
+  const next = Object.assign({}, prev, data, { updatedAt: new Date().toISOString() });
+  if (!next.createdAt) next.createdAt = next.updatedAt;
+  fs.writeFileSync(manifestPath, JSON.stringify(next, null, 2), 'utf8');
+  return next;
+}
+
+/**
+ * 读取运行清单（不存在或损坏返回 null）
+ */
+function readRunManifest(runOutputDir) {
+  try {
+    const manifestPath = path.join(runOutputDir, MANIFEST_NAME);
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 读取单文件 JSONL 中间样本，按 index 去重（后写覆盖先写）；只读，不修改文件
+ * 未以换行结束的末行是进程中途退出留下的残行，直接忽略（由 appendSample 在下次追加时补换行）
+ * @param {string} tempFilePath
+ * @returns {Map<number, { text: string, usage?: Object, model?: string }>}
+ */
+function loadSamples(tempFilePath) {
+  const samples = new Map();
+  if (!tempFilePath || !fs.existsSync(tempFilePath)) return samples;
+  const lines = fs.readFileSync(tempFilePath, 'utf8').split(/\r?\n/);
+  lines.pop(); // 最后一个换行之后的内容：完整文件为空串，否则为残行
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const obj = JSON.parse(line);
+      if (Number.isInteger(obj.index) && typeof obj.text === 'string') {
+        samples.set(obj.index, { text: obj.text, usage: obj.usage, model: obj.model });
+      }
+    } catch (_) {}
+  }
+  return samples;
+}
+
+/**
+ * 向 JSONL 中间文件追加一个样本；末尾是残行时先补换行，避免新样本与残行粘连
+ * @param {string} tempFilePath
+ * @param {Object} sample - { index, text, usage, model, cached }
+ */
+function appendSample(tempFilePath, sample) {
+  const prefix = endsWithPartialLine(tempFilePath) ? '\n' : '';
+  fs.appendFileSync(tempFilePath, prefix + JSON.stringify(sample) + '\n', 'utf8');
+}
+
+function endsWithPartialLine(filePath) {
+  let fd;
+  try {
+    const { size } = fs.statSync(filePath);
+    if (size === 0) return false;
+    fd = fs.openSync(filePath, 'r');
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } catch (_) {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * 扫描输出根目录，列出未完成（status !== completed）的运行，最新在前
+ * @param {string} outputRoot
+ * @returns {Array<{ runId:string, runOutputDir:string, manifest:Object }>}
+ */
+function listResumableRuns(outputRoot) {
+  try {
+    if (!fs.existsSync(outputRoot)) return [];
+    const runs = [];
+    for (const ent of fs.readdirSync(outputRoot, { withFileTypes: true })) {
+      if (!ent.isDirectory()) continue;
+      const runOutputDir = path.join(outputRoot, ent.name);
+      const manifest = readRunManifest(runOutputDir);
+      if (!manifest || manifest.status === 'completed') continue;
+      runs.push({ runId: manifest.runId || ent.name, runOutputDir, manifest });
+    }
+    runs.sort((a, b) => String(b.manifest.updatedAt || '').localeCompare(String(a.manifest.updatedAt || '')));
+    return runs;
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * 输入文件附带的元数据（如文本分割路径），按绝对路径索引，写入各文件 CSV 的元数据行
+ * 恢复运行时取自清单 files[].meta，保证补跑的文件元数据一致
+ * @param {Object<string, Object>} [inputMetadata] - { 输入文件路径: { 键: 值 } }
+ * @param {Object} [resumeManifest]
+ * @returns {Map<string, Object>}
+ */
+function buildInputMetadata(inputMetadata, resumeManifest) {
+  const map = new Map();
+  const add = (p, meta) => {
+    if (p && meta && typeof meta === 'object') map.set(path.resolve(p), meta);
+  };
+  if (resumeManifest && Array.isArray(resumeManifest.files)) {
+    for (const f of resumeManifest.files) add(f && f.path, f && f.meta);
+  } else if (inputMetadata && typeof inputMetadata === 'object') {
+    for (const [p, meta] of Object.entries(inputMetadata)) add(p, meta);
+  }
+  return map;
+}
+
+/**
+ * 由运行清单构造与 interactiveSetup 返回结构兼容的配置，用于恢复运行
+ * @param {string} runOutputDir
+ */
+function buildResumeSetup(runOutputDir) {
+  const manifest = readRunManifest(runOutputDir);
+  if (!manifest) {
+    throw new Error(`未找到运行清单: ${path.join(runOutputDir, MANIFEST_NAME)}`);
+  }
+  const modelSel = manifest.modelSel || {};
+  return {
+    model: { provider: modelSel.provider, model: modelSel.model, fallbackModels: modelSel.fallbackModels, failoverAfter: modelSel.failoverAfter },
+    inputs: manifest.inputs || [],
+    outputDir: path.dirname(runOutputDir),
+    validation: modelSel.validation,
+    timeouts: modelSel.timeouts,
+    mode: manifest.mode || 'classic',
+    structured: manifest.mode === 'structured'
+      ? { promptVersion: manifest.promptVersion, repairAttempts: manifest.repairAttempts, fewShotCount: manifest.fewShotCount }
+      : null,
+    llmSummary: { enabled: false, model: null },
+    resume: { enable: true, runOutputDir, runId: manifest.runId || path.basename(runOutputDir) },
+  };
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  writeRunManifest,
+  readRunManifest,
+  loadSamples,
+  appendSample,
+  listResumableRuns,
+  buildResumeSetup,
+  buildInputMetadata,
+};
@@ -1,51 +1,206 @@
-const { pipeline } = require('@xenova/transformers');
+const { createEmbeddingBackend } = require('./embedding-backends');
+const EmbeddingCache = require('./embedding-cache');
 
+// 编辑距离为 O(n·m)，字面相似度只比较前若干字符
+const LEXICAL_EDIT_MAX_CHARS = 2000;
+const DEFAULT_BATCH_SIZE = 32;
+
+/**
+ * 相似度计算：语义（嵌入余弦，local / api 后端）或字面（编辑距离 + 字符 Jaccard，lexical 后端）
+ * - 后端由 config.similarity 决定（见 utils/embedding-backends.js）
+ * - 语义后端初始化或调用失败时，fallback 为 lexical（默认）则告警并在本次运行内降级为字面相似度，
+ *   降级原因见 getStatus()；fallback 为 none 时直接抛错
+ * - 语义模式下每个文本只计算一次嵌入：按内容哈希缓存（内存 + 可选磁盘，见 utils/embedding-cache.js），
+ *   未命中的文本按 batch_size 分批推理；多样本相似度矩阵为 N 次嵌入 + N² 次点积
+ */
 class SimilarityCalculator {
-    constructor() {
-        this.semanticModel = null;
-        this.initialized = false;
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config] - 完整配置（读取 similarity 与 providers）
+     * @param {Object} [options.logger]
+     */
+    constructor({ config = {}, logger = console } = {}) {
+        this.options = config.similarity || {};
+        this.providers = config.providers || [];
+        this.logger = logger;
+        this.backend = null;
+        this.method = null; // initialize 后为 semantic 或 lexical
+        this.degradedReason = null;
+        this.cache = null;
+        this.batchSize = Math.max(1, Number(this.options.batch_size) || DEFAULT_BATCH_SIZE);
+        this.ready = null;
     }
 
     /**
-     * 初始化语义模型
+     * 初始化相似度后端（并发调用共享同一次初始化）
      */
-    async initialize() {
-        if (this.initialized) return;
-        
+    initialize() {
+        if (!this.ready) this.ready = this._initialize();
+        return this.ready;
+    }
+
+    async _initialize() {
         try {
-            console.log(' 正在加载语义相似度模型...');
-            this.semanticModel = await pipeline(
-                'feature-extraction',
-                'Xenova/paraphrase-multilingual-MiniLM-L12-v2'
-            );
-            this.initialized = true;
-            console.log('✅ 语义模型加载成功');
+            this.backend = createEmbeddingBackend(this.options, { providers: this.providers });
+            if (!this.backend) {
+                this.method = 'lexical';
+                this.logger.info('相似度后端: lexical（编辑距离 + 字符 Jaccard，不加载嵌入模型）');
+                return;
+            }
+            this.logger.info(`正在初始化语义相似度后端: ${this.backend.describe()}`);
+            await this.backend.initialize();
+            this.cache = EmbeddingCache.fromConfig(this.options, `${this.backend.name}:${this.backend.model}`);
+            this.method = 'semantic';
+            this.logger.info('✅ 语义相似度后端就绪');
         } catch (error) {
-            console.error('❌ 语义模型加载失败:', error.message);
+            this.handleBackendFailure(error);
+        }
+    }
+
+    /**
+     * 语义后端失败：按 fallback 降级或抛出
+     */
+    handleBackendFailure(error) {
+        const backendName = this.backend ? this.backend.name : String(this.options.backend || 'local');
+        const reason = `语义相似度后端 ${backendName} 不可用: ${error.message}`;
+        if (String(this.options.fallback || 'lexical').toLowerCase() === 'none') {
+            this.logger.error(`❌ ${reason}`);
             throw error;
         }
+        this.logger.warn(`⚠️ ${reason}；本次运行改用字面相似度（编辑距离 + 字符 Jaccard）`);
+        this.method = 'lexical';
+        this.degradedReason = reason;
+        this.backend = null;
     }
 
     /**
-     * 计算语义相似度
+     * 当前相似度方法与降级状态
+     * @returns {{ backend:string, method:string|null, degraded:boolean, reason:string|null, cache:Object|null }}
+     */
+    getStatus() {
+        return {
+            backend: String(this.options.backend || 'local').toLowerCase(),
+            method: this.method,
+            degraded: !!this.degradedReason,
+            reason: this.degradedReason,
+            cache: this.cache ? this.cache.getStats() : null
+        };
+    }
+
+    /**
+     * 取句向量（L2 归一化）：先查缓存，未命中的文本去重后按 batch_size 分批送入后端；
+     * 语义后端不可用时抛出 code 为 SIMILARITY_UNAVAILABLE 的错误
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} 与 texts 一一对应
+     */
+    async embedTexts(texts) {
+        await this.initialize();
+        if (this.method !== 'semantic') {
+            throw Object.assign(
+                new Error(`语义相似度不可用: ${this.degradedReason || '当前后端为 lexical'}`),
+                { code: 'SIMILARITY_UNAVAILABLE' }
+            );
+        }
+        const vectors = new Map();
+        const pending = [];
+        for (const text of texts) {
+            if (vectors.has(text)) continue;
+            const cached = this.cache.get(text);
+            vectors.set(text, cached);
+            if (!cached) pending.push(text);
+        }
+        for (let i = 0; i < pending.length; i += this.batchSize) {
+            const batch = pending.slice(i, i + this.batchSize);
+            const embeddings = await this.backend.embed(batch);
+            batch.forEach((text, k) => {
+                const vector = normalizeVector(embeddings[k]);
+                this.cache.set(text, vector);
+                vectors.set(text, vector);
+            });
+        }
+        return texts.map((text) => vectors.get(text));
+    }
+
+    /**
+     * 计算相似度：语义后端可用时用语义相似度，否则（lexical 或已降级）用字面相似度
      * @param {string} text1 - 文本1
      * @param {string} text2 - 文本2
      * @returns {Promise<number>} 相似度值 (0-1)
      */
-    async calculateSemanticSimilarity(text1, text2) {
-        if (!this.initialized) {
-            await this.initialize();
+    async calculateSimilarity(text1, text2) {
+        const [similarity] = await this.calculateSimilarities(text1, [text2]);
+        return similarity;
+    }
+
+    /**
+     * 一个文本与多个候选的相似度（语义模式下一次批量嵌入）
+     * @param {string} text
+     * @param {string[]} candidates
+     * @returns {Promise<number[]>} 与 candidates 一一对应 (0-1)
+     */
+    async calculateSimilarities(text, candidates) {
+        await this.initialize();
+        if (this.method === 'semantic') {
+            try {
+                const [base, ...others] = await this.embedTexts([text, ...candidates]);
+                return others.map((vector) => Math.max(0, this.cosineSimilarity(base, vector)));
+            } catch (error) {
+                this.handleBackendFailure(error);
+            }
         }
+        return candidates.map((candidate) => this.calculateLexicalSimilarity(text, candidate));
+    }
 
-        try {
-            const embedding1 = await this.semanticModel(text1);
-            const embedding2 = await this.semanticModel(text2);
-            
-            return this.cosineSimilarity(embedding1.data, embedding2.data);
-        } catch (error) {
-            console.error('语义相似度计算失败:', error.message);
-            return 0.0;
+    /**
+     * 两两相似度矩阵（对称，对角线为 1）；语义模式下每个文本只嵌入一次
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>}
+     */
+    async calculateSimilarityMatrix(texts) {
+        await this.initialize();
+        let vectors = null;
+        if (this.method === 'semantic') {
+            try {
+                vectors = await this.embedTexts(texts);
+            } catch (error) {
+                this.handleBackendFailure(error);
+            }
         }
+        const matrix = texts.map(() => new Array(texts.length).fill(1));
+        for (let i = 0; i < texts.length; i++) {
+            for (let j = i + 1; j < texts.length; j++) {
+                const similarity = vectors
+                    ? Math.max(0, this.cosineSimilarity(vectors[i], vectors[j]))
+                    : this.calculateLexicalSimilarity(texts[i], texts[j]);
+                matrix[i][j] = similarity;
+                matrix[j][i] = similarity;
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * 计算语义相似度（嵌入余弦）；语义后端不可用时抛出 code 为 SIMILARITY_UNAVAILABLE 的错误
+     * @param {string} text1 - 文本1
+     * @param {string} text2 - 文本2
+     * @returns {Promise<number>} 相似度值 (0-1)
+     */
+    async calculateSemanticSimilarity(text1, text2) {
+        const [embedding1, embedding2] = await this.embedTexts([text1, text2]);
+        return Math.max(0, this.cosineSimilarity(embedding1, embedding2));
+    }
+
+    /**
+     * 计算字面相似度：编辑距离相似度（截取前 LEXICAL_EDIT_MAX_CHARS 字符）与字符 Jaccard 的均值
+     * @param {string} text1 - 文本1
+     * @param {string} text2 - 文本2
+     * @returns {number} 相似度值 (0-1)
+     */
+    calculateLexicalSimilarity(text1, text2) {
+        const a = String(text1 || '');
+        const b = String(text2 || '');
+        const edit = this.calculateEditSimilarity(a.slice(0, LEXICAL_EDIT_MAX_CHARS), b.slice(0, LEXICAL_EDIT_MAX_CHARS));
+        return (edit + this.calculateJaccardSimilarity(a, b)) / 2;
     }
 
     /**
@@ -106,8 +261,9 @@ class SimilarityCalculator {
      * @returns {number} 相似度值 (0-1)
      */
     calculateEditSimilarity(str1, str2) {
-        const distance = this.levenshteinDistance(str1, str2);
         const maxLength = Math.max(str1.length, str2.length);
+        if (maxLength === 0) return 1;
+        const distance = this.levenshteinDistance(str1, str2);
         return 1 - (distance / maxLength);
     }
 
@@ -123,6 +279,7 @@ class SimilarityCalculator {
         
         const intersection = new Set([...set1].filter(x => set2.has(x)));
         const union = new Set([...set1, ...set2]);
+        if (union.size === 0) return 1;
         
         return intersection.size / union.size;
     }
@@ -133,17 +290,18 @@ class SimilarityCalculator {
      * @returns {Promise<Array>} 相似度矩阵
      */
     async calculateBatchSimilarity(texts) {
+        const matrix = await this.calculateSimilarityMatrix(texts);
         const similarities = [];
         
         for (let i = 0; i < texts.length; i++) {
             for (let j = i + 1; j < texts.length; j++) {
-                const similarity = await this.calculateSemanticSimilarity(texts[i], texts[j]);
                 similarities.push({
                     index1: i,
                     index2: j,
                     text1: texts[i],
                     text2: texts[j],
-                    similarity: similarity
+                    similarity: matrix[i][j],
+                    method: this.method
                 });
             }
         }
@@ -212,4 +370,13 @@ class SimilarityCalculator {
     }
 }
 
+/**
+ * L2 归一化（嵌入接口返回的向量不一定已归一化；归一化后余弦即点积）
+ */
+function normalizeVector(vector) {
+    const values = Array.from(vector, Number);
+    const norm = Math.sqrt(values.reduce((sum, val) => sum + val * val, 0));
+    return norm > 0 ? values.map((val) => val / norm) : values;
+}
+
 module.exports = SimilarityCalculator;
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * 文本分割配方：将分割层级（正则与标志）与导出选项保存为 YAML，便于复用与无交互运行
+ *
+ * name: chapters
+ * description: 按章/节两级分割
+ * levels:
+ *   - name: 章
+ *     regex: "^第[一二三四五六七八九十百千零〇\\d]+章.*$"
+ *     flags: gm
+ *     description: 章标题
+ * export:
+ *   file_extension: .txt
+ *   include_metadata: true
+ *   flatten_structure: false
+ */
+const DEFAULT_FLAGS = 'gm';
+const DEFAULT_RECIPES_DIR = './config/SplitRecipes';
+const EXPORT_DEFAULTS = {
+    fileExtension: '.txt',
+    includeMetadata: true,
+    flattenStructure: false
+};
+
+function recipeError(message) {
+    return Object.assign(new Error(message), { code: 'RECIPE_INVALID' });
+}
+
+/**
+ * 规范化正则标志：仅允许 gimsuy，去重并按固定顺序排列，且始终包含 g（逐个匹配依赖 lastIndex）
+ * @param {string} [flags]
+ * @returns {string}
+ */
+function normalizeFlags(flags) {
+    const raw = flags === undefined || flags === null || flags === '' ? DEFAULT_FLAGS : String(flags);
+    const invalid = raw.replace(/[gimsuy]/g, '');
+    if (invalid) {
+        throw recipeError(`正则标志无效: ${invalid}（仅支持 g i m s u y）`);
+    }
+    return 'gimsuy'.split('').filter((f) => f === 'g' || raw.includes(f)).join('');
+}
+
+/**
+ * 校验并规范化配方对象
+ * @param {Object} raw - YAML 解析结果
+ * @param {string} [source] - 来源文件（报错用）
+ * @returns {{ name:string, description:string, levels:Array, export:Object }}
+ */
+function normalizeRecipe(raw, source = null) {
+    const where = source ? `（${source}）` : '';
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw recipeError(`配方格式无效${where}`);
+    }
+    if (!Array.isArray(raw.levels) || raw.levels.length === 0) {
+        throw recipeError(`配方缺少分割层级 levels${where}`);
+    }
+    const levels = raw.levels.map((level, i) => {
+        const label = `第 ${i + 1} 个层级`;
+        if (!level || typeof level !== 'object') throw recipeError(`${label}格式无效${where}`);
+        if (!level.regex || typeof level.regex !== 'string') throw recipeError(`${label}缺少 regex${where}`);
+        const flags = normalizeFlags(level.flags);
+        try {
+            new RegExp(level.regex, flags);
+        } catch (error) {
+            throw recipeError(`${label}正则表达式无效: ${error.message}${where}`);
+        }
+        return {
+            name: String(level.name || `层级${i + 1}`),
+            regex: level.regex,
+            flags,
+            description: level.description ? String(level.description) : ''
+        };
+    });
+
+    const exp = raw.export || {};
+    let fileExtension = exp.file_extension || EXPORT_DEFAULTS.fileExtension;
+    if (!String(fileExtension).startsWith('.')) fileExtension = `.${fileExtension}`;
+
+    return {
+        name: String(raw.name || (source ? path.basename(source, path.extname(source)) : 'recipe')),
+        description: raw.description ? String(raw.description) : '',
+        levels,
+        export: {
+            fileExtension: String(fileExtension),
+            includeMetadata: exp.include_metadata ?? EXPORT_DEFAULTS.includeMetadata,
+            flattenStructure: exp.flatten_structure ?? EXPORT_DEFAULTS.flattenStructure
+        }
+    };
+}
+
+/**
+ * 读取配方文件
+ * @param {string} filePath
+ */
+function loadRecipe(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw recipeError(`配方文件不存在: ${filePath}`);
+    }
+    let raw;
+    try {
+        raw = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw recipeError(`配方 YAML 解析失败: ${error.message}`);
+    }
+    return normalizeRecipe(raw, filePath);
+}
+
+/**
+ * 保存配方文件（字段名使用 snake_case，与 env.yaml 一致）
+ * @param {string} filePath
+ * @param {Object} recipe - normalizeRecipe 结构
+ * @returns {string} 写入的路径
+ */
+function saveRecipe(filePath, recipe) {
+    const normalized = normalizeRecipe({
+        name: recipe.name,
+        description: recipe.description,
+        levels: recipe.levels,
+        export: {
+            file_extension: recipe.export?.fileExtension,
+            include_metadata: recipe.export?.includeMetadata,
+            flatten_structure: recipe.export?.flattenStructure
+        }
+    });
+    const doc = {
+        name: normalized.name,
+        ...(normalized.description ? { description: normalized.description } : {}),
+        levels: normalized.levels.map((l) => ({
+            name: l.name,
+            regex: l.regex,
+            flags: l.flags,
+            ...(l.description ? { description: l.description } : {})
+        })),
+        export: {
+            file_extension: normalized.export.fileExtension,
+            include_metadata: normalized.export.includeMetadata,
+            flatten_structure: normalized.export.flattenStructure
+        }
+    };
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, yaml.dump(doc, { lineWidth: -1 }), 'utf8');
+    return filePath;
+}
+
+/**
+ * 按路径或名称定位配方：先按给定路径，再在配方目录下查找（可省略 .yaml 后缀）
+ * @param {string} nameOrPath
+ * @param {string} [recipesDir]
+ * @returns {string|null}
+ */
+function resolveRecipePath(nameOrPath, recipesDir = DEFAULT_RECIPES_DIR) {
+    if (!nameOrPath) return null;
+    const candidates = [
+        nameOrPath,
+        path.join(recipesDir, nameOrPath),
+        path.join(recipesDir, `${nameOrPath}.yaml`),
+        path.join(recipesDir, `${nameOrPath}.yml`)
+    ];
+    return candidates.find((p) => fs.existsSync(p) && fs.statSync(p).isFile()) || null;
+}
+
+/**
+ * 列出配方目录下的所有配方文件
+ * @param {string} [recipesDir]
+ * @returns {string[]}
+ */
+function listRecipes(recipesDir = DEFAULT_RECIPES_DIR) {
+    if (!fs.existsSync(recipesDir)) return [];
+    return fs.readdirSync(recipesDir)
+        .filter((f) => /\.ya?ml$/i.test(f))
+        .sort()
+        .map((f) => path.join(recipesDir, f));
+}
+
+module.exports = {
+    DEFAULT_FLAGS,
+    DEFAULT_RECIPES_DIR,
+    EXPORT_DEFAULTS,
+    normalizeFlags,
+    normalizeRecipe,
+    loadRecipe,
+    saveRecipe,
+    resolveRecipePath,
+    listRecipes
+};
@@ -0,0 +1,157 @@
+const Papa = require('papaparse');
+const TokenCounter = require('./token-counter');
+const CsvMetadataUtils = require('./csv-metadata');
+
+/**
+ * 超长输入分块：按 TokenCounter.estimateTokenCount 估算，在 token 预算内按标题 → 段落 → 行 → 句子逐级切分
+ * - 未超出预算的文档原样作为单块，行为与不分块一致
+ * - 各块拼接后与原文完全一致（切分时保留分隔符）
+ * - 相邻的小节会合并进同一块，尽量减少请求数
+ */
+const HEADING_SPLIT = /(?=^(?:#{1,6}[ \t]|第[一二三四五六七八九十百千零〇\d]+[章节篇部回卷]))/m;
+const HEADING_LINE = /^(?:#{1,6}[ \t]+.*|第[一二三四五六七八九十百千零〇\d]+[章节篇部回卷].*)$/m;
+
+class TextChunker {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxTokens=6000] - 单块 token 预算（仅用户内容，不含系统提示词）
+   * @param {string} [options.model] - 估算所用模型名
+   * @param {TokenCounter} [options.tokenCounter]
+   */
+  constructor({ maxTokens = 6000, model, tokenCounter } = {}) {
+    this.maxTokens = Math.max(100, Number(maxTokens) || 6000);
+    this.model = model;
+    this.tokenCounter = tokenCounter || new TokenCounter();
+  }
+
+  /**
+   * 按配置创建分块器；chunking.enabled === false 时返回 null
+   * @param {Object} config
+   * @param {string} [model]
+   * @param {{ enabled?: boolean, maxTokens?: number }} [override] - 恢复运行时沿用清单中的分块参数
+   */
+  static fromConfig(config = {}, model, override = null) {
+    const c = config.chunking || {};
+    const enabled = override ? override.enabled !== false : c.enabled !== false;
+    if (!enabled) return null;
+    return new TextChunker({ maxTokens: (override && override.maxTokens) || c.max_tokens, model });
+  }
+
+  count(text) {
+    return this.tokenCounter.estimateContentTokens(text, this.model, { capped: false });
+  }
+
+  /**
+   * 切分文本；分段 content（如图片输入）不切分，原样作为单块
+   * @param {string|Array} text
+   * @returns {Array<{ index:number, total:number, text:string|Array, tokens:number, heading:string|null }>}
+   */
+  split(text) {
+    if (Array.isArray(text)) {
+      return [{ index: 0, total: 1, text, tokens: this.count(text), heading: null }];
+    }
+    const src = String(text || '');
+    const total = this.count(src);
+    if (total <= this.maxTokens) {
+      return [{ index: 0, total: 1, text: src, tokens: total, heading: null }];
+    }
+
+    const units = [];
+    for (const section of src.split(HEADING_SPLIT)) {
+      if (section) units.push(...this._fit(section, 0));
+    }
+
+    // 贪心装箱：在预算内尽量合并相邻单元
+    const chunks = [];
+    let buf = '';
+    let bufTokens = 0;
+    for (const unit of units) {
+      const t = this.count(unit);
+      if (buf && bufTokens + t > this.maxTokens) {
+        chunks.push(buf);
+        buf = '';
+        bufTokens = 0;
+      }
+      buf += unit;
+      bufTokens += t;
+    }
+    if (buf) chunks.push(buf);
+
+    // heading：块首行若为标题取该标题，否则沿用上一块中最后出现的标题
+    let lastHeading = null;
+    return chunks.map((c, index) => {
+      const firstLine = c.replace(/^\s+/, '').split('\n')[0].trim();
+      const heading = HEADING_LINE.test(firstLine) ? firstLine : lastHeading;
+      const all = c.match(new RegExp(HEADING_LINE.source, 'gm'));
+      if (all && all.length) lastHeading = all[all.length - 1].trim();
+      return { index, total: chunks.length, text: c, tokens: this.count(c), heading };
+    });
+  }
+
+  /**
+   * 将超出预算的片段逐级细分：段落 → 行 → 句子 → 按字符硬切
+   */
+  _fit(piece, level) {
+    if (this.count(piece) <= this.maxTokens) return [piece];
+    const splitters = [/(?<=\n[ \t]*\n)/, /(?<=\n)/, /(?<=[。！？!?；;])/];
+    if (level < splitters.length) {
+      const parts = piece.split(splitters[level]).filter(Boolean);
+      if (parts.length > 1) return parts.flatMap((p) => this._fit(p, level + 1));
+      return this._fit(piece, level + 1);
+    }
+    const size = Math.max(1, Math.floor(piece.length * this.maxTokens / this.count(piece)));
+    const out = [];
+    for (let i = 0; i < piece.length; i += size) out.push(piece.slice(i, i + size));
+    return out;
+  }
+}
+
+/**
+ * 将各分块的 CSV 拼接为一个：去掉元数据行、代码围栏行与重复表头，主键列按出现顺序连续重编号
+ * 表头优先取与输出表结构列一致的行，找不到时取块内首行
+ * @param {string[]} csvTexts - 各分块 CSV（可含元数据行）
+ * @param {import('./output-schema')} outputSchema
+ * @returns {{ csv:string, ranges:Array<{ chunk:number, from:number|null, to:number|null, rows:number }> }}
+ */
+function stitchChunkCsvs(csvTexts, outputSchema) {
+  let header = null;
+  const rows = [];
+  const ranges = [];
+  let counter = 1;
+  csvTexts.forEach((text, i) => {
+    const parsed = Papa.parse(String(text || '').trim(), { header: false, skipEmptyLines: true, error: () => {} });
+    const data = (Array.isArray(parsed.data) ? parsed.data : [])
+      .filter((r) => !CsvMetadataUtils.isMetadataRow(r))
+      .filter((r) => !(r.length === 1 && /^```/.test(String(r[0]).trim())));
+    const isSchemaHeader = (r) => r.length >= outputSchema.columns.length
+      && outputSchema.columns.every((c, k) => String(r[k]).trim() === c);
+    const headerAt = Math.max(0, data.findIndex(isSchemaHeader));
+    const chunkHeader = (data[headerAt] || []).map((c) => String(c).trim());
+    if (!header && chunkHeader.length) header = chunkHeader;
+    const keyIdx = header ? header.indexOf(outputSchema.keyColumn) : -1;
+    const from = counter;
+    for (const row of data.slice(headerAt + 1)) {
+      if (!row.some((cell) => String(cell).trim())) continue;
+      // 与首块表头一致的重复表头行跳过
+      if (header && row.length === header.length && row.every((cell, k) => String(cell).trim() === header[k])) continue;
+      if (isSchemaHeader(row)) continue;
+      const cells = header ? header.map((_, k) => (row[k] === undefined ? '' : row[k])) : row;
+      if (keyIdx >= 0) cells[keyIdx] = String(counter);
+      counter++;
+      rows.push(cells);
+    }
+    const count = counter - from;
+    ranges.push({ chunk: i + 1, from: count ? from : null, to: count ? counter - 1 : null, rows: count });
+  });
+  const all = [header || outputSchema.columns, ...rows];
+  return { csv: Papa.unparse(all, { quotes: true, quoteChar: '"', escapeChar: '"' }), ranges };
+}
+
+/**
+ * 分块区间写入元数据：chunk_index=1:1-12|2:13-20|3:-
+ */
+function formatChunkIndex(ranges) {
+  return ranges.map((r) => `${r.chunk}:${r.rows ? `${r.from}-${r.to}` : '-'}`).join('|');
+}
+
+module.exports = { TextChunker, stitchChunkCsvs, formatChunkIndex };
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { normalizeFlags } = require('./split-recipe');
 
 /**
  * 通用文本分割工具
@@ -18,17 +19,58 @@ class TextSplitter {
      * @param {Object} levelConfig 层级配置
      * @param {string} levelConfig.name 层级名称
      * @param {string} levelConfig.regex 正则表达式
+     * @param {string} [levelConfig.flags] 正则标志（默认 gm，始终包含 g）
      * @param {string} levelConfig.description 层级描述
      */
     addLevel(levelConfig) {
+        const flags = normalizeFlags(levelConfig.flags);
         this.levels.push({
             name: levelConfig.name,
             regex: levelConfig.regex,
+            flags,
             description: levelConfig.description || '',
-            compiled: new RegExp(levelConfig.regex, 'gm')
+            compiled: new RegExp(levelConfig.regex, flags)
         });
     }
 
+    /**
+     * 应用配方：替换当前全部层级
+     * @param {Object} recipe 配方对象（loadRecipe 的结果，见 utils/split-recipe.js）
+     * @returns {Object} 配方中的导出选项
+     */
+    applyRecipe(recipe) {
+        if (!recipe || !Array.isArray(recipe.levels) || recipe.levels.length === 0) {
+            throw new Error('配方缺少分割层级');
+        }
+        this.clearLevels();
+        recipe.levels.forEach(level => this.addLevel(level));
+        return { ...(recipe.export || {}) };
+    }
+
+    /**
+     * 将当前层级与导出选项转为配方对象
+     * @param {Object} meta 配方信息
+     * @param {string} meta.name 配方名称
+     * @param {string} [meta.description] 配方描述
+     * @param {Object} [exportOptions] 导出选项（同 exportSplitResults）
+     */
+    toRecipe({ name, description = '' }, exportOptions = {}) {
+        if (this.levels.length === 0) {
+            throw new Error('请先配置分割层级');
+        }
+        return {
+            name,
+            description,
+            levels: this.levels.map(level => ({
+                name: level.name,
+                regex: level.regex,
+                flags: level.flags,
+                description: level.description
+            })),
+            export: { ...exportOptions }
+        };
+    }
+
     /**
      * 清空所有层级配置
      */
@@ -101,6 +143,8 @@ class TextSplitter {
 
         let match;
         while ((match = regex.exec(content)) !== null) {
+            // 零宽匹配（如纯前瞻）需手动推进，避免死循环
+            if (match[0] === '') regex.lastIndex++;
             matches.push({
                 text: match[0],
                 index: match.index,
@@ -133,7 +177,7 @@ class TextSplitter {
                 matchContent, 
                 levelIndex + 1, 
                 currentPath, 
-                [...parentMatches, { level: level.name, match: match.fullMatch, groups: match.groups }]
+                [...parentMatches, { level: level.name, levelIndex, match: match.fullMatch, groups: match.groups }]
             );
         }
     }
@@ -293,11 +337,12 @@ class TextSplitter {
     /**
      * 验证正则表达式
      * @param {string} regexString 正则表达式字符串
+     * @param {string} [flags] 正则标志
      * @returns {boolean} 是否有效
      */
-    validateRegex(regexString) {
+    validateRegex(regexString, flags) {
         try {
-            new RegExp(regexString, 'gm');
+            new RegExp(regexString, normalizeFlags(flags));
             return true;
         } catch (error) {
             return false;
@@ -308,15 +353,17 @@ class TextSplitter {
      * 测试正则表达式
      * @param {string} regexString 正则表达式字符串
      * @param {string} testContent 测试内容
+     * @param {string} [flags] 正则标志
      * @returns {Array} 匹配结果
      */
-    testRegex(regexString, testContent) {
+    testRegex(regexString, testContent, flags) {
         try {
-            const regex = new RegExp(regexString, 'gm');
+            const regex = new RegExp(regexString, normalizeFlags(flags));
             const matches = [];
             let match;
             
             while ((match = regex.exec(testContent)) !== null) {
+                if (match[0] === '') regex.lastIndex++;
                 matches.push({
                     text: match[0],
                     index: match.index,
@@ -338,6 +385,7 @@ class TextSplitter {
             levels: this.levels.map(level => ({
                 name: level.name,
                 regex: level.regex,
+                flags: level.flags,
                 description: level.description
             })),
             sourceLoaded: !!this.sourceContent,
@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 
+// 单张图片的估算 token 数（各家按分辨率计费，此处取常见截图/扫描页的量级，仅用于限流预占与无 usage 时的估算）
+const IMAGE_TOKEN_ESTIMATE = 1000;
+
 class TokenCounter {
     constructor() {
         this.tokenCounts = {
@@ -98,8 +101,12 @@ class TokenCounter {
     /**
      * 计算文本的token数量（估算）
      * 注意：这是估算值，实际值需要调用API获取
+     * @param {string} text
+     * @param {string} [model]
+     * @param {Object} [options]
+     * @param {boolean} [options.capped=true] - 是否按模型上下文上限截断（分块估算时需关闭）
      */
-    estimateTokenCount(text, model = 'gpt-3.5-turbo') {
+    estimateTokenCount(text, model = 'gpt-3.5-turbo', { capped = true } = {}) {
         if (!text) return 0;
         
         // 不同模型的token计算规则
@@ -141,13 +148,28 @@ class TokenCounter {
         const rule = rules[model] || rules['gpt-3.5-turbo'];
         const estimatedTokens = Math.ceil(text.length / rule.charsPerToken);
         
-        return Math.min(estimatedTokens, rule.maxTokens);
+        return capped ? Math.min(estimatedTokens, rule.maxTokens) : estimatedTokens;
+    }
+
+    /**
+     * 估算消息 content 的 token 数：字符串同 estimateTokenCount；分段数组按文本分段估算，
+     * 每个图片分段（image_url）另计 IMAGE_TOKEN_ESTIMATE
+     * @param {string|Array} content
+     * @param {string} model
+     * @param {Object} [options] - 同 estimateTokenCount
+     * @returns {number}
+     */
+    estimateContentTokens(content, model = 'gpt-3.5-turbo', options = {}) {
+        if (!Array.isArray(content)) return this.estimateTokenCount(content ? String(content) : '', model, options);
+        const text = content.filter(p => p && typeof p.text === 'string').map(p => p.text).join('\n');
+        const images = content.filter(p => p && (p.type === 'image_url' || p.image_url)).length;
+        return this.estimateTokenCount(text, model, options) + images * IMAGE_TOKEN_ESTIMATE;
     }
 
     /**
      * 智能获取token数量：优先API响应，回退估算
      * @param {Object} apiResponse - API响应对象
-     * @param {string} inputText - 输入文本
+     * @param {string|Array} inputText - 输入文本（或含图片的分段 content）
      * @param {string} outputText - 输出文本
      * @param {string} model - 模型名称
      * @returns {Object} token使用信息
@@ -165,7 +187,7 @@ class TokenCounter {
         }
 
         // 回退到估算
-        const estimatedInputTokens = this.estimateTokenCount(inputText, model);
+        const estimatedInputTokens = this.estimateContentTokens(inputText, model);
         const estimatedOutputTokens = this.estimateTokenCount(outputText, model);
         
         return {